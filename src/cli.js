@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('./lib/ConfigLoader');
+const Reporter = require('./lib/Reporter');
+
+/**
+ * @usage
+node src/cli.js <command> [args] [options]
+
+// Run a build with the bundled modubuild.json
+node src/cli.js build
+
+// Use another configuration file
+node src/cli.js test --config ./modubuild.json
+
+// Print usage for a single command
+node src/cli.js deploy --help
+
+Commands are discovered from src/commands/. Each command module exports:
+
+module.exports = {
+  usage: 'build [configPath] [options]',
+  // Positional arguments written into config.commands.<name> before validation
+  configArgs: ['configPath'],
+  options: {
+    watch: { type: 'boolean', alias: 'w', description: 'Rebuild on change' }
+  },
+  async run({ config, commandConfig, args, options, reporter, rootDir }) {
+    return 0; // exit code
+  }
+};
+ */
+
+const EXIT_CODES = Object.freeze({
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+});
+
+const COMMANDS_DIR = path.join(__dirname, 'commands');
+
+const GLOBAL_OPTIONS = Object.freeze({
+  config: { type: 'string', alias: 'c', description: 'Path to modubuild.json (default: ./modubuild.json)' },
+  mode: { type: 'string', alias: 'm', description: 'Configuration profile to apply, e.g. development or production' },
+  help: { type: 'boolean', alias: 'h', description: 'Show usage information' },
+  version: { type: 'boolean', alias: 'v', description: 'Print the modubuild version' }
+});
+
+const UsageError = class extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+};
+
+// Discover command modules by file name
+function discoverCommands(dir = COMMANDS_DIR) {
+  const commands = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (path.extname(file) !== '.js') continue;
+    commands.set(path.basename(file, '.js'), path.join(dir, file));
+  }
+  return commands;
+}
+
+function loadCommand(name, commands) {
+  const command = require(commands.get(name));
+  if (typeof command.run !== 'function') {
+    throw new Error(`Command "${name}" is not implemented`);
+  }
+  return command;
+}
+
+// Locate the command name, skipping values of global options
+function findCommandIndex(argv) {
+  const aliases = Object.fromEntries(
+    Object.entries(GLOBAL_OPTIONS).map(([name, def]) => [def.alias, name])
+  );
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') return -1;
+    if (!arg.startsWith('-')) return i;
+
+    const key = arg.startsWith('--') ? arg.slice(2) : aliases[arg.slice(1)];
+    const definition = GLOBAL_OPTIONS[key];
+    if (definition && definition.type !== 'boolean') i++;
+  }
+  return -1;
+}
+
+// Parse argv against a set of option definitions
+function parseArgs(argv, definitions) {
+  const options = {};
+  const positionals = [];
+  const aliases = new Map(
+    Object.entries(definitions)
+      .filter(([, def]) => def.alias)
+      .map(([name, def]) => [def.alias, name])
+  );
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [key, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const negated = arg.startsWith('--no-') && !(key in definitions);
+    if (negated) key = key.slice(3);
+    if (!arg.startsWith('--')) key = aliases.get(key) || key;
+
+    const definition = definitions[key];
+    if (!definition) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    if (definition.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option --${key} does not take a value`);
+      }
+      options[key] = !negated;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || negated) {
+      throw new UsageError(`Option --${key} requires a value`);
+    }
+
+    if (definition.type === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new UsageError(`Option --${key} expects a number, got "${value}"`);
+      }
+      options[key] = number;
+    } else if (definition.multiple) {
+      options[key] = [...(options[key] || []), value];
+    } else {
+      options[key] = value;
+    }
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!(name in options) && definition.default !== undefined) {
+      options[name] = definition.default;
+    }
+  }
+
+  return { options, positionals };
+}
+
+function formatOptions(definitions) {
+  const rows = Object.entries(definitions).map(([name, def]) => {
+    const flag = `${def.alias ? `-${def.alias}, ` : '    '}--${name}${def.type === 'boolean' ? '' : ` <${def.type}>`}`;
+    return [flag, def.description || ''];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+function describeCommand(name, command, config) {
+  const commandConfig = (config && config.commands && config.commands[name]) || {};
+  return commandConfig.description || command.description || '';
+}
+
+function printUsage(commands, config) {
+  const rows = [];
+  for (const name of commands.keys()) {
+    let command = {};
+    try {
+      command = loadCommand(name, commands);
+    } catch {
+      continue;
+    }
+    rows.push([name, describeCommand(name, command, config)]);
+  }
+  const width = Math.max(...rows.map(([name]) => name.length));
+
+  console.log([
+    'Usage: modubuild <command> [options]',
+    '',
+    'Commands:',
+    ...rows.map(([name, description]) => `  ${name.padEnd(width)}  ${description}`),
+    '',
+    'Global options:',
+    formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Run "modubuild <command> --help" for command specific options.'
+  ].join('\n'));
+}
+
+function printCommandUsage(name, command, config) {
+  const lines = [`Usage: modubuild ${command.usage || name}`];
+  const description = describeCommand(name, command, config);
+  if (description) lines.push('', description);
+  if (command.options && Object.keys(command.options).length > 0) {
+    lines.push('', 'Options:', formatOptions(command.options));
+  }
+  lines.push('', 'Global options:', formatOptions(GLOBAL_OPTIONS));
+  console.log(lines.join('\n'));
+}
+
+function printConfigError(error) {
+  console.error(error.message);
+  for (const detail of error.errors || []) {
+    console.error(`  - ${detail.path}: ${detail.message}`);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const commands = discoverCommands();
+  const commandIndex = findCommandIndex(argv);
+  const name = commandIndex === -1 ? null : argv[commandIndex];
+  const rest = commandIndex === -1 ? argv : [...argv.slice(0, commandIndex), ...argv.slice(commandIndex + 1)];
+
+  let command = null;
+  if (name && name !== 'help') {
+    if (!commands.has(name)) {
+      console.error(`Unknown command: ${name}`);
+      printUsage(commands);
+      return EXIT_CODES.USAGE;
+    }
+    try {
+      command = loadCommand(name, commands);
+    } catch (error) {
+      console.error(error.message);
+      return EXIT_CODES.FAILURE;
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(rest, { ...GLOBAL_OPTIONS, ...(command ? command.options : {}) });
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(error.message);
+    if (command) printCommandUsage(name, command);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.version) {
+    console.log(require('../package.json').version);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Positional arguments declared by the command override its config section
+  const configArgs = (command && command.configArgs) || [];
+  const commandOverrides = {};
+  configArgs.forEach((key, index) => {
+    if (positionals[index]) commandOverrides[key] = positionals[index];
+  });
+  const args = positionals.slice(configArgs.length);
+
+  let loaded;
+  try {
+    loaded = new ConfigLoader().load(options.config, {
+      overrides: Object.keys(commandOverrides).length > 0 ? { commands: { [name]: commandOverrides } } : {},
+      mode: options.mode
+    });
+  } catch (error) {
+    if (!(error instanceof ConfigLoader.ConfigError)) throw error;
+    printConfigError(error);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const { config, configPath, mode, sources } = loaded;
+
+  if (!command) {
+    printUsage(commands, config);
+    return name === 'help' || options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    printCommandUsage(name, command, config);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const rootDir = process.cwd();
+  const reporter = new Reporter({
+    ...config.logging,
+    logDirectory: path.join(rootDir, 'logs')
+  });
+
+  try {
+    const code = await command.run({
+      name,
+      config,
+      configPath,
+      mode,
+      sources,
+      commandConfig: (config.commands && config.commands[name]) || {},
+      args,
+      options,
+      reporter,
+      rootDir
+    });
+    return typeof code === 'number' ? code : EXIT_CODES.SUCCESS;
+  } catch (error) {
+    reporter.error(`${name} failed: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main().then(
+    code => { process.exitCode = code; },
+    error => {
+      console.error(error);
+      process.exitCode = EXIT_CODES.FAILURE;
+    }
+  );
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  discoverCommands,
+  EXIT_CODES
+};
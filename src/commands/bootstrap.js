@@ -0,0 +1,79 @@
+const path = require('path');
+const readline = require('readline');
+const Scaffolder = require('../lib/Scaffolder');
+
+const QUESTIONS = [
+  { key: 'name', message: 'Project name' },
+  { key: 'template', message: `Template (${Object.keys(Scaffolder.TEMPLATES).join(', ')})` },
+  { key: 'entryPoint', message: 'Entry point' },
+  { key: 'outputDir', message: 'Output directory' },
+  { key: 'destination', message: 'Deploy destination' }
+];
+
+// Ask each question on the terminal, falling back to the given defaults
+async function prompt(defaults) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (question) => new Promise(resolve => rl.question(question, resolve));
+  const answers = {};
+
+  try {
+    for (const { key, message } of QUESTIONS) {
+      const answer = (await ask(`${message} (${defaults[key]}): `)).trim();
+      answers[key] = answer || defaults[key];
+    }
+  } finally {
+    rl.close();
+  }
+
+  return answers;
+}
+
+module.exports = {
+  usage: 'bootstrap [directory] [options]',
+  options: {
+    yes: { type: 'boolean', alias: 'y', description: 'Accept defaults without prompting' },
+    template: { type: 'string', alias: 't', description: `Project template: ${Object.keys(Scaffolder.TEMPLATES).join(', ')}` },
+    name: { type: 'string', description: 'Project name' },
+    force: { type: 'boolean', description: 'Overwrite existing files' },
+    'list-templates': { type: 'boolean', description: 'List available templates' }
+  },
+
+  async run({ args, options, reporter, rootDir }) {
+    if (options['list-templates']) {
+      for (const [name, template] of Object.entries(Scaffolder.TEMPLATES)) {
+        console.log(`  ${name.padEnd(10)} ${template.description}`);
+      }
+      return 0;
+    }
+
+    const targetDir = path.resolve(rootDir, args[0] || '.');
+    const scaffolder = new Scaffolder({ targetDir });
+    const defaults = {
+      ...scaffolder.defaults(),
+      ...(options.name && { name: options.name }),
+      ...(options.template && { template: options.template })
+    };
+
+    let answers = defaults;
+    if (!options.yes) {
+      if (process.stdin.isTTY) {
+        answers = await prompt(defaults);
+      } else {
+        reporter.warn('stdin is not interactive, using default answers (pass --yes to silence this)');
+      }
+    }
+
+    const results = await scaffolder.generate(answers, { force: options.force });
+    for (const result of results) {
+      console.log(`  ${result.status.padEnd(11)} ${result.path}`);
+    }
+
+    const skipped = results.filter(result => result.status === 'skipped').length;
+    console.log(
+      `\nBootstrapped ${answers.name} from the "${answers.template}" template in ${path.relative(rootDir, targetDir) || '.'}` +
+      (skipped > 0 ? ` (${skipped} existing file(s) kept, use --force to overwrite)` : '')
+    );
+    reporter.info(`Bootstrapped ${answers.name} (${answers.template}) in ${targetDir}`);
+    return 0;
+  }
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+const BuildCache = require('../lib/BuildCache');
+const Bundler = require('../lib/Bundler');
+const ParallelBuilder = require('../lib/ParallelBuilder');
+const PluginContainer = require('../lib/PluginContainer');
+const Watcher = require('../lib/Watcher');
+
+function printOutputs(outputs, written, rootDir) {
+  outputs.forEach((output, index) => {
+    console.log(
+      `  ${path.relative(rootDir, written[index])}  ` +
+      `${output.modules.length} module(s), ${Buffer.byteLength(output.code)} bytes`
+    );
+    (output.chunks || []).forEach((chunk) => {
+      console.log(`    ${chunk.fileName}  ${chunk.modules.length} module(s), ${Buffer.byteLength(chunk.code)} bytes`);
+    });
+    if (output.css) {
+      console.log(`    ${output.css.fileName}  ${Buffer.byteLength(output.css.code)} bytes`);
+    }
+    if (output.assets && output.assets.length > 0) {
+      console.log(`    ${output.assets.length} asset(s): ${output.assets.map(asset => asset.fileName).join(', ')}`);
+    }
+  });
+}
+
+// Keep rebuilding until the process is interrupted
+function watch(bundler, graph, { debounce, reporter, rootDir }) {
+  const watcher = new Watcher(bundler, graph, { debounce });
+
+  watcher.on('rebuild', ({ changed, removed, outputs, duration }) => {
+    const time = new Date().toLocaleTimeString();
+    console.log(`[${time}] ${changed.join(', ')} changed, rebuilt ${outputs.length} bundle(s) in ${duration}ms`);
+    printOutputs(outputs, outputs.map(output => path.join(bundler.outputDir, output.fileName)), rootDir);
+    if (removed.length > 0) {
+      console.log(`  dropped unreferenced module(s): ${removed.join(', ')}`);
+    }
+  });
+
+  watcher.on('error', (error) => {
+    reporter.error(`Rebuild failed: ${error.message}`);
+  });
+
+  watcher.start();
+  console.log(`Watching ${graph.nodes.size} module(s) for changes. Press Ctrl+C to stop.`);
+
+  return new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      watcher.close();
+      resolve(0);
+    });
+  });
+}
+
+module.exports = {
+  usage: 'build [configPath] [options]',
+  configArgs: ['configPath'],
+  options: {
+    watch: { type: 'boolean', alias: 'w', description: 'Rebuild affected bundles when a module changes' },
+    debounce: { type: 'number', default: 100, description: 'Milliseconds to wait for more changes before rebuilding' },
+    concurrency: { type: 'number', description: 'Number of worker threads bundling entry points in parallel' },
+    sourcemap: { type: 'boolean', description: 'Write a source map next to each bundle (on by default, --no-sourcemap to skip)' },
+    cache: { type: 'boolean', description: 'Reuse transformed modules from the disk cache (on by default, --no-cache to skip)' }
+  },
+
+  async run({ config, commandConfig, options, reporter, rootDir }) {
+    const startTime = Date.now();
+    const bundler = new Bundler(Bundler.optionsFromConfig(config, {
+      rootDir,
+      ...(options.sourcemap !== undefined && { sourceMap: options.sourcemap }),
+      cache: options.cache === false ? null : BuildCache.fromConfig(config, { rootDir }),
+      reporter,
+      plugins: PluginContainer.fromConfig(config, { rootDir, reporter })
+    }));
+
+    const concurrency = options.concurrency || commandConfig.concurrency || ParallelBuilder.DEFAULT_CONCURRENCY;
+    let build;
+    if (config.entryPoints.length > 1 && concurrency > 1) {
+      build = await new ParallelBuilder(bundler, { config, concurrency }).build(config.entryPoints);
+      reporter.info(`Shared module cache: ${build.cache.loaded} module(s) loaded, ${build.cache.reused} load(s) reused`);
+    } else {
+      build = await bundler.build(config.entryPoints);
+      if (bundler.cache) {
+        const { hits, misses } = bundler.cache.stats;
+        reporter.info(`Module cache: ${hits} hit(s), ${misses} miss(es) in ${path.relative(rootDir, bundler.cache.directory)}`);
+      }
+    }
+
+    const { graph, outputs } = build;
+    const written = await bundler.write(outputs);
+
+    for (const cycle of graph.findCircularDependencies()) {
+      reporter.warn(`Circular dependency: ${[...cycle, cycle[0]].join(' -> ')}`);
+    }
+
+    printOutputs(outputs, written, rootDir);
+    console.log(`Built ${outputs.length} bundle(s) in ${Date.now() - startTime}ms`);
+    reporter.info(`Built ${outputs.length} bundle(s) into ${config.outputDir}`);
+
+    if (options.watch) {
+      return watch(bundler, graph, { debounce: options.debounce, reporter, rootDir });
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,47 @@
+const path = require('path');
+const BuildCache = require('../lib/BuildCache');
+
+const ACTIONS = ['info', 'clean', 'prune'];
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+module.exports = {
+  description: 'Inspect or clear the on-disk module cache',
+  usage: `cache [${ACTIONS.join('|')}] [options]`,
+  options: {},
+
+  async run({ config, args, reporter, rootDir }) {
+    const [action = 'info'] = args;
+    if (!ACTIONS.includes(action)) {
+      reporter.error(`Unknown cache action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+      return 2;
+    }
+
+    // Cleaning still works when the cache is turned off in the config
+    const cache = BuildCache.fromConfig({ ...config, cache: { ...config.cache, enabled: true } }, { rootDir });
+    const location = path.relative(rootDir, cache.directory) || cache.directory;
+
+    if (action === 'clean') {
+      const { entries, size } = await cache.clean();
+      console.log(`Removed ${entries} cached module(s), ${formatSize(size)}, from ${location}`);
+      return 0;
+    }
+
+    if (action === 'prune') {
+      const { entries, size, evicted } = await cache.prune();
+      console.log(`Evicted ${evicted} cached module(s); ${entries} left, ${formatSize(size)} of ${formatSize(cache.maxSize)}`);
+      return 0;
+    }
+
+    const { entries, size, maxSize } = await cache.info();
+    console.log(`${location}: ${entries} cached module(s), ${formatSize(size)} of ${formatSize(maxSize)}`);
+    if (config.cache && config.cache.enabled === false) {
+      console.log('The cache is disabled in the configuration.');
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,28 @@
+const path = require('path');
+
+module.exports = {
+  description: 'Show the layered, validated configuration',
+  usage: 'config [options]',
+  options: {
+    print: { type: 'boolean', alias: 'p', description: 'Print the merged config as JSON' }
+  },
+
+  async run({ config, configPath, mode, sources, options, rootDir }) {
+    if (options.print) {
+      process.stdout.write(`${JSON.stringify({ config }, null, 2)}\n`);
+      return 0;
+    }
+
+    console.log(`Configuration ${path.relative(rootDir, configPath) || configPath} is valid`);
+    console.log(`Mode: ${mode || '(none)'}`);
+    console.log('Layers, lowest precedence first:');
+    sources.forEach(source => console.log(`  ${path.relative(rootDir, source)}`));
+
+    const envKeys = Object.keys(process.env).filter(key => key.startsWith('MODUBUILD_'));
+    if (envKeys.length > 0) {
+      console.log(`  environment: ${envKeys.join(', ')}`);
+    }
+    console.log('\nRun "modubuild config --print" to see the merged result.');
+    return 0;
+  }
+};
@@ -0,0 +1,65 @@
+const path = require('path');
+const Deployer = require('../lib/Deployer');
+
+function printChanges({ uploaded, removed }) {
+  uploaded.forEach(key => console.log(`  + ${key}`));
+  removed.forEach(key => console.log(`  - ${key}`));
+}
+
+module.exports = {
+  usage: 'deploy [configPath] [destination] [options]',
+  configArgs: ['configPath', 'destination'],
+  options: {
+    rollback: { type: 'boolean', description: 'Restore the previous release' },
+    to: { type: 'string', description: 'Release id to restore with --rollback' },
+    list: { type: 'boolean', description: 'List releases at the destination' },
+    keep: { type: 'number', description: 'Number of releases to keep at the destination' },
+    'dry-run': { type: 'boolean', description: 'Show what would change without publishing' }
+  },
+
+  async run({ config, commandConfig, options, reporter, rootDir }) {
+    const deployer = new Deployer({
+      sourceDir: path.resolve(rootDir, config.outputDir),
+      destination: commandConfig.destination,
+      keepReleases: options.keep || commandConfig.keepReleases,
+      headers: commandConfig.headers,
+      timeout: commandConfig.timeout,
+      dryRun: options['dry-run'],
+      reporter
+    });
+
+    if (options.list) {
+      const releases = await deployer.listReleases();
+      if (releases.length === 0) console.log(`No releases at ${deployer.target}`);
+      releases.forEach(release => {
+        console.log(`${release.current ? '*' : ' '} ${release.id}  ${release.createdAt}  ${release.files} file(s)`);
+      });
+      return 0;
+    }
+
+    if (options.to && !options.rollback) {
+      reporter.error('--to can only be used together with --rollback');
+      return 2;
+    }
+
+    const prefix = options['dry-run'] ? '[dry run] ' : '';
+
+    if (options.rollback) {
+      const result = await deployer.rollback(options.to);
+      printChanges(result);
+      console.log(`${prefix}Rolled back ${deployer.target} from ${result.previous} to ${result.release}`);
+      return 0;
+    }
+
+    const result = await deployer.deploy();
+    printChanges(result);
+    console.log(
+      `${prefix}Deployed release ${result.release} to ${deployer.target}: ` +
+      `${result.uploaded.length} uploaded, ${result.removed.length} removed`
+    );
+    if (result.pruned.length > 0) {
+      console.log(`Pruned release(s): ${result.pruned.join(', ')}`);
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+const path = require('path');
+const BuildCache = require('../lib/BuildCache');
+const Bundler = require('../lib/Bundler');
+const BundleAnalyzer = require('../lib/BundleAnalyzer');
+const PluginContainer = require('../lib/PluginContainer');
+
+const FORMATS = ['text', 'json', 'html'];
+
+module.exports = {
+  description: 'Analyze bundle sizes and the dependency graph',
+  usage: 'report [options]',
+  options: {
+    format: { type: 'string', alias: 'f', default: 'text', description: `Output format: ${FORMATS.join(', ')}` },
+    output: { type: 'string', alias: 'o', description: 'Write the report to a file instead of stdout' },
+    top: { type: 'number', default: 10, description: 'Number of modules and chains to list' }
+  },
+
+  async run({ config, options, reporter, rootDir }) {
+    if (!FORMATS.includes(options.format)) {
+      reporter.error(`Unknown report format "${options.format}". Use one of: ${FORMATS.join(', ')}`);
+      return 2;
+    }
+    if (options.format === 'html' && !options.output) {
+      options.output = path.join(config.outputDir, 'report.html');
+    }
+
+    // Configured like build, so the report describes the files build writes
+    const bundler = new Bundler(Bundler.optionsFromConfig(config, {
+      rootDir,
+      cache: BuildCache.fromConfig(config, { rootDir }),
+      reporter,
+      plugins: PluginContainer.fromConfig(config, { rootDir, reporter })
+    }));
+    const analyzer = new BundleAnalyzer({ rootDir, extensions: bundler.extensions, top: options.top });
+    const report = await analyzer.analyze(await bundler.build(config.entryPoints));
+
+    const formatters = {
+      text: () => analyzer.formatText(report),
+      json: () => analyzer.formatJson(report),
+      html: () => analyzer.formatHtml(report)
+    };
+    const content = formatters[options.format]();
+
+    if (options.output) {
+      const outputPath = path.resolve(rootDir, options.output);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, content);
+      console.log(`Report written to ${path.relative(rootDir, outputPath)}`);
+    } else {
+      process.stdout.write(content);
+    }
+
+    if (report.cycles.length > 0) {
+      reporter.warn(`Found ${report.cycles.length} circular dependenc${report.cycles.length === 1 ? 'y' : 'ies'}`);
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,83 @@
+const path = require('path');
+const TestRunner = require('../lib/TestRunner');
+
+const SYMBOLS = {
+  passed: '✓',
+  failed: '✗',
+  skipped: '-'
+};
+
+function printFileResult(fileResult) {
+  console.log(fileResult.file);
+  for (const test of fileResult.tests) {
+    const name = [...test.suite, test.name].join(' › ');
+    console.log(`  ${SYMBOLS[test.status]} ${name}${test.status === 'skipped' ? '' : ` (${test.duration}ms)`}`);
+    if (test.error) {
+      console.log(`      ${test.error.message.split('\n').join('\n      ')}`);
+    }
+  }
+  if (fileResult.error) {
+    console.log(`  ✗ ${fileResult.error.name}: ${fileResult.error.message}`);
+  }
+}
+
+module.exports = {
+  usage: 'test [configPath] [options]',
+  configArgs: ['configPath'],
+  options: {
+    file: { type: 'string', alias: 'f', multiple: true, description: 'Only run test files whose path contains this text' },
+    grep: { type: 'string', alias: 'g', description: 'Only run tests whose full name matches this pattern' },
+    timeout: { type: 'number', alias: 't', description: 'Per-test timeout in milliseconds' },
+    concurrency: { type: 'number', description: 'Number of test files run in parallel' },
+    junit: { type: 'string', description: 'Write a JUnit XML report to this path' },
+    json: { type: 'string', description: 'Write a JSON summary to this path' }
+  },
+
+  async run({ commandConfig, options, reporter, rootDir }) {
+    // The test config file lives in the directory that holds the tests
+    const testDir = path.resolve(rootDir, path.dirname(commandConfig.configPath), commandConfig.testDir || '.');
+    const reports = commandConfig.reports || {};
+
+    const runner = new TestRunner({
+      rootDir,
+      testDir,
+      patterns: commandConfig.match,
+      grep: options.grep || commandConfig.grep,
+      timeout: options.timeout || commandConfig.timeout,
+      fileTimeout: commandConfig.fileTimeout,
+      concurrency: options.concurrency || commandConfig.concurrency
+    });
+
+    const files = await runner.discover(options.file);
+    if (files.length === 0) {
+      reporter.warn(`No test files found in ${path.relative(rootDir, testDir) || '.'}`);
+      return 1;
+    }
+
+    runner.on('file', (fileResult) => {
+      printFileResult(fileResult);
+      for (const test of fileResult.tests.filter(t => t.status === 'failed')) {
+        reporter.error(`${fileResult.file}: ${[...test.suite, test.name].join(' › ')} - ${test.error.message}`);
+      }
+      if (fileResult.error) {
+        reporter.error(`${fileResult.file}: ${fileResult.error.message}`);
+      }
+    });
+
+    const summary = await runner.run(files);
+    const written = await runner.writeReports(summary, {
+      junit: options.junit || reports.junit,
+      json: options.json || reports.json
+    });
+
+    const { stats } = summary;
+    console.log(
+      `\nTests: ${stats.passed} passed, ${stats.failed} failed, ${stats.skipped} skipped, ${stats.tests} total` +
+      `\nFiles: ${stats.files} (${stats.errors} with errors) in ${stats.duration}ms`
+    );
+    written.forEach(file => console.log(`Report written to ${path.relative(rootDir, file)}`));
+
+    reporter.info(`Test run finished: ${stats.passed}/${stats.tests} passed, ${stats.failed} failed, ${stats.errors} file error(s)`);
+    return summary.success ? 0 : 1;
+  }
+};
@@ -1,8 +1,23 @@
 const http = require('http');
 const fs = require('fs').promises;
+const { readFileSync, watch } = require('fs');
 const url = require('url');
 const path = require('path');
 const crypto = require('crypto');
+const AssetLoader = require('./AssetLoader');
+const BuildCache = require('./BuildCache');
+const Bundler = require('./Bundler');
+const Minifier = require('./Minifier');
+const ModuleScanner = require('./ModuleScanner');
+const PluginContainer = require('./PluginContainer');
+const Resolver = require('./Resolver');
+const Router = require('./Router');
+const SourceMap = require('./SourceMap');
+const Watcher = require('./Watcher');
+const { requestId, timing } = require('./middleware');
+const { MIN_SIZE, compress, isCompressibleType, negotiateEncoding } = require('./compression');
+
+const HMR_CLIENT_PATH = path.join(__dirname, 'runtime', 'hmr-client.js');
 
 /**
 const AeroSSR = require('./AeroSSR');
@@ -11,26 +26,89 @@ const server = new AeroSSR({
   port: 3000,
   cacheMaxAge: 3600,
   corsOrigins: '*',
-  compression: true,
+  compression: true, // gzip or brotli by Accept-Encoding for bundles, /src files and pages
+  minify: true, // see Minifier
+  mangle: false, // also shorten local variable names
+  rootDir: process.cwd(),
+  templatePath: 'index.html', // HTML shell, relative to rootDir
+  projectPath: './src', // relative to rootDir; bundle served at /dist and added to pages, unless the query says otherwise
+  entryPoint: 'main.js',
+  projectPaths: ['./admin'], // other directories /dist?projectPath= may build from
+  entryPoints: ['admin.js'], // other entry points /dist?entryPoint= may build
+  sourceDir: 'src', // files served as they are at /src/*.js, relative to rootDir
+  fileNames: '[name].[hash].js', // see Bundler; hashed files are served from /dist/<file> as immutable
+  resolve: { alias: { '@app': './src' } }, // see Resolver
+  loaders: { '.html': 'text' }, // see AssetLoader
+  jsx: { factory: 'h', fragment: 'Fragment' }, // JSX in .jsx and .tsx files, see Transpiler
+  cache: { directory: 'node_modules/.cache/modubuild', maxSize: 100 * 1024 * 1024 }, // see BuildCache, false to disable
+  maxCacheEntries: 50, // bundles and templates kept in memory
+  hmr: true, // watch built bundles and push module updates to pages, see below
+  plugins: [{ name: 'version', generateBundle(output) { output.code = `window.APP_VERSION = '1.0';\n${output.code}`; } }],
   defaultMeta: {
     title: 'My App',
     description: 'My awesome application'
   }
 });
 
-// Add custom middleware
-server.use(async (req, res) => {
-  console.log(`${req.method} ${req.url}`);
+// Add custom middleware; await next() to act once the rest of the pipeline is done
+server.use(AeroSSR.requestId(), AeroSSR.timing({ log: entry => console.log(entry) }));
+server.use('/api', async (req, res, next) => {
+  if (!req.headers.authorization) {
+    res.writeHead(401);
+    res.end(); // not calling next() stops the pipeline
+    return;
+  }
+  await next();
+});
+server.use((error, req, res, next) => { // error middleware, replaces the default error page
+  if (!req.url.startsWith('/api')) return next(error);
+  res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: error.message }));
 });
 
-// Add custom route
+// Add custom routes, see Router; route() answers every method
 server.route('/api/status', async (req, res) => {
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ status: 'ok' }));
 });
+server.get('/api/users/:id', async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ id: req.params.id, fields: req.query.fields }));
+});
+server.post('/api/users', requireLogin, async (req, res) => { // req.body: parsed JSON or form
+  res.writeHead(201);
+  res.end();
+});
 
 // Start the server
 server.start().catch(console.error);
+
+/dist builds only the configured project paths and entry points; the query naming anything
+else gets a 403. /src serves only .js files inside sourceDir: paths leading out of it, even
+percent-encoded or through symlinks, get a 403, and missing files a 404.
+
+Requests no route or built-in endpoint handles get the HTML shell when they are GET or HEAD
+requests for a path without a file extension that accept HTML. Anything else is a 404,
+or a 405 listing the allowed methods when routes exist for the path.
+
+HTML pages get a <link> for the entry's stylesheet and a deferred <script> for its bundle,
+named from the build manifest, unless the template already loads /dist itself or the
+entry point does not exist.
+
+With hmr, pages also get a client listening to /__hmr (Server-Sent Events). Built bundles
+are watched; when a module changes, pages load an update script that re-runs the modules
+accepting it and swaps changed stylesheets. Tree shaking is off so updates may use any export.
+
+  // src/counter.js
+  export let count = 0;
+  if (module.hot) {
+    module.hot.dispose((data) => { data.count = count; });
+    if (module.hot.data) count = module.hot.data.count;
+    module.hot.accept(); // or in a parent: module.hot.accept('./counter', () => render())
+  }
+
+Updates no module accepts on their way up to the entry point reload the page, as do
+changes to the template.
  */
 class AeroSSR {
   constructor(config = {}) {
@@ -39,8 +117,31 @@ class AeroSSR {
       cacheMaxAge: config.cacheMaxAge || 3600,
       corsOrigins: config.corsOrigins || '*',
       compression: config.compression !== false,
+      minify: config.minify !== false,
+      mangle: config.mangle || false,
+      rootDir: config.rootDir || process.cwd(),
+      templatePath: config.templatePath || 'index.html',
+      projectPath: config.projectPath || './src',
+      entryPoint: config.entryPoint || 'main.js',
+      // Allowed in the /dist query besides projectPath and entryPoint
+      projectPaths: config.projectPaths || [],
+      entryPoints: config.entryPoints || [],
+      sourceDir: config.sourceDir || 'src',
+      fileNames: config.fileNames || '[name].[hash].js',
+      plugins: config.plugins || [],
+      resolve: config.resolve || {},
+      loaders: config.loaders || {},
+      jsx: config.jsx || {},
+      cache: config.cache ?? {},
+      maxCacheEntries: config.maxCacheEntries || 50,
+      hmr: config.hmr || false,
+      // Least recently used first; entries are checked against their input files on use
       bundleCache: new Map(),
+      // Hashed file name -> { code, map } of bundles, chunks and stylesheets, { path } of copied assets
+      fileCache: new Map(),
       templateCache: new Map(),
+      // "<encoding>:<ETag>" -> compressed body, so unchanged content is compressed once
+      compressionCache: new Map(),
       defaultMeta: {
         title: 'AeroSSR App',
         description: 'Built with AeroSSR bundler',
@@ -50,25 +151,129 @@ class AeroSSR {
       ...config
     };
 
+    this.plugins = this.config.plugins instanceof PluginContainer
+      ? this.config.plugins
+      : new PluginContainer(this.config.plugins);
+    this.resolver = new Resolver({ rootDir: this.config.rootDir, ...this.config.resolve });
+    // Transformed modules and minified bundles survive restarts on disk
+    this.buildCache = this.config.cache === false
+      ? null
+      : new BuildCache({ rootDir: this.config.rootDir, ...this.config.cache });
+    this.scanner = new ModuleScanner();
+    this.minifier = new Minifier({ mangle: this.config.mangle });
     this.server = null;
-    this.routes = new Map();
+    // Cache key -> { watcher, bundler, graph, modules } of bundles watched for hot updates
+    this.hotBundles = new Map();
+    // Open /__hmr responses
+    this.hotClients = new Set();
+    this.templateWatcher = null;
+    this.hmrClient = null;
+    this.router = new Router();
     this.middlewares = [];
   }
 
-  // Middleware handler
-  use(middleware) {
-    this.middlewares.push(middleware);
+  /**
+   * Add middlewares, optionally only for a path and the paths below it
+   * @param {string|Function} [path] - e.g. /api for /api and /api/users, but not /apis
+   * @param {...Function} middlewares - (req, res, next), or (error, req, res, next) to handle errors
+   */
+  use(path, ...middlewares) {
+    if (typeof path === 'function') {
+      middlewares.unshift(path);
+      path = '/';
+    }
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new Error(`Middleware paths start with /, got "${path}"`);
+    }
+    for (const handler of middlewares) {
+      if (typeof handler !== 'function') throw new Error('Middlewares must be functions');
+      this.middlewares.push({ path: path.replace(/\/+$/, ''), handler, handlesErrors: handler.length === 4 });
+    }
+  }
+
+  // Route registration for every method but OPTIONS; handlers are route middleware followed by the handler
+  route(path, ...handlers) {
+    this.router.add('*', path, ...handlers);
+  }
+
+  get(path, ...handlers) {
+    this.router.get(path, ...handlers);
+  }
+
+  post(path, ...handlers) {
+    this.router.post(path, ...handlers);
+  }
+
+  put(path, ...handlers) {
+    this.router.put(path, ...handlers);
+  }
+
+  patch(path, ...handlers) {
+    this.router.patch(path, ...handlers);
+  }
+
+  delete(path, ...handlers) {
+    this.router.delete(path, ...handlers);
   }
 
-  // Route registration
-  route(path, handler) {
-    this.routes.set(path, handler);
+  options(path, ...handlers) {
+    this.router.options(path, ...handlers);
   }
 
-  // Cache management
+  // Whether a request takes the HTML shell: a browser navigating, or a client accepting anything
+  acceptsHtml(req) {
+    const { accept } = req.headers;
+    return !accept || /text\/html|\*\/\*/.test(accept);
+  }
+
+  // Cache management; the disk cache is left alone, its entries are keyed by content
   clearCache() {
     this.config.bundleCache.clear();
+    this.config.fileCache.clear();
     this.config.templateCache.clear();
+    this.config.compressionCache.clear();
+  }
+
+  // Read an in-memory cache entry, marking it as the most recently used
+  recall(cache, key) {
+    if (!cache.has(key)) return undefined;
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+  }
+
+  // Store an in-memory cache entry, evicting the least recently used ones past maxCacheEntries
+  remember(cache, key, value) {
+    cache.delete(key);
+    cache.set(key, value);
+    const evicted = [];
+    for (const [oldKey, oldValue] of cache) {
+      if (cache.size <= this.config.maxCacheEntries) break;
+      cache.delete(oldKey);
+      evicted.push(oldValue);
+    }
+    return evicted;
+  }
+
+  // Modification time and size of each file a cache entry was built from
+  async snapshotFiles(filePaths) {
+    const snapshot = {};
+    for (const filePath of filePaths) {
+      try {
+        const { mtimeMs, size } = await fs.stat(filePath);
+        snapshot[filePath] = `${mtimeMs}:${size}`;
+      } catch {
+        snapshot[filePath] = null;
+      }
+    }
+    return snapshot;
+  }
+
+  // Whether none of the files in a snapshot changed since it was taken
+  async isFresh(snapshot) {
+    const current = await this.snapshotFiles(Object.keys(snapshot));
+    return Object.entries(snapshot).every(([filePath, stamp]) => current[filePath] === stamp);
   }
 
   // Generate ETag for content
@@ -82,7 +287,7 @@ class AeroSSR {
   // CORS headers setup
   setCorsHeaders(res) {
     res.setHeader('Access-Control-Allow-Origin', this.config.corsOrigins);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, HEAD');
+    res.setHeader('Access-Control-Allow-Methods', Router.METHODS.join(', '));
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
   }
@@ -101,40 +306,342 @@ class AeroSSR {
     return html.replace('</head>', `${metaTags}</head>`);
   }
 
-  // Bundle generation with caching
-  async generateBundle(projectPath, entryPoint, force = false) {
+  // Stylesheet and script tags for a manifest entry, pointing at its hashed files
+  injectAssetTags(html, entry) {
+    const links = entry.css.map(file => `<link rel="stylesheet" href="/dist/${file}">\n`).join('');
+    const script = `<script src="/dist/${entry.file}" defer></script>\n`;
+    html = html.replace('</head>', `${links}</head>`);
+    return html.includes('</body>') ? html.replace('</body>', `${script}</body>`) : `${html}${script}`;
+  }
+
+  // HTML shell lookup with caching, reread when the file changes
+  async loadTemplate(force = false) {
+    const htmlPath = path.resolve(this.config.rootDir, this.config.templatePath);
+    const cached = this.recall(this.config.templateCache, htmlPath);
+
+    if (!force && cached && await this.isFresh(cached.files)) {
+      return cached.html;
+    }
+
+    const files = await this.snapshotFiles([htmlPath]);
+    const html = await fs.readFile(htmlPath, 'utf-8');
+    this.remember(this.config.templateCache, htmlPath, { html, files });
+    return html;
+  }
+
+  // Minify a bundle or chunk; minification maps its output back through the bundle's map.
+  // Results are stored on disk by the content they were made from.
+  async finishFile(file) {
+    if (!this.config.minify) return { code: file.code, map: file.map };
+
+    const key = this.buildCache && this.buildCache.createKey(
+      'minify', file.code, file.map ? file.map.toString() : '', `mangle:${this.config.mangle}`
+    );
+    const cached = key && await this.buildCache.get(key);
+    if (cached) return { code: cached.code, map: cached.map && SourceMap.fromJSON(cached.map) };
+
+    const result = this.minifier.minifyWithMap(file.code, file.map);
+    if (key) await this.buildCache.set(key, { code: result.code, map: result.map && result.map.toJSON() });
+    return result;
+  }
+
+  // Bundle and source map generation with caching. A cached bundle is reused until
+  // one of the files it was built from changes.
+  async buildBundle(projectPath, entryPoint, force = false) {
     const cacheKey = `${projectPath}:${entryPoint}`;
-    
-    if (!force && this.config.bundleCache.has(cacheKey)) {
-      return this.config.bundleCache.get(cacheKey);
+    const cached = this.recall(this.config.bundleCache, cacheKey);
+
+    if (!force && cached && await this.isFresh(cached.files)) {
+      return cached;
     }
 
     try {
-      const entryFilePath = path.join(projectPath, entryPoint);
-      const dependencies = await this.resolveDependencies(entryFilePath);
-      
-      let bundle = '';
-      for (const dep of dependencies) {
-        const content = await fs.readFile(dep, 'utf-8');
-        bundle += `\n// File: ${path.relative(projectPath, dep)}\n${content}\n`;
+      // Chunks and assets are fetched from /dist/<fileName>, see handleRequest
+      const bundler = new Bundler(Bundler.optionsFromConfig(this.config, {
+        rootDir: this.projectDir(projectPath),
+        publicPath: '/dist/',
+        cache: this.buildCache,
+        plugins: this.plugins
+      }));
+      const { graph, outputs: [output] } = await bundler.build([entryPoint]);
+      const bundle = await this.storeBundle(cacheKey, bundler, graph, output);
+
+      if (this.config.hmr) {
+        // Pages running the old build cannot be updated from the new graph
+        if (this.hotBundles.has(cacheKey)) {
+          this.hotBundles.get(cacheKey).watcher.close();
+          this.broadcast({ type: 'reload' });
+        }
+        this.watchBundle(cacheKey, bundler, graph);
       }
-
-      // Basic minification
-      bundle = this.minifyBundle(bundle);
-      
-      this.config.bundleCache.set(cacheKey, bundle);
       return bundle;
     } catch (error) {
       throw new Error(`Bundle generation failed: ${error.message}`);
     }
   }
 
-  // Simple minification
+  /**
+   * Keep a bundle and the files built with it in memory, dropping the files of the bundles it replaces
+   * @param {string} cacheKey - bundleCache key
+   * @param {Bundler} bundler - Bundler that generated the output
+   * @param {DepGraph} graph - Graph the output was generated from
+   * @param {Object} output - Bundler output
+   * @param {Object} [hotUpdate] - { fileName, code, map } of the update script for pages running the previous build
+   * @returns {Promise<Object>} bundleCache entry
+   */
+  async storeBundle(cacheKey, bundler, graph, output, hotUpdate = null) {
+    const { fileCache, bundleCache } = this.config;
+    const previous = bundleCache.get(cacheKey);
+    const inputs = [...graph.nodes.values()].map(module => module.path).filter(modulePath => path.isAbsolute(modulePath));
+
+    const { code, map } = await this.finishFile(output);
+    const bundle = {
+      code,
+      map,
+      manifest: bundler.createManifest([output])[output.name],
+      hotUpdate: hotUpdate && hotUpdate.fileName,
+      files: await this.snapshotFiles(inputs)
+    };
+    fileCache.set(output.fileName, { code, map });
+    for (const chunk of output.chunks) {
+      fileCache.set(chunk.fileName, await this.finishFile(chunk));
+    }
+    if (output.css) fileCache.set(output.css.fileName, { code: output.css.code, map: null });
+    output.assets.forEach(asset => fileCache.set(asset.fileName, { path: asset.path }));
+    if (hotUpdate) fileCache.set(hotUpdate.fileName, { code: hotUpdate.code, map: hotUpdate.map });
+
+    // Files go with the bundles they were built for once no other bundle uses them
+    const filesOf = ({ manifest, hotUpdate: update }) => [
+      manifest.file, ...manifest.css, ...manifest.chunks, ...manifest.assets, ...(update ? [update] : [])
+    ];
+    const dropped = this.remember(bundleCache, cacheKey, bundle);
+    if (previous) dropped.push(previous);
+    const live = new Set([...bundleCache.values()].flatMap(filesOf));
+    dropped.flatMap(filesOf)
+      .filter(fileName => !live.has(fileName))
+      .forEach(fileName => fileCache.delete(fileName));
+
+    for (const [key, hot] of this.hotBundles) {
+      if (!bundleCache.has(key)) {
+        hot.watcher.close();
+        this.hotBundles.delete(key);
+      }
+    }
+    return bundle;
+  }
+
+  // Rebuild a bundle's changed modules as they are saved and push them to pages
+  watchBundle(cacheKey, bundler, graph) {
+    const watcher = new Watcher(bundler, graph, { write: false });
+    const hot = { watcher, bundler, graph, modules: new Set(graph.nodes.keys()) };
+    watcher.on('rebuild', summary => this.sendHotUpdate(cacheKey, hot, summary).catch(error => {
+      console.error('HMR update failed:', error);
+      this.broadcast({ type: 'reload' });
+    }));
+    watcher.on('error', (error) => {
+      console.error('HMR rebuild failed:', error.message);
+      this.broadcast({ type: 'failure', message: error.message });
+    });
+    this.hotBundles.set(cacheKey, hot);
+    watcher.start();
+  }
+
+  /**
+   * Store a rebuilt bundle and tell pages about it, with an update script of the modules that changed
+   * @param {string} cacheKey - bundleCache key
+   * @param {Object} hot - hotBundles entry
+   * @param {Object} summary - Watcher rebuild summary
+   */
+  async sendHotUpdate(cacheKey, hot, { changed, outputs: [output] }) {
+    if (!output) return;
+    const { bundler, graph } = hot;
+    const previous = this.config.bundleCache.get(cacheKey);
+
+    // Stylesheet modules export nothing; their CSS arrives with the new stylesheet
+    const moduleIds = [...graph.nodes.keys()];
+    const updated = [...new Set([...changed, ...moduleIds.filter(moduleId => !hot.modules.has(moduleId))])]
+      .filter(moduleId => graph.nodes.has(moduleId) && !graph.nodes.get(moduleId).css);
+    hot.modules = new Set(moduleIds);
+
+    let hotUpdate = null;
+    if (updated.length > 0) {
+      const name = `${path.basename(output.name, '.js')}.hot-update.js`;
+      const { code, map } = await this.finishFile(bundler.renderHotUpdate(graph, output.entry, updated, name));
+      const hash = crypto.createHash('sha1').update(code).digest('hex').slice(0, 8);
+      hotUpdate = { fileName: name.replace(/\.hot-update\.js$/, `.${hash}.hot-update.js`), code, map };
+      if (map) map.file = hotUpdate.fileName;
+    }
+
+    const bundle = await this.storeBundle(cacheKey, bundler, graph, output, hotUpdate);
+    this.broadcast({
+      type: 'update',
+      entry: output.entry,
+      file: bundle.manifest.file,
+      update: bundle.hotUpdate,
+      css: bundle.manifest.css,
+      previousCss: previous ? previous.manifest.css : []
+    });
+  }
+
+  // Send a message to every page listening to /__hmr
+  broadcast(message) {
+    const event = `data: ${JSON.stringify(message)}\n\n`;
+    this.hotClients.forEach(res => res.write(event));
+  }
+
+  // Keep a /__hmr request open as an event stream
+  openHotStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive'
+    });
+    // Reconnect quickly after a server restart
+    res.write('retry: 1000\n\n');
+    this.hotClients.add(res);
+    req.on('close', () => this.hotClients.delete(res));
+  }
+
+  // Client runtime inlined into pages, see runtime/hmr-client.js
+  injectHmrClient(html) {
+    if (this.hmrClient === null) {
+      this.hmrClient = readFileSync(HMR_CLIENT_PATH, 'utf-8').trim();
+    }
+    const script = `<script>\n${this.hmrClient}\n</script>\n`;
+    return html.includes('</head>') ? html.replace('</head>', `${script}</head>`) : `${script}${html}`;
+  }
+
+  // Reload pages when the template changes; its directory is watched so atomic saves are seen
+  watchTemplate() {
+    const htmlPath = path.resolve(this.config.rootDir, this.config.templatePath);
+    try {
+      this.templateWatcher = watch(path.dirname(htmlPath), (eventType, fileName) => {
+        if (fileName && fileName.toString() === path.basename(htmlPath)) this.broadcast({ type: 'reload' });
+      });
+      this.templateWatcher.on('error', error => console.error('Cannot watch the template:', error.message));
+    } catch (error) {
+      console.error('Cannot watch the template:', error.message);
+    }
+  }
+
+  async generateBundle(projectPath, entryPoint, force = false) {
+    return (await this.buildBundle(projectPath, entryPoint, force)).code;
+  }
+
+  // A hashed file built along with some bundle; requesting the bundle again rebuilds it
+  getFile(fileName) {
+    const file = this.config.fileCache.get(fileName);
+    if (!file) {
+      throw Object.assign(new Error(`Unknown file ${fileName}`), { statusCode: 404 });
+    }
+    return file;
+  }
+
+  /**
+   * Project path and entry point a /dist request builds, from its query
+   * @param {Object} query - Parsed query string
+   * @returns {{projectPath: string, entryPoint: string}} Configured values the query names, the defaults
+   *   when it names none
+   */
+  resolveBundleRequest(query) {
+    const projectPaths = [this.config.projectPath, ...this.config.projectPaths];
+    const entryPoints = [this.config.entryPoint, ...this.config.entryPoints];
+    return {
+      projectPath: this.findAllowed('projectPath', query.projectPath, projectPaths, value => this.projectDir(value)),
+      entryPoint: this.findAllowed('entryPoint', query.entryPoint, entryPoints, value => path.posix.normalize(value))
+    };
+  }
+
+  // A project path as a directory; relative ones are relative to rootDir, not the working directory
+  projectDir(projectPath) {
+    return path.resolve(this.config.rootDir, projectPath);
+  }
+
+  // The allowed value a query parameter names, compared by normalize, so only configured paths reach the bundler
+  findAllowed(name, requested, allowed, normalize) {
+    if (requested === undefined) return allowed[0];
+    if (typeof requested !== 'string') {
+      throw Object.assign(new Error(`Query parameter ${name} is given more than once`), { statusCode: 400 });
+    }
+    const match = allowed.find(value => normalize(value) === normalize(requested));
+    if (match === undefined) {
+      throw Object.assign(new Error(`${name} "${encodeURIComponent(requested)}" is not allowed`), { statusCode: 403 });
+    }
+    return match;
+  }
+
+  // Whether target is root or inside it; both are absolute
+  isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Resolve a path from a URL inside a directory, rejecting any that would lead out of it.
+   * Errors quote the path still encoded and leave out root, as their messages reach error pages.
+   * @param {string} root - Absolute directory
+   * @param {string} requestPath - Path below root, still percent-encoded
+   * @returns {string} Absolute path inside root
+   */
+  resolveInside(root, requestPath) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(requestPath);
+    } catch {
+      throw Object.assign(new Error(`Malformed path "${requestPath}"`), { statusCode: 400 });
+    }
+
+    // Null bytes cut paths short in the file system; backslashes separate directories on Windows
+    const segments = decoded.split(/[\\/]/);
+    if (decoded.includes('\0') || segments.includes('..')) {
+      throw Object.assign(new Error(`Path "${requestPath}" is outside the served directory`), { statusCode: 403 });
+    }
+    const resolved = path.join(root, ...segments);
+    if (!this.isInside(root, resolved)) {
+      throw Object.assign(new Error(`Path "${requestPath}" is outside the served directory`), { statusCode: 403 });
+    }
+    return resolved;
+  }
+
+  // A .js file in sourceDir for /src/ requests; symlinks inside it may not lead out either
+  async readSourceFile(requestPath) {
+    const root = path.resolve(this.config.rootDir, this.config.sourceDir);
+    const filePath = this.resolveInside(root, requestPath);
+    const notFound = () => Object.assign(new Error(`Nothing found at /src/${requestPath}`), { statusCode: 404 });
+    if (path.extname(filePath) !== '.js') throw notFound();
+
+    let realPath;
+    try {
+      realPath = await fs.realpath(filePath);
+      if (!this.isInside(await fs.realpath(root), realPath)) {
+        throw Object.assign(new Error(`/src/${requestPath} links outside the served directory`), { statusCode: 403 });
+      }
+      if (!(await fs.stat(realPath)).isFile()) throw notFound();
+    } catch (error) {
+      throw error.statusCode ? error : notFound();
+    }
+    return fs.readFile(realPath);
+  }
+
+  /**
+   * Manifest entry of the bundle HTML pages load
+   * @param {string} [projectPath] - Directory the entry point is relative to
+   * @param {string} [entryPoint] - Entry point of the bundle
+   * @returns {Promise<Object|null>} { file, entry, css, chunks, assets } as in Bundler#createManifest,
+   *   null when the entry point does not exist
+   */
+  async getManifest(projectPath = this.config.projectPath, entryPoint = this.config.entryPoint) {
+    try {
+      await fs.access(path.resolve(this.projectDir(projectPath), entryPoint));
+    } catch {
+      return null;
+    }
+    return (await this.buildBundle(projectPath, entryPoint)).manifest;
+  }
+
+  // Minification that leaves strings, templates and regular expressions intact
   minifyBundle(code) {
-    return code
-      .replace(/\/\*[\s\S]*?\*\/|([^\\:]|^)\/\/.*$/gm, '') // Remove comments
-      .replace(/\s+/g, ' ') // Reduce multiple spaces to single space
-      .replace(/^\s+|\s+$/gm, ''); // Trim line starts and ends
+    return this.minifier.minify(code);
   }
 
   // Dependency resolution
@@ -144,31 +651,97 @@ class AeroSSR {
     deps.add(filePath);
     const content = await fs.readFile(filePath, 'utf-8');
     
-    // Simple require/import detection
-    const importMatches = content.match(/(?:require|import)\s*\(['"]([^'"]+)['"]\)/g);
-    
-    if (importMatches) {
-      for (const match of importMatches) {
-        const depPath = match.match(/['"]([^'"]+)['"]/)[1];
-        const fullPath = path.resolve(path.dirname(filePath), depPath);
-        
-        if (fullPath.endsWith('.js')) {
-          await this.resolveDependencies(fullPath, deps);
-        }
+    // Static imports, re-exports, require() and import() calls
+    for (const specifier of this.scanner.scan(content).specifiers) {
+      const fullPath = await this.resolver.resolve(specifier, filePath);
+
+      // Node builtins resolve to null and are left out
+      if (fullPath) {
+        await this.resolveDependencies(fullPath, deps);
       }
     }
     
     return deps;
   }
 
+  // Encoding for a response body, null when it goes out as it is
+  getEncoding(req, body, contentType) {
+    if (!this.config.compression || Buffer.byteLength(body) < MIN_SIZE || !isCompressibleType(contentType)) {
+      return null;
+    }
+    return negotiateEncoding(req.headers['accept-encoding']);
+  }
+
+  // Compressed body, cached by the ETag of the content and the encoding
+  async getCompressed(body, encoding, etag) {
+    const key = `${encoding}:${etag}`;
+    const cached = this.recall(this.config.compressionCache, key);
+    if (cached) return cached;
+
+    const compressed = await compress(body, encoding);
+    this.remember(this.config.compressionCache, key, compressed);
+    return compressed;
+  }
+
+  /**
+   * Send a body compressed as the client accepts, with ETag revalidation. Each encoding has
+   * its own ETag since the bytes differ, and caches are told the response varies by encoding.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string|Buffer} body - Uncompressed content
+   * @param {Object} headers - Response headers, including Content-Type
+   */
+  async sendCompressed(req, res, body, headers) {
+    const encoding = this.getEncoding(req, body, headers['Content-Type']);
+    const contentETag = this.generateETag(body);
+    const etag = encoding ? `${contentETag}-${encoding}` : contentETag;
+    const vary = this.config.compression ? { 'Vary': 'Accept-Encoding' } : {};
+
+    // Check if-none-match
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim() === etag)) {
+      res.writeHead(304, { 'ETag': etag, ...vary });
+      res.end();
+      return;
+    }
+
+    const payload = encoding ? await this.getCompressed(body, encoding, contentETag) : body;
+    res.writeHead(200, {
+      ...headers,
+      'ETag': etag,
+      ...vary,
+      ...(encoding && { 'Content-Encoding': encoding }),
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  // Send a bundle, chunk, stylesheet, asset or map with ETag revalidation and the public cache headers
+  async sendBundle(req, res, body, headers = {}) {
+    this.setCorsHeaders(res);
+    await this.sendCompressed(req, res, body, {
+      'Content-Type': 'application/javascript',
+      'Cache-Control': `public, max-age=${this.config.cacheMaxAge}`,
+      ...headers
+    });
+  }
+
   // Error handling middleware
   async handleError(error, req, res) {
-    console.error('Server error:', error);
-
     const statusCode = error.statusCode || 500;
+    if (res.headersSent) {
+      // Too late for an error page; cut the response short so the client sees it failed
+      console.error('Server error after the response started:', error);
+      res.destroy(error);
+      return;
+    }
+    // Client errors such as 404s are expected; only failures of the server are logged
+    if (statusCode >= 500) console.error('Server error:', error);
+
     const errorPage = await this.generateErrorPage(statusCode, error.message);
 
     res.writeHead(statusCode, {
+      ...error.headers,
       'Content-Type': 'text/html',
       'Cache-Control': 'no-store'
     });
@@ -198,94 +771,203 @@ class AeroSSR {
     return errorTemplate;
   }
 
-  // Request handler
+  /**
+   * Handle a request: middlewares, then routes and the built-in endpoints. Errors go to the
+   * error middlewares, and to handleError when none answers.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
   async handleRequest(req, res) {
+    const { pathname } = url.parse(req.url);
     try {
-      // Run middlewares
-      for (const middleware of this.middlewares) {
-        await middleware(req, res);
+      await this.dispatch(req, res, pathname);
+    } catch (error) {
+      try {
+        await this.dispatchError(req, res, pathname, error);
+      } catch (handlerError) {
+        await this.handleError(handlerError, req, res);
       }
+    }
+  }
 
-      const parsedUrl = url.parse(req.url, true);
-      const pathname = parsedUrl.pathname;
+  // Index of the next middleware from index on that runs for a path, -1 when none is left
+  findMiddleware(index, pathname, handlesErrors) {
+    for (let i = index; i < this.middlewares.length; i++) {
+      const middleware = this.middlewares[i];
+      const inScope = middleware.path === '' || pathname === middleware.path || pathname.startsWith(`${middleware.path}/`);
+      if (middleware.handlesErrors === handlesErrors && inScope) return i;
+    }
+    return -1;
+  }
 
-      // Handle OPTIONS requests
-      if (req.method === 'OPTIONS') {
-        this.setCorsHeaders(res);
-        res.writeHead(204);
-        res.end();
-        return;
-      }
+  // Run the middlewares from index on, then respond. next() resolves once the rest of the
+  // pipeline is done and never rejects: errors thrown further down, like next(error), reach
+  // the error middlewares after the middleware returns, whether or not it awaited next().
+  async dispatch(req, res, pathname, index = 0) {
+    const position = this.findMiddleware(index, pathname, false);
+    if (position === -1) {
+      await this.respond(req, res);
+      return;
+    }
 
-      // Check for registered route handlers
-      if (this.routes.has(pathname)) {
-        const handler = this.routes.get(pathname);
-        await handler(req, res);
-        return;
+    const { handler } = this.middlewares[position];
+    let called = false;
+    let downstream = null;
+    let failure = null;
+    const next = (error) => {
+      called = true;
+      if (error) {
+        failure = error;
+        return Promise.resolve();
       }
+      downstream = this.dispatch(req, res, pathname, position + 1).catch((thrown) => {
+        failure = thrown;
+      });
+      return downstream;
+    };
+    try {
+      await handler(req, res, next);
+    } finally {
+      // A middleware calling next() without awaiting it returns before the pipeline is done
+      await downstream;
+    }
+    if (failure) throw failure;
+    // Middlewares written as (req, res) go on to the next one unless they answered the request
+    if (!called && handler.length < 3 && !res.writableEnded) {
+      await this.dispatch(req, res, pathname, position + 1);
+    }
+  }
 
-      if (pathname === '/dist') {
-        const projectPath = parsedUrl.query.projectPath || './src';
-        const entryPoint = parsedUrl.query.entryPoint || 'main.js';
-        const force = parsedUrl.query.force === 'true';
+  // Hand an error to the error middlewares from index on; each answers it or passes it on with next()
+  async dispatchError(req, res, pathname, error, index = 0) {
+    const position = this.findMiddleware(index, pathname, true);
+    if (position === -1) {
+      await this.handleError(error, req, res);
+      return;
+    }
 
-        const bundle = await this.generateBundle(projectPath, entryPoint, force);
-        const etag = this.generateETag(bundle);
+    const { handler } = this.middlewares[position];
+    let passed = null;
+    try {
+      await handler(error, req, res, (nextError) => {
+        passed = nextError || error;
+        return Promise.resolve();
+      });
+    } catch (thrown) {
+      passed = thrown;
+    }
+    if (passed) {
+      await this.dispatchError(req, res, pathname, passed, position + 1);
+    } else if (!res.writableEnded) {
+      // Neither answered nor passed on; the client still gets a response
+      await this.handleError(error, req, res);
+    }
+  }
 
-        // Check if-none-match
-        if (req.headers['if-none-match'] === etag) {
-          res.writeHead(304);
-          res.end();
-          return;
-        }
+  // Routes and the built-in endpoints
+  async respond(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    const pathname = parsedUrl.pathname;
 
-        this.setCorsHeaders(res);
-        res.writeHead(200, {
-          'Content-Type': 'application/javascript',
-          'Cache-Control': `public, max-age=${this.config.cacheMaxAge}`,
-          'ETag': etag
-        });
-        res.end(bundle);
+    const route = this.router.match(req.method, pathname);
 
-      } else if (pathname.startsWith('/src/') && pathname.endsWith('.js')) {
-        const filePath = path.join(process.cwd(), pathname);
-        const content = await fs.readFile(filePath);
-        const etag = this.generateETag(content);
+    // OPTIONS requests no OPTIONS route handles get the CORS preflight answer
+    if (req.method === 'OPTIONS' && !(route && route.handlers)) {
+      this.setCorsHeaders(res);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
 
-        if (req.headers['if-none-match'] === etag) {
-          res.writeHead(304);
-          res.end();
-          return;
-        }
+    if (pathname === '/__hmr' && this.config.hmr) {
+      this.openHotStream(req, res);
+      return;
+    }
 
-        this.setCorsHeaders(res);
-        res.writeHead(200, {
-          'Content-Type': 'application/javascript',
-          'Cache-Control': `public, max-age=${this.config.cacheMaxAge}`,
-          'ETag': etag
-        });
-        res.end(content);
+    // Check for registered route handlers
+    if (route && route.handlers) {
+      await this.router.handle(req, res, route);
+      return;
+    }
 
-      } else {
-        const htmlPath = path.join(__dirname, 'index.html');
-        let html = await fs.readFile(htmlPath, 'utf-8');
+    if (pathname === '/dist' || pathname === '/dist.map') {
+      const { projectPath, entryPoint } = this.resolveBundleRequest(parsedUrl.query);
+      const force = parsedUrl.query.force === 'true';
+      try {
+        await fs.access(path.resolve(this.projectDir(projectPath), entryPoint));
+      } catch {
+        throw Object.assign(new Error(`No entry point ${entryPoint} in ${projectPath}`), { statusCode: 404 });
+      }
 
-        const meta = {
-          title: `Page - ${pathname}`,
-          description: `Content for ${pathname}`
-        };
+      const { code, map } = await this.buildBundle(projectPath, entryPoint, force);
+      const isMap = pathname === '/dist.map';
+      if (isMap && !map) {
+        throw Object.assign(new Error(`No source map for ${entryPoint}`), { statusCode: 404 });
+      }
+      // The name stays the same as the bundle changes, so clients revalidate every time
+      await this.sendBundle(req, res, isMap ? map.toString() : code, {
+        'Cache-Control': 'no-cache',
+        // Same query, so the map always matches the bundle it describes
+        ...(isMap ? { 'Content-Type': 'application/json' } : { 'SourceMap': `/dist.map${parsedUrl.search || ''}` })
+      });
 
-        html = this.injectMetaTags(html, meta);
+    } else if (pathname.startsWith('/dist/')) {
+      const name = pathname.slice('/dist/'.length);
+      const isMap = name.endsWith('.map');
+      const file = this.getFile(isMap ? name.slice(0, -'.map'.length) : name);
+      if (isMap && !file.map) {
+        throw Object.assign(new Error(`No source map for ${name}`), { statusCode: 404 });
+      }
 
-        res.writeHead(200, {
-          'Content-Type': 'text/html',
-          'Cache-Control': 'no-cache'
+      // A changed file gets a new name, so these never need revalidating
+      const immutable = { 'Cache-Control': 'public, max-age=31536000, immutable' };
+      const extension = path.extname(name).toLowerCase();
+      if (isMap) {
+        await this.sendBundle(req, res, file.map.toString(), { ...immutable, 'Content-Type': 'application/json' });
+      } else if (file.path) {
+        await this.sendBundle(req, res, await fs.readFile(file.path), {
+          ...immutable,
+          'Content-Type': AssetLoader.MIME_TYPES[extension] || 'application/octet-stream'
+        });
+      } else {
+        await this.sendBundle(req, res, file.code, {
+          ...immutable,
+          ...(extension === '.css' && { 'Content-Type': 'text/css' }),
+          ...(file.map && { 'SourceMap': `/dist/${name}.map` })
         });
-        res.end(html);
       }
 
-    } catch (error) {
-      await this.handleError(error, req, res);
+    } else if (pathname.startsWith('/src/')) {
+      await this.sendBundle(req, res, await this.readSourceFile(pathname.slice('/src/'.length)));
+
+    } else if (route) {
+      throw Object.assign(new Error(`${req.method} is not allowed for ${pathname}`), {
+        statusCode: 405,
+        headers: { 'Allow': route.allowed.join(', ') }
+      });
+
+    } else if (!['GET', 'HEAD'].includes(req.method) || path.extname(pathname) || !this.acceptsHtml(req)) {
+      throw Object.assign(new Error(`Nothing found at ${pathname}`), { statusCode: 404 });
+
+    } else {
+      let html = await this.loadTemplate(parsedUrl.query.force === 'true');
+
+      const meta = {
+        title: `Page - ${pathname}`,
+        description: `Content for ${pathname}`
+      };
+
+      html = this.injectMetaTags(html, meta);
+
+      // Templates that load /dist themselves are left as they are
+      const manifest = /src=["']\/dist[/?"']/.test(html) ? null : await this.getManifest();
+      if (manifest) html = this.injectAssetTags(html, manifest);
+      if (this.config.hmr) html = this.injectHmrClient(html);
+
+      await this.sendCompressed(req, res, html, {
+        'Content-Type': 'text/html',
+        'Cache-Control': 'no-cache'
+      });
     }
   }
 
@@ -298,6 +980,8 @@ class AeroSSR {
       process.exit(1);
     });
 
+    if (this.config.hmr) this.watchTemplate();
+
     return new Promise((resolve) => {
       this.server.listen(this.config.port, () => {
         console.log(`AeroSSR server running on port ${this.config.port}`);
@@ -308,6 +992,16 @@ class AeroSSR {
 
   // Stop the server
   stop() {
+    // Event streams never end on their own and would keep the server open
+    this.hotClients.forEach(res => res.end());
+    this.hotClients.clear();
+    this.hotBundles.forEach(hot => hot.watcher.close());
+    this.hotBundles.clear();
+    if (this.templateWatcher) {
+      this.templateWatcher.close();
+      this.templateWatcher = null;
+    }
+
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
@@ -320,4 +1014,7 @@ class AeroSSR {
   }
 }
 
+AeroSSR.requestId = requestId;
+AeroSSR.timing = timing;
+
 module.exports = AeroSSR;
\ No newline at end of file
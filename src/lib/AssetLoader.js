@@ -0,0 +1,226 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { base64 } = require('./shims/shims');
+
+// Loaders a file extension can be mapped to in `config.loaders`
+const LOADERS = ['js', 'ts', 'tsx', 'jsx', 'json', 'text', 'css', 'dataurl', 'file'];
+// Loaders whose output is JavaScript for ModuleScanner, after Transpiler for all but js
+const SCRIPT_LOADERS = new Set(['js', 'ts', 'tsx', 'jsx']);
+// Loaders that read files as bytes rather than text
+const BINARY_LOADERS = new Set(['dataurl', 'file']);
+
+const DEFAULT_LOADERS = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.ts': 'ts',
+  '.mts': 'ts',
+  '.cts': 'ts',
+  '.tsx': 'tsx',
+  '.jsx': 'jsx',
+  '.json': 'json',
+  '.txt': 'text',
+  '.md': 'text',
+  '.css': 'css',
+  '.svg': 'dataurl',
+  '.png': 'dataurl',
+  '.jpg': 'dataurl',
+  '.jpeg': 'dataurl',
+  '.gif': 'dataurl',
+  '.webp': 'dataurl',
+  '.woff': 'file',
+  '.woff2': 'file',
+  '.ttf': 'file',
+  '.eot': 'file'
+};
+
+const MIME_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.json': 'application/json',
+  '.txt': 'text/plain'
+};
+
+/**
+ * @usage
+const AssetLoader = require('./AssetLoader');
+
+// modubuild.json: "loaders": { ".html": "text", ".png": "file" }
+const assets = new AssetLoader({ loaders: config.loaders, publicPath: '/static/' });
+
+assets.getLoader('/project/src/data.json'); // => 'json'
+const module = await assets.load('/project/src/logo.png', await assets.read('/project/src/logo.png'));
+// => { code: 'module.exports = "data:image/png;base64,...";', css: null, assets: [] }
+
+Loaders turn a file into CommonJS code for the bundle runtime:
+  js       left to ModuleScanner
+  ts       TypeScript; types are removed by Transpiler, then left to ModuleScanner
+  tsx      TypeScript with JSX, compiled to jsx.factory calls by Transpiler
+  jsx      JavaScript with JSX
+  json     module.exports = <the parsed JSON>
+  text     module.exports = "<file contents>"
+  css      module.exports = {}; the stylesheet is returned as `css` and Bundler collects it
+           into <entry>.css. @import becomes require(), url() references are copied to
+           outputDir as hashed files listed in `assets`
+  dataurl  module.exports = "data:<mime>;base64,...", encoded with the base64 shim
+  file     the file is copied to outputDir as <name>-<hash><ext>; module.exports is its URL,
+           publicPath + file name
+ */
+class AssetLoader {
+  constructor(options = {}) {
+    const {
+      loaders = {},
+      publicPath = null,
+    } = options;
+
+    for (const [extension, loader] of Object.entries(loaders)) {
+      if (!LOADERS.includes(loader)) {
+        throw new Error(`Unknown loader "${loader}" for ${extension}. Use one of: ${LOADERS.join(', ')}`);
+      }
+    }
+
+    this.loaders = { ...DEFAULT_LOADERS, ...loaders };
+    this.publicPath = publicPath;
+  }
+
+  // Loader for a file; extensions without one are treated as JavaScript
+  getLoader(filePath) {
+    return this.loaders[path.extname(filePath).toLowerCase()] || 'js';
+  }
+
+  // Whether a file is JavaScript, or compiles to it, rather than an asset
+  isScript(filePath) {
+    return SCRIPT_LOADERS.has(this.getLoader(filePath));
+  }
+
+  isBinary(filePath) {
+    return BINARY_LOADERS.has(this.getLoader(filePath));
+  }
+
+  // File contents as the loader expects them: a Buffer for binary loaders, text otherwise
+  read(filePath) {
+    return this.isBinary(filePath) ? fs.readFile(filePath) : fs.readFile(filePath, 'utf-8');
+  }
+
+  // Output name of a copied file: content hash so changed assets get new URLs
+  getAssetName(filePath, content) {
+    const extension = path.extname(filePath);
+    const hash = crypto.createHash('sha1').update(content).digest('hex').slice(0, 8);
+    return `${path.basename(filePath, extension)}-${hash}${extension}`;
+  }
+
+  getUrl(fileName) {
+    return `${this.publicPath !== null ? this.publicPath : ''}${fileName}`;
+  }
+
+  /**
+   * Turn a file handled by an asset loader into a module
+   * @param {string} filePath - Absolute path of the file
+   * @param {string|Buffer} content - Result of read, or text returned by a load hook
+   * @returns {Promise<{code: string, css: string|null, assets: Array<{fileName: string, path: string}>}>}
+   *   Module code, the stylesheet of a CSS module, and files to copy into outputDir
+   */
+  async load(filePath, content) {
+    const loader = this.getLoader(filePath);
+    const text = () => (Buffer.isBuffer(content) ? content.toString('utf-8') : content);
+
+    switch (loader) {
+      case 'json':
+        try {
+          JSON.parse(text());
+        } catch (error) {
+          throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        // The JSON text itself keeps its line numbers
+        return { code: `module.exports = ${text().trim()};`, css: null, assets: [] };
+      case 'text':
+        return { code: `module.exports = ${JSON.stringify(text())};`, css: null, assets: [] };
+      case 'dataurl': {
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        const url = `data:${mimeType};base64,${base64.encode(buffer.toString('latin1'))}`;
+        return { code: `module.exports = ${JSON.stringify(url)};`, css: null, assets: [] };
+      }
+      case 'file': {
+        const fileName = this.getAssetName(filePath, content);
+        return {
+          code: `module.exports = ${JSON.stringify(this.getUrl(fileName))};`,
+          css: null,
+          assets: [{ fileName, path: filePath }]
+        };
+      }
+      case 'css':
+        return this.loadStylesheet(filePath, text());
+      default:
+        throw new Error(`${filePath} is not handled by an asset loader`);
+    }
+  }
+
+  /**
+   * Split a stylesheet into its @import dependencies and its own rules, copying url() targets
+   * @param {string} filePath - Absolute path of the stylesheet
+   * @param {string} css - Stylesheet source
+   * @returns {Promise<Object>} Same shape as load
+   */
+  async loadStylesheet(filePath, css) {
+    const requires = [];
+    const assets = [];
+    const isLocal = reference => !/^(?:[a-z][a-z\d+.-]*:|\/|#)/i.test(reference);
+
+    // @import of local stylesheets become dependencies so each is collected once, in order
+    let stylesheet = css.replace(
+      /@import\s+(?:url\(\s*)?(["'])([^"']+)\1\s*\)?\s*;/g,
+      (statement, quote, reference) => {
+        if (!isLocal(reference)) return statement;
+        requires.push(`require(${JSON.stringify(reference.startsWith('.') ? reference : `./${reference}`)});`);
+        return statement.replace(/[^\n]/g, '');
+      }
+    );
+
+    const references = [];
+    stylesheet.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, reference) => {
+      references.push(reference);
+      return match;
+    });
+
+    const urls = new Map();
+    for (const reference of new Set(references)) {
+      if (!isLocal(reference)) continue;
+      const [relative] = reference.split(/[?#]/);
+      const assetPath = path.resolve(path.dirname(filePath), decodeURI(relative));
+      let content;
+      try {
+        content = await fs.readFile(assetPath);
+      } catch {
+        throw new Error(`Cannot find url(${reference}) referenced from ${path.basename(filePath)}`);
+      }
+      const fileName = this.getAssetName(assetPath, content);
+      assets.push({ fileName, path: assetPath });
+      // Stylesheets are written to outputDir next to the assets, so the name is enough
+      urls.set(reference, `${fileName}${reference.slice(relative.length)}`);
+    }
+
+    stylesheet = stylesheet.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, reference) => (
+      urls.has(reference) ? `url(${JSON.stringify(urls.get(reference))})` : match
+    ));
+
+    return { code: `${requires.join(' ')}module.exports = {};`, css: stylesheet, assets };
+  }
+}
+
+AssetLoader.LOADERS = LOADERS;
+AssetLoader.SCRIPT_LOADERS = SCRIPT_LOADERS;
+AssetLoader.DEFAULT_LOADERS = DEFAULT_LOADERS;
+AssetLoader.MIME_TYPES = MIME_TYPES;
+
+module.exports = AssetLoader;
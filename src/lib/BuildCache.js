@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { version } = require('../../package.json');
+
+const DEFAULT_DIRECTORY = path.join('node_modules', '.cache', 'modubuild');
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+
+/**
+ * @usage
+const BuildCache = require('./BuildCache');
+
+const cache = new BuildCache({
+  rootDir: process.cwd(),
+  directory: 'node_modules/.cache/modubuild', // relative to rootDir
+  maxSize: 100 * 1024 * 1024, // bytes kept on disk after prune()
+  fingerprint: { plugins: config.plugins } // anything else that changes transform output
+});
+
+const key = cache.createKey('src/index.js', source, bundler.plugins.fingerprint());
+const hit = await cache.get(key);          // => stored value, or null
+await cache.set(key, { code, esm });       // JSON-serializable value
+await cache.prune();                       // => { entries, size, evicted }
+await cache.clean();                       // remove every entry
+
+Entries are files named by the SHA-1 of the module id, its source and the fingerprints,
+so a changed file or config simply misses and old entries age out. Reading an entry
+touches its modification time; prune() deletes the least recently used entries until
+the cache fits in maxSize. Writes go through a temporary file and a rename, so worker
+threads and concurrent builds sharing the directory never read half-written entries.
+ */
+class BuildCache {
+  constructor(options = {}) {
+    const {
+      rootDir = process.cwd(),
+      directory = DEFAULT_DIRECTORY,
+      maxSize = DEFAULT_MAX_SIZE,
+      fingerprint = null,
+    } = options;
+
+    this.rootDir = path.resolve(rootDir);
+    this.directory = path.resolve(this.rootDir, directory);
+    this.maxSize = maxSize;
+    this.fingerprint = fingerprint;
+    // Part of every key: the modubuild version and the caller's fingerprint
+    this.salt = `${version}\0${JSON.stringify(fingerprint)}`;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Open the cache described by `config.cache`
+   * @param {Object} config - Validated `config` section
+   * @param {Object} [options]
+   * @param {string} [options.rootDir] - Directory the cache directory is relative to
+   * @returns {BuildCache|null} Null when `cache.enabled` is false
+   */
+  static fromConfig(config, { rootDir = process.cwd() } = {}) {
+    const { enabled = true, directory, maxSize } = config.cache || {};
+    if (!enabled) return null;
+    // Plugin options change transforms without changing the plugin's code
+    return new BuildCache({ rootDir, directory, maxSize, fingerprint: { plugins: config.plugins || [] } });
+  }
+
+  // Options a worker thread needs to open the same cache
+  toOptions() {
+    return {
+      rootDir: this.rootDir,
+      directory: this.directory,
+      maxSize: this.maxSize,
+      fingerprint: this.fingerprint
+    };
+  }
+
+  /**
+   * Content address of a cache entry
+   * @param {...string} parts - Module id, source text and fingerprints of whatever transforms it
+   * @returns {string} Hex digest
+   */
+  createKey(...parts) {
+    const hash = crypto.createHash('sha1').update(this.salt);
+    parts.forEach(part => hash.update(`\0${part}`));
+    return hash.digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.directory, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} key - Result of createKey
+   * @returns {Promise<*>} Stored value, or null when missing or unreadable
+   */
+  async get(key) {
+    const entryPath = this.entryPath(key);
+    try {
+      const value = JSON.parse(await fs.readFile(entryPath, 'utf-8'));
+      const now = new Date();
+      await fs.utimes(entryPath, now, now).catch(() => {});
+      this.stats.hits++;
+      return value;
+    } catch {
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    const entryPath = this.entryPath(key);
+    const tempPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, entryPath);
+    this.stats.writes++;
+  }
+
+  // Every entry file with its size and last use, oldest first
+  async listEntries() {
+    const entries = [];
+    let buckets;
+    try {
+      buckets = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return entries;
+      throw error;
+    }
+
+    for (const bucket of buckets) {
+      const bucketPath = path.join(this.directory, bucket);
+      let files;
+      try {
+        files = await fs.readdir(bucketPath);
+      } catch {
+        continue;
+      }
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const stat = await fs.stat(path.join(bucketPath, file));
+          entries.push({ path: path.join(bucketPath, file), size: stat.size, usedAt: stat.mtimeMs });
+        } catch {
+          // Removed by a concurrent prune
+        }
+      }
+    }
+    return entries.sort((a, b) => a.usedAt - b.usedAt);
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits in maxSize
+   * @returns {Promise<{entries: number, size: number, evicted: number}>} What is left and how many went
+   */
+  async prune() {
+    const entries = await this.listEntries();
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+    let evicted = 0;
+
+    for (const entry of entries) {
+      if (size <= this.maxSize) break;
+      await fs.rm(entry.path, { force: true });
+      size -= entry.size;
+      evicted++;
+    }
+    return { entries: entries.length - evicted, size, evicted };
+  }
+
+  // Entry count and total size on disk
+  async info() {
+    const entries = await this.listEntries();
+    return {
+      directory: this.directory,
+      entries: entries.length,
+      size: entries.reduce((total, entry) => total + entry.size, 0),
+      maxSize: this.maxSize
+    };
+  }
+
+  // Remove the whole cache directory
+  async clean() {
+    const { entries, size } = await this.info();
+    await fs.rm(this.directory, { recursive: true, force: true });
+    return { entries, size };
+  }
+}
+
+BuildCache.DEFAULT_DIRECTORY = DEFAULT_DIRECTORY;
+BuildCache.DEFAULT_MAX_SIZE = DEFAULT_MAX_SIZE;
+
+module.exports = BuildCache;
@@ -0,0 +1,376 @@
+const path = require('path');
+const zlib = require('zlib');
+const { walkFiles } = require('./glob');
+
+/**
+ * @usage
+const Bundler = require('./Bundler');
+const BundleAnalyzer = require('./BundleAnalyzer');
+
+const bundler = new Bundler({ rootDir: process.cwd() });
+const build = await bundler.build(['src/index.js']);
+
+const analyzer = new BundleAnalyzer({ rootDir: process.cwd(), extensions: bundler.extensions });
+const report = await analyzer.analyze(build);
+
+console.log(analyzer.formatText(report));
+fs.writeFileSync('report.html', analyzer.formatHtml(report));
+ */
+class BundleAnalyzer {
+  constructor(options = {}) {
+    const {
+      rootDir = process.cwd(),
+      extensions = ['.js'],
+      top = 10,
+    } = options;
+
+    this.rootDir = path.resolve(rootDir);
+    this.extensions = extensions;
+    this.top = top;
+  }
+
+  sizeOf(code) {
+    return {
+      raw: Buffer.byteLength(code),
+      gzip: zlib.gzipSync(code).length
+    };
+  }
+
+  /**
+   * Longest dependency chain starting at each module, cutting cycles
+   * @param {DepGraph} graph - Populated dependency graph
+   * @returns {Map<string, Array<string>>} moduleId -> chain including the module
+   */
+  findLongestChains(graph) {
+    const memo = new Map();
+    const visiting = new Set();
+
+    const longestFrom = (moduleId) => {
+      if (memo.has(moduleId)) return memo.get(moduleId);
+      if (visiting.has(moduleId)) return [];
+
+      visiting.add(moduleId);
+      let best = [];
+      for (const depId of graph.outgoingEdges.get(moduleId) || []) {
+        const chain = longestFrom(depId);
+        if (chain.length > best.length) best = chain;
+      }
+      visiting.delete(moduleId);
+
+      const result = [moduleId, ...best];
+      memo.set(moduleId, result);
+      return result;
+    };
+
+    for (const moduleId of graph.nodes.keys()) {
+      longestFrom(moduleId);
+    }
+    return memo;
+  }
+
+  // Source files next to the entry points that no entry reaches
+  async findOrphans(graph) {
+    const roots = new Set(
+      [...graph.entryNodes].map(id => path.dirname(path.resolve(this.rootDir, id)))
+    );
+    const included = new Set([...graph.nodes.values()].map(module => module.path));
+    const orphans = new Set();
+
+    for (const root of roots) {
+      for (const file of await walkFiles(root)) {
+        if (this.extensions.includes(path.extname(file)) && !included.has(file)) {
+          orphans.add(path.relative(this.rootDir, file).split(path.sep).join('/'));
+        }
+      }
+    }
+    return [...orphans].sort();
+  }
+
+  /**
+   * Analyze a build produced by Bundler.build
+   * @param {{graph: DepGraph, outputs: Array<Object>}} build - Bundler build result
+   * @returns {Promise<Object>} Report with summary, modules, bundles, cycles, orphans, chains
+   *   and treeShaking (one entry per bundle built with tree shaking). bundles lists entry
+   *   bundles, then every chunk with `entry: null` and the entry points in `loadedBy`.
+   */
+  async analyze({ graph, outputs }) {
+    // A chunk shared by several entry points is one file, listed once
+    const chunks = new Map();
+    for (const output of outputs) {
+      for (const chunk of output.chunks || []) {
+        if (!chunks.has(chunk.fileName)) chunks.set(chunk.fileName, { ...chunk, loadedBy: [] });
+        chunks.get(chunk.fileName).loadedBy.push(output.entry);
+      }
+    }
+    const files = [...outputs, ...chunks.values()];
+
+    const modules = [];
+    for (const [moduleId, module] of graph.nodes) {
+      modules.push({
+        id: moduleId,
+        ...this.sizeOf(module.code),
+        dependencies: graph.outgoingEdges.get(moduleId).size,
+        dependents: graph.incomingEdges.get(moduleId).size,
+        bundles: files.filter(file => file.modules.includes(moduleId)).map(file => file.fileName)
+      });
+    }
+    modules.sort((a, b) => b.raw - a.raw || a.id.localeCompare(b.id));
+
+    const bundles = [
+      ...outputs.map(output => ({
+        fileName: output.fileName,
+        entry: output.entry,
+        modules: output.modules.length,
+        ...this.sizeOf(output.code)
+      })),
+      ...[...chunks.values()].map(chunk => ({
+        fileName: chunk.fileName,
+        entry: null,
+        loadedBy: chunk.loadedBy,
+        modules: chunk.modules.length,
+        ...this.sizeOf(chunk.code)
+      }))
+    ];
+
+    const chains = [...this.findLongestChains(graph).entries()]
+      .filter(([moduleId]) => graph.entryNodes.has(moduleId))
+      .map(([, chain]) => chain)
+      .sort((a, b) => b.length - a.length)
+      .slice(0, this.top);
+
+    const treeShaking = outputs
+      .filter(output => output.treeShaking)
+      .map(output => ({ fileName: output.fileName, entry: output.entry, ...output.treeShaking }));
+
+    return {
+      summary: {
+        entryPoints: graph.entryNodes.size,
+        modules: graph.nodes.size,
+        bundles: outputs.length,
+        chunks: chunks.size,
+        raw: bundles.reduce((total, bundle) => total + bundle.raw, 0),
+        gzip: bundles.reduce((total, bundle) => total + bundle.gzip, 0)
+      },
+      bundles,
+      modules,
+      cycles: graph.findCircularDependencies(),
+      orphans: await this.findOrphans(graph),
+      chains,
+      treeShaking
+    };
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  }
+
+  formatTable(headers, rows) {
+    const widths = headers.map((header, index) =>
+      Math.max(header.length, ...rows.map(row => String(row[index]).length))
+    );
+    const line = (cells) => cells
+      .map((cell, index) => (index === 0 ? String(cell).padEnd(widths[index]) : String(cell).padStart(widths[index])))
+      .join('  ');
+    return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+  }
+
+  // Render a report as plain text tables
+  formatText(report) {
+    const size = (bytes) => this.formatBytes(bytes);
+    const { summary } = report;
+    const sections = [
+      `${summary.modules} module(s) in ${summary.bundles} bundle(s) and ${summary.chunks} chunk(s) ` +
+        `from ${summary.entryPoints} entry point(s): ${size(summary.raw)} raw, ${size(summary.gzip)} gzipped`,
+      '',
+      'Bundles',
+      this.formatTable(
+        ['file', 'entry', 'modules', 'raw', 'gzip'],
+        report.bundles.map(b => [b.fileName, b.entry || `chunk of ${b.loadedBy.join(', ')}`, b.modules, size(b.raw), size(b.gzip)])
+      ),
+      '',
+      `Modules (largest ${Math.min(this.top, report.modules.length)} of ${report.modules.length})`,
+      this.formatTable(
+        ['module', 'raw', 'gzip', 'deps', 'dependents'],
+        report.modules.slice(0, this.top).map(m => [m.id, size(m.raw), size(m.gzip), m.dependencies, m.dependents])
+      ),
+      '',
+      `Circular dependencies (${report.cycles.length})`,
+      ...(report.cycles.length > 0 ? report.cycles.map(cycle => `  ${[...cycle, cycle[0]].join(' -> ')}`) : ['  none']),
+      '',
+      `Orphan modules (${report.orphans.length})`,
+      ...(report.orphans.length > 0 ? report.orphans.map(orphan => `  ${orphan}`) : ['  none']),
+      '',
+      'Longest dependency chains',
+      ...report.chains.map(chain => `  (${chain.length}) ${chain.join(' -> ')}`),
+      ...this.formatTreeShaking(report.treeShaking || [])
+    ];
+    return `${sections.join('\n')}\n`;
+  }
+
+  // What tree shaking left out of each bundle, and who uses each export it kept
+  formatTreeShaking(bundles) {
+    if (bundles.length === 0) return [];
+    const lines = ['', 'Tree shaking'];
+    for (const bundle of bundles) {
+      lines.push(
+        `  ${bundle.fileName}: ${bundle.removedModules.length} module(s) and ${bundle.removedExports.length} export(s) removed`,
+        ...bundle.removedModules.map(({ id, reason }) => `    - ${id} (${reason})`),
+        ...bundle.removedExports.map(({ module, name }) => `    - ${module}: ${name}`),
+        ...bundle.usedExports.map(({ module, name, usedBy }) => `    + ${module}: ${name} (${usedBy.join(', ')})`)
+      );
+    }
+    return lines;
+  }
+
+  formatJson(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+
+  /**
+   * Squarified treemap layout
+   * @param {Array<{value: number}>} items - Items to place, any order
+   * @param {{x: number, y: number, width: number, height: number}} rect - Area to fill
+   * @returns {Array<Object>} Items with x, y, width and height added
+   */
+  layoutTreemap(items, rect) {
+    const sorted = items.filter(item => item.value > 0).sort((a, b) => b.value - a.value);
+    const total = sorted.reduce((sum, item) => sum + item.value, 0);
+    if (total === 0) return [];
+
+    const scale = (rect.width * rect.height) / total;
+    const placed = [];
+    let { x, y, width, height } = rect;
+    let row = [];
+
+    const worst = (areas, side) => {
+      const sum = areas.reduce((a, b) => a + b, 0);
+      const max = Math.max(...areas);
+      const min = Math.min(...areas);
+      return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    };
+
+    const flush = () => {
+      const areas = row.map(item => item.value * scale);
+      const sum = areas.reduce((a, b) => a + b, 0);
+      if (width >= height) {
+        const rowWidth = sum / height;
+        let offset = y;
+        row.forEach((item, index) => {
+          const itemHeight = areas[index] / rowWidth;
+          placed.push({ ...item, x, y: offset, width: rowWidth, height: itemHeight });
+          offset += itemHeight;
+        });
+        x += rowWidth;
+        width -= rowWidth;
+      } else {
+        const rowHeight = sum / width;
+        let offset = x;
+        row.forEach((item, index) => {
+          const itemWidth = areas[index] / rowHeight;
+          placed.push({ ...item, x: offset, y, width: itemWidth, height: rowHeight });
+          offset += itemWidth;
+        });
+        y += rowHeight;
+        height -= rowHeight;
+      }
+      row = [];
+    };
+
+    for (const item of sorted) {
+      const side = Math.min(width, height);
+      const current = row.map(r => r.value * scale);
+      const next = [...current, item.value * scale];
+      if (row.length === 0 || worst(next, side) <= worst(current, side)) {
+        row.push(item);
+      } else {
+        flush();
+        row.push(item);
+      }
+    }
+    if (row.length > 0) flush();
+
+    return placed;
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Render a standalone HTML page with a bundle/module treemap
+  formatHtml(report, { width = 1200, height = 700 } = {}) {
+    const header = 24;
+    const palette = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7'];
+    const boxes = [];
+
+    const bundleRects = this.layoutTreemap(
+      report.bundles.map(bundle => ({ ...bundle, value: bundle.raw })),
+      { x: 0, y: 0, width, height }
+    );
+
+    bundleRects.forEach((bundle, index) => {
+      const color = palette[index % palette.length];
+      boxes.push(
+        `<div class="bundle" style="left:${bundle.x}px;top:${bundle.y}px;width:${bundle.width}px;height:${bundle.height}px" ` +
+        `title="${this.escapeHtml(`${bundle.fileName}: ${this.formatBytes(bundle.raw)} raw, ${this.formatBytes(bundle.gzip)} gzip`)}">` +
+        `<span>${this.escapeHtml(bundle.fileName)} (${this.formatBytes(bundle.raw)})</span></div>`
+      );
+
+      const output = report.modules.filter(module => module.bundles.includes(bundle.fileName));
+      const moduleRects = this.layoutTreemap(
+        output.map(module => ({ ...module, value: module.raw })),
+        {
+          x: bundle.x + 2,
+          y: bundle.y + header,
+          width: Math.max(0, bundle.width - 4),
+          height: Math.max(0, bundle.height - header - 2)
+        }
+      );
+
+      for (const module of moduleRects) {
+        boxes.push(
+          `<div class="module" style="left:${module.x}px;top:${module.y}px;width:${module.width}px;height:${module.height}px;background:${color}" ` +
+          `title="${this.escapeHtml(`${module.id}: ${this.formatBytes(module.raw)} raw, ${this.formatBytes(module.gzip)} gzip`)}">` +
+          `<span>${this.escapeHtml(module.id)}</span></div>`
+        );
+      }
+    });
+
+    const { summary } = report;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>modubuild bundle report</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; margin: 1.5rem; color: #222; }
+  .treemap { position: relative; width: ${width}px; height: ${height}px; }
+  .bundle, .module { position: absolute; box-sizing: border-box; overflow: hidden; }
+  .bundle { background: #eee; border: 1px solid #999; font-weight: bold; font-size: 13px; padding: 3px 6px; }
+  .module { border: 1px solid #fff; color: #fff; font-size: 11px; padding: 2px 4px; }
+  .module:hover { filter: brightness(1.15); }
+  span { white-space: nowrap; }
+  pre { background: #f6f8fa; padding: 1rem; overflow: auto; }
+</style>
+</head>
+<body>
+<h1>Bundle report</h1>
+<p>${summary.modules} module(s) in ${summary.bundles} bundle(s) and ${summary.chunks} chunk(s): ${this.formatBytes(summary.raw)} raw, ${this.formatBytes(summary.gzip)} gzipped.
+${report.cycles.length} circular dependenc${report.cycles.length === 1 ? 'y' : 'ies'}, ${report.orphans.length} orphan module(s).</p>
+<div class="treemap">
+${boxes.join('\n')}
+</div>
+<h2>Details</h2>
+<pre>${this.escapeHtml(this.formatText(report))}</pre>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = BundleAnalyzer;
@@ -0,0 +1,775 @@
+const fs = require('fs').promises;
+const { readFileSync } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AssetLoader = require('./AssetLoader');
+const DepGraph = require('./DepGraph');
+const ModuleScanner = require('./ModuleScanner');
+const PluginContainer = require('./PluginContainer');
+const Resolver = require('./Resolver');
+const SourceMap = require('./SourceMap');
+const Transpiler = require('./Transpiler');
+const TreeShaker = require('./TreeShaker');
+const { ENCODINGS, MIN_SIZE, compress, isCompressibleFile } = require('./compression');
+
+const RUNTIME_PATH = path.join(__dirname, 'runtime', 'prelude.js');
+// Chunk files hand their modules to whichever runtime is listening, see prelude.js
+const CHUNK_PREFIX = '(globalThis.__modubuildChunks = globalThis.__modubuildChunks || []).push({\n';
+
+/**
+ * @usage
+const Bundler = require('./Bundler');
+
+const bundler = new Bundler({
+  rootDir: process.cwd(),
+  outputDir: 'dist',
+  resolve: { alias: { '@app': './src' } }, // see Resolver
+  sourceMap: true, // outputs carry a SourceMap, written as dist/<name>.js.map
+  splitChunks: true, // import() targets load on demand from their own chunk files
+  publicPath: null, // URL prefix of chunk files; null loads them next to the bundle
+  treeShaking: true, // leave out unused exports and modules, see TreeShaker
+  cache: new BuildCache({ rootDir: process.cwd() }), // reuse transformed modules across builds, or null
+  loaders: { '.html': 'text' }, // extension -> loader, merged over AssetLoader's defaults
+  jsx: { factory: 'React.createElement', fragment: 'React.Fragment' }, // .jsx/.tsx, see Transpiler
+  hmr: false, // give modules a module.hot API and accept updates from renderHotUpdate
+  precompress: ['gzip', 'br'], // also write <file>.gz and <file>.br for static servers to send as they are
+  fileNames: '[name].[hash].js' // entry bundle names; [hash] is a hash of the file's content
+});
+
+// Build every entry point into its own bundle and write them to outputDir
+const { outputs } = await bundler.build(['src/index.js', 'src/admin.js']);
+await bundler.write(outputs);
+// => dist/index.3f2a1b4c.js, dist/admin.8e7d6c5b.js, dist/manifest.json mapping
+//    index.js and admin.js to them, and chunks such as dist/settings-1f2e3d4c.js
+//    listed in each output's `chunks`, and what tree shaking removed in `treeShaking`.
+//    Imported CSS goes to dist/index.<hash>.css (`css`), copied files such as fonts to
+//    dist/font-9a8b7c6d.woff2 (`assets`).
+
+// Or work with the dependency graph directly
+const graph = await bundler.buildGraph(['src/index.js']);
+const code = bundler.generateBundle(graph, 'src/index.js');
+ */
+class Bundler {
+  constructor(options = {}) {
+    const {
+      rootDir = process.cwd(),
+      outputDir = 'dist',
+      extensions = ['.js', '.ts', '.tsx', '.jsx'],
+      resolve = {},
+      sourceMap = true,
+      splitChunks = true,
+      publicPath = null,
+      treeShaking = true,
+      cache = null,
+      loaders = {},
+      jsx = {},
+      fileNames = '[name].js',
+      hmr = false,
+      precompress = [],
+      reporter = null,
+      plugins = new PluginContainer([], { reporter }),
+    } = options;
+
+    this.rootDir = path.resolve(rootDir);
+    this.outputDir = path.resolve(this.rootDir, outputDir);
+    this.resolver = new Resolver({ rootDir: this.rootDir, extensions, ...resolve });
+    this.extensions = this.resolver.extensions;
+    this.sourceMap = sourceMap;
+    this.splitChunks = splitChunks;
+    this.publicPath = publicPath;
+    this.treeShaking = treeShaking;
+    this.cache = cache;
+    this.assets = new AssetLoader({ loaders, publicPath });
+    this.transpiler = new Transpiler({ jsx });
+    if (!/^[^/\\]*\[name\][^/\\]*\.js$/.test(fileNames)) {
+      throw new Error(`fileNames must be a file name containing [name] and ending in .js, got "${fileNames}"`);
+    }
+    this.fileNames = fileNames;
+    this.hmr = hmr;
+    for (const encoding of precompress) {
+      if (!ENCODINGS[encoding]) {
+        throw new Error(`Unknown precompress encoding "${encoding}". Use one of: ${Object.keys(ENCODINGS).join(', ')}`);
+      }
+    }
+    this.precompress = precompress;
+    // Logical bundle name -> manifest entry, kept across writes so watch rebuilds update it
+    this.manifest = new Map();
+    this.reporter = reporter;
+    this.plugins = plugins;
+    this.scanner = new ModuleScanner();
+    this.shaker = new TreeShaker();
+    this.runtime = null;
+    this.fingerprint = null;
+  }
+
+  /**
+   * Constructor options a config describes, the same for every command that bundles it.
+   * The cache, plugins and reporter are objects the caller creates.
+   * @param {Object} config - modubuild.json config, or AeroSSR's, which shares these keys
+   * @param {Object} [overrides] - Options replacing what the config says, e.g. { rootDir }
+   * @returns {Object} Options for new Bundler()
+   */
+  static optionsFromConfig(config, overrides = {}) {
+    return {
+      outputDir: config.outputDir,
+      resolve: config.resolve,
+      sourceMap: config.sourceMap ?? true,
+      splitChunks: config.splitChunks ?? true,
+      publicPath: config.publicPath ?? null,
+      // Hot updates replace whole modules, which needs every export kept
+      treeShaking: (config.treeShaking ?? true) && !config.hmr,
+      loaders: config.loaders,
+      jsx: config.jsx,
+      precompress: config.precompress,
+      fileNames: config.fileNames ?? '[name].[hash].js',
+      hmr: config.hmr ?? false,
+      ...overrides
+    };
+  }
+
+  // Options a worker thread needs to construct an equivalent Bundler; its cache as BuildCache options
+  toOptions() {
+    return {
+      rootDir: this.rootDir,
+      outputDir: this.outputDir,
+      resolve: this.resolver.toOptions(),
+      sourceMap: this.sourceMap,
+      splitChunks: this.splitChunks,
+      publicPath: this.publicPath,
+      treeShaking: this.treeShaking,
+      cache: this.cache && this.cache.toOptions(),
+      loaders: this.assets.loaders,
+      jsx: this.transpiler.jsx,
+      precompress: this.precompress,
+      fileNames: this.fileNames,
+      hmr: this.hmr
+    };
+  }
+
+  // Module ids are POSIX paths relative to rootDir so bundles are portable;
+  // virtual ids returned by plugins are kept as they are
+  createModuleId(filePath) {
+    if (!path.isAbsolute(filePath)) return filePath;
+    return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+  }
+
+  // Specifiers of static imports, re-exports, require() and import() calls
+  scanDependencies(code) {
+    return this.scanner.scan(code).specifiers;
+  }
+
+  async isFile(filePath) {
+    try {
+      return (await fs.stat(filePath)).isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  // Resolve a specifier through plugins, then with Node resolution rules; kind is
+  // 'require' or 'import' and picks the matching exports condition. null leaves the
+  // dependency external.
+  async resolve(specifier, fromPath, kind = 'import') {
+    const resolved = await this.plugins.hookFirst('resolveId', specifier, fromPath);
+    if (resolved === false) return null;
+    if (resolved !== null) return resolved;
+
+    return this.resolver.resolve(specifier, fromPath, kind);
+  }
+
+  /**
+   * Read a module and recursively add it and its dependencies to the graph
+   * @param {DepGraph} graph - Graph to populate
+   * @param {string} filePath - Absolute path of the module
+   * @param {boolean} isEntry - Whether this is an entry point
+   * @returns {Promise<string>} The module id
+   */
+  async addModule(graph, filePath, isEntry = false) {
+    const moduleId = this.createModuleId(filePath);
+
+    if (graph.nodes.has(moduleId)) {
+      if (isEntry) graph.entryNodes.add(moduleId);
+      return moduleId;
+    }
+
+    const { code, source, esm, css, assets } = await this.loadModule(filePath);
+    const sideEffects = await this.resolver.hasSideEffects(filePath);
+    const dependencies = {};
+    const dynamicImports = [];
+    graph.addModule(moduleId, {
+      path: filePath, code, source, esm, css, assets, sideEffects, dependencies, dynamicImports
+    }, isEntry);
+    await this.linkDependencies(graph, moduleId, dependencies, dynamicImports);
+
+    return moduleId;
+  }
+
+  // Everything besides a module's source that decides what loadModule returns
+  getFingerprint() {
+    if (this.fingerprint === null) {
+      this.fingerprint = [
+        this.plugins.fingerprint(),
+        `treeShaking:${this.treeShaking}`,
+        // File loaders embed publicPath in the URLs they export
+        `loaders:${JSON.stringify(this.assets.loaders)}:${this.publicPath}`,
+        `jsx:${JSON.stringify(this.transpiler.jsx)}`
+      ].join('\0');
+    }
+    return this.fingerprint;
+  }
+
+  // Load a module through the load and transform plugin hooks, then
+  // rewrite ES module syntax for the registry runtime. TypeScript and JSX
+  // are compiled before the transform hook, keeping lines in place, so
+  // plugins see JavaScript. `source` is the text before any transform,
+  // kept for source maps; `esm` is the ES module code before the rewrite,
+  // kept for tree shaking (null for CommonJS).
+  // Files with an asset loader become CommonJS modules instead, along with
+  // their `css` and the `assets` they copy into outputDir; binary files skip
+  // the transform hook. With a cache, a module whose source was seen before
+  // skips all of this, unless files its stylesheet references have changed.
+  async loadModule(filePath) {
+    const loaded = await this.plugins.hookFirst('load', filePath);
+    const content = loaded !== null ? loaded : await this.assets.read(filePath);
+    const binary = Buffer.isBuffer(content);
+    const source = binary ? null : content;
+    const moduleId = this.createModuleId(filePath);
+
+    const key = this.cache
+      ? this.cache.createKey(moduleId, binary ? crypto.createHash('sha1').update(content).digest('hex') : content, this.getFingerprint())
+      : null;
+    if (key) {
+      const cached = await this.cache.get(key);
+      if (cached && await this.hasCurrentAssets(cached.assets, filePath)) return { ...cached, source };
+    }
+
+    let result;
+    if (!this.assets.isScript(filePath)) {
+      const code = binary ? content : await this.plugins.transform(content, filePath);
+      try {
+        result = { ...await this.assets.load(filePath, code), source, esm: null };
+      } catch (error) {
+        throw new Error(`Cannot load ${moduleId}: ${error.message}`);
+      }
+    } else {
+      const loader = this.assets.getLoader(filePath);
+      let javascript;
+      try {
+        javascript = this.transpiler.transform(content, {
+          typescript: loader === 'ts' || loader === 'tsx',
+          jsx: loader === 'tsx' || loader === 'jsx'
+        });
+      } catch (error) {
+        throw new Error(`Cannot compile ${moduleId}: ${error.message}`);
+      }
+      const code = await this.plugins.transform(javascript, filePath);
+      try {
+        const esm = this.treeShaking && this.scanner.scan(code).isModule ? code : null;
+        result = { code: this.scanner.transform(code), source, esm, css: null, assets: [] };
+      } catch (error) {
+        throw new Error(`Cannot parse ${moduleId}: ${error.message}`);
+      }
+    }
+
+    if (key) {
+      const { code, esm, css, assets } = result;
+      await this.cache.set(key, { code, esm, css, assets });
+    }
+    return result;
+  }
+
+  // Whether the files a cached module copies still hash to the names in its code: a
+  // stylesheet's url() targets are not part of its cache key
+  async hasCurrentAssets(assets, filePath) {
+    for (const asset of assets) {
+      if (asset.path === filePath) continue;
+      try {
+        if (this.assets.getAssetName(asset.path, await fs.readFile(asset.path)) !== asset.fileName) return false;
+      } catch {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Resolve a module's specifiers, adding new modules and edges to the graph.
+  // Specifiers only ever passed to import() are collected in dynamicImports.
+  async linkDependencies(graph, moduleId, dependencies, dynamicImports) {
+    const { path: filePath, code } = graph.nodes.get(moduleId);
+    const scan = this.scanner.scan(code);
+    const dynamic = new Set(scan.dynamicImports.map(record => record.specifier));
+    scan.imports.forEach(record => dynamic.delete(record.specifier));
+    scan.exports.forEach(record => dynamic.delete(record.specifier));
+    scan.requires.forEach(specifier => dynamic.delete(specifier));
+    // Specifiers only ever passed to require(); one module shares a dependency per specifier,
+    // so a specifier also imported resolves as an import
+    const required = new Set(scan.requires);
+    scan.imports.forEach(record => required.delete(record.specifier));
+    scan.exports.forEach(record => required.delete(record.specifier));
+    scan.dynamicImports.forEach(record => required.delete(record.specifier));
+
+    for (const specifier of scan.specifiers) {
+      const resolved = await this.resolve(specifier, filePath, required.has(specifier) ? 'require' : 'import');
+      if (!resolved) {
+        this.reporter?.warn(`Leaving external dependency "${specifier}" in ${moduleId} unbundled`);
+        continue;
+      }
+
+      const dependencyId = await this.addModule(graph, resolved);
+      dependencies[specifier] = dependencyId;
+      if (dynamic.has(specifier)) dynamicImports.push(specifier);
+      graph.addDependency(moduleId, dependencyId, { dynamic: dynamic.has(specifier) });
+    }
+  }
+
+  /**
+   * Re-read a single module and replace its outgoing edges
+   * @param {DepGraph} graph - Populated dependency graph
+   * @param {string} moduleId - Module that changed on disk
+   * @returns {Promise<{removed: Array<string>}>} Modules dropped because nothing reaches them anymore
+   */
+  async updateModule(graph, moduleId) {
+    const { path: filePath } = graph.nodes.get(moduleId);
+    const { code, source, esm, css, assets } = await this.loadModule(filePath);
+
+    for (const dependencyId of [...graph.outgoingEdges.get(moduleId)]) {
+      graph.removeDependency(moduleId, dependencyId);
+    }
+
+    const dependencies = {};
+    const dynamicImports = [];
+    graph.updateModule(moduleId, { code, source, esm, css, assets, dependencies, dynamicImports });
+    await this.linkDependencies(graph, moduleId, dependencies, dynamicImports);
+
+    return { removed: this.pruneUnreachable(graph) };
+  }
+
+  // Drop modules no entry point reaches
+  pruneUnreachable(graph) {
+    const reachable = new Set(graph.entryNodes);
+    for (const entryId of graph.entryNodes) {
+      for (const moduleId of graph.getAllDependencies(entryId)) reachable.add(moduleId);
+    }
+
+    const removed = [...graph.nodes.keys()].filter(moduleId => !reachable.has(moduleId));
+    removed.forEach(moduleId => graph.removeModule(moduleId));
+    return removed;
+  }
+
+  // Entry points whose bundle includes a module
+  getAffectedEntries(graph, moduleId) {
+    const affected = graph.getAllDependents(moduleId);
+    affected.add(moduleId);
+    return [...graph.entryNodes].filter(entryId => affected.has(entryId));
+  }
+
+  /**
+   * Populate a DepGraph from a list of entry points
+   * @param {Array<string>} entryPoints - Entry paths relative to rootDir
+   * @returns {Promise<DepGraph>} The populated graph
+   */
+  async buildGraph(entryPoints) {
+    const graph = new DepGraph();
+    for (const entryPoint of entryPoints) {
+      const entryPath = path.resolve(this.rootDir, entryPoint);
+      if (!(await this.isFile(entryPath))) {
+        throw new Error(`Entry point ${entryPoint} does not exist`);
+      }
+      await this.addModule(graph, entryPath, true);
+    }
+    return graph;
+  }
+
+  // Modules in an entry's own bundle, in execution order. Ordering only depends
+  // on the entry itself so a bundle is identical whatever else shares the graph
+  getBundleModules(graph, entryId) {
+    return graph.getModuleExecutionOrder([entryId], { dynamic: !this.splitChunks });
+  }
+
+  /**
+   * Decide which modules go into the entry bundle and which into chunks loaded by import()
+   * @param {DepGraph} graph - Populated dependency graph
+   * @param {string} entryId - Module id of the entry point
+   * @returns {{modules: Array<string>, chunks: Array<Object>, files: Object, code: Map<string, string>,
+   *   treeShaking: Object|null}} Entry bundle modules, chunks with roots, modules and fileName,
+   *   import() target -> chunk files it needs, module code after tree shaking and its report
+   */
+  planChunks(graph, entryId) {
+    let { modules, chunks } = this.splitChunks
+      ? graph.getChunks(entryId)
+      : { modules: this.getBundleModules(graph, entryId), chunks: [] };
+
+    let code = new Map();
+    let treeShaking = null;
+    if (this.treeShaking) {
+      const shaken = this.shaker.shake(graph, entryId);
+      ({ code } = shaken);
+      treeShaking = shaken.report;
+      modules = modules.filter(moduleId => shaken.kept.has(moduleId));
+      chunks = chunks
+        .map(chunk => ({ ...chunk, modules: chunk.modules.filter(moduleId => shaken.kept.has(moduleId)) }))
+        .filter(chunk => chunk.modules.length > 0);
+    }
+
+    const files = {};
+    const named = chunks.map((chunk) => {
+      const fileName = this.getChunkName(chunk, code);
+      chunk.roots.forEach(rootId => (files[rootId] = files[rootId] || []).push(fileName));
+      return { ...chunk, fileName };
+    });
+    return { modules, chunks: named, files, code, treeShaking };
+  }
+
+  // Chunk file name: the import() target it serves, or "shared", plus a hash of its
+  // module ids so entry points that split the same way write the same file. Tree
+  // shaking depends on the entry point, so shaken code is part of the hash.
+  getChunkName({ roots, modules }, code = new Map()) {
+    const name = roots.length === 1 ? path.basename(roots[0], path.extname(roots[0])) : 'shared';
+    const hash = crypto.createHash('sha1').update(modules.join('\n'));
+    modules.forEach(moduleId => code.has(moduleId) && hash.update(`\0${code.get(moduleId)}`));
+    return `${name}-${hash.digest('hex').slice(0, 8)}.js`;
+  }
+
+  // Graph nodes of planned modules, with the code tree shaking left of them
+  getPlannedModules(graph, moduleIds, plan) {
+    return moduleIds.map((moduleId) => {
+      const module = graph.nodes.get(moduleId);
+      return plan.code && plan.code.has(moduleId) ? { ...module, code: plan.code.get(moduleId) } : module;
+    });
+  }
+
+  // Wrap a module so it runs inside the registry runtime
+  wrapModule(module) {
+    return `${JSON.stringify(module.id)}: [function (require, module, exports) {\n` +
+      `${module.code}\n` +
+      `}, ${JSON.stringify(module.dependencies)}]`;
+  }
+
+  getRuntime() {
+    if (this.runtime === null) {
+      this.runtime = readFileSync(RUNTIME_PATH, 'utf-8').trim();
+    }
+    return this.runtime;
+  }
+
+  /**
+   * Generate a self-contained bundle for one entry point
+   * @param {DepGraph} graph - Populated dependency graph
+   * @param {string} entryId - Module id of the entry point
+   * @returns {string} Bundle source
+   */
+  generateBundle(graph, entryId) {
+    return this.renderBundle(graph, entryId).code;
+  }
+
+  // Where a map in outputDir finds a module: a relative path, or the virtual id as is
+  getSourcePath(module, fileName) {
+    if (!path.isAbsolute(module.path)) return module.id;
+    const mapDir = path.dirname(path.join(this.outputDir, fileName));
+    return path.relative(mapDir, module.path).split(path.sep).join('/');
+  }
+
+  /**
+   * Generate a bundle and, when enabled, its source map
+   * @param {DepGraph} graph - Populated dependency graph
+   * @param {string} entryId - Module id of the entry point
+   * @param {string} [fileName] - Output file name the map is written next to
+   * @param {Object} [plan] - Result of planChunks, computed when omitted
+   * @returns {{code: string, map: SourceMap|null}} Bundle source and map
+   */
+  renderBundle(graph, entryId, fileName = this.getOutputName(entryId), plan = this.planChunks(graph, entryId)) {
+    let chunks = plan.chunks.length > 0
+      ? `, ${JSON.stringify({ publicPath: this.publicPath, files: plan.files })}`
+      : '';
+    if (this.hmr) chunks = `${chunks || ', null'}, true`;
+    return this.renderModules(
+      this.getPlannedModules(graph, plan.modules, plan),
+      `${this.getRuntime()}({\n`,
+      `\n}, ${JSON.stringify(entryId)}${chunks});\n`,
+      fileName
+    );
+  }
+
+  /**
+   * Script handing changed modules to the running bundle of an entry point, built with `hmr`
+   * @param {DepGraph} graph - Graph after the change
+   * @param {string} entryId - Module id of the entry point
+   * @param {Array<string>} moduleIds - Changed and added modules
+   * @param {string} fileName - File name the update is served as
+   * @returns {{code: string, map: SourceMap|null}} Update script and map
+   */
+  renderHotUpdate(graph, entryId, moduleIds, fileName) {
+    const plan = this.planChunks(graph, entryId);
+    const inBundle = new Set(plan.modules);
+    const update = {
+      chunks: { publicPath: this.publicPath, files: plan.files },
+      // Modules only chunks load, installed when their chunk already is
+      lazy: moduleIds.filter(moduleId => !inBundle.has(moduleId))
+    };
+    const fields = Object.entries(update).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ');
+    return this.renderModules(
+      this.getPlannedModules(graph, moduleIds, plan),
+      `globalThis.__modubuildHot[${JSON.stringify(entryId)}]({ ${fields}, modules: {\n`,
+      '\n} });\n',
+      fileName
+    );
+  }
+
+  // A chunk registers its modules with the runtime without running any of them
+  renderChunk(graph, chunk, plan = {}) {
+    const modules = this.getPlannedModules(graph, chunk.modules, plan);
+    return this.renderModules(modules, CHUNK_PREFIX, '\n});\n', chunk.fileName);
+  }
+
+  // Wrapped modules between a prefix and a suffix, with a map when enabled
+  renderModules(modules, prefix, suffix, fileName) {
+    const wrapped = modules.map(module => this.wrapModule(module));
+    const code = `${prefix}${wrapped.join(',\n')}${suffix}`;
+    if (!this.sourceMap) return { code, map: null };
+
+    // Module transforms keep line numbers, so each generated line maps to the
+    // same line of the original file
+    const map = new SourceMap({ file: path.basename(fileName) });
+    let line = SourceMap.countLines(prefix);
+    modules.forEach((module, index) => {
+      const source = this.getSourcePath(module, fileName);
+      map.addSource(source, module.source ?? module.code);
+      const lineCount = SourceMap.countLines(module.code);
+      for (let offset = 0; offset < lineCount; offset++) {
+        map.addMapping({
+          generated: { line: line + 1 + offset, column: 0 },
+          source,
+          original: { line: offset + 1, column: 0 }
+        });
+      }
+      line += SourceMap.countLines(wrapped[index]);
+    });
+
+    return { code, map };
+  }
+
+  // Logical output name for an entry point, the key of its manifest entry
+  getOutputName(entryId) {
+    return `${path.basename(entryId, path.extname(entryId))}.js`;
+  }
+
+  /**
+   * File name of a bundle or stylesheet according to the fileNames pattern
+   * @param {string} name - Logical output name, e.g. index.js
+   * @param {string} code - Final file content, hashed for [hash]
+   * @param {string} [extension] - Extension replacing .js, e.g. .css
+   * @returns {string} File name such as index.3f2a1b4c.js
+   */
+  getFileName(name, code, extension = '.js') {
+    const hash = crypto.createHash('sha1').update(code).digest('hex').slice(0, 8);
+    return this.fileNames
+      .replace(/\[name\]/g, path.basename(name, '.js'))
+      .replace(/\[hash\]/g, hash)
+      .replace(/\.js$/, extension);
+  }
+
+  // Every module an output loads, entry bundle first, then its chunks
+  getPlannedModuleIds(plan) {
+    return [...new Set([...plan.modules, ...plan.chunks.flatMap(chunk => chunk.modules)])];
+  }
+
+  /**
+   * Collect the CSS an entry point imports, directly or in its chunks, into one stylesheet
+   * @param {DepGraph} graph - Populated dependency graph
+   * @param {string} fileName - Logical output name of the entry bundle
+   * @param {Object} plan - Result of planChunks
+   * @returns {{fileName: string, code: string}|null} Stylesheet next to the bundle, null without CSS
+   */
+  renderStylesheet(graph, fileName, plan) {
+    const modules = this.getPlannedModuleIds(plan)
+      .map(moduleId => graph.nodes.get(moduleId))
+      .filter(module => module.css !== null && module.css !== undefined);
+    if (modules.length === 0) return null;
+
+    const code = modules.map(module => `/* ${module.id} */\n${module.css.trim()}\n`).join('\n');
+    return { fileName: this.getFileName(fileName, code, '.css'), code };
+  }
+
+  // Files asset loaders copy into outputDir for an output, each once
+  collectAssets(graph, plan) {
+    const assets = new Map();
+    for (const moduleId of this.getPlannedModuleIds(plan)) {
+      (graph.nodes.get(moduleId).assets || []).forEach(asset => assets.set(asset.fileName, asset));
+    }
+    return [...assets.values()];
+  }
+
+  /**
+   * Build one bundle per entry point
+   * @param {Array<string>} entryPoints - Entry paths relative to rootDir
+   * @returns {Promise<{graph: DepGraph, outputs: Array<Object>}>} Graph and outputs with entry,
+   *   name (logical output name), fileName (following the fileNames pattern), code, map, modules,
+   *   chunks (each with fileName, code, map, modules and roots), css ({ fileName, code } or null),
+   *   assets ({ fileName, path } to copy) and the treeShaking report, null when tree shaking is off
+   */
+  async build(entryPoints) {
+    await this.plugins.hookSequential('buildStart', { entryPoints, rootDir: this.rootDir });
+
+    try {
+      const graph = await this.buildGraph(entryPoints);
+      const names = new Map();
+
+      for (const entryId of graph.entryNodes) {
+        const fileName = this.getOutputName(entryId);
+        if (names.has(fileName)) {
+          throw new Error(`Entry points ${names.get(fileName)} and ${entryId} both write ${fileName}`);
+        }
+        names.set(fileName, entryId);
+      }
+
+      const outputs = await this.generateOutputs(graph, [...graph.entryNodes]);
+      if (this.cache) await this.cache.prune();
+      await this.plugins.hookSequential('buildEnd', null);
+      return { graph, outputs };
+    } catch (error) {
+      await this.plugins.hookSequential('buildEnd', error);
+      throw error;
+    }
+  }
+
+  // Bundle a set of entry points from an already populated graph. Plugins see the
+  // logical file name; the final name is hashed from the code they leave.
+  async generateOutputs(graph, entryIds) {
+    const outputs = [];
+    for (const entryId of entryIds) {
+      const name = this.getOutputName(entryId);
+      const plan = this.planChunks(graph, entryId);
+      const { code, map } = this.renderBundle(graph, entryId, name, plan);
+      const chunks = plan.chunks.map(chunk => ({
+        fileName: chunk.fileName,
+        ...this.renderChunk(graph, chunk, plan),
+        modules: chunk.modules,
+        roots: chunk.roots
+      }));
+      const output = await this.plugins.generateBundle({
+        entry: entryId,
+        name,
+        fileName: name,
+        code,
+        map,
+        modules: plan.modules,
+        chunks,
+        css: this.renderStylesheet(graph, name, plan),
+        assets: this.collectAssets(graph, plan),
+        treeShaking: plan.treeShaking
+      });
+
+      output.fileName = this.getFileName(name, output.code);
+      if (output.map) output.map.file = output.fileName;
+      outputs.push(output);
+    }
+    return outputs;
+  }
+
+  /**
+   * Map logical bundle names to the files written for them
+   * @param {Array<Object>} outputs - Build outputs
+   * @returns {Object} e.g. { "index.js": { file: "index.3f2a1b4c.js", entry: "src/index.js",
+   *   css: ["index.9a8b7c6d.css"], chunks: ["lazy-1f2e3d4c.js"], assets: ["font-5e6f7a8b.woff2"] } }
+   */
+  createManifest(outputs) {
+    return Object.fromEntries(outputs.map(output => [output.name, {
+      file: output.fileName,
+      entry: output.entry,
+      css: output.css ? [output.css.fileName] : [],
+      chunks: (output.chunks || []).map(chunk => chunk.fileName),
+      assets: (output.assets || []).map(asset => asset.fileName)
+    }]));
+  }
+
+  // Compressed copies of a written file for each precompress encoding, when it is text
+  // large enough to gain from it; copies left by an earlier build are removed otherwise
+  async writeCompressed(outputPath, content) {
+    const worthIt = isCompressibleFile(outputPath) && Buffer.byteLength(content) >= MIN_SIZE;
+    await Promise.all(Object.entries(ENCODINGS).map(async ([encoding, extension]) => {
+      if (worthIt && this.precompress.includes(encoding)) {
+        await fs.writeFile(`${outputPath}${extension}`, await compress(content, encoding, { best: true }));
+      } else {
+        await fs.rm(`${outputPath}${extension}`, { force: true });
+      }
+    }));
+  }
+
+  // Files a manifest refers to, relative to outputDir
+  manifestFiles(manifest) {
+    return new Set(Object.values(manifest).flatMap(entry =>
+      [entry.file, ...(entry.css || []), ...(entry.chunks || []), ...(entry.assets || [])]));
+  }
+
+  // Remove hashed files the previous manifest.json listed and the next one does not,
+  // with their maps and compressed copies, so old builds do not pile up in outputDir
+  async removeStale(manifest) {
+    let previous;
+    try {
+      previous = JSON.parse(await fs.readFile(path.join(this.outputDir, 'manifest.json'), 'utf-8'));
+    } catch (error) {
+      return;
+    }
+    const current = this.manifestFiles(manifest);
+    const stale = [...this.manifestFiles(previous)].filter(fileName => typeof fileName === 'string' && !current.has(fileName));
+    await Promise.all(stale.map(async fileName => {
+      const outputPath = path.resolve(this.outputDir, fileName);
+      // Never follow a hand-edited manifest out of outputDir
+      if (!outputPath.startsWith(this.outputDir + path.sep)) return;
+      const extensions = ['', ...Object.values(ENCODINGS)];
+      await Promise.all([...extensions, ...extensions.map(extension => `.map${extension}`)]
+        .map(extension => fs.rm(`${outputPath}${extension}`, { force: true })));
+    }));
+  }
+
+  // Write build outputs, their chunks and stylesheets into outputDir, each with its
+  // <fileName>.map when it has one, and copy their assets. Entry points sharing a chunk
+  // or an asset produce the same file, which is written once. manifest.json lists every
+  // bundle written so far, so rewriting a few bundles keeps the others; files only the
+  // previous manifest.json listed are removed. With precompress, text files also get
+  // .gz/.br copies.
+  async write(outputs) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    Object.entries(this.createManifest(outputs)).forEach(([name, entry]) => this.manifest.set(name, entry));
+    const manifest = Object.fromEntries([...this.manifest].sort(([a], [b]) => a.localeCompare(b)));
+    await this.removeStale(manifest);
+
+    // Entry bundles first so the returned paths line up with outputs
+    const files = new Map(outputs.map(output => [output.fileName, output]));
+    for (const output of outputs) {
+      (output.chunks || []).forEach(chunk => files.set(chunk.fileName, chunk));
+      if (output.css) files.set(output.css.fileName, { ...output.css, map: null });
+      (output.assets || []).forEach(asset => files.set(asset.fileName, asset));
+    }
+
+    const written = await Promise.all([...files.values()].map(async output => {
+      const outputPath = path.join(this.outputDir, output.fileName);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      if (output.code === undefined) {
+        await fs.copyFile(output.path, outputPath);
+        if (this.precompress.length > 0 && isCompressibleFile(outputPath)) {
+          await this.writeCompressed(outputPath, await fs.readFile(outputPath));
+        }
+      } else if (output.map) {
+        const mapName = `${path.basename(output.fileName)}.map`;
+        const map = output.map.toString();
+        const code = `${output.code.replace(/\n?$/, '\n')}${SourceMap.comment(mapName)}\n`;
+        await fs.writeFile(`${outputPath}.map`, map);
+        await fs.writeFile(outputPath, code);
+        await this.writeCompressed(`${outputPath}.map`, map);
+        await this.writeCompressed(outputPath, code);
+      } else {
+        await fs.writeFile(outputPath, output.code);
+        await this.writeCompressed(outputPath, output.code);
+        // Do not leave a map from an earlier build next to a bundle it no longer describes
+        await fs.rm(`${outputPath}.map`, { force: true });
+      }
+      return outputPath;
+    }));
+
+    await fs.writeFile(path.join(this.outputDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+    return written;
+  }
+}
+
+module.exports = Bundler;
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('./SchemaValidator');
+
+const ConfigError = class extends Error {
+  constructor(message, configPath, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.configPath = configPath;
+    this.errors = errors;
+  }
+};
+
+/**
+ * @usage
+const ConfigLoader = require('./ConfigLoader');
+
+const loader = new ConfigLoader();
+
+// Load and validate ./modubuild.json, falling back to the bundled one
+const { config, configPath } = loader.load();
+
+// Or load a specific file with a profile and CLI overrides applied
+const result = loader.load('./modubuild.json', {
+  mode: 'production',
+  overrides: { commands: { deploy: { destination: 'file:///tmp/site' } } }
+});
+
+// modubuild.json
+{
+  "extends": "./modubuild.base.json",
+  "config": {
+    "outputDir": "dist",
+    "profiles": {
+      "development": { "logging": { "level": "debug" } },
+      "production": { "outputDir": "build" }
+    }
+  }
+}
+
+// Environment overrides: __ separates nested keys, values are parsed as JSON when possible
+MODUBUILD_OUTPUT_DIR=out MODUBUILD_LOGGING__LEVEL=warn modubuild build
+ */
+class ConfigLoader {
+  static DEFAULT_CONFIG_PATH = path.join(__dirname, 'modubuild.json');
+  static DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'schema.json');
+  static ENV_PREFIX = 'MODUBUILD_';
+  static RESERVED_ENV = ['MODUBUILD_MODE'];
+
+  constructor(options = {}) {
+    const {
+      schemaPath = ConfigLoader.DEFAULT_SCHEMA_PATH,
+      validator = new SchemaValidator(),
+    } = options;
+
+    this.schemaPath = schemaPath;
+    this.validator = validator;
+  }
+
+  // A project's own modubuild.json wins over the bundled default
+  static findConfig(rootDir = process.cwd()) {
+    const projectConfig = path.join(rootDir, 'modubuild.json');
+    return fs.existsSync(projectConfig) ? projectConfig : ConfigLoader.DEFAULT_CONFIG_PATH;
+  }
+
+  // Read and parse a JSON file, attributing errors to the file
+  readJSON(filePath) {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+      throw new ConfigError(`Cannot read config file ${filePath}: ${error.message}`, filePath);
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new ConfigError(`Invalid JSON in ${filePath}: ${error.message}`, filePath);
+    }
+  }
+
+  // Recursively merge plain objects; arrays and scalars are replaced
+  merge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+      const current = result[key];
+      if (SchemaValidator.typeCheckers.object(value) && SchemaValidator.typeCheckers.object(current)) {
+        result[key] = this.merge(current, value);
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  // Validate a full modubuild document against schema.json
+  validate(document, configPath) {
+    const schema = this.readJSON(this.schemaPath);
+    const result = this.validator.validateSchema(document, schema);
+
+    if (!result.isValid) {
+      throw new ConfigError(
+        `Configuration ${configPath} failed validation with ${result.errorCount} error(s)`,
+        configPath,
+        result.errors
+      );
+    }
+    return document;
+  }
+
+  /**
+   * Read the file referenced by `commands.<name>.configPath`
+   * @param {Object} config - Validated `config` section
+   * @param {string} name - Command name
+   * @param {string} rootDir - Directory configPath is relative to
+   * @returns {Object} Parsed command config, or {} when the file does not exist
+   */
+  loadCommandConfig(config, name, rootDir = process.cwd()) {
+    const commandConfig = (config.commands && config.commands[name]) || {};
+    if (!commandConfig.configPath) return {};
+
+    const filePath = path.resolve(rootDir, commandConfig.configPath);
+    if (!fs.existsSync(filePath)) return {};
+    return this.readJSON(filePath);
+  }
+
+  // Resolve an `extends` reference relative to the file that declares it
+  resolveExtends(reference, fromPath) {
+    if (/^\.{1,2}[\\/]/.test(reference) || path.isAbsolute(reference)) {
+      return path.resolve(path.dirname(fromPath), reference);
+    }
+    try {
+      return require.resolve(reference, { paths: [path.dirname(fromPath)] });
+    } catch (error) {
+      throw new ConfigError(`Cannot resolve "${reference}" extended by ${fromPath}`, fromPath);
+    }
+  }
+
+  /**
+   * Read a config file and everything it extends, bases first
+   * @param {string} filePath - Absolute path of the config file
+   * @param {Array<string>} [chain] - Files currently being read, for cycle detection
+   * @returns {{document: Object, sources: Array<string>}} Merged document and files read
+   */
+  readLayered(filePath, chain = []) {
+    if (chain.includes(filePath)) {
+      throw new ConfigError(`Circular extends: ${[...chain, filePath].join(' -> ')}`, filePath);
+    }
+
+    const { extends: bases = [], ...document } = this.readJSON(filePath);
+    let merged = {};
+    const sources = [];
+
+    for (const base of [].concat(bases)) {
+      const layer = this.readLayered(this.resolveExtends(base, filePath), [...chain, filePath]);
+      merged = this.merge(merged, layer.document);
+      sources.push(...layer.sources);
+    }
+
+    sources.push(filePath);
+    return { document: this.merge(merged, document), sources };
+  }
+
+  // Convert MODUBUILD_LOGGING__LEVEL=debug into { logging: { level: 'debug' } }
+  readEnvOverrides(env = process.env) {
+    const overrides = {};
+    const toCamelCase = (segment) => segment
+      .toLowerCase()
+      .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+    for (const [key, raw] of Object.entries(env)) {
+      if (!key.startsWith(ConfigLoader.ENV_PREFIX) || ConfigLoader.RESERVED_ENV.includes(key)) continue;
+
+      const keys = key.slice(ConfigLoader.ENV_PREFIX.length).split('__').map(toCamelCase);
+      if (keys.some(segment => segment === '')) continue;
+
+      let value = raw;
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        // Plain strings are used as they are
+      }
+
+      let target = overrides;
+      keys.slice(0, -1).forEach(segment => {
+        target = target[segment] = SchemaValidator.typeCheckers.object(target[segment]) ? target[segment] : {};
+      });
+      target[keys[keys.length - 1]] = value;
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Load, layer and validate a modubuild configuration
+   *
+   * Layers, lowest precedence first: files named by `extends`, the file itself,
+   * `config.profiles[mode]`, each command's configPath file, MODUBUILD_* environment
+   * variables and finally `overrides`.
+   *
+   * @param {string} [configPath] - Path to modubuild.json, see findConfig()
+   * @param {Object} [options]
+   * @param {Object} [options.overrides] - Values merged into `config` last, e.g. from CLI arguments
+   * @param {string} [options.mode] - Profile to apply, defaults to MODUBUILD_MODE
+   * @param {Object} [options.env] - Environment to read MODUBUILD_* overrides from
+   * @param {string} [options.rootDir] - Directory command configPath files are relative to
+   * @returns {{config: Object, configPath: string, mode: string|null, sources: Array<string>}}
+   */
+  load(configPath = ConfigLoader.findConfig(), options = {}) {
+    const {
+      overrides = {},
+      env = process.env,
+      mode = env.MODUBUILD_MODE || null,
+      rootDir = process.cwd(),
+    } = options;
+
+    const resolvedPath = path.resolve(configPath);
+    const { document, sources } = this.readLayered(resolvedPath);
+
+    if (SchemaValidator.typeCheckers.object(document.config)) {
+      const { profiles = {}, ...base } = document.config;
+
+      let config = base;
+      if (mode) {
+        if (!SchemaValidator.typeCheckers.object(profiles[mode])) {
+          const available = Object.keys(profiles);
+          throw new ConfigError(
+            `Unknown mode "${mode}" in ${resolvedPath}. ` +
+            (available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles are defined'),
+            resolvedPath
+          );
+        }
+        config = this.merge(config, profiles[mode]);
+      }
+
+      // configPath itself may come from any later layer, so look it up on the fully overridden config
+      const envOverrides = this.readEnvOverrides(env);
+      const located = this.merge(this.merge(config, envOverrides), overrides);
+      for (const name of Object.keys(located.commands || {})) {
+        const commandFile = this.loadCommandConfig(located, name, rootDir);
+        if (Object.keys(commandFile).length > 0) {
+          config = this.merge(config, { commands: { [name]: commandFile } });
+          sources.push(path.resolve(rootDir, located.commands[name].configPath));
+        }
+      }
+
+      document.config = this.merge(this.merge(config, envOverrides), overrides);
+    }
+
+    this.validate(document, resolvedPath);
+
+    return {
+      config: document.config,
+      configPath: resolvedPath,
+      mode,
+      sources
+    };
+  }
+}
+
+ConfigLoader.ConfigError = ConfigError;
+
+module.exports = ConfigLoader;
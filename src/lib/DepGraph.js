@@ -27,6 +27,8 @@ class DepGraph {
       this.outgoingEdges = new Map();
       // Keep track of the entry points
       this.entryNodes = new Set();
+      // Map of moduleId -> Set of dependency moduleIds only reached through import()
+      this.dynamicEdges = new Map();
     }
   
     /**
@@ -48,6 +50,7 @@ class DepGraph {
   
       this.incomingEdges.set(moduleId, new Set());
       this.outgoingEdges.set(moduleId, new Set());
+      this.dynamicEdges.set(moduleId, new Set());
   
       if (isEntry) {
         this.entryNodes.add(moduleId);
@@ -60,8 +63,12 @@ class DepGraph {
      * Add a dependency relationship between modules
      * @param {string} fromId - ID of the dependent module
      * @param {string} toId - ID of the dependency module
+     * @param {Object} [options] - `{ dynamic }`: the dependency is loaded through import();
+     *   a static dependency on the same module takes precedence
      */
-    addDependency(fromId, toId) {
+    addDependency(fromId, toId, options = {}) {
+      const { dynamic = false } = options;
+
       if (!this.nodes.has(fromId)) {
         throw new Error(`Source module ${fromId} does not exist`);
       }
@@ -69,12 +76,93 @@ class DepGraph {
         throw new Error(`Target module ${toId} does not exist`);
       }
   
+      const dynamicEdges = this.dynamicEdges.get(fromId);
+      if (!dynamic) {
+        dynamicEdges.delete(toId);
+      } else if (!this.outgoingEdges.get(fromId).has(toId)) {
+        dynamicEdges.add(toId);
+      }
+
       this.outgoingEdges.get(fromId).add(toId);
       this.incomingEdges.get(toId).add(fromId);
   
       return this;
     }
   
+    /**
+     * Remove a dependency relationship between modules
+     * @param {string} fromId - ID of the dependent module
+     * @param {string} toId - ID of the dependency module
+     */
+    removeDependency(fromId, toId) {
+      if (!this.nodes.has(fromId)) {
+        throw new Error(`Source module ${fromId} does not exist`);
+      }
+      if (!this.nodes.has(toId)) {
+        throw new Error(`Target module ${toId} does not exist`);
+      }
+  
+      this.outgoingEdges.get(fromId).delete(toId);
+      this.incomingEdges.get(toId).delete(fromId);
+      this.dynamicEdges.get(fromId).delete(toId);
+  
+      return this;
+    }
+
+    /**
+     * Check whether a module only reaches a dependency through import()
+     * @param {string} fromId - ID of the dependent module
+     * @param {string} toId - ID of the dependency module
+     * @returns {boolean} True for a dynamic edge
+     */
+    isDynamicDependency(fromId, toId) {
+      const dynamicEdges = this.dynamicEdges.get(fromId);
+      return Boolean(dynamicEdges) && dynamicEdges.has(toId);
+    }
+  
+    /**
+     * Replace the metadata of an existing module, keeping its edges
+     * @param {string} moduleId - ID of the module
+     * @param {Object} metadata - New module metadata (path, code, etc.)
+     */
+    updateModule(moduleId, metadata) {
+      if (!this.nodes.has(moduleId)) {
+        throw new Error(`Module ${moduleId} does not exist`);
+      }
+  
+      this.nodes.set(moduleId, {
+        ...this.nodes.get(moduleId),
+        ...metadata,
+        id: moduleId,
+        timestamp: Date.now()
+      });
+  
+      return this;
+    }
+  
+    /**
+     * Get all modules that depend on a module (direct and indirect)
+     * @param {string} moduleId - ID of the module
+     * @returns {Set<string>} Set of all dependent moduleIds
+     */
+    getAllDependents(moduleId) {
+      const dependents = new Set();
+      const queue = [moduleId];
+  
+      while (queue.length > 0) {
+        const incoming = this.incomingEdges.get(queue.shift());
+        if (!incoming) continue;
+        for (const dependentId of incoming) {
+          if (!dependents.has(dependentId)) {
+            dependents.add(dependentId);
+            queue.push(dependentId);
+          }
+        }
+      }
+  
+      return dependents;
+    }
+  
     /**
      * Get all dependencies for a module (direct and indirect)
      * @param {string} moduleId - ID of the module
@@ -123,9 +211,11 @@ class DepGraph {
         recursionStack.add(moduleId);
         path.push(moduleId);
   
+        // import() runs after every module it could cycle through has finished
         const dependencies = this.outgoingEdges.get(moduleId);
         if (dependencies) {
           for (const depId of dependencies) {
+            if (this.isDynamicDependency(moduleId, depId)) continue;
             detectCycle(depId, [...path]);
           }
         }
@@ -144,9 +234,12 @@ class DepGraph {
   
     /**
      * Get modules in correct dependency order
+     * @param {Array<string>} [rootIds] - Only order modules reachable from these ids
+     * @param {Object} [options] - `{ dynamic }`: false leaves out modules only reached through import()
      * @returns {Array<string>} Array of moduleIds in dependency order
      */
-    getModuleExecutionOrder() {
+    getModuleExecutionOrder(rootIds = null, options = {}) {
+      const { dynamic = true } = options;
       const visited = new Set();
       const order = [];
   
@@ -157,6 +250,7 @@ class DepGraph {
         const dependencies = this.outgoingEdges.get(moduleId);
         if (dependencies) {
           for (const depId of dependencies) {
+            if (!dynamic && this.isDynamicDependency(moduleId, depId)) continue;
             visit(depId);
           }
         }
@@ -164,6 +258,11 @@ class DepGraph {
         order.push(moduleId);
       };
   
+      if (rootIds) {
+        rootIds.forEach(visit);
+        return order;
+      }
+  
       // Start with entry points
       for (const entryId of this.entryNodes) {
         visit(entryId);
@@ -176,6 +275,49 @@ class DepGraph {
   
       return order;
     }
+
+    /**
+     * Split the modules an entry point reaches into the entry chunk and chunks loaded on demand.
+     * Each import() target not already in the entry chunk gets a chunk of what only it needs;
+     * modules needed by several targets go into a chunk shared by exactly those targets.
+     * @param {string} entryId - ID of the entry point
+     * @returns {{modules: Array<string>, chunks: Array<{roots: Array<string>, modules: Array<string>}>}}
+     *   Entry chunk modules in execution order, and each lazy chunk with the import() targets it serves
+     */
+    getChunks(entryId) {
+      const modules = this.getModuleExecutionOrder([entryId], { dynamic: false });
+      const inEntry = new Set(modules);
+      // Map of moduleId -> Set of import() targets whose chunks need it
+      const owners = new Map();
+      const seenRoots = new Set();
+      const queue = [...modules];
+
+      while (queue.length > 0) {
+        for (const rootId of this.dynamicEdges.get(queue.shift())) {
+          if (inEntry.has(rootId) || seenRoots.has(rootId)) continue;
+          seenRoots.add(rootId);
+
+          for (const moduleId of this.getModuleExecutionOrder([rootId], { dynamic: false })) {
+            if (inEntry.has(moduleId)) continue;
+            if (!owners.has(moduleId)) {
+              owners.set(moduleId, new Set());
+              // Its own import() calls may need further chunks
+              queue.push(moduleId);
+            }
+            owners.get(moduleId).add(rootId);
+          }
+        }
+      }
+
+      const chunks = new Map();
+      for (const [moduleId, roots] of owners) {
+        const key = [...roots].join('\0');
+        if (!chunks.has(key)) chunks.set(key, { roots: [...roots], modules: [] });
+        chunks.get(key).modules.push(moduleId);
+      }
+
+      return { modules, chunks: [...chunks.values()] };
+    }
   
     /**
      * Remove a module and all its dependencies
@@ -202,6 +344,7 @@ class DepGraph {
       this.nodes.delete(moduleId);
       this.incomingEdges.delete(moduleId);
       this.outgoingEdges.delete(moduleId);
+      this.dynamicEdges.delete(moduleId);
       this.entryNodes.delete(moduleId);
   
       return this;
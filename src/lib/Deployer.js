@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { walkFiles } = require('./glob');
+const FileTarget = require('./targets/FileTarget');
+const HttpTarget = require('./targets/HttpTarget');
+
+const STATE_DIR = '.modubuild';
+const STATE_KEY = `${STATE_DIR}/releases.json`;
+
+/**
+ * @usage
+const Deployer = require('./Deployer');
+
+const deployer = new Deployer({
+  sourceDir: 'dist',
+  destination: 'file:///var/www/site', // or https://example.com/deploy
+  keepReleases: 5
+});
+
+// Upload files whose content hash changed since the current release
+const { release, uploaded, removed } = await deployer.deploy();
+
+// Restore the previous release (or a specific one)
+await deployer.rollback();
+await deployer.rollback('20260101T000000000Z');
+
+Destination layout:
+  <file>                          live files, mirroring sourceDir
+  .modubuild/objects/<sha256>     content store used for rollbacks
+  .modubuild/releases.json        release history, newest first
+ */
+class Deployer {
+  constructor(options = {}) {
+    const {
+      sourceDir = 'dist',
+      destination,
+      keepReleases = 5,
+      headers = {},
+      timeout = 30000,
+      dryRun = false,
+      reporter = null,
+    } = options;
+
+    if (!destination) {
+      throw new Error('A deploy destination is required');
+    }
+    if (!Number.isInteger(keepReleases) || keepReleases < 1) {
+      throw new Error(`keepReleases must be a positive integer, got ${keepReleases}`);
+    }
+
+    this.sourceDir = path.resolve(sourceDir);
+    this.target = Deployer.createTarget(destination, { headers, timeout });
+    this.keepReleases = keepReleases;
+    this.dryRun = dryRun;
+    this.reporter = reporter;
+  }
+
+  // Pick a target implementation from the destination URL
+  static createTarget(destination, options = {}) {
+    if (/^https?:\/\//.test(destination)) {
+      return new HttpTarget(destination, options);
+    }
+    if (destination.startsWith('file://')) {
+      return new FileTarget(fileURLToPath(destination));
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(destination)) {
+      throw new Error(`Unsupported deploy destination: ${destination}`);
+    }
+    return new FileTarget(destination);
+  }
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  objectKey(hash) {
+    return `${STATE_DIR}/objects/${hash}`;
+  }
+
+  createReleaseId() {
+    return new Date().toISOString().replace(/[-:.]/g, '');
+  }
+
+  /**
+   * Hash every file in sourceDir
+   * @returns {Promise<Object>} Map of POSIX relative path -> sha256
+   */
+  async createManifest() {
+    try {
+      await fs.access(this.sourceDir);
+    } catch {
+      throw new Error(`Nothing to deploy: ${this.sourceDir} does not exist. Run "modubuild build" first`);
+    }
+
+    const manifest = {};
+    for (const file of await walkFiles(this.sourceDir)) {
+      const key = path.relative(this.sourceDir, file).split(path.sep).join('/');
+      manifest[key] = this.hash(await fs.readFile(file));
+    }
+    return manifest;
+  }
+
+  async readState() {
+    const raw = await this.target.read(STATE_KEY);
+    if (!raw) return { current: null, releases: [] };
+
+    try {
+      return JSON.parse(raw.toString('utf-8'));
+    } catch (error) {
+      throw new Error(`Corrupt release history at ${this.target}/${STATE_KEY}: ${error.message}`);
+    }
+  }
+
+  async writeState(state) {
+    await this.target.write(STATE_KEY, Buffer.from(JSON.stringify(state, null, 2)));
+  }
+
+  getRelease(state, id) {
+    return state.releases.find(release => release.id === id) || null;
+  }
+
+  // Drop releases beyond keepReleases, never the current one, and their orphaned objects
+  async prune(state) {
+    const kept = [];
+    const dropped = [];
+    for (const release of state.releases) {
+      if (kept.length < this.keepReleases || release.id === state.current) {
+        kept.push(release);
+      } else {
+        dropped.push(release);
+      }
+    }
+
+    const referenced = new Set(kept.flatMap(release => Object.values(release.files)));
+    const orphaned = new Set(
+      dropped.flatMap(release => Object.values(release.files)).filter(hash => !referenced.has(hash))
+    );
+
+    for (const hash of orphaned) {
+      await this.target.remove(this.objectKey(hash));
+    }
+
+    state.releases = kept;
+    return dropped.map(release => release.id);
+  }
+
+  // Bring the live files from one file set to another
+  async sync(fromFiles, toFiles, readContent) {
+    const uploaded = [];
+    const removed = [];
+
+    for (const [key, hash] of Object.entries(toFiles)) {
+      if (fromFiles[key] === hash) continue;
+      uploaded.push(key);
+      if (!this.dryRun) {
+        await this.target.write(key, await readContent(key, hash));
+      }
+    }
+
+    for (const key of Object.keys(fromFiles)) {
+      if (key in toFiles) continue;
+      removed.push(key);
+      if (!this.dryRun) {
+        await this.target.remove(key);
+      }
+    }
+
+    return { uploaded, removed };
+  }
+
+  /**
+   * Publish sourceDir as a new release
+   * @returns {Promise<Object>} release id, uploaded and removed keys, pruned release ids
+   */
+  async deploy() {
+    const manifest = await this.createManifest();
+    const state = await this.readState();
+    const previous = this.getRelease(state, state.current);
+    const previousFiles = previous ? previous.files : {};
+
+    const stored = new Set(state.releases.flatMap(release => Object.values(release.files)));
+    const readLocal = (key) => fs.readFile(path.join(this.sourceDir, ...key.split('/')));
+
+    const { uploaded, removed } = await this.sync(previousFiles, manifest, async (key, hash) => {
+      const content = await readLocal(key);
+      if (!stored.has(hash)) {
+        await this.target.write(this.objectKey(hash), content);
+        stored.add(hash);
+      }
+      return content;
+    });
+
+    const release = {
+      id: this.createReleaseId(),
+      createdAt: new Date().toISOString(),
+      files: manifest
+    };
+
+    if (this.dryRun) {
+      return { release: release.id, uploaded, removed, pruned: [], dryRun: true };
+    }
+
+    state.releases.unshift(release);
+    state.current = release.id;
+    const pruned = await this.prune(state);
+    await this.writeState(state);
+
+    this.reporter?.info(`Deployed release ${release.id} to ${this.target}: ${uploaded.length} uploaded, ${removed.length} removed`);
+    return { release: release.id, uploaded, removed, pruned, dryRun: false };
+  }
+
+  /**
+   * Restore the live files of an earlier release
+   * @param {string} [releaseId] - Release to restore, defaults to the one before current
+   * @returns {Promise<Object>} restored release id, uploaded and removed keys
+   */
+  async rollback(releaseId = null) {
+    const state = await this.readState();
+    const current = this.getRelease(state, state.current);
+    if (!current) {
+      throw new Error(`No current release found at ${this.target}`);
+    }
+
+    let release;
+    if (releaseId) {
+      release = this.getRelease(state, releaseId);
+      if (!release) {
+        const known = state.releases.map(r => r.id).join(', ');
+        throw new Error(`Unknown release ${releaseId}. Available releases: ${known}`);
+      }
+    } else {
+      release = state.releases[state.releases.indexOf(current) + 1];
+      if (!release) {
+        throw new Error(`Release ${current.id} has no earlier release to roll back to`);
+      }
+    }
+
+    const { uploaded, removed } = await this.sync(current.files, release.files, async (key, hash) => {
+      const content = await this.target.read(this.objectKey(hash));
+      if (!content) {
+        throw new Error(`Object ${hash} for ${key} is missing from ${this.target}`);
+      }
+      return content;
+    });
+
+    if (!this.dryRun) {
+      state.current = release.id;
+      await this.writeState(state);
+      this.reporter?.info(`Rolled back ${this.target} from ${current.id} to ${release.id}`);
+    }
+
+    return { release: release.id, previous: current.id, uploaded, removed, dryRun: this.dryRun };
+  }
+
+  async listReleases() {
+    const state = await this.readState();
+    return state.releases.map(release => ({
+      id: release.id,
+      createdAt: release.createdAt,
+      files: Object.keys(release.files).length,
+      current: release.id === state.current
+    }));
+  }
+}
+
+module.exports = Deployer;
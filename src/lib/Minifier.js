@@ -0,0 +1,281 @@
+const ModuleScanner = require('./ModuleScanner');
+const SourceMap = require('./SourceMap');
+const Tokenizer = require('./Tokenizer');
+
+const RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+  'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new',
+  'null', 'of', 'package', 'private', 'protected', 'public', 'return', 'static', 'super', 'switch',
+  'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+]);
+const NAME_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ$_';
+const NAME_CONTINUE_CHARS = `${NAME_CHARS}0123456789`;
+
+// Tokens after which a line break may be an automatic semicolon
+const ENDS_STATEMENT = new Set([')', ']', '}', '++', '--']);
+// Tokens that may start a statement after such a line break
+const STARTS_STATEMENT = new Set(['(', '[', '{', '+', '-', '++', '--', '/', '!', '~', '@']);
+
+/**
+ * @usage
+const Minifier = require('./Minifier');
+
+const minifier = new Minifier({ mangle: true });
+const code = minifier.minify(bundle);
+
+// Keep stack traces readable: map the output through the bundle's own map
+const { code: minified, map } = minifier.minifyWithMap(output.code, output.map);
+
+Comments are dropped except license comments (`/*!`, @license, @preserve). Strings,
+template literals and regular expressions are copied verbatim, and a line break is
+kept wherever removing it could change automatic semicolon insertion. With `mangle`,
+bindings local to a function are renamed; top-level names and any function that
+calls eval or uses with keep their names.
+ */
+class Minifier {
+  constructor(options = {}) {
+    const {
+      mangle = false,
+    } = options;
+
+    this.mangle = mangle;
+    this.scanner = new ModuleScanner();
+  }
+
+  isLicenseComment(comment) {
+    return comment.startsWith('/*!') || /@license|@preserve|@copyright/i.test(comment);
+  }
+
+  // Short names in order: a..Z, $, _, then aa, ab, ...
+  *nameSequence() {
+    for (let length = 1; ; length++) {
+      const indices = new Array(length).fill(0);
+      while (true) {
+        yield indices.map((index, position) => (position === 0 ? NAME_CHARS : NAME_CONTINUE_CHARS)[index]).join('');
+
+        let position = length - 1;
+        while (position >= 0) {
+          const chars = position === 0 ? NAME_CHARS : NAME_CONTINUE_CHARS;
+          if (++indices[position] < chars.length) break;
+          indices[position] = 0;
+          position--;
+        }
+        if (position < 0) break;
+      }
+    }
+  }
+
+  /**
+   * Pick new names for bindings local to functions
+   * @param {Array<Object>} tokens - Tokens without comments
+   * @returns {Map<number, string>} Token index -> replacement text
+   */
+  mangleNames(tokens) {
+    const { root, scopes, bindings, references } = this.scanner.analyzeScopes(tokens);
+
+    // A scope reachable by eval or with keeps its names, and so do all its ancestors
+    const frozen = new Set([root]);
+    for (const scope of scopes) {
+      if (!scope.dynamic) continue;
+      for (let current = scope; current; current = current.parent) frozen.add(current);
+    }
+
+    const resolved = references.map(reference => ({
+      ...reference,
+      declaredIn: this.scanner.resolveScope(tokens[reference.index].value, reference.scope)
+    }));
+
+    // Never produce a name that code relies on finding unchanged
+    const reserved = new Set(RESERVED_WORDS);
+    resolved
+      .filter(({ declaredIn }) => declaredIn === null || frozen.has(declaredIn))
+      .forEach(({ index }) => reserved.add(tokens[index].value));
+    bindings
+      .filter(({ scope }) => frozen.has(scope))
+      .forEach(({ index }) => reserved.add(tokens[index].value));
+
+    // Scope -> Map of original name -> new name. Nested scopes continue after their
+    // parent's names so an inner name never shadows an outer one.
+    const renames = new Map();
+    const nextIndex = new Map([[root, 0]]);
+    const names = [];
+    const sequence = this.nameSequence();
+    const nameAt = (index) => {
+      while (names.length <= index) {
+        const { value } = sequence.next();
+        if (!reserved.has(value)) names.push(value);
+      }
+      return names[index];
+    };
+
+    for (const scope of scopes) {
+      let index = nextIndex.get(scope.parent) ?? 0;
+      const scopeRenames = new Map();
+      if (!frozen.has(scope)) {
+        for (const name of scope.declared) {
+          scopeRenames.set(name, nameAt(index++));
+        }
+      }
+      renames.set(scope, scopeRenames);
+      nextIndex.set(scope, index);
+    }
+
+    const replacements = new Map();
+    const rename = (index, scope, shorthand) => {
+      const name = tokens[index].value;
+      const renamed = renames.get(scope)?.get(name);
+      if (renamed && renamed !== name) {
+        replacements.set(index, shorthand ? `${name}: ${renamed}` : renamed);
+      }
+    };
+
+    bindings.forEach(({ index, scope, shorthand }) => rename(index, scope, shorthand));
+    resolved.forEach(({ index, declaredIn, shorthand }) => {
+      if (declaredIn) rename(index, declaredIn, shorthand);
+    });
+    return replacements;
+  }
+
+  isWordChar(char) {
+    return /[\w$\\]/.test(char) || char > '\x7f';
+  }
+
+  // A line break between two tokens that automatic semicolon insertion may depend on
+  needsNewline(previous, token) {
+    const endsValue = ['name', 'number', 'string', 'regex'].includes(previous.type) ||
+      (previous.type === 'template' && !previous.value.endsWith('${')) ||
+      (previous.type === 'punctuator' && ENDS_STATEMENT.has(previous.value));
+    const startsValue = ['name', 'number', 'string', 'regex'].includes(token.type) ||
+      (token.type === 'template' && token.value.startsWith('`')) ||
+      (token.type === 'punctuator' && STARTS_STATEMENT.has(token.value));
+    return endsValue && startsValue;
+  }
+
+  // A space between two tokens that would otherwise merge into different tokens
+  needsSpace(previous, previousText, token, text) {
+    const last = previousText[previousText.length - 1];
+    const first = text[0];
+    if (this.isWordChar(last) && this.isWordChar(first)) return true;
+    if (previous.type === 'regex' && this.isWordChar(first)) return true;
+    if (previous.type === 'number' && first === '.') return true;
+    if ((last === '+' || last === '-') && first === last) return true;
+    if (last === '/' && (first === '/' || first === '*')) return true;
+    // <!-- and --> start HTML-like comments
+    if ((last === '<' && first === '!') || (previousText.endsWith('--') && first === '>')) return true;
+    return false;
+  }
+
+  /**
+   * Minify JavaScript source
+   * @param {string} code - Source to minify
+   * @returns {string} Minified source
+   */
+  minify(code) {
+    return this.render(code, null).code;
+  }
+
+  /**
+   * Minify and map the output back through the input's own source map
+   * @param {string} code - Source to minify
+   * @param {SourceMap|null} inputMap - Map of `code`, e.g. from Bundler; without one the
+   *   output maps to `code` itself under the name `source`
+   * @param {string} [source] - Name of `code` when there is no input map
+   * @returns {{code: string, map: SourceMap}} Minified source and its map
+   */
+  minifyWithMap(code, inputMap = null, source = 'input.js') {
+    const map = new SourceMap({ file: inputMap ? inputMap.file : null });
+    if (inputMap) {
+      inputMap.sources.forEach((name, index) => map.addSource(name, inputMap.sourcesContent[index]));
+    } else {
+      map.addSource(source, code);
+    }
+
+    const lineStarts = [0];
+    const lineBreak = /\r\n|[\n\r\u2028\u2029]/g;
+    for (let match; (match = lineBreak.exec(code));) lineStarts.push(match.index + match[0].length);
+
+    const locate = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] };
+    };
+
+    return this.render(code, (token, generated, renamed) => {
+      const position = locate(token.start);
+      const original = inputMap ? inputMap.originalPositionFor(position) : { source, ...position, name: null };
+      if (!original) return;
+      map.addMapping({
+        generated,
+        source: original.source,
+        original: { line: original.line, column: original.column },
+        name: renamed ? token.value : original.name
+      });
+    }, map);
+  }
+
+  // Print tokens back with as little whitespace as possible, reporting where each one lands
+  render(code, onToken, map = null) {
+    const tokens = Tokenizer.tokenize(code, { comments: true });
+    const codeTokens = tokens.filter(token => token.type !== 'comment');
+    const replacements = this.mangle ? this.mangleNames(codeTokens) : new Map();
+    const positions = new Map(codeTokens.map((token, index) => [token, index]));
+
+    let output = '';
+    let line = 1;
+    let column = 0;
+    const append = (text) => {
+      output += text;
+      const lines = SourceMap.splitLines(text);
+      if (lines.length > 1) {
+        line += lines.length - 1;
+        column = lines[lines.length - 1].length;
+      } else {
+        column += text.length;
+      }
+    };
+
+    let previous = null;
+    let previousText = '';
+    let newline = false;
+
+    for (const token of tokens) {
+      newline = newline || token.newlineBefore;
+
+      if (token.type === 'comment') {
+        if (this.isLicenseComment(token.value)) {
+          if (output && !output.endsWith('\n')) append('\n');
+          // Kept comments get their own line, which also ends a line comment
+          append(`${token.value}\n`);
+          previous = null;
+        }
+        continue;
+      }
+
+      const replacement = replacements.get(positions.get(token));
+      const text = replacement ?? token.value;
+      if (previous) {
+        if (newline && this.needsNewline(previous, token)) {
+          append('\n');
+        } else if (this.needsSpace(previous, previousText, token, text)) {
+          append(' ');
+        }
+      }
+
+      if (onToken) onToken(token, { line, column }, replacement !== undefined);
+      append(text);
+      previous = token;
+      previousText = text;
+      newline = false;
+    }
+
+    return { code: output, map };
+  }
+}
+
+module.exports = Minifier;
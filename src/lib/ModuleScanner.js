@@ -0,0 +1,860 @@
+const Tokenizer = require('./Tokenizer');
+
+// Keywords after which `{` starts an object literal rather than a block
+const EXPRESSION_KEYWORDS = new Set([
+  'return', 'typeof', 'void', 'delete', 'in', 'of', 'new', 'yield', 'await', 'case',
+  'throw', 'instanceof', 'default', 'extends'
+]);
+const BLOCK_PUNCTUATORS = new Set([')', ';', '{', '}', '=>']);
+const BLOCK_KEYWORDS = new Set(['else', 'do', 'try', 'finally']);
+// Names that may precede `(...) {` without it being a function; `await` as in `for await (...)`
+const CONTROL_KEYWORDS = new Set(['if', 'while', 'for', 'switch', 'with', 'await']);
+const DECLARATION_KEYWORDS = new Set(['var', 'let', 'const']);
+
+/**
+ * @usage
+const ModuleScanner = require('./ModuleScanner');
+
+const scanner = new ModuleScanner();
+
+scanner.scan(`import React, { useState as use } from 'react';
+export * from './hooks';
+const lazy = () => import('./lazy');`);
+// => {
+//   isModule: true,
+//   specifiers: ['react', './hooks', './lazy'],
+//   imports: [{ specifier: 'react', default: 'React', namespace: null, named: [{ imported: 'useState', local: 'use' }] }],
+//   exports: [{ type: 'star', specifier: './hooks', exported: null }],
+//   requires: [],
+//   dynamicImports: [{ specifier: './lazy', start: 22, end: 25 }] (token indices)
+// }
+
+// Rewrite ES module syntax to the CommonJS shape the bundle runtime links
+const code = scanner.transform(source);
+
+Imported bindings become property reads on the required module (`count` -> `__m0.count`)
+so they stay live; exports are getters defined before any import runs, so cycles
+see hoisted functions. Default and namespace imports of CommonJS modules go through
+the runtime's interopDefault and interopNamespace helpers.
+ */
+class ModuleScanner {
+  tokenize(code) {
+    return Tokenizer.tokenize(code);
+  }
+
+  isPunctuator(token, value) {
+    return Boolean(token) && token.type === 'punctuator' && token.value === value;
+  }
+
+  isName(token, value) {
+    return Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+  }
+
+  // Value of a string literal, or of a template literal without substitutions
+  stringValue(token) {
+    if (token.type === 'string') {
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+      return token.value.slice(1, -1).replace(
+        /\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r\n|[\s\S])/g,
+        (match, escape) => {
+          if (/^[ux]/.test(escape) && escape.length > 1) {
+            return String.fromCodePoint(parseInt(escape.replace(/[ux{}]/g, ''), 16));
+          }
+          if (/^(\r\n|[\n\r\u2028\u2029])$/.test(escape)) return '';
+          return escapes[escape] ?? escape;
+        }
+      );
+    }
+    if (token.type === 'template' && token.value.startsWith('`') && token.value.endsWith('`') && !token.value.endsWith('${')) {
+      return token.value.slice(1, -1);
+    }
+    return null;
+  }
+
+  // Index of the bracket closing each opening bracket, and vice versa
+  matchBrackets(tokens) {
+    const match = new Array(tokens.length).fill(-1);
+    const stack = [];
+    tokens.forEach((token, index) => {
+      if (token.type !== 'punctuator') return;
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        stack.push(index);
+      } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+        const open = stack.pop();
+        if (open !== undefined) {
+          match[open] = index;
+          match[index] = open;
+        }
+      }
+    });
+    return match;
+  }
+
+  // Whether automatic semicolon insertion ends a statement before this token
+  isStatementBoundary(tokens, index) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    if (!token || !previous || !token.newlineBefore) return false;
+    const previousEndsValue = ['name', 'number', 'string', 'regex'].includes(previous.type) ||
+      (previous.type === 'template' && !previous.value.endsWith('${')) ||
+      (previous.type === 'punctuator' && [')', ']', '}', '++', '--'].includes(previous.value));
+    const startsValue = ['name', 'number', 'string'].includes(token.type) &&
+      !['in', 'of', 'instanceof'].includes(token.value);
+    return previousEndsValue && startsValue;
+  }
+
+  // Whether the function or class keyword at index starts an expression rather than a declaration
+  isExpressionStart(tokens, index) {
+    let previous = tokens[index - 1];
+    if (this.isName(previous, 'async')) previous = tokens[index - 2];
+    if (!previous) return false;
+    // After a complete value the keyword can only start a new statement
+    if (previous.type === 'punctuator') return ![';', '{', '}', ')', ']', '++', '--'].includes(previous.value);
+    if (previous.type === 'template') return previous.value.endsWith('${');
+    return previous.type === 'name' && EXPRESSION_KEYWORDS.has(previous.value) && previous.value !== 'default';
+  }
+
+  // Advance past an expression until a depth-0 token in `stops` or the end of the statement
+  skipExpression(tokens, index, stops) {
+    let depth = 0;
+    const start = index;
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (depth === 0 && index > start && this.isStatementBoundary(tokens, index)) return index;
+      if (token.type === 'punctuator') {
+        if (depth === 0 && stops.includes(token.value)) return index;
+        if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+        else if (token.value === ')' || token.value === ']' || token.value === '}') depth--;
+        if (depth < 0) return index;
+      }
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Parse a binding pattern (identifier, object or array destructuring)
+   * @returns {{bindings: Array<number>, shorthand: Array<number>, braces: Array<number>, end: number}}
+   *   Token indices of bound names, of those written as `{ name }`, of pattern braces,
+   *   and the index after the pattern
+   */
+  parsePattern(tokens, index) {
+    const bindings = [];
+    const shorthand = [];
+    const braces = [];
+    const token = tokens[index];
+
+    if (this.isName(token)) {
+      return { bindings: [index], shorthand, braces, end: index + 1 };
+    }
+
+    if (this.isPunctuator(token, '[') || this.isPunctuator(token, '{')) {
+      const isObject = token.value === '{';
+      const close = isObject ? '}' : ']';
+      if (isObject) braces.push(index);
+      let i = index + 1;
+
+      while (i < tokens.length && !this.isPunctuator(tokens[i], close)) {
+        if (this.isPunctuator(tokens[i], ',')) {
+          i++;
+          continue;
+        }
+        if (this.isPunctuator(tokens[i], '...')) i++;
+
+        let element;
+        if (isObject && !this.isPunctuator(tokens[i - 1], '...')) {
+          // Property key: name, string, number or [computed]
+          let keyEnd = i + 1;
+          if (this.isPunctuator(tokens[i], '[')) {
+            keyEnd = this.skipExpression(tokens, i + 1, [']']) + 1;
+          }
+          if (this.isPunctuator(tokens[keyEnd], ':')) {
+            element = this.parsePattern(tokens, keyEnd + 1);
+          } else {
+            element = { bindings: [i], shorthand: [i], braces: [], end: keyEnd };
+          }
+        } else {
+          element = this.parsePattern(tokens, i);
+        }
+
+        bindings.push(...element.bindings);
+        shorthand.push(...element.shorthand);
+        braces.push(...element.braces);
+        i = element.end;
+        if (this.isPunctuator(tokens[i], '=')) {
+          i = this.skipExpression(tokens, i + 1, [',', close]);
+        }
+      }
+      return { bindings, shorthand, braces, end: i + 1 };
+    }
+
+    return { bindings, shorthand, braces, end: index + 1 };
+  }
+
+  // Parameters between a pair of parentheses
+  parseParameters(tokens, open, close) {
+    const bindings = [];
+    const shorthand = [];
+    const braces = [];
+    let i = open + 1;
+    while (i < close) {
+      if (this.isPunctuator(tokens[i], ',') || this.isPunctuator(tokens[i], '...')) {
+        i++;
+        continue;
+      }
+      const pattern = this.parsePattern(tokens, i);
+      bindings.push(...pattern.bindings);
+      shorthand.push(...pattern.shorthand);
+      braces.push(...pattern.braces);
+      i = pattern.end;
+      if (this.isPunctuator(tokens[i], '=')) {
+        i = this.skipExpression(tokens, i + 1, [',', ')']);
+      }
+    }
+    return { bindings, shorthand, braces };
+  }
+
+  // Include a trailing semicolon in a statement
+  statementEnd(tokens, index) {
+    return this.isPunctuator(tokens[index + 1], ';') ? index + 1 : index;
+  }
+
+  parseImport(tokens, index) {
+    const record = { specifier: null, default: null, namespace: null, named: [], start: index, end: index };
+    let i = index + 1;
+
+    if (tokens[i].type !== 'string') {
+      if (this.isName(tokens[i]) && !this.isName(tokens[i], 'from')) {
+        record.default = tokens[i].value;
+        i++;
+        if (this.isPunctuator(tokens[i], ',')) i++;
+      } else if (this.isName(tokens[i], 'from') && this.isName(tokens[i + 1], 'from')) {
+        record.default = 'from';
+        i++;
+      }
+
+      if (this.isPunctuator(tokens[i], '*')) {
+        record.namespace = tokens[i + 2].value;
+        i += 3;
+      } else if (this.isPunctuator(tokens[i], '{')) {
+        i++;
+        while (!this.isPunctuator(tokens[i], '}')) {
+          const imported = this.stringValue(tokens[i]) ?? tokens[i].value;
+          let local = imported;
+          i++;
+          if (this.isName(tokens[i], 'as')) {
+            local = tokens[i + 1].value;
+            i += 2;
+          }
+          record.named.push({ imported, local });
+          if (this.isPunctuator(tokens[i], ',')) i++;
+        }
+        i++;
+      }
+
+      if (!this.isName(tokens[i], 'from')) {
+        throw new SyntaxError(`Expected "from" in import statement, found "${tokens[i]?.value}"`);
+      }
+      i++;
+    }
+
+    record.specifier = this.stringValue(tokens[i]);
+    // Skip import attributes: with { type: 'json' }
+    if ((this.isName(tokens[i + 1], 'with') || this.isName(tokens[i + 1], 'assert')) && this.isPunctuator(tokens[i + 2], '{')) {
+      i = this.skipExpression(tokens, i + 3, ['}']);
+    }
+    record.end = this.statementEnd(tokens, i);
+    return record;
+  }
+
+  // Names bound by `export var/let/const`, `export function` and `export class`
+  declarationNames(tokens, index) {
+    const token = tokens[index];
+    if (DECLARATION_KEYWORDS.has(token.value)) {
+      const names = [];
+      let i = index + 1;
+      while (i < tokens.length) {
+        const pattern = this.parsePattern(tokens, i);
+        names.push(...pattern.bindings.map(binding => tokens[binding].value));
+        i = this.skipExpression(tokens, pattern.end, [',', ';', ')', '}']);
+        if (!this.isPunctuator(tokens[i], ',')) break;
+        i++;
+      }
+      return names;
+    }
+
+    let i = index;
+    if (this.isName(tokens[i], 'async')) i++;
+    i++;
+    if (this.isPunctuator(tokens[i], '*')) i++;
+    return this.isName(tokens[i]) ? [tokens[i].value] : [];
+  }
+
+  parseExport(tokens, index) {
+    const next = tokens[index + 1];
+    const record = { type: null, start: index, end: index, specifier: null, exported: null, names: [], local: null };
+
+    if (this.isPunctuator(next, '*')) {
+      let i = index + 2;
+      record.type = 'star';
+      if (this.isName(tokens[i], 'as')) {
+        record.exported = this.stringValue(tokens[i + 1]) ?? tokens[i + 1].value;
+        i += 2;
+      }
+      record.specifier = this.stringValue(tokens[i + 1]);
+      record.end = this.statementEnd(tokens, i + 1);
+      return record;
+    }
+
+    if (this.isPunctuator(next, '{')) {
+      let i = index + 2;
+      record.type = 'named';
+      while (!this.isPunctuator(tokens[i], '}')) {
+        const local = this.stringValue(tokens[i]) ?? tokens[i].value;
+        let exported = local;
+        i++;
+        if (this.isName(tokens[i], 'as')) {
+          exported = this.stringValue(tokens[i + 1]) ?? tokens[i + 1].value;
+          i += 2;
+        }
+        record.names.push({ local, exported });
+        if (this.isPunctuator(tokens[i], ',')) i++;
+      }
+      if (this.isName(tokens[i + 1], 'from')) {
+        record.specifier = this.stringValue(tokens[i + 2]);
+        i += 2;
+      }
+      record.end = this.statementEnd(tokens, i);
+      return record;
+    }
+
+    if (this.isName(next, 'default')) {
+      const declaration = tokens[index + 2];
+      const isAsyncFunction = this.isName(declaration, 'async') && this.isName(tokens[index + 3], 'function') &&
+        !tokens[index + 3].newlineBefore;
+      if (this.isName(declaration, 'function') || this.isName(declaration, 'class') || isAsyncFunction) {
+        const [name] = this.declarationNames(tokens, index + 2);
+        record.type = 'defaultDeclaration';
+        record.local = name || null;
+        // Where an anonymous declaration gets its name inserted
+        let keyword = index + (isAsyncFunction ? 3 : 2);
+        if (this.isPunctuator(tokens[keyword + 1], '*')) keyword++;
+        record.nameAfter = keyword;
+      } else {
+        record.type = 'defaultExpression';
+      }
+      record.end = index + 1;
+      return record;
+    }
+
+    record.type = 'declaration';
+    record.names = this.declarationNames(tokens, index + 1).map(name => ({ local: name, exported: name }));
+    return record;
+  }
+
+  /**
+   * Find module syntax and dependency specifiers
+   * @param {string} code - JavaScript source
+   * @returns {Object} isModule, specifiers (unique, in source order), imports, exports,
+   *   requires and dynamicImports
+   */
+  scan(code, tokens = this.tokenize(code)) {
+    const result = { isModule: false, specifiers: [], imports: [], exports: [], requires: [], dynamicImports: [] };
+    const match = this.matchBrackets(tokens);
+    let depth = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+      const next = tokens[i + 1];
+
+      if (token.type === 'punctuator') {
+        if (token.value === '{' || token.value === '(' || token.value === '[') depth++;
+        else if (token.value === '}' || token.value === ')' || token.value === ']') depth--;
+        continue;
+      }
+      if (token.type !== 'name' || this.isPunctuator(previous, '.') || this.isPunctuator(previous, '?.')) continue;
+
+      if (token.value === 'import' && this.isPunctuator(next, '(')) {
+        const specifier = match[i + 1] === i + 3 ? this.stringValue(tokens[i + 2]) : null;
+        result.dynamicImports.push({ specifier, start: i, end: match[i + 1] });
+      } else if (token.value === 'require' && this.isPunctuator(next, '.') &&
+        this.isName(tokens[i + 2], 'dynamicImport') && this.isPunctuator(tokens[i + 3], '(')) {
+        // import() as rewritten by transform, so transformed code scans the same
+        const specifier = match[i + 3] === i + 5 ? this.stringValue(tokens[i + 4]) : null;
+        result.dynamicImports.push({ specifier, start: i, end: match[i + 3] });
+        i += 3;
+      } else if (token.value === 'require' && this.isPunctuator(next, '(') && match[i + 1] === i + 3) {
+        const specifier = this.stringValue(tokens[i + 2]);
+        if (specifier !== null) result.requires.push(specifier);
+      } else if (depth === 0 && token.value === 'import' && !this.isPunctuator(next, '.')) {
+        const record = this.parseImport(tokens, i);
+        result.imports.push(record);
+        i = record.end;
+      } else if (depth === 0 && token.value === 'export') {
+        const record = this.parseExport(tokens, i);
+        result.exports.push(record);
+        if (record.type === 'star' || record.type === 'named') i = record.end;
+      }
+    }
+
+    result.isModule = result.imports.length > 0 || result.exports.length > 0;
+    const specifiers = [
+      ...result.imports.map(record => record.specifier),
+      ...result.exports.map(record => record.specifier),
+      ...result.requires,
+      ...result.dynamicImports.map(record => record.specifier)
+    ];
+    result.specifiers = [...new Set(specifiers.filter(specifier => typeof specifier === 'string'))];
+    return result;
+  }
+
+  /**
+   * Walk the token stream tracking scopes and classify every identifier
+   * @param {Array<Object>} tokens - Tokens without comments
+   * @param {Set<number>} [skipped] - Token indices to ignore, e.g. removed statements
+   * @returns {{root: Object, scopes: Array<Object>, bindings: Array<Object>, references: Array<Object>}}
+   *   Scopes are `{ declared, parent, isFunction, dynamic }`; bindings and references are
+   *   `{ index, scope, shorthand }` where shorthand marks `{ name }` properties and patterns.
+   *   Property names, object keys, class members and labels are neither.
+   */
+  analyzeScopes(tokens, skipped = new Set()) {
+    const match = this.matchBrackets(tokens);
+    const createScope = (parent, isFunction) => {
+      const scope = { declared: new Set(), parent, isFunction, dynamic: false };
+      scopes.push(scope);
+      return scope;
+    };
+    const scopes = [];
+    const root = createScope(null, true);
+    const stack = [{ type: 'block', scope: root }];
+    const bindings = [];
+    const references = [];
+    const bindingTokens = new Set();
+    const shorthandTokens = new Set();
+    const patternBraces = new Set();
+    // Brace index -> scope holding the name of a class expression, or null
+    const classBodies = new Map();
+    // Paren index -> scope already created for the parameters of a named function expression
+    const parameterScopes = new Map();
+    // Brace index -> scope of the function whose body it opens (parameters already declared)
+    const functionBodies = new Map();
+    // `=>` index -> scope of an arrow function with an expression body
+    const arrowBodies = new Map();
+    let declaration = null;
+
+    const currentScope = () => {
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].scope) return stack[i].scope;
+      }
+      return root;
+    };
+    const functionScope = () => {
+      let scope = currentScope();
+      while (!scope.isFunction) scope = scope.parent;
+      return scope;
+    };
+    const container = () => stack[stack.length - 1].type;
+    const popArrows = () => {
+      while (stack[stack.length - 1].type === 'arrow') stack.pop();
+    };
+    const declare = (indices, scope) => {
+      indices.forEach((index) => {
+        if (bindingTokens.has(index)) return;
+        bindingTokens.add(index);
+        scope.declared.add(tokens[index].value);
+        bindings.push({ index, scope, shorthand: shorthandTokens.has(index) });
+      });
+    };
+    const declarePattern = (index, scope) => {
+      const pattern = this.parsePattern(tokens, index);
+      pattern.shorthand.forEach(shorthand => shorthandTokens.add(shorthand));
+      pattern.braces.forEach(brace => patternBraces.add(brace));
+      declare(pattern.bindings, scope);
+    };
+    // Parameters are declared in a new scope, which the body then reuses
+    const declareParameters = (open, close, isFunction = true) => {
+      const scope = createScope(currentScope(), isFunction);
+      const params = this.parseParameters(tokens, open, close);
+      params.shorthand.forEach(shorthand => shorthandTokens.add(shorthand));
+      params.braces.forEach(brace => patternBraces.add(brace));
+      declare(params.bindings, scope);
+      return scope;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (skipped.has(i)) continue;
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+      const next = tokens[i + 1];
+      // An arrow body without braces also ends where automatic semicolon insertion ends the statement
+      if (this.isStatementBoundary(tokens, i)) popArrows();
+      if (declaration && stack.length === declaration.depth && this.isStatementBoundary(tokens, i)) {
+        declaration = null;
+      }
+
+      if (token.type === 'punctuator') {
+        switch (token.value) {
+          case '(': {
+            const close = match[i];
+            const isArrow = this.isPunctuator(tokens[close + 1], '=>');
+            const isFunction = this.isPunctuator(tokens[close + 1], '{') && previous &&
+              !(previous.type === 'name' && CONTROL_KEYWORDS.has(previous.value)) &&
+              (previous.type === 'name' || this.isPunctuator(previous, ']'));
+            let scope = null;
+            if (isArrow || isFunction) {
+              scope = parameterScopes.get(i) || declareParameters(i, close);
+              if (isFunction) functionBodies.set(close + 1, scope);
+              else if (this.isPunctuator(tokens[close + 2], '{')) functionBodies.set(close + 2, scope);
+              else arrowBodies.set(close + 1, scope);
+            }
+            stack.push({ type: 'paren', scope });
+            break;
+          }
+          case '[':
+            stack.push({ type: 'bracket' });
+            break;
+          case '{': {
+            let type = 'block';
+            const prev = previous;
+            if (functionBodies.has(i)) {
+              type = 'function';
+            } else if (classBodies.has(i)) {
+              type = 'class';
+            } else if (patternBraces.has(i)) {
+              type = 'object';
+            } else if (!prev) {
+              type = 'block';
+            } else if (prev.type === 'punctuator') {
+              if (prev.value === ':') {
+                type = ['object', 'paren', 'bracket'].includes(container()) ? 'object' : 'block';
+              } else {
+                type = BLOCK_PUNCTUATORS.has(prev.value) ? 'block' : 'object';
+              }
+            } else if (prev.type === 'template') {
+              type = 'object';
+            } else if (prev.type === 'name') {
+              type = EXPRESSION_KEYWORDS.has(prev.value) ? 'object' : 'block';
+              if (BLOCK_KEYWORDS.has(prev.value)) type = 'block';
+            }
+
+            if (type === 'function') {
+              stack.push({ type: 'block', scope: functionBodies.get(i) });
+            } else if (type === 'block') {
+              stack.push({ type: 'block', scope: createScope(currentScope(), false) });
+            } else if (type === 'class') {
+              stack.push({ type, scope: classBodies.get(i) });
+            } else {
+              stack.push({ type });
+            }
+            break;
+          }
+          case ')':
+          case ']':
+          case '}':
+            popArrows();
+            if (stack.length > 1) stack.pop();
+            if (declaration && stack.length < declaration.depth) declaration = null;
+            break;
+          case '=>':
+            if (arrowBodies.has(i)) {
+              stack.push({ type: 'arrow', scope: arrowBodies.get(i) });
+            }
+            break;
+          case ',':
+            popArrows();
+            if (declaration && stack.length === declaration.depth) {
+              declarePattern(i + 1, declaration.scope);
+            }
+            break;
+          case ';':
+            popArrows();
+            if (declaration && stack.length === declaration.depth) declaration = null;
+            break;
+        }
+        continue;
+      }
+
+      if (token.type !== 'name' || bindingTokens.has(i)) continue;
+      if (this.isPunctuator(previous, '.') || this.isPunctuator(previous, '?.') || token.value.startsWith('#')) continue;
+
+      // Declarations
+      if (DECLARATION_KEYWORDS.has(token.value) &&
+          (this.isName(next) || this.isPunctuator(next, '[') || this.isPunctuator(next, '{'))) {
+        const scope = token.value === 'var' ? functionScope() : currentScope();
+        declaration = { depth: stack.length, scope };
+        declarePattern(i + 1, scope);
+        continue;
+      }
+      if (token.value === 'function') {
+        const nameIndex = this.isPunctuator(next, '*') ? i + 2 : i + 1;
+        if (this.isName(tokens[nameIndex])) {
+          if (this.isExpressionStart(tokens, i)) {
+            // The name of a function expression is only visible inside the function
+            const open = nameIndex + 1;
+            const scope = declareParameters(open, match[open]);
+            declare([nameIndex], scope);
+            parameterScopes.set(open, scope);
+          } else {
+            declare([nameIndex], currentScope());
+          }
+        }
+        continue;
+      }
+      if (token.value === 'class') {
+        let scope = null;
+        if (this.isName(next) && next.value !== 'extends') {
+          // Likewise the name of a class expression is only visible inside the class
+          if (this.isExpressionStart(tokens, i)) {
+            scope = createScope(currentScope(), false);
+            declare([i + 1], scope);
+          } else {
+            declare([i + 1], currentScope());
+          }
+        }
+        let j = i + 1;
+        while (j < tokens.length && !this.isPunctuator(tokens[j], '{')) {
+          j = this.isPunctuator(tokens[j], '(') || this.isPunctuator(tokens[j], '[') ? match[j] + 1 : j + 1;
+        }
+        classBodies.set(j, scope);
+        continue;
+      }
+      if (token.value === 'catch' && this.isPunctuator(next, '(')) {
+        const close = match[i + 1];
+        functionBodies.set(close + 1, declareParameters(i + 1, close, false));
+        stack.push({ type: 'paren', scope: functionBodies.get(close + 1) });
+        i++;
+        continue;
+      }
+      if (this.isPunctuator(next, '=>')) {
+        // Single parameter arrow: x => ...
+        const scope = createScope(currentScope(), true);
+        declare([i], scope);
+        if (this.isPunctuator(tokens[i + 2], '{')) functionBodies.set(i + 2, scope);
+        else arrowBodies.set(i + 1, scope);
+        continue;
+      }
+      if ((token.value === 'eval' && this.isPunctuator(next, '(')) || (token.value === 'with' && this.isPunctuator(next, '('))) {
+        // Direct eval and with can reach any binding by name
+        currentScope().dynamic = true;
+      }
+      if ((this.isName(previous, 'break') || this.isName(previous, 'continue')) && !token.newlineBefore) {
+        // Label
+        continue;
+      }
+
+      const type = container();
+      const afterSeparator = !previous || this.isPunctuator(previous, '{') || this.isPunctuator(previous, ',');
+      const modifier = ['get', 'set', 'async', 'static'].includes(previous?.value) && !token.newlineBefore;
+      if (type === 'object' && (afterSeparator || modifier)) {
+        // Keys, method names and get/set/async modifiers are not references; shorthand properties are
+        if (this.isPunctuator(next, ':') || this.isPunctuator(next, '(')) continue;
+        if (this.isName(next) || this.isPunctuator(next, '[') || this.isPunctuator(next, '*')) continue;
+        if (afterSeparator && (this.isPunctuator(next, ',') || this.isPunctuator(next, '}'))) {
+          references.push({ index: i, scope: currentScope(), shorthand: true });
+          continue;
+        }
+      }
+      // Member names start a class element; names inside field initializers are references
+      const memberStart = !previous || modifier || this.isStatementBoundary(tokens, i) ||
+        ['{', ';', '}', '*'].some(value => this.isPunctuator(previous, value));
+      if (type === 'class' && memberStart && (this.isPunctuator(next, '(') || this.isPunctuator(next, '=') ||
+          this.isPunctuator(next, ';') || this.isPunctuator(next, '}') || this.isName(next) ||
+          this.isPunctuator(next, '[') || this.isPunctuator(next, '*') || this.isPunctuator(next, '{'))) {
+        continue;
+      }
+      if (type === 'block' && this.isPunctuator(next, ':') &&
+          (!previous || this.isPunctuator(previous, ';') || this.isPunctuator(previous, '{') || this.isPunctuator(previous, '}'))) {
+        // Label
+        continue;
+      }
+
+      references.push({ index: i, scope: currentScope(), shorthand: false });
+    }
+
+    return { root, scopes, bindings, references };
+  }
+
+  // Scope declaring a name as seen from a scope, or null for globals
+  resolveScope(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.declared.has(name)) return current;
+    }
+    return null;
+  }
+
+  /**
+   * References to imported bindings that are not shadowed by a local declaration
+   * @param {Array<Object>} tokens - Tokens of the module
+   * @param {Set<string>} names - Imported local names
+   * @param {Set<number>} skipped - Token indices that belong to removed statements
+   * @returns {Array<{index: number, shorthand: boolean}>} References to rewrite
+   */
+  findReferences(tokens, names, skipped) {
+    const { root, references } = this.analyzeScopes(tokens, skipped);
+    return references.filter(({ index, scope }) => {
+      const name = tokens[index].value;
+      if (!names.has(name)) return false;
+      const declaredIn = this.resolveScope(name, scope);
+      return declaredIn === null || declaredIn === root;
+    });
+  }
+
+  // Keep the line count of removed code so later lines do not move
+  blank(code, start, end) {
+    return code.slice(start, end).replace(/[^\n]/g, '');
+  }
+
+  /**
+   * Rewrite ES module syntax into CommonJS linked by the bundle runtime
+   * @param {string} code - Module source
+   * @returns {string} Code using require(), exports getters and interop helpers; CommonJS
+   *   input is returned with only dynamic import() calls rewritten
+   */
+  transform(code) {
+    const tokens = this.tokenize(code);
+    const scan = this.scan(code, tokens);
+    const edits = [];
+
+    // A hashbang line is only valid at the very start of a file, not inside the module wrapper
+    if (code.startsWith('#!')) {
+      edits.push({ start: 0, end: 2, text: '//' });
+    }
+
+    for (const { start } of scan.dynamicImports) {
+      // import(x) -> require.dynamicImport(x), which loads the chunk holding x first
+      if (this.isName(tokens[start], 'import')) {
+        edits.push({ start: tokens[start].start, end: tokens[start].end, text: 'require.dynamicImport' });
+      }
+    }
+
+    if (!scan.isModule) {
+      return this.applyEdits(code, edits);
+    }
+
+    const modules = new Map();
+    const header = [];
+    const moduleVariable = (specifier) => {
+      if (!modules.has(specifier)) {
+        const variable = `__m${modules.size}`;
+        modules.set(specifier, { variable, interop: null });
+        header.push(`var ${variable} = require(${JSON.stringify(specifier)});`);
+      }
+      return modules.get(specifier);
+    };
+    const defaultOf = (module) => {
+      if (!module.interop) {
+        module.interop = `${module.variable}d`;
+        header.push(`var ${module.interop} = require.interopDefault(${module.variable});`);
+      }
+      return `${module.interop}.default`;
+    };
+    const member = (object, name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? `${object}.${name}` : `${object}[${JSON.stringify(name)}]`);
+
+    // Local name -> expression reading the live binding
+    const bindings = new Map();
+    const skipped = new Set();
+    const markSkipped = (start, end) => {
+      for (let i = start; i <= end; i++) skipped.add(i);
+    };
+
+    for (const record of scan.imports) {
+      const module = moduleVariable(record.specifier);
+      if (record.default) bindings.set(record.default, defaultOf(module));
+      if (record.namespace) {
+        header.push(`var ${record.namespace} = require.interopNamespace(${module.variable});`);
+      }
+      for (const { imported, local } of record.named) {
+        bindings.set(local, imported === 'default' ? defaultOf(module) : member(module.variable, imported));
+      }
+      markSkipped(record.start, record.end);
+      edits.push({ start: tokens[record.start].start, end: tokens[record.end].end, text: this.blank(code, tokens[record.start].start, tokens[record.end].end) });
+    }
+
+    // Exported name -> expression
+    const getters = new Map();
+    const stars = [];
+    for (const record of scan.exports) {
+      const first = tokens[record.start];
+      switch (record.type) {
+        case 'star': {
+          const module = moduleVariable(record.specifier);
+          if (record.exported) {
+            header.push(`var ${module.variable}n = require.interopNamespace(${module.variable});`);
+            getters.set(record.exported, `${module.variable}n`);
+          } else {
+            stars.push(`require.exportStar(exports, ${module.variable});`);
+          }
+          markSkipped(record.start, record.end);
+          edits.push({ start: first.start, end: tokens[record.end].end, text: this.blank(code, first.start, tokens[record.end].end) });
+          break;
+        }
+        case 'named': {
+          const module = record.specifier === null ? null : moduleVariable(record.specifier);
+          for (const { local, exported } of record.names) {
+            if (module) {
+              getters.set(exported, local === 'default' ? defaultOf(module) : member(module.variable, local));
+            } else {
+              getters.set(exported, local);
+            }
+          }
+          markSkipped(record.start, record.end);
+          edits.push({ start: first.start, end: tokens[record.end].end, text: this.blank(code, first.start, tokens[record.end].end) });
+          break;
+        }
+        case 'declaration':
+          record.names.forEach(({ local, exported }) => getters.set(exported, local));
+          skipped.add(record.start);
+          edits.push({ start: first.start, end: tokens[record.start + 1].start, text: '' });
+          break;
+        case 'defaultDeclaration': {
+          const name = record.local || '__default';
+          getters.set('default', name);
+          markSkipped(record.start, record.end);
+          edits.push({ start: first.start, end: tokens[record.start + 2].start, text: '' });
+          if (!record.local) {
+            edits.push({ start: tokens[record.nameAfter].end, end: tokens[record.nameAfter].end, text: ` ${name}` });
+          }
+          break;
+        }
+        case 'defaultExpression':
+          getters.set('default', '__default');
+          markSkipped(record.start, record.end);
+          edits.push({ start: first.start, end: tokens[record.end].end, text: 'var __default =' });
+          break;
+      }
+    }
+
+    for (const { index, shorthand } of this.findReferences(tokens, new Set(bindings.keys()), skipped)) {
+      const token = tokens[index];
+      const expression = bindings.get(token.value);
+      edits.push({ start: token.start, end: token.end, text: shorthand ? `${token.value}: ${expression}` : expression });
+    }
+
+    // Re-exported imports read through their live binding too
+    const exportList = [...getters].map(([exported, local]) =>
+      `${JSON.stringify(exported)}: function () { return ${bindings.get(local) || local}; }`
+    );
+    const prologue = [
+      '\'use strict\';',
+      `require.defineExports(exports, { ${exportList.join(', ')} });`,
+      ...header,
+      ...stars
+    ].join(' ');
+
+    edits.push({ start: 0, end: 0, text: `${prologue} ` });
+    return this.applyEdits(code, edits);
+  }
+
+  applyEdits(code, edits) {
+    let output = code;
+    [...edits]
+      .sort((a, b) => b.start - a.start || b.end - a.end)
+      .forEach(({ start, end, text }) => {
+        output = output.slice(0, start) + text + output.slice(end);
+      });
+    return output;
+  }
+}
+
+module.exports = ModuleScanner;
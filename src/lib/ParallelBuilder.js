@@ -0,0 +1,205 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const DepGraph = require('./DepGraph');
+const SourceMap = require('./SourceMap');
+
+const WORKER_PATH = path.join(__dirname, 'workers', 'bundle.js');
+
+/**
+ * @usage
+const Bundler = require('./Bundler');
+const ParallelBuilder = require('./ParallelBuilder');
+
+const bundler = new Bundler({ rootDir: process.cwd(), outputDir: 'dist', plugins });
+const builder = new ParallelBuilder(bundler, { config, concurrency: 4 });
+
+// Same result shape as bundler.build(), outputs in entry point order
+const { graph, outputs, cache } = await builder.build(config.entryPoints);
+await bundler.write(outputs);
+console.log(`${cache.loaded} module(s) loaded, ${cache.reused} load(s) served from the shared cache`);
+
+Each worker bundles one entry point at a time with its own copy of the plugins
+listed in `config.plugins`. Modules are loaded (load + transform hooks) by exactly
+one worker and shared with the others; buildStart and buildEnd run once, on the
+bundler passed in.
+ */
+class ParallelBuilder {
+  static DEFAULT_CONCURRENCY = Math.max(1, os.cpus().length - 1);
+
+  constructor(bundler, options = {}) {
+    const {
+      config = {},
+      concurrency = ParallelBuilder.DEFAULT_CONCURRENCY,
+    } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+    }
+
+    this.bundler = bundler;
+    this.config = config;
+    this.concurrency = concurrency;
+    // Map of module path -> { result, error, waiters }, result being what Bundler.loadModule returns
+    this.cache = new Map();
+    this.stats = { loaded: 0, reused: 0 };
+  }
+
+  /**
+   * Answer a worker asking for a module: cached result, ownership, or wait for the owner
+   * @param {string} modulePath - Absolute path or virtual id
+   * @param {Function} reply - Sends the answer back to the worker
+   */
+  acquire(modulePath, reply) {
+    const entry = this.cache.get(modulePath);
+    if (!entry) {
+      this.cache.set(modulePath, { result: null, error: null, waiters: [] });
+      this.stats.loaded++;
+      reply({ status: 'owner' });
+      return;
+    }
+
+    this.stats.reused++;
+    if (entry.waiters) {
+      entry.waiters.push(reply);
+    } else {
+      reply(entry.error ? { status: 'failed', error: entry.error } : { status: 'cached', result: entry.result });
+    }
+  }
+
+  release(modulePath, { result = null, error = null }) {
+    const entry = this.cache.get(modulePath);
+    const waiters = entry.waiters;
+    Object.assign(entry, { result, error, waiters: null });
+    for (const reply of waiters) {
+      reply(error ? { status: 'failed', error } : { status: 'cached', result });
+    }
+  }
+
+  // Rebuild a single DepGraph from the modules each worker reported
+  mergeGraph(results, entryIds) {
+    const graph = new DepGraph();
+
+    for (const { modules } of results) {
+      for (const { id, ...metadata } of modules) {
+        if (!graph.nodes.has(id)) graph.addModule(id, metadata);
+      }
+    }
+
+    for (const module of graph.nodes.values()) {
+      for (const [specifier, dependencyId] of Object.entries(module.dependencies)) {
+        graph.addDependency(module.id, dependencyId, { dynamic: module.dynamicImports.includes(specifier) });
+      }
+    }
+
+    entryIds.forEach(entryId => graph.entryNodes.add(entryId));
+    return graph;
+  }
+
+  // Hand entry points to workers as they become idle
+  runWorkers(entryPoints) {
+    const results = new Array(entryPoints.length);
+    const workerCount = Math.min(this.concurrency, entryPoints.length);
+    const workers = [];
+    let next = 0;
+    let completed = 0;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        Promise.all(workers.map(worker => worker.terminate()))
+          .then(() => (error ? reject(error) : resolve(results)), reject);
+      };
+
+      const dispatch = (worker) => {
+        if (next < entryPoints.length) {
+          const index = next++;
+          worker.postMessage({ type: 'task', index, entryPoint: entryPoints[index] });
+        }
+      };
+
+      for (let i = 0; i < workerCount; i++) {
+        const worker = new Worker(WORKER_PATH, {
+          workerData: { bundlerOptions: this.bundler.toOptions(), config: { plugins: this.config.plugins || [] } }
+        });
+        workers.push(worker);
+
+        worker.on('message', (message) => {
+          switch (message.type) {
+            case 'acquire':
+              this.acquire(message.path, reply => worker.postMessage({ type: 'reply', id: message.id, ...reply }));
+              break;
+            case 'release':
+              this.release(message.path, message);
+              break;
+            case 'log':
+              this.bundler.reporter?.[message.level](message.message);
+              break;
+            case 'done':
+              results[message.index] = message;
+              if (++completed === entryPoints.length) {
+                finish(null);
+              } else {
+                dispatch(worker);
+              }
+              break;
+            case 'failed':
+              finish(Object.assign(new Error(message.error.message), message.error));
+              break;
+          }
+        });
+
+        worker.on('error', finish);
+        worker.on('exit', (code) => {
+          if (code !== 0) finish(new Error(`Build worker exited with code ${code}`));
+        });
+
+        dispatch(worker);
+      }
+    });
+  }
+
+  /**
+   * Bundle every entry point across worker threads
+   * @param {Array<string>} entryPoints - Entry paths relative to rootDir
+   * @returns {Promise<{graph: DepGraph, outputs: Array<Object>, cache: Object}>} Merged graph,
+   *   outputs in entry point order and shared cache statistics
+   */
+  async build(entryPoints) {
+    const { bundler } = this;
+    const unique = [...new Map(
+      entryPoints.map(entryPoint => [path.resolve(bundler.rootDir, entryPoint), entryPoint])
+    ).values()];
+
+    this.cache.clear();
+    this.stats = { loaded: 0, reused: 0 };
+    await bundler.plugins.hookSequential('buildStart', { entryPoints, rootDir: bundler.rootDir });
+
+    try {
+      const results = await this.runWorkers(unique);
+      const revive = file => ({ ...file, map: file.map && SourceMap.fromJSON(file.map) });
+      const outputs = results.map(({ output }) => ({ ...revive(output), chunks: output.chunks.map(revive) }));
+      const names = new Map();
+
+      for (const { entry, name } of outputs) {
+        if (names.has(name)) {
+          throw new Error(`Entry points ${names.get(name)} and ${entry} both write ${name}`);
+        }
+        names.set(name, entry);
+      }
+
+      const graph = this.mergeGraph(results, outputs.map(output => output.entry));
+      if (bundler.cache) await bundler.cache.prune();
+      await bundler.plugins.hookSequential('buildEnd', null);
+      return { graph, outputs, cache: { ...this.stats } };
+    } catch (error) {
+      await bundler.plugins.hookSequential('buildEnd', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ParallelBuilder;
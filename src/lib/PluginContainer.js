@@ -0,0 +1,170 @@
+const path = require('path');
+
+const PluginError = class extends Error {
+  constructor(plugin, hook, cause) {
+    const message = cause instanceof Error ? cause.message : String(cause);
+    super(`[${plugin}] ${hook}: ${message}`);
+    this.name = 'PluginError';
+    this.plugin = plugin;
+    this.hook = hook;
+    this.cause = cause;
+  }
+};
+
+const HOOKS = ['buildStart', 'resolveId', 'load', 'transform', 'generateBundle', 'buildEnd'];
+const ENFORCE_ORDER = { pre: 0, normal: 1, post: 2 };
+
+/**
+ * @usage
+const PluginContainer = require('./PluginContainer');
+
+// modubuild.json
+// "plugins": ["./plugins/banner.js", { "path": "modubuild-plugin-env", "options": { "prefix": "APP_" } }]
+const plugins = PluginContainer.fromConfig(config, { rootDir: process.cwd(), reporter });
+
+// A plugin module exports a factory (or a plain object) returning hooks:
+module.exports = (options = {}) => ({
+  name: 'banner',
+  enforce: 'post', // 'pre' | 'post', defaults to config order
+  async buildStart({ entryPoints }) {},
+  async resolveId(specifier, importer) {}, // absolute path, virtual id, false (external) or null
+  async load(id) {}, // module source or null
+  async transform(code, id) {}, // new code, { code } or null
+  async generateBundle(output) {}, // mutate output.code (and output.map, a SourceMap or null) or return new code
+  async buildEnd(error) {}
+});
+
+Inside hooks `this.warn(message)` reports through Reporter attributed to the plugin.
+ */
+class PluginContainer {
+  constructor(plugins = [], options = {}) {
+    const {
+      reporter = null,
+    } = options;
+
+    this.reporter = reporter;
+    this.plugins = plugins
+      .map((plugin, index) => {
+        if (!plugin || typeof plugin !== 'object') {
+          throw new Error(`Plugin at position ${index} must be an object with hooks`);
+        }
+        const enforce = plugin.enforce || 'normal';
+        if (!(enforce in ENFORCE_ORDER)) {
+          throw new Error(`Plugin ${plugin.name || index} has invalid enforce value "${enforce}"`);
+        }
+        return { plugin: { name: `plugin-${index}`, ...plugin }, index, enforce };
+      })
+      .sort((a, b) => ENFORCE_ORDER[a.enforce] - ENFORCE_ORDER[b.enforce] || a.index - b.index)
+      .map(entry => entry.plugin);
+  }
+
+  /**
+   * Instantiate the plugins listed in `config.plugins`
+   * @param {Object} config - Validated `config` section
+   * @param {Object} [options]
+   * @param {string} [options.rootDir] - Directory plugin paths are relative to
+   * @param {Reporter} [options.reporter] - Receives plugin warnings
+   * @returns {PluginContainer}
+   */
+  static fromConfig(config, { rootDir = process.cwd(), reporter = null } = {}) {
+    const plugins = (config.plugins || []).map((spec) => {
+      const { path: request, options = {}, enforce } = typeof spec === 'string' ? { path: spec } : spec;
+      const resolved = /^\.{1,2}[\\/]/.test(request)
+        ? path.resolve(rootDir, request)
+        : require.resolve(request, { paths: [rootDir] });
+
+      let plugin;
+      try {
+        const exported = require(resolved);
+        plugin = typeof exported === 'function' ? exported(options) : exported;
+      } catch (error) {
+        throw new PluginError(request, 'init', error);
+      }
+
+      if (!plugin || typeof plugin !== 'object') {
+        throw new PluginError(request, 'init', 'plugin factory must return an object with hooks');
+      }
+      return { name: path.basename(request, path.extname(request)), ...plugin, ...(enforce && { enforce }) };
+    });
+
+    return new PluginContainer(plugins, { reporter });
+  }
+
+  // Hook context bound as `this` inside plugin hooks
+  createContext(plugin) {
+    return {
+      plugin: plugin.name,
+      warn: (message) => this.reporter?.warn(`[${plugin.name}] ${message}`),
+      error: (message) => {
+        throw new PluginError(plugin.name, 'error', message);
+      }
+    };
+  }
+
+  async callHook(plugin, hook, args) {
+    try {
+      return await plugin[hook].apply(this.createContext(plugin), args);
+    } catch (error) {
+      if (error instanceof PluginError) throw error;
+      throw new PluginError(plugin.name, hook, error);
+    }
+  }
+
+  pluginsWith(hook) {
+    if (!HOOKS.includes(hook)) {
+      throw new Error(`Unknown plugin hook: ${hook}`);
+    }
+    return this.plugins.filter(plugin => typeof plugin[hook] === 'function');
+  }
+
+  // First non-null result wins (resolveId, load)
+  async hookFirst(hook, ...args) {
+    for (const plugin of this.pluginsWith(hook)) {
+      const result = await this.callHook(plugin, hook, args);
+      if (result !== null && result !== undefined) return result;
+    }
+    return null;
+  }
+
+  // Every plugin runs, in order (buildStart, buildEnd)
+  async hookSequential(hook, ...args) {
+    for (const plugin of this.pluginsWith(hook)) {
+      await this.callHook(plugin, hook, args);
+    }
+  }
+
+  // Code is threaded through each transform in order
+  async transform(code, id) {
+    for (const plugin of this.pluginsWith('transform')) {
+      const result = await this.callHook(plugin, 'transform', [code, id]);
+      if (typeof result === 'string') {
+        code = result;
+      } else if (result && typeof result.code === 'string') {
+        code = result.code;
+      }
+    }
+    return code;
+  }
+
+  // Identifies the transform hooks in use, so cached module code is not reused after
+  // they change. Options captured by a plugin factory are not visible here.
+  fingerprint() {
+    return this.pluginsWith('transform')
+      .map(plugin => `${plugin.name}:${plugin.transform.toString()}`)
+      .join('\n');
+  }
+
+  // Outputs may be mutated in place or replaced by returning new code
+  async generateBundle(output) {
+    for (const plugin of this.pluginsWith('generateBundle')) {
+      const result = await this.callHook(plugin, 'generateBundle', [output]);
+      if (typeof result === 'string') output.code = result;
+    }
+    return output;
+  }
+}
+
+PluginContainer.PluginError = PluginError;
+PluginContainer.HOOKS = HOOKS;
+
+module.exports = PluginContainer;
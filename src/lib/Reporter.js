@@ -1,5 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const { fileURLToPath } = require('url');
+const SourceMap = require('./SourceMap');
+
+// A stack frame location: "at fn (file:line:column)", "at file:line:column" or "fn@file:line:column"
+const STACK_FRAME = /^(.*?)([^\s()@]+):(\d+):(\d+)(\)?\s*)$/;
 
 /**
 
@@ -21,6 +26,11 @@ reporter.debug('Processing request');
 // Or using the general log method
 reporter.log('warn', 'Disk space running low');
 
+// Errors are logged with their stack, frames inside bundles mapped back to the
+// original files through <bundle>.map next to the bundle or a registered map
+reporter.addSourceMap('/dist?entryPoint=main.js', map);
+reporter.error(error);
+
  */
 class Reporter {
   static LEVELS = Object.freeze({
@@ -55,6 +65,8 @@ class Reporter {
     this.pendingReports = [];
     this.retryCount = new Map();
     this.isPolling = false;
+    // Generated file or URL -> SourceMap, or null when it has none
+    this.sourceMaps = new Map();
 
     this.initializeLogger();
   }
@@ -106,7 +118,7 @@ class Reporter {
   getFileMetadata() {
     const currentFile = path.basename(__filename); // Current file name
     const currentFilePath = path.resolve(__filename); // Current file path
-    const dependencies = Object.keys(require('./package.json').dependencies); // Dependencies from package.json
+    const dependencies = Object.keys(this.readPackageDependencies()); // Dependencies from package.json
 
     return {
       fileName: currentFile,
@@ -115,11 +127,78 @@ class Reporter {
     };
   }
 
+  readPackageDependencies() {
+    if (!this.packageDependencies) {
+      try {
+        const packageJson = JSON.parse(fs.readFileSync(path.resolve('package.json'), 'utf-8'));
+        this.packageDependencies = packageJson.dependencies || {};
+      } catch {
+        this.packageDependencies = {};
+      }
+    }
+    return this.packageDependencies;
+  }
+
+  // Map stack frames that point into a generated file with this map
+  addSourceMap(file, map) {
+    this.sourceMaps.set(file, map instanceof SourceMap ? map : SourceMap.fromJSON(map));
+  }
+
+  // Registered map of a file or URL; for files on disk, <file>.map when it exists
+  getSourceMap(file) {
+    if (this.sourceMaps.has(file)) return this.sourceMaps.get(file);
+
+    let map = null;
+    if (/^[a-z][\w+.-]*:\/\//i.test(file)) {
+      // Maps registered by path match any origin
+      const location = new URL(file);
+      const key = `${location.pathname}${location.search}`;
+      if (this.sourceMaps.has(key)) map = this.sourceMaps.get(key);
+    } else if (path.isAbsolute(file)) {
+      try {
+        map = SourceMap.fromJSON(fs.readFileSync(`${file}.map`, 'utf-8'));
+      } catch {
+        map = null;
+      }
+    }
+
+    this.sourceMaps.set(file, map);
+    return map;
+  }
+
+  /**
+   * Rewrite stack frames in generated files to their original locations
+   * @param {string} stack - Error stack as printed by V8, Firefox or Safari
+   * @returns {string} The stack with every mappable frame replaced
+   */
+  mapStackTrace(stack) {
+    return String(stack).split('\n').map((line) => {
+      const match = STACK_FRAME.exec(line);
+      if (!match) return line;
+
+      const [, before, location, lineNumber, columnNumber, after] = match;
+      const file = location.startsWith('file://') ? fileURLToPath(location) : location;
+      const map = this.getSourceMap(file);
+      // Stack columns are 1-based, source map columns 0-based
+      const original = map && map.originalPositionFor({ line: Number(lineNumber), column: Number(columnNumber) - 1 });
+      if (!original) return line;
+
+      const source = path.isAbsolute(file)
+        ? path.resolve(path.dirname(file), map.sourceRoot || '', original.source)
+        : original.source;
+      return `${before}${source}:${original.line}:${original.column + 1}${after}`;
+    }).join('\n');
+  }
+
   log(level, message) {
     try {
       this.validateLevel(level);
       if (!this.shouldLog(level)) return;
 
+      if (message instanceof Error) {
+        message = this.mapStackTrace(message.stack || `${message.name}: ${message.message}`);
+      }
+
       const formattedMessage = this.formatMessage(level, message);
       this.rotateLogFileIfNeeded();
 
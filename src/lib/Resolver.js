@@ -0,0 +1,398 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { builtinModules } = require('module');
+const { globToRegExp } = require('./glob');
+
+// TypeScript sources imported by the name of their output: './store.js' is ./store.ts
+const SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+// Stands in for modules an object "browser" field maps to false
+const EMPTY_MODULE = path.join(__dirname, 'runtime', 'empty.js');
+
+const ResolveError = class extends Error {
+  constructor(specifier, importer, tried, reason = null) {
+    super(
+      `Cannot resolve "${specifier}" from ${importer}` +
+      (reason ? `: ${reason}` : '') +
+      (tried.length > 0 ? `. Tried:\n  ${tried.join('\n  ')}` : '')
+    );
+    this.name = 'ResolveError';
+    this.specifier = specifier;
+    this.importer = importer;
+    this.tried = tried;
+  }
+};
+
+/**
+ * @usage
+const Resolver = require('./Resolver');
+
+const resolver = new Resolver({
+  rootDir: process.cwd(),
+  extensions: ['.js', '.ts', '.tsx', '.jsx', '.json'],
+  alias: { '@app': './src', 'react': 'preact/compat' },
+  conditions: ['browser', 'import', 'require', 'default'],
+  mainFields: ['browser', 'module', 'main']
+});
+
+await resolver.resolve('./utils', '/project/src/index.js');  // => /project/src/utils.js
+await resolver.resolve('./widgets', '/project/src/index.js'); // => /project/src/widgets/index.js
+await resolver.resolve('lodash/fp', '/project/src/index.js'); // => /project/node_modules/lodash/fp.js
+await resolver.resolve('@app/store', '/project/src/a/b.js');  // => /project/src/store.js
+await resolver.resolve('./api.js', '/project/src/index.ts');  // => /project/src/api.ts when no api.js exists
+await resolver.resolve('fs', '/project/src/index.js');        // => null, Node builtin
+await resolver.resolve('dual', '/project/src/index.js', 'require'); // => exports' "require" target, "import" ignored
+
+With the browser condition, an object "browser" field in a package.json replaces files of
+the package and bare specifiers its files import, e.g. { "./node.js": "./browser.js",
+"fs": false }; false gives Resolver.EMPTY_MODULE.
+
+Failures throw Resolver.ResolveError with every path that was probed in `tried`.
+ */
+class Resolver {
+  constructor(options = {}) {
+    const {
+      rootDir = process.cwd(),
+      extensions = ['.js', '.ts', '.tsx', '.jsx'],
+      alias = {},
+      conditions = ['browser', 'import', 'require', 'default'],
+      mainFields = ['browser', 'module', 'main'],
+    } = options;
+
+    this.rootDir = path.resolve(rootDir);
+    this.extensions = extensions;
+    this.alias = alias;
+    this.conditions = new Set(conditions);
+    this.mainFields = mainFields;
+    // Map of package.json path -> parsed contents, or null when missing
+    this.packageCache = new Map();
+  }
+
+  // Forget cached package.json files, e.g. after a file changed on disk
+  clearCache() {
+    this.packageCache.clear();
+  }
+
+  // Options needed to construct an equivalent resolver
+  toOptions() {
+    return {
+      rootDir: this.rootDir,
+      extensions: this.extensions,
+      alias: this.alias,
+      conditions: [...this.conditions],
+      mainFields: this.mainFields
+    };
+  }
+
+  displayPath(filePath) {
+    return path.isAbsolute(filePath) ? path.relative(this.rootDir, filePath).split(path.sep).join('/') : filePath;
+  }
+
+  isBuiltin(specifier) {
+    return specifier.startsWith('node:') || builtinModules.includes(specifier.split('/')[0]);
+  }
+
+  async isFile(filePath) {
+    try {
+      return (await fs.stat(filePath)).isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  async isDirectory(directoryPath) {
+    try {
+      return (await fs.stat(directoryPath)).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  async readPackage(directory) {
+    const packagePath = path.join(directory, 'package.json');
+    if (!this.packageCache.has(packagePath)) {
+      let contents = null;
+      try {
+        contents = JSON.parse(await fs.readFile(packagePath, 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Invalid ${packagePath}: ${error.message}`);
+        }
+      }
+      this.packageCache.set(packagePath, contents);
+    }
+    return this.packageCache.get(packagePath);
+  }
+
+  // Replace the longest matching alias prefix; relative alias targets are relative to rootDir
+  applyAlias(specifier) {
+    const key = Object.keys(this.alias)
+      .filter(name => specifier === name || specifier.startsWith(`${name}/`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (key === undefined) return specifier;
+
+    const target = this.alias[key];
+    const rest = specifier.slice(key.length);
+    return /^\.{1,2}(\/|$)/.test(target)
+      ? path.resolve(this.rootDir, target) + rest
+      : target + rest;
+  }
+
+  // A file as is, or with each extension appended, or its TypeScript source
+  async resolveFile(basePath, tried) {
+    const extension = path.extname(basePath);
+    const sources = (SOURCE_EXTENSIONS[extension] || [])
+      .filter(source => this.extensions.includes(source))
+      .map(source => basePath.slice(0, -extension.length) + source);
+    for (const candidate of [basePath, ...this.extensions.map(ext => basePath + ext), ...sources]) {
+      tried.push(candidate);
+      if (await this.isFile(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  // A directory through its package.json main fields, then its index file
+  async resolveDirectory(directory, tried) {
+    const pkg = await this.readPackage(directory);
+    if (pkg) {
+      for (const field of this.mainFields) {
+        if (typeof pkg[field] !== 'string') continue;
+        const target = path.resolve(directory, pkg[field]);
+        const resolved = await this.resolveFile(target, tried) || await this.resolveIndex(target, tried);
+        if (resolved) return resolved;
+      }
+    }
+    return this.resolveIndex(directory, tried);
+  }
+
+  async resolveIndex(directory, tried) {
+    for (const ext of this.extensions) {
+      const candidate = path.join(directory, `index${ext}`);
+      tried.push(candidate);
+      if (await this.isFile(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  // Conditions a reference matches: require() leaves out "import", import and import() leave out "require"
+  conditionsFor(kind) {
+    const conditions = new Set(this.conditions);
+    conditions.delete(kind === 'require' ? 'import' : 'require');
+    return conditions;
+  }
+
+  // Pick a target from an exports value: string, condition object or fallback array
+  resolveTarget(target, wildcard, conditions) {
+    if (typeof target === 'string') {
+      return wildcard === null ? target : target.split('*').join(wildcard);
+    }
+    if (Array.isArray(target)) {
+      for (const item of target) {
+        const resolved = this.resolveTarget(item, wildcard, conditions);
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+    if (target && typeof target === 'object') {
+      for (const [condition, value] of Object.entries(target)) {
+        if (!conditions.has(condition)) continue;
+        const resolved = this.resolveTarget(value, wildcard, conditions);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Map a package subpath through the package.json "exports" field
+   * @param {*} exportsField - The "exports" value
+   * @param {string} subpath - "." or "./feature"
+   * @param {Set<string>} conditions - Active conditions, see conditionsFor
+   * @returns {string|null} Package relative target, null when not exported
+   */
+  resolveExports(exportsField, subpath, conditions = this.conditionsFor('import')) {
+    const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+      Object.keys(exportsField).some(key => key.startsWith('.'));
+    const map = isSubpathMap ? exportsField : { '.': exportsField };
+
+    if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+      return this.resolveTarget(map[subpath], null, conditions);
+    }
+
+    // Longest "./prefix*suffix" pattern wins
+    const patterns = Object.keys(map)
+      .filter(key => key.includes('*'))
+      .sort((a, b) => b.indexOf('*') - a.indexOf('*') || b.length - a.length);
+    for (const key of patterns) {
+      const [prefix, suffix] = key.split('*');
+      if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+        return this.resolveTarget(map[key], subpath.slice(prefix.length, subpath.length - suffix.length), conditions);
+      }
+    }
+
+    // Legacy "./dir/" folder mappings
+    const folder = Object.keys(map)
+      .filter(key => key.endsWith('/') && subpath.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (folder) {
+      const target = this.resolveTarget(map[folder], null, conditions);
+      return target && target + subpath.slice(folder.length);
+    }
+
+    return null;
+  }
+
+  // Look for a package in node_modules directories from the importer up to the filesystem root
+  async resolvePackage(specifier, fromPath, tried, conditions) {
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    const subpath = specifier.slice(name.length);
+
+    let directory = path.dirname(fromPath);
+    while (true) {
+      const packageDir = path.join(directory, 'node_modules', name);
+      // Only directories holding the package are searched, and listed in tried
+      if (path.basename(directory) !== 'node_modules' && await this.isDirectory(packageDir)) {
+        const pkg = await this.readPackage(packageDir);
+
+        if (pkg && pkg.exports !== undefined) {
+          const exportPath = `.${subpath}`;
+          const target = this.resolveExports(pkg.exports, exportPath, conditions);
+          if (!target) {
+            throw new ResolveError(
+              specifier, this.displayPath(fromPath), tried,
+              `"${exportPath}" is not exported by ${path.join(packageDir, 'package.json')}`
+            );
+          }
+          const candidate = path.resolve(packageDir, target);
+          tried.push(candidate);
+          if (await this.isFile(candidate)) return candidate;
+          throw new ResolveError(specifier, this.displayPath(fromPath), tried, `exports target ${target} does not exist`);
+        }
+
+        const basePath = path.join(packageDir, subpath);
+        const resolved = subpath
+          ? await this.resolveFile(basePath, tried) || await this.resolveDirectory(basePath, tried)
+          : await this.resolveDirectory(packageDir, tried);
+        if (resolved) return resolved;
+      }
+
+      const parent = path.dirname(directory);
+      if (parent === directory) return null;
+      directory = parent;
+    }
+  }
+
+  // The package.json describing a file: the nearest one with a name or the given field.
+  // Nested package.json files such as { "type": "module" } do not describe a package.
+  async findPackage(filePath, field) {
+    for (let directory = path.dirname(filePath); ; directory = path.dirname(directory)) {
+      const pkg = await this.readPackage(directory);
+      if (pkg && (pkg.name !== undefined || pkg[field] !== undefined)) return { directory, pkg };
+      if (path.dirname(directory) === directory) return null;
+    }
+  }
+
+  // The object "browser" field of the package a file belongs to, with the browser condition
+  async findBrowserField(filePath) {
+    if (!this.conditions.has('browser') || !path.isAbsolute(filePath)) return null;
+    const found = await this.findPackage(filePath, 'browser');
+    const browser = found && found.pkg.browser;
+    return browser && typeof browser === 'object' && !Array.isArray(browser)
+      ? { directory: found.directory, map: browser }
+      : null;
+  }
+
+  // Replacement of a resolved file in its package's "browser" field: a file,
+  // EMPTY_MODULE for false, or the file itself when the field does not name it
+  async replaceBrowserFile(filePath, specifier, fromPath, tried) {
+    const field = await this.findBrowserField(filePath);
+    if (!field) return filePath;
+
+    for (const [key, target] of Object.entries(field.map)) {
+      if (!/^\.{1,2}\//.test(key)) continue;
+      const keyPath = path.resolve(field.directory, key);
+      if (keyPath !== filePath && !this.extensions.some(ext => keyPath + ext === filePath)) continue;
+      if (target === false) return EMPTY_MODULE;
+      if (typeof target !== 'string') break;
+
+      const replaced = await this.resolveFile(path.resolve(field.directory, target), tried);
+      if (!replaced) {
+        throw new ResolveError(specifier, this.displayPath(fromPath), tried,
+          `browser field target ${target} in ${path.join(field.directory, 'package.json')} does not exist`);
+      }
+      return replaced;
+    }
+    return filePath;
+  }
+
+  /**
+   * Resolve a specifier the way Node does, with aliases and browser conditions
+   * @param {string} specifier - As written in require() or import
+   * @param {string} fromPath - Absolute path of the importing module
+   * @param {string} [kind] - 'require' for require() calls, 'import' for import and import()
+   * @returns {Promise<string|null>} Absolute file path, or null for Node builtins
+   * @throws {ResolveError} When nothing matches
+   */
+  async resolve(specifier, fromPath, kind = 'import') {
+    let request = this.applyAlias(specifier);
+    const isBare = !/^(\.{1,2}(\/|$)|\/)/.test(request) && !path.isAbsolute(request);
+
+    // Bare specifiers the importer's package replaces for browsers, builtins included
+    const field = isBare ? await this.findBrowserField(fromPath) : null;
+    if (field && Object.prototype.hasOwnProperty.call(field.map, request)) {
+      const target = field.map[request];
+      if (target === false) return EMPTY_MODULE;
+      if (typeof target === 'string') {
+        request = /^\.{1,2}(\/|$)/.test(target) ? path.resolve(field.directory, target) : target;
+      }
+    }
+    if (this.isBuiltin(request)) return null;
+
+    const tried = [];
+    let resolved;
+    if (/^(\.{1,2}(\/|$)|\/)/.test(request) || path.isAbsolute(request)) {
+      const basePath = path.resolve(path.dirname(fromPath), request);
+      resolved = await this.resolveFile(basePath, tried) || await this.resolveDirectory(basePath, tried);
+    } else {
+      resolved = await this.resolvePackage(request, fromPath, tried, this.conditionsFor(kind));
+    }
+
+    if (!resolved) {
+      throw new ResolveError(specifier, this.displayPath(fromPath), tried);
+    }
+    return this.replaceBrowserFile(resolved, specifier, fromPath, tried);
+  }
+
+  /**
+   * Whether loading a file may have side effects, per the "sideEffects" field of the
+   * package it belongs to. Patterns without a slash match the file name at any depth.
+   * @param {string} filePath - Absolute path of a module; virtual ids always may
+   * @returns {Promise<boolean>} False when the package declares the file free of side effects
+   */
+  async hasSideEffects(filePath) {
+    if (!path.isAbsolute(filePath)) return true;
+
+    const found = await this.findPackage(filePath, 'sideEffects');
+    if (!found || found.pkg.sideEffects === undefined) return true;
+    const { directory, pkg } = found;
+    if (pkg.sideEffects === false) return false;
+    if (!Array.isArray(pkg.sideEffects)) return true;
+
+    const relative = path.relative(directory, filePath).split(path.sep).join('/');
+    return pkg.sideEffects.some((pattern) => {
+      const normalized = pattern.replace(/^\.\//, '');
+      return globToRegExp(normalized.includes('/') ? normalized : `**/${normalized}`).test(relative);
+    });
+  }
+}
+
+Resolver.ResolveError = ResolveError;
+Resolver.EMPTY_MODULE = EMPTY_MODULE;
+
+module.exports = Resolver;
@@ -0,0 +1,251 @@
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+// Methods whose requests carry no body worth reading
+const BODYLESS_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+/**
+ * @usage
+const Router = require('./Router');
+
+const router = new Router({ bodyLimit: 1024 * 1024 });
+
+router.get('/users/:id', async (req, res) => {
+  // req.params => { id: '42' }, req.query => { tab: 'posts', tag: ['a', 'b'] } for ?tab=posts&tag=a&tag=b
+});
+router.post('/users', requireLogin, async (req, res) => {
+  // req.body: parsed JSON, a form as { name: value }, or text
+});
+router.get('/files/*', async (req, res) => {
+  // req.params['*'] => 'docs/readme.md' for /files/docs/readme.md
+});
+router.add('*', '/health', handler); // any method but OPTIONS, left to OPTIONS routes and CORS preflights
+
+const match = router.match('DELETE', '/users/42');
+// => { handlers, params: { id: '42' } }, { handlers: null, allowed: ['GET', 'HEAD'] } when only
+//    other methods are registered for the path, or null when nothing matches
+await router.handle(req, res, match); // reads the body, sets params/query, runs the handlers
+
+Route handlers and route middleware are called as (req, res, next); the chain stops at
+the first one that does not call next(), and next(error) fails the request. HEAD requests
+match GET routes. Unreadable bodies fail with statusCode 400, bodies over bodyLimit with 413.
+ */
+class Router {
+  constructor(options = {}) {
+    const {
+      bodyLimit = DEFAULT_BODY_LIMIT,
+    } = options;
+
+    this.bodyLimit = bodyLimit;
+    // Registration order decides between routes matching the same path
+    this.routes = [];
+  }
+
+  /**
+   * Compile a route path into a regular expression
+   * @param {string} routePath - e.g. /users/:id, /files/* or * for every path
+   * @returns {{pattern: RegExp, keys: Array<string>}} Pattern and the param names of its groups
+   */
+  static compile(routePath) {
+    if (routePath === '*') return { pattern: /^(.*)$/, keys: ['*'] };
+    if (!routePath.startsWith('/')) {
+      throw new Error(`Route paths start with / or are *, got "${routePath}"`);
+    }
+
+    const keys = [];
+    const source = routePath.replace(/\/$/, '').split('/').map((segment) => {
+      if (segment === '*') {
+        keys.push('*');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        const name = segment.slice(1);
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+          throw new Error(`Invalid route parameter "${segment}" in ${routePath}`);
+        }
+        keys.push(name);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    // A trailing slash is optional; /files/* also matches /files
+    return { pattern: new RegExp(`^${source.replace(/\/\(\.\*\)$/, '(?:/(.*))?')}/?$`), keys };
+  }
+
+  /**
+   * Register handlers for a method and path
+   * @param {string} method - HTTP method, or * for any
+   * @param {string} routePath - See compile
+   * @param {...Function} handlers - Route middleware followed by the handler, each (req, res, next)
+   * @returns {Router} this, for chaining
+   */
+  add(method, routePath, ...handlers) {
+    const upper = method.toUpperCase();
+    if (upper !== '*' && !METHODS.includes(upper)) {
+      throw new Error(`Unknown method "${method}". Use * or one of: ${METHODS.join(', ')}`);
+    }
+    if (handlers.length === 0 || handlers.some(handler => typeof handler !== 'function')) {
+      throw new Error(`Route ${method} ${routePath} needs handler functions`);
+    }
+    this.routes.push({ method: upper, path: routePath, ...Router.compile(routePath), handlers });
+    return this;
+  }
+
+  get(routePath, ...handlers) {
+    return this.add('GET', routePath, ...handlers);
+  }
+
+  post(routePath, ...handlers) {
+    return this.add('POST', routePath, ...handlers);
+  }
+
+  put(routePath, ...handlers) {
+    return this.add('PUT', routePath, ...handlers);
+  }
+
+  patch(routePath, ...handlers) {
+    return this.add('PATCH', routePath, ...handlers);
+  }
+
+  delete(routePath, ...handlers) {
+    return this.add('DELETE', routePath, ...handlers);
+  }
+
+  options(routePath, ...handlers) {
+    return this.add('OPTIONS', routePath, ...handlers);
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - Request method
+   * @param {string} pathname - Request path, still percent-encoded
+   * @returns {Object|null} { handlers, params } of the first matching route; { handlers: null, allowed }
+   *   when routes match the path for other methods only; null when none match the path
+   */
+  match(method, pathname) {
+    const allowed = new Set();
+    for (const route of this.routes) {
+      const result = route.pattern.exec(pathname);
+      if (!result) continue;
+
+      const methods = route.method === '*' ? [method].filter(name => name !== 'OPTIONS') : [route.method];
+      if (route.method === 'GET') methods.push('HEAD');
+      if (!methods.includes(method)) {
+        methods.forEach(name => allowed.add(name));
+        continue;
+      }
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = result[index + 1] === undefined ? '' : this.decode(result[index + 1]);
+      });
+      return { handlers: route.handlers, params };
+    }
+    return allowed.size > 0 ? { handlers: null, allowed: [...allowed] } : null;
+  }
+
+  decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      throw Object.assign(new Error(`Malformed URL component "${value}"`), { statusCode: 400 });
+    }
+  }
+
+  /**
+   * Run a matched route: set req.params, req.query and req.body, then call its handlers in turn
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} match - Result of match with handlers
+   */
+  async handle(req, res, { handlers, params }) {
+    req.params = params;
+    req.query = Router.parseQuery(req.url);
+    if (req.body === undefined && !BODYLESS_METHODS.has(req.method)) {
+      req.body = await Router.readBody(req, { limit: this.bodyLimit });
+    }
+
+    // next() never rejects: next(error) and errors of later handlers fail the request once
+    // the handler returns, so handlers may call next() without awaiting it
+    const run = async (index) => {
+      if (index >= handlers.length) return;
+      let rest = null;
+      let failure = null;
+      try {
+        await handlers[index](req, res, (error) => {
+          if (error) {
+            failure = error;
+            return Promise.resolve();
+          }
+          rest = run(index + 1).catch((thrown) => {
+            failure = thrown;
+          });
+          return rest;
+        });
+      } finally {
+        await rest;
+      }
+      if (failure) throw failure;
+    };
+    await run(0);
+  }
+
+  /**
+   * Query string of a URL as an object; repeated keys become arrays
+   * @param {string} requestUrl - e.g. /search?q=a&tag=x&tag=y
+   * @returns {Object} e.g. { q: 'a', tag: ['x', 'y'] }
+   */
+  static parseQuery(requestUrl) {
+    const search = requestUrl.includes('?') ? requestUrl.slice(requestUrl.indexOf('?') + 1) : '';
+    return Router.parseForm(search.split('#')[0]);
+  }
+
+  // application/x-www-form-urlencoded text as an object; repeated keys become arrays
+  static parseForm(text) {
+    const values = {};
+    for (const [key, value] of new URLSearchParams(text)) {
+      if (!Object.prototype.hasOwnProperty.call(values, key)) {
+        values[key] = value;
+      } else {
+        values[key] = [].concat(values[key], value);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Read and parse a request body by its Content-Type
+   * @param {http.IncomingMessage} req - Request
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Largest body accepted, in bytes
+   * @returns {Promise<*>} Parsed JSON, form fields, text, or undefined for an empty body
+   */
+  static async readBody(req, { limit = DEFAULT_BODY_LIMIT } = {}) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > limit) {
+        throw Object.assign(new Error(`Request body is larger than ${limit} bytes`), { statusCode: 413 });
+      }
+      chunks.push(chunk);
+    }
+    if (size === 0) return undefined;
+
+    const text = Buffer.concat(chunks).toString('utf-8');
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type === 'application/json' || type.endsWith('+json')) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw Object.assign(new Error(`Invalid JSON body: ${error.message}`), { statusCode: 400 });
+      }
+    }
+    if (type === 'application/x-www-form-urlencoded') return Router.parseForm(text);
+    return text;
+  }
+}
+
+Router.METHODS = METHODS;
+
+module.exports = Router;
@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ConfigLoader = require('./ConfigLoader');
+
+// Files shared by every template
+const COMMON_FILES = {
+  // AeroSSR adds the entry's hashed script and stylesheets from the build manifest
+  'index.html': ({ name }) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+  </head>
+  <body>
+    <h1>${name}</h1>
+    <div id="app"></div>
+  </body>
+</html>
+`,
+  'config.json': () => `${JSON.stringify({}, null, 2)}\n`,
+  'test/config.json': () => `${JSON.stringify({
+    match: ['**/*.test.js'],
+    timeout: 5000,
+    reports: { junit: 'reports/junit.xml' }
+  }, null, 2)}\n`,
+  'deploy/config.json': () => `${JSON.stringify({ keepReleases: 5 }, null, 2)}\n`,
+  '.gitignore': ({ outputDir }) => ['node_modules/', 'logs/', 'reports/', `${outputDir}/`, ''].join('\n'),
+  'package.json': ({ name }) => `${JSON.stringify({
+    name,
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      build: 'modubuild build',
+      test: 'modubuild test',
+      deploy: 'modubuild deploy'
+    }
+  }, null, 2)}\n`
+};
+
+const TEMPLATES = {
+  basic: {
+    description: 'Browser app with a single entry point',
+    files: {
+      '{entryPoint}': () => `const { greet } = require('./greet');
+
+document.getElementById('app').textContent = greet('modubuild');
+`,
+      '{entryDir}/greet.js': () => `exports.greet = (name) => \`Hello, \${name}!\`;
+`,
+      'test/greet.test.js': ({ entryDir }) => `const { greet } = require('../${entryDir}/greet');
+
+describe('greet', () => {
+  it('greets by name', () => {
+    expect(greet('world')).toBe('Hello, world!');
+  });
+});
+`
+    }
+  },
+  library: {
+    description: 'Reusable module with a demo page',
+    files: {
+      '{entryPoint}': () => `const { sum, mean } = require('./math');
+
+module.exports = { sum, mean };
+
+if (typeof document !== 'undefined') {
+  document.getElementById('app').textContent = \`mean([1, 2, 3]) = \${mean([1, 2, 3])}\`;
+}
+`,
+      '{entryDir}/math.js': () => `const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length === 0 ? NaN : sum(values) / values.length);
+
+module.exports = { sum, mean };
+`,
+      'test/math.test.js': ({ entryDir }) => `const { sum, mean } = require('../${entryDir}/math');
+
+describe('math', () => {
+  it('sums values', () => {
+    expect(sum([1, 2, 3])).toBe(6);
+  });
+
+  it('averages values', () => {
+    expect(mean([1, 2, 3])).toBe(2);
+    expect(mean([])).toBe(NaN);
+  });
+});
+`
+    }
+  }
+};
+
+/**
+ * @usage
+const Scaffolder = require('./Scaffolder');
+
+const scaffolder = new Scaffolder({ targetDir: './my-app' });
+
+const files = await scaffolder.generate({
+  name: 'my-app',
+  template: 'basic',
+  entryPoint: 'src/index.js',
+  outputDir: 'dist',
+  destination: './public'
+}, { force: false });
+// => [{ path: 'modubuild.json', status: 'created' }, { path: 'index.html', status: 'skipped' }, ...]
+ */
+class Scaffolder {
+  static TEMPLATES = TEMPLATES;
+
+  constructor(options = {}) {
+    const {
+      targetDir = process.cwd(),
+      loader = new ConfigLoader(),
+    } = options;
+
+    this.targetDir = path.resolve(targetDir);
+    this.loader = loader;
+  }
+
+  // Default answers for a project in targetDir
+  defaults() {
+    return {
+      name: path.basename(this.targetDir).toLowerCase().replace(/[^a-z0-9-_.]/g, '-'),
+      template: 'basic',
+      entryPoint: 'src/index.js',
+      outputDir: 'dist',
+      destination: './public',
+      logLevel: 'info',
+      reportingEndpoint: 'https://example.com/logs'
+    };
+  }
+
+  // Build the modubuild.json document for a set of answers
+  createConfig(answers) {
+    return {
+      config: {
+        entryPoints: [answers.entryPoint],
+        outputDir: answers.outputDir,
+        commands: {
+          bootstrap: {
+            description: 'Bootstrap the project'
+          },
+          build: {
+            description: 'Build the project',
+            configPath: './config.json'
+          },
+          test: {
+            description: 'Run tests',
+            configPath: './test/config.json'
+          },
+          deploy: {
+            description: 'Deploy the project',
+            configPath: './deploy/config.json',
+            destination: answers.destination
+          }
+        },
+        logging: {
+          level: answers.logLevel,
+          reportingEndpoint: answers.reportingEndpoint
+        }
+      }
+    };
+  }
+
+  /**
+   * Render every file of a template without touching the disk
+   * @param {Object} answers - Project answers, see defaults()
+   * @returns {Map<string, string>} POSIX relative path -> content
+   */
+  render(answers) {
+    const template = TEMPLATES[answers.template];
+    if (!template) {
+      throw new Error(`Unknown template "${answers.template}". Available templates: ${Object.keys(TEMPLATES).join(', ')}`);
+    }
+
+    const context = {
+      ...answers,
+      entryDir: path.posix.dirname(answers.entryPoint)
+    };
+
+    const document = this.createConfig(answers);
+    this.loader.validate(document, 'generated modubuild.json');
+
+    const files = new Map([['modubuild.json', `${JSON.stringify(document, null, 2)}\n`]]);
+    for (const [pattern, render] of Object.entries({ ...COMMON_FILES, ...template.files })) {
+      const filePath = pattern
+        .replace('{entryPoint}', context.entryPoint)
+        .replace('{entryDir}', context.entryDir);
+      files.set(path.posix.normalize(filePath), render(context));
+    }
+    return files;
+  }
+
+  /**
+   * Write a template into targetDir
+   * @param {Object} answers - Project answers, see defaults()
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite existing files
+   * @returns {Promise<Array<{path: string, status: string}>>} What happened to each file
+   */
+  async generate(answers, { force = false } = {}) {
+    const files = this.render({ ...this.defaults(), ...answers });
+    const results = [];
+
+    for (const [relativePath, content] of files) {
+      const filePath = path.join(this.targetDir, ...relativePath.split('/'));
+      let exists = true;
+      try {
+        await fs.access(filePath);
+      } catch {
+        exists = false;
+      }
+
+      if (exists && !force) {
+        results.push({ path: relativePath, status: 'skipped' });
+        continue;
+      }
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+      results.push({ path: relativePath, status: exists ? 'overwritten' : 'created' });
+    }
+
+    return results;
+  }
+}
+
+module.exports = Scaffolder;
@@ -299,11 +299,11 @@ class SchemaValidator {
 
     // Pattern properties
     if (schema.patternProperties) {
-      for (const [pattern, schema] of Object.entries(schema.patternProperties)) {
+      for (const [pattern, propertySchema] of Object.entries(schema.patternProperties)) {
         const regex = new RegExp(pattern);
-        for (const [key, value] of Object.entries(value)) {
+        for (const [key, propertyValue] of Object.entries(value)) {
           if (regex.test(key)) {
-            if (!this.validate(value, schema, `${path}.${key}`)) {
+            if (!this.validate(propertyValue, propertySchema, `${path}.${key}`)) {
               return false;
             }
           }
@@ -0,0 +1,268 @@
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((char, index) => [char, index]));
+const LINE_BREAK = /\r\n|[\n\r\u2028\u2029]/;
+
+/**
+ * @usage
+const SourceMap = require('./SourceMap');
+
+const map = new SourceMap({ file: 'index.js' });
+map.addSource('../src/index.js', originalCode);
+map.addMapping({
+  generated: { line: 12, column: 0 },
+  source: '../src/index.js',
+  original: { line: 1, column: 0 }
+});
+
+fs.writeFileSync('dist/index.js.map', map.toString());
+// => {"version":3,"file":"index.js","sources":["../src/index.js"],"sourcesContent":[...],"names":[],"mappings":";;;;;;;;;;;AAAA"}
+
+const parsed = SourceMap.fromJSON(fs.readFileSync('dist/index.js.map', 'utf-8'));
+parsed.originalPositionFor({ line: 12, column: 8 });
+// => { source: '../src/index.js', line: 1, column: 8, name: null }
+
+Lines are 1-based and columns 0-based, as in V8 stack traces after subtracting one
+from the column. A position between two mappings is offset from the mapping before
+it, which is exact for code that was copied over unchanged.
+ */
+class SourceMap {
+  constructor(options = {}) {
+    const {
+      file = null,
+      sourceRoot = null,
+    } = options;
+
+    this.file = file;
+    this.sourceRoot = sourceRoot;
+    this.sources = [];
+    this.sourcesContent = [];
+    this.names = [];
+    // Source and name -> index lookups for the arrays above
+    this.sourceIndex = new Map();
+    this.nameIndex = new Map();
+    // Generated line (0-based) -> segments { column, source, line, originalColumn, name } sorted by column
+    this.lines = [];
+  }
+
+  static encodeVLQ(value) {
+    let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+    let encoded = '';
+    do {
+      let digit = vlq & 31;
+      vlq >>>= 5;
+      if (vlq > 0) digit |= 32;
+      encoded += BASE64[digit];
+    } while (vlq > 0);
+    return encoded;
+  }
+
+  // Decode one value starting at position; returns the value and the position after it
+  static decodeVLQ(mappings, position) {
+    let result = 0;
+    let shift = 0;
+    let digit;
+    do {
+      digit = BASE64_VALUES.get(mappings[position++]);
+      if (digit === undefined) {
+        throw new Error(`Invalid source map mappings at offset ${position - 1}`);
+      }
+      result += (digit & 31) * 2 ** shift;
+      shift += 5;
+    } while (digit & 32);
+    const value = Math.floor(result / 2);
+    return { value: result % 2 === 1 ? -value : value, position };
+  }
+
+  // Lines of a piece of code, split at the same line breaks V8 counts
+  static splitLines(code) {
+    return code.split(LINE_BREAK);
+  }
+
+  static countLines(code) {
+    return SourceMap.splitLines(code).length;
+  }
+
+  // Comment pointing a generated file at its map
+  static comment(url) {
+    return `//# sourceMappingURL=${url}`;
+  }
+
+  /**
+   * Parse a v3 source map
+   * @param {string|Object} json - Map as JSON text or parsed object
+   * @returns {SourceMap} The parsed map
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.version !== 3 || typeof data.mappings !== 'string') {
+      throw new Error('Not a version 3 source map');
+    }
+
+    const map = new SourceMap({ file: data.file || null, sourceRoot: data.sourceRoot || null });
+    (data.sources || []).forEach((source, index) => {
+      map.sources.push(source);
+      map.sourcesContent.push((data.sourcesContent || [])[index] ?? null);
+      if (!map.sourceIndex.has(source)) map.sourceIndex.set(source, index);
+    });
+    (data.names || []).forEach((name, index) => {
+      map.names.push(name);
+      if (!map.nameIndex.has(name)) map.nameIndex.set(name, index);
+    });
+
+    const { mappings } = data;
+    const state = [0, 0, 0, 0];
+    map.lines = mappings.split(';').map((line) => {
+      let column = 0;
+      return line.split(',').filter(Boolean).map((segment) => {
+        const fields = [];
+        for (let i = 0; i < segment.length;) {
+          const decoded = SourceMap.decodeVLQ(segment, i);
+          fields.push(decoded.value);
+          i = decoded.position;
+        }
+
+        column += fields[0];
+        if (fields.length < 4) {
+          return { column, source: null, line: null, originalColumn: null, name: null };
+        }
+        state[0] += fields[1];
+        state[1] += fields[2];
+        state[2] += fields[3];
+        if (fields.length > 4) state[3] += fields[4];
+        return {
+          column,
+          source: state[0],
+          line: state[1] + 1,
+          originalColumn: state[2],
+          name: fields.length > 4 ? state[3] : null
+        };
+      });
+    });
+    return map;
+  }
+
+  // Index of a source, adding it on first use
+  addSource(source, content = null) {
+    let index = this.sourceIndex.get(source);
+    if (index === undefined) {
+      index = this.sources.push(source) - 1;
+      this.sourcesContent.push(content);
+      this.sourceIndex.set(source, index);
+    } else if (content !== null) {
+      this.sourcesContent[index] = content;
+    }
+    return index;
+  }
+
+  addName(name) {
+    let index = this.nameIndex.get(name);
+    if (index === undefined) {
+      index = this.names.push(name) - 1;
+      this.nameIndex.set(name, index);
+    }
+    return index;
+  }
+
+  /**
+   * Map a generated position to an original one
+   * @param {Object} mapping - `{ generated: {line, column}, source, original: {line, column}, name }`
+   */
+  addMapping({ generated, source, original, name = null }) {
+    const lineIndex = generated.line - 1;
+    while (this.lines.length <= lineIndex) this.lines.push([]);
+
+    const segments = this.lines[lineIndex];
+    const segment = {
+      column: generated.column,
+      source: this.addSource(source),
+      line: original.line,
+      originalColumn: original.column,
+      name: name === null ? null : this.addName(name)
+    };
+
+    // Mappings normally arrive in order; keep the line sorted when they do not
+    let index = segments.length;
+    while (index > 0 && segments[index - 1].column > segment.column) index--;
+    segments.splice(index, 0, segment);
+  }
+
+  /**
+   * Find where a generated position came from
+   * @param {{line: number, column: number}} position - 1-based line, 0-based column
+   * @returns {{source: string, line: number, column: number, name: string|null}|null} Original
+   *   position, or null when the line has no mapping at or before the column
+   */
+  originalPositionFor({ line, column }) {
+    const segments = this.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    let low = 0;
+    let high = segments.length - 1;
+    let found = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (segments[middle].column <= column) {
+        found = segments[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    if (!found || found.source === null) return null;
+
+    return {
+      source: this.sources[found.source],
+      line: found.line,
+      column: found.originalColumn + (column - found.column),
+      name: found.name === null ? null : this.names[found.name]
+    };
+  }
+
+  // Source text of an original file, if the map embeds it
+  sourceContentFor(source) {
+    const index = this.sourceIndex.get(source);
+    return index === undefined ? null : this.sourcesContent[index];
+  }
+
+  encodeMappings() {
+    const state = [0, 0, 0, 0];
+    return this.lines.map((segments) => {
+      let column = 0;
+      return segments.map((segment) => {
+        let encoded = SourceMap.encodeVLQ(segment.column - column);
+        column = segment.column;
+        if (segment.source === null) return encoded;
+
+        encoded += SourceMap.encodeVLQ(segment.source - state[0]);
+        encoded += SourceMap.encodeVLQ(segment.line - 1 - state[1]);
+        encoded += SourceMap.encodeVLQ(segment.originalColumn - state[2]);
+        state[0] = segment.source;
+        state[1] = segment.line - 1;
+        state[2] = segment.originalColumn;
+        if (segment.name !== null) {
+          encoded += SourceMap.encodeVLQ(segment.name - state[3]);
+          state[3] = segment.name;
+        }
+        return encoded;
+      }).join(',');
+    }).join(';');
+  }
+
+  toJSON() {
+    return {
+      version: 3,
+      ...(this.file !== null && { file: this.file }),
+      ...(this.sourceRoot !== null && { sourceRoot: this.sourceRoot }),
+      sources: this.sources,
+      sourcesContent: this.sourcesContent,
+      names: this.names,
+      mappings: this.encodeMappings()
+    };
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+module.exports = SourceMap;
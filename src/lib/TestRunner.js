@@ -0,0 +1,245 @@
+const { fork } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { matchFiles } = require('./glob');
+
+const WORKER_PATH = path.join(__dirname, '..', 'test', 'worker.js');
+
+/**
+ * @usage
+const TestRunner = require('./TestRunner');
+
+const runner = new TestRunner({
+  rootDir: process.cwd(),
+  testDir: 'test',
+  patterns: ['**\/*.test.js'],
+  grep: 'parser',
+  timeout: 5000,
+  concurrency: 4
+});
+
+runner.on('file', (fileResult) => console.log(fileResult.file, fileResult.tests.length));
+
+const files = await runner.discover();
+const summary = await runner.run(files);
+await runner.writeReports(summary, { junit: 'reports/junit.xml', json: 'reports/tests.json' });
+ */
+class TestRunner extends EventEmitter {
+  static DEFAULT_PATTERNS = ['**/*.test.js', '**/*.spec.js'];
+
+  constructor(options = {}) {
+    super();
+    const {
+      rootDir = process.cwd(),
+      testDir = 'test',
+      patterns = TestRunner.DEFAULT_PATTERNS,
+      grep = null,
+      timeout = 5000,
+      fileTimeout = 60000,
+      concurrency = Math.max(1, os.cpus().length - 1),
+    } = options;
+
+    this.rootDir = path.resolve(rootDir);
+    this.testDir = path.resolve(this.rootDir, testDir);
+    this.patterns = patterns;
+    this.grep = grep;
+    this.timeout = timeout;
+    this.fileTimeout = fileTimeout;
+    this.concurrency = Math.max(1, concurrency);
+  }
+
+  /**
+   * Find test files below testDir
+   * @param {Array<string>} [filters] - Substrings a file path must contain
+   * @returns {Promise<Array<string>>} Absolute test file paths
+   */
+  async discover(filters = []) {
+    const files = await matchFiles(this.testDir, this.patterns);
+    if (filters.length === 0) return files;
+    return files.filter(file => {
+      const relative = path.relative(this.rootDir, file);
+      return filters.some(filter => relative.includes(filter));
+    });
+  }
+
+  // Run a single file in its own child process
+  runFile(file) {
+    const startTime = Date.now();
+    const fileResult = {
+      file: path.relative(this.rootDir, file).split(path.sep).join('/'),
+      duration: 0,
+      tests: [],
+      error: null
+    };
+
+    return new Promise((resolve) => {
+      const child = fork(WORKER_PATH, [], { cwd: this.rootDir });
+      let settled = false;
+
+      const finish = (error = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error && !fileResult.error) fileResult.error = error;
+        fileResult.duration = Date.now() - startTime;
+        if (child.exitCode === null) child.kill();
+        resolve(fileResult);
+      };
+
+      const timer = setTimeout(() => finish({
+        name: 'TimeoutError',
+        message: `Test file timed out after ${this.fileTimeout}ms`,
+        stack: ''
+      }), this.fileTimeout);
+
+      child.on('message', (message) => {
+        if (message.type === 'results') {
+          fileResult.tests = message.results;
+          finish();
+        } else if (message.type === 'error') {
+          fileResult.error = message.error;
+        }
+      });
+
+      child.on('error', (error) => finish({ name: error.name, message: error.message, stack: error.stack }));
+
+      child.on('close', (code, signal) => finish(code === 0 ? null : {
+        name: 'WorkerError',
+        message: `Test worker exited with ${signal || `code ${code}`}`,
+        stack: ''
+      }));
+
+      child.send({ file, grep: this.grep, timeout: this.timeout });
+    });
+  }
+
+  /**
+   * Run test files with bounded concurrency
+   * @param {Array<string>} files - Absolute test file paths
+   * @returns {Promise<Object>} Summary with per-file results and stats
+   */
+  async run(files) {
+    const startTime = Date.now();
+    const results = new Array(files.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < files.length) {
+        const index = next++;
+        results[index] = await this.runFile(files[index]);
+        this.emit('file', results[index]);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, files.length) }, worker)
+    );
+
+    const stats = { files: files.length, tests: 0, passed: 0, failed: 0, skipped: 0, errors: 0, duration: 0 };
+    for (const fileResult of results) {
+      if (fileResult.error) stats.errors++;
+      for (const test of fileResult.tests) {
+        stats.tests++;
+        stats[test.status]++;
+      }
+    }
+    stats.duration = Date.now() - startTime;
+
+    return {
+      success: stats.failed === 0 && stats.errors === 0,
+      stats,
+      files: results
+    };
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  // Render a summary as JUnit XML
+  formatJUnit(summary) {
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="modubuild" tests="${summary.stats.tests}" failures="${summary.stats.failed}" ` +
+        `errors="${summary.stats.errors}" skipped="${summary.stats.skipped}" time="${seconds(summary.stats.duration)}">`
+    ];
+
+    for (const fileResult of summary.files) {
+      const count = (status) => fileResult.tests.filter(test => test.status === status).length;
+      lines.push(
+        `  <testsuite name="${this.escapeXml(fileResult.file)}" tests="${fileResult.tests.length}" ` +
+        `failures="${count('failed')}" errors="${fileResult.error ? 1 : 0}" skipped="${count('skipped')}" ` +
+        `time="${seconds(fileResult.duration)}">`
+      );
+
+      if (fileResult.error) {
+        lines.push(
+          `    <error message="${this.escapeXml(fileResult.error.message)}" type="${this.escapeXml(fileResult.error.name)}">` +
+          `${this.escapeXml(fileResult.error.stack)}</error>`
+        );
+      }
+
+      for (const test of fileResult.tests) {
+        const classname = this.escapeXml([fileResult.file, ...test.suite].join(' > '));
+        const open = `    <testcase classname="${classname}" name="${this.escapeXml(test.name)}" time="${seconds(test.duration)}"`;
+
+        if (test.status === 'passed') {
+          lines.push(`${open}/>`);
+        } else if (test.status === 'skipped') {
+          lines.push(`${open}>`, '      <skipped/>', '    </testcase>');
+        } else {
+          lines.push(
+            `${open}>`,
+            `      <failure message="${this.escapeXml(test.error.message)}" type="${this.escapeXml(test.error.name)}">` +
+            `${this.escapeXml(test.error.stack)}</failure>`,
+            '    </testcase>'
+          );
+        }
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Render a summary as JSON
+  formatJSON(summary) {
+    return `${JSON.stringify(summary, null, 2)}\n`;
+  }
+
+  /**
+   * Write machine-readable reports
+   * @param {Object} summary - Result of run()
+   * @param {Object} targets - Output paths keyed by format (junit, json)
+   * @returns {Promise<Array<string>>} Written file paths
+   */
+  async writeReports(summary, targets = {}) {
+    const renderers = {
+      junit: (data) => this.formatJUnit(data),
+      json: (data) => this.formatJSON(data)
+    };
+
+    const written = [];
+    for (const [format, target] of Object.entries(targets)) {
+      if (!target || !renderers[format]) continue;
+      const outputPath = path.resolve(this.rootDir, target);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, renderers[format](summary));
+      written.push(outputPath);
+    }
+    return written;
+  }
+}
+
+module.exports = TestRunner;
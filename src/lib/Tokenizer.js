@@ -0,0 +1,451 @@
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=',
+  '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^',
+  '!', '~', '?', ':', '=', '.', '@'
+];
+
+// After these keywords a `/` starts a regular expression, not a division
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+const WHITESPACE = /[\s\uFEFF]/;
+const ID_START = /[\p{ID_Start}$_\\]/u;
+const ID_CONTINUE = /[\p{ID_Continue}$\u200C\u200D\\]/u;
+const JSX_NAME = /[\p{ID_Start}$_][\p{ID_Continue}$\-]*(?:[.:][\p{ID_Start}$_][\p{ID_Continue}$\-]*)*/uy;
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?/y;
+
+const TokenizerError = class extends Error {
+  constructor(message, line, column) {
+    super(`${message} (${line}:${column})`);
+    this.name = 'TokenizerError';
+    this.line = line;
+    this.column = column;
+  }
+};
+
+/**
+ * @usage
+const Tokenizer = require('./Tokenizer');
+
+const tokens = Tokenizer.tokenize('const url = "https://x"; // note', { comments: true });
+// => [
+//   { type: 'name', value: 'const', start: 0, end: 5, newlineBefore: false },
+//   { type: 'name', value: 'url', ... },
+//   { type: 'punctuator', value: '=', ... },
+//   { type: 'string', value: '"https://x"', ... },
+//   { type: 'punctuator', value: ';', ... },
+//   { type: 'comment', value: '// note', ... }
+// ]
+
+Token types: name (identifiers, keywords and #private names), number, string,
+template, regex, punctuator and comment. Template literals with substitutions are
+split into chunks (`a${`, `}b${`, `}c`) around the tokens of each expression.
+`value` is always the raw source text between `start` and `end`.
+
+With { jsx: true } an element such as `<a href={url}>Go</a>` where an expression may
+start is a single jsx token whose `element` describes it:
+// { name: 'a', start, end, attributes: [{ name: 'href', value: { type: 'expression', start, end }, start, end }],
+//   children: [{ type: 'text', start, end }] }
+Names are '' for fragments. Attribute values are string, expression or element nodes,
+or null; `{...props}` is an attribute with `spread` set to its expression. Expression
+offsets span the source between the braces.
+ */
+class Tokenizer {
+  constructor(source, options = {}) {
+    const {
+      comments = false,
+      jsx = false,
+    } = options;
+
+    this.source = source;
+    this.comments = comments;
+    this.jsx = jsx;
+    this.position = 0;
+    this.tokens = [];
+    // Innermost-last stack of '{' and '${' so a '}' knows whether it resumes a template
+    this.braces = [];
+    // Innermost-last stack of '(' flags: true when the parens hold an if/while/for/with condition
+    this.parens = [];
+    this.closesCondition = false;
+    // Whether the last ++ or -- follows its operand, as in `a++ / b`
+    this.postfix = false;
+    this.newlineBefore = false;
+    // Last significant token, used to tell a regular expression from a division
+    this.previous = null;
+  }
+
+  static tokenize(source, options) {
+    return new Tokenizer(source, options).tokenize();
+  }
+
+  static TokenizerError = TokenizerError;
+
+  // 1-based line and column of an offset, for error messages
+  locate(offset) {
+    const lines = this.source.slice(0, offset).split(/\r\n|[\n\r\u2028\u2029]/);
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+
+  fail(message, offset = this.position) {
+    const { line, column } = this.locate(offset);
+    throw new TokenizerError(message, line, column);
+  }
+
+  push(type, start, end) {
+    const token = { type, value: this.source.slice(start, end), start, end, newlineBefore: this.newlineBefore };
+    this.tokens.push(token);
+    this.newlineBefore = false;
+    if (type === 'punctuator' && (token.value === '++' || token.value === '--')) {
+      // Postfix when it directly follows an operand on the same line
+      this.postfix = !token.newlineBefore && this.previous !== null && !this.regexAllowed();
+    }
+    if (type !== 'comment') this.previous = token;
+    return token;
+  }
+
+  regexAllowed() {
+    const token = this.previous;
+    if (!token) return true;
+    switch (token.type) {
+      case 'name':
+        return REGEX_KEYWORDS.has(token.value);
+      case 'punctuator':
+        // `if (a) /re/.test(b)` is a regex, `(a) / b` a division
+        if (token.value === ')') return this.closesCondition;
+        // `a++ / b` divides; only a prefix ++ or -- is followed by an operand
+        if (token.value === '++' || token.value === '--') return !this.postfix;
+        return token.value !== ']';
+      case 'template':
+        return token.value.endsWith('${');
+      default:
+        return false;
+    }
+  }
+
+  tokenize() {
+    const { source } = this;
+    if (source.startsWith('#!')) {
+      this.skipLineComment();
+    }
+
+    while (this.position < source.length) {
+      this.readToken();
+    }
+
+    if (this.braces.includes('${')) {
+      this.fail('Unterminated template literal');
+    }
+    return this.tokens;
+  }
+
+  readToken() {
+    const char = this.source[this.position];
+    const next = this.source[this.position + 1];
+
+    if (LINE_TERMINATOR.test(char)) {
+      this.newlineBefore = true;
+      this.position++;
+    } else if (WHITESPACE.test(char)) {
+      this.position++;
+    } else if (char === '/' && next === '/') {
+      this.skipLineComment();
+    } else if (char === '/' && next === '*') {
+      this.readBlockComment();
+    } else if (char === '"' || char === '\'') {
+      this.readString(char);
+    } else if (char === '`') {
+      this.readTemplate(this.position, this.position + 1);
+    } else if (char === '}' && this.braces[this.braces.length - 1] === '${') {
+      this.braces.pop();
+      this.readTemplate(this.position, this.position + 1);
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(next))) {
+      this.readNumber();
+    } else if (char === '#' || ID_START.test(char)) {
+      this.readName();
+    } else if (char === '/' && this.regexAllowed()) {
+      this.readRegex();
+    } else if (char === '<' && this.jsx && this.regexAllowed() && this.startsJsx()) {
+      const start = this.position;
+      const element = this.readJsxElement();
+      this.push('jsx', start, this.position).element = element;
+    } else {
+      this.readPunctuator();
+    }
+  }
+
+  skipLineComment() {
+    const start = this.position;
+    while (this.position < this.source.length && !LINE_TERMINATOR.test(this.source[this.position])) {
+      this.position++;
+    }
+    if (this.comments) this.push('comment', start, this.position);
+  }
+
+  readBlockComment() {
+    const start = this.position;
+    const end = this.source.indexOf('*/', start + 2);
+    if (end === -1) this.fail('Unterminated comment', start);
+
+    this.position = end + 2;
+    // A comment spanning lines counts as a line break for automatic semicolon insertion
+    const newline = LINE_TERMINATOR.test(this.source.slice(start, this.position));
+    if (this.comments) {
+      this.push('comment', start, this.position);
+    }
+    if (newline) this.newlineBefore = true;
+  }
+
+  readString(quote) {
+    const start = this.position++;
+    while (this.position < this.source.length) {
+      const char = this.source[this.position];
+      if (char === '\\') {
+        this.position += 2;
+      } else if (char === quote) {
+        this.position++;
+        this.push('string', start, this.position);
+        return;
+      } else if (char === '\n' || char === '\r') {
+        break;
+      } else {
+        this.position++;
+      }
+    }
+    this.fail('Unterminated string literal', start);
+  }
+
+  // Read template text up to the closing backtick or the next substitution
+  readTemplate(start, position) {
+    const { source } = this;
+    while (position < source.length) {
+      const char = source[position];
+      if (char === '\\') {
+        position += 2;
+      } else if (char === '`') {
+        this.position = position + 1;
+        this.push('template', start, this.position);
+        return;
+      } else if (char === '$' && source[position + 1] === '{') {
+        this.position = position + 2;
+        this.braces.push('${');
+        this.push('template', start, this.position);
+        return;
+      } else {
+        position++;
+      }
+    }
+    this.fail('Unterminated template literal', start);
+  }
+
+  readNumber() {
+    NUMBER.lastIndex = this.position;
+    const match = NUMBER.exec(this.source);
+    const start = this.position;
+    this.position += match[0].length;
+    this.push('number', start, this.position);
+  }
+
+  readName() {
+    const start = this.position++;
+    while (this.position < this.source.length && ID_CONTINUE.test(this.source[this.position])) {
+      // Unicode escapes such as \u0061 are part of the name
+      this.position += this.source[this.position] === '\\' ? 6 : 1;
+    }
+    if (this.position - start === 1 && this.source[start] === '#') {
+      this.fail('Unexpected character "#"', start);
+    }
+    this.push('name', start, this.position);
+  }
+
+  readRegex() {
+    const start = this.position++;
+    let inClass = false;
+    while (this.position < this.source.length) {
+      const char = this.source[this.position];
+      if (LINE_TERMINATOR.test(char)) break;
+      if (char === '\\') {
+        this.position += 2;
+        continue;
+      }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) {
+        this.position++;
+        while (this.position < this.source.length && ID_CONTINUE.test(this.source[this.position])) {
+          this.position++;
+        }
+        this.push('regex', start, this.position);
+        return;
+      }
+      this.position++;
+    }
+    this.fail('Unterminated regular expression', start);
+  }
+
+  // `<div`, `<Foo.Bar` or `<>` where an expression starts; `<T,>` and `<T extends U>`
+  // are type parameters of a generic arrow function
+  startsJsx() {
+    const rest = this.source.slice(this.position + 1, this.position + 256);
+    if (rest.startsWith('>')) return true;
+    const match = /^[\p{ID_Start}$_][\p{ID_Continue}$]*\s*(,|extends\s)?/u.exec(rest);
+    return Boolean(match) && !match[1];
+  }
+
+  // Whitespace and comments between the parts of a JSX tag
+  skipJsxSpace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      if (WHITESPACE.test(source[this.position])) {
+        this.position++;
+      } else if (source.startsWith('//', this.position)) {
+        while (this.position < source.length && !LINE_TERMINATOR.test(source[this.position])) this.position++;
+      } else if (source.startsWith('/*', this.position)) {
+        const end = source.indexOf('*/', this.position + 2);
+        if (end === -1) this.fail('Unterminated comment');
+        this.position = end + 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  readJsxName() {
+    JSX_NAME.lastIndex = this.position;
+    const match = JSX_NAME.exec(this.source);
+    if (!match) return '';
+    this.position += match[0].length;
+    return match[0];
+  }
+
+  // An element or fragment, from its `<` to the end of its closing tag
+  readJsxElement() {
+    const { source } = this;
+    const start = this.position++;
+    this.skipJsxSpace();
+    const name = this.readJsxName();
+    const attributes = [];
+
+    while (true) {
+      this.skipJsxSpace();
+      const char = source[this.position];
+      if (this.position >= source.length) {
+        this.fail('Unterminated JSX tag', start);
+      } else if (char === '/' && source[this.position + 1] === '>') {
+        this.position += 2;
+        return { name, attributes, children: [], start, end: this.position };
+      } else if (char === '>') {
+        this.position++;
+        break;
+      } else if (char === '{') {
+        const attributeStart = this.position;
+        const expression = this.readJsxExpression();
+        if (!/^\s*\.\.\./.test(source.slice(expression.start, expression.end))) {
+          this.fail('Expected {...spread} in JSX tag', attributeStart);
+        }
+        attributes.push({ spread: expression, start: attributeStart, end: this.position });
+      } else {
+        const attributeStart = this.position;
+        const attributeName = this.readJsxName();
+        if (!attributeName) this.fail(`Unexpected character "${char}" in JSX tag`);
+        this.skipJsxSpace();
+        let value = null;
+        if (source[this.position] === '=') {
+          this.position++;
+          this.skipJsxSpace();
+          value = this.readJsxValue();
+        }
+        attributes.push({ name: attributeName, value, start: attributeStart, end: this.position });
+      }
+    }
+
+    const children = [];
+    while (true) {
+      const childStart = this.position;
+      if (childStart >= source.length) {
+        this.fail(`Unclosed JSX element <${name}>`, start);
+      }
+      if (source.startsWith('</', childStart)) {
+        this.position += 2;
+        this.skipJsxSpace();
+        const closing = this.readJsxName();
+        this.skipJsxSpace();
+        if (closing !== name || source[this.position] !== '>') {
+          this.fail(`Expected </${name}> to close <${name}>`, childStart);
+        }
+        this.position++;
+        return { name, attributes, children, start, end: this.position };
+      }
+      if (source[childStart] === '<') {
+        children.push({ type: 'element', ...this.readJsxElement() });
+      } else if (source[childStart] === '{') {
+        children.push(this.readJsxExpression());
+      } else {
+        while (this.position < source.length && source[this.position] !== '<' && source[this.position] !== '{') {
+          this.position++;
+        }
+        children.push({ type: 'text', start: childStart, end: this.position });
+      }
+    }
+  }
+
+  readJsxValue() {
+    const { source } = this;
+    const char = source[this.position];
+    const start = this.position;
+    if (char === '"' || char === '\'') {
+      const end = source.indexOf(char, start + 1);
+      if (end === -1) this.fail('Unterminated JSX attribute value', start);
+      this.position = end + 1;
+      return { type: 'string', start, end: this.position };
+    }
+    if (char === '{') return this.readJsxExpression();
+    if (char === '<') return { type: 'element', ...this.readJsxElement() };
+    return this.fail('Expected a string, {expression} or element as JSX attribute value');
+  }
+
+  // `{...}` inside JSX; JavaScript, and more JSX, up to the brace closing it
+  readJsxExpression() {
+    const open = this.position;
+    const inner = new Tokenizer(this.source, { jsx: true });
+    inner.position = open + 1;
+    while (inner.position < this.source.length) {
+      if (this.source[inner.position] === '}' && inner.braces.length === 0) {
+        this.position = inner.position + 1;
+        return { type: 'expression', start: open + 1, end: inner.position };
+      }
+      inner.readToken();
+    }
+    return this.fail('Unterminated JSX expression', open);
+  }
+
+  readPunctuator() {
+    const start = this.position;
+    const punctuator = PUNCTUATORS.find(candidate => this.source.startsWith(candidate, start));
+    if (!punctuator) {
+      this.fail(`Unexpected character "${this.source[start]}"`);
+    }
+
+    // `a?.5:b` is a conditional, not optional chaining
+    const value = punctuator === '?.' && /\d/.test(this.source[start + 2]) ? '?' : punctuator;
+    this.position += value.length;
+
+    if (value === '{') {
+      this.braces.push('{');
+    } else if (value === '}') {
+      this.braces.pop();
+    } else if (value === '(') {
+      const keyword = this.previous && this.previous.type === 'name' ? this.previous.value : null;
+      this.parens.push(['if', 'while', 'for', 'with'].includes(keyword));
+    } else if (value === ')') {
+      this.closesCondition = this.parens.pop() === true;
+    }
+    this.push('punctuator', start, this.position);
+  }
+}
+
+module.exports = Tokenizer;
@@ -0,0 +1,1016 @@
+const Tokenizer = require('./Tokenizer');
+const ModuleScanner = require('./ModuleScanner');
+
+// Words before a type that still expect one, e.g. `keyof T`
+const TYPE_PREFIXES = new Set(['keyof', 'typeof', 'readonly', 'unique', 'infer', 'asserts', 'new', 'abstract']);
+// Punctuators that may appear between the angle brackets of type arguments; anything
+// else, such as `&&` in `a < b && c > (d)`, means the `<` is a comparison
+const TYPE_PUNCTUATORS = new Set([',', '.', '?', ':', '|', '&', '=', '=>', '...']);
+// Class member and parameter property modifiers
+const MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override', 'declare', 'abstract']);
+// Words that may precede a class member's name
+const MEMBER_PREFIXES = new Set([...MODIFIERS, 'static', 'async', 'get', 'set', 'accessor']);
+// Names after which an expression starts, so they do not end a value like an identifier does
+const OPERATOR_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case',
+  'do', 'else', 'yield', 'await', 'extends', 'default'
+]);
+// Statements that declare only types, removed with everything up to their end
+const TYPE_DECLARATIONS = new Set(['interface', 'type']);
+const BLOCK_PUNCTUATORS = new Set([')', ';', '{', '}', '=>']);
+const BLOCK_KEYWORDS = new Set(['else', 'do', 'try', 'finally']);
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'await'
+]);
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0', copy: '©', reg: '®',
+  trade: '™', hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»',
+  middot: '·', times: '×', bull: '•', larr: '←', rarr: '→'
+};
+
+/**
+ * @usage
+const Transpiler = require('./Transpiler');
+
+const transpiler = new Transpiler({ jsx: { factory: 'React.createElement', fragment: 'React.Fragment' } });
+
+transpiler.transform('let total: number = add<number>(a as number, b!);', { typescript: true });
+// => 'let total         = add        (a          , b );'
+transpiler.transform('const link = <a href={url}>Docs</a>;', { jsx: true });
+// => 'const link = React.createElement("a", {href: url}, "Docs");'
+
+TypeScript support removes type syntax without checking it: annotations, type parameters
+and arguments, interfaces, type aliases, `declare` statements, overload signatures,
+`as`/`satisfies` expressions, non-null assertions, modifiers and `implements` clauses.
+Imports only used as types are dropped, as tsc does. Enums become objects, constructor
+parameter properties become assignments and `import x = require()` a constant.
+Namespaces are not supported.
+
+JSX elements become factory calls, `h` and `Fragment` unless configured; lowercase and
+dashed tag names are passed as strings. The factory must be in scope where JSX is used.
+
+Output keeps every line of the input where it was, so a module's source map can map
+each line to the same line of the original file.
+ */
+class Transpiler {
+  constructor(options = {}) {
+    const {
+      jsx = {},
+    } = options;
+
+    this.jsx = { factory: 'h', fragment: 'Fragment', ...jsx };
+    for (const key of ['factory', 'fragment']) {
+      if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(this.jsx[key])) {
+        throw new Error(`jsx.${key} must be an identifier such as h or React.createElement, got "${this.jsx[key]}"`);
+      }
+    }
+    this.scanner = new ModuleScanner();
+  }
+
+  /**
+   * Compile TypeScript and JSX to plain JavaScript on the same lines
+   * @param {string} code - Module source
+   * @param {Object} [options]
+   * @param {boolean} [options.typescript] - Remove type syntax
+   * @param {boolean} [options.jsx] - Compile JSX elements to factory calls
+   * @returns {string} JavaScript
+   */
+  transform(code, { typescript = false, jsx = false } = {}) {
+    if (!typescript && !jsx) return code;
+
+    const tokens = Tokenizer.tokenize(code, { jsx });
+    const edits = [];
+    if (typescript) {
+      edits.push(...new TypeStripper(this, code, tokens).strip());
+    }
+    for (const token of tokens.filter(candidate => candidate.type === 'jsx')) {
+      edits.push({ start: token.start, end: token.end, text: this.compileElement(code, token.element, { typescript, jsx }) });
+    }
+    return this.scanner.applyEdits(code, edits);
+  }
+
+  // Replace code with spaces, keeping its line breaks
+  blank(text) {
+    return text.replace(/[^\n\r\u2028\u2029]/g, ' ');
+  }
+
+  countLines(text) {
+    return (text.match(/\r\n|[\n\r\u2028\u2029]/g) || []).length;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(?:#x([\da-fA-F]+)|#(\d+)|([A-Za-z][A-Za-z\d]*));/g, (entity, hex, decimal, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+      return ENTITIES[name] ?? entity;
+    });
+  }
+
+  // Text between tags the way JSX reads it: lines are trimmed, blank lines dropped and
+  // the rest joined with single spaces. Text on one line, even just spaces, stays as it is.
+  cleanText(text) {
+    const lines = text.split(/\r\n|[\n\r]/);
+    let lastNonEmpty = 0;
+    lines.forEach((line, index) => {
+      if (/[^ \t]/.test(line)) lastNonEmpty = index;
+    });
+
+    let result = '';
+    lines.forEach((line, index) => {
+      let trimmed = line.replace(/\t/g, ' ');
+      if (index !== 0) trimmed = trimmed.replace(/^ +/, '');
+      if (index !== lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+      if (trimmed) {
+        result += index === lastNonEmpty ? trimmed : `${trimmed} `;
+      }
+    });
+    return this.decodeEntities(result);
+  }
+
+  /**
+   * Factory call for a JSX element, on as many lines as the element spans
+   * @param {string} code - Source the element's offsets point into
+   * @param {Object} element - `element` of a jsx token, see Tokenizer
+   * @param {Object} options - Passed to transform for embedded expressions
+   * @returns {string} e.g. h("div", {id: "app"}, "Hello ", name)
+   */
+  compileElement(code, element, options) {
+    const { factory, fragment } = this.jsx;
+    let output = '';
+    let position = element.start;
+    // Append generated code for the source up to `end`, padded with the line breaks it lost
+    const emit = (text, end) => {
+      output += text + '\n'.repeat(Math.max(0, this.countLines(code.slice(position, end)) - this.countLines(text)));
+      position = end;
+    };
+    const expression = node => this.transform(code.slice(node.start, node.end), options);
+    const value = (node) => {
+      if (node === null) return 'true';
+      if (node.type === 'string') return JSON.stringify(this.decodeEntities(code.slice(node.start + 1, node.end - 1)));
+      if (node.type === 'element') return this.compileElement(code, node, options);
+      return expression(node);
+    };
+
+    const { name } = element;
+    const tag = name === '' ? fragment : (/^[a-z]|[-:]/.test(name) ? JSON.stringify(name) : name);
+    emit(`${factory}(${tag}`, element.start);
+
+    if (element.attributes.length === 0) {
+      emit(', null', position);
+    } else {
+      element.attributes.forEach((attribute, index) => {
+        const separator = index === 0 ? ', {' : ', ';
+        if (attribute.spread) {
+          emit(`${separator}${expression(attribute.spread)}`, attribute.end);
+        } else {
+          const key = IDENTIFIER.test(attribute.name) ? attribute.name : JSON.stringify(attribute.name);
+          emit(`${separator}${key}: ${value(attribute.value)}`, attribute.end);
+        }
+      });
+      emit('}', position);
+    }
+
+    for (const child of element.children) {
+      if (child.type === 'text') {
+        const text = this.cleanText(code.slice(child.start, child.end));
+        emit(text ? `, ${JSON.stringify(text)}` : '', child.end);
+      } else if (child.type === 'expression') {
+        // `{/* comment */}` holds no expression
+        const empty = Tokenizer.tokenize(code.slice(child.start, child.end), { jsx: true }).length === 0;
+        emit(empty ? '' : `, ${expression(child)}`, child.end);
+      } else {
+        emit(`, ${this.compileElement(code, child, options)}`, child.end);
+      }
+    }
+    emit(')', element.end);
+    return output;
+  }
+}
+
+/**
+ * One pass over a module's tokens collecting the edits that remove its type syntax.
+ * A stack of open brackets tells a type annotation's `:` from an object key, a label,
+ * a case clause or the second half of a conditional.
+ */
+class TypeStripper {
+  constructor(transpiler, code, tokens) {
+    this.transpiler = transpiler;
+    this.scanner = transpiler.scanner;
+    this.code = code;
+    this.tokens = tokens;
+    this.match = this.scanner.matchBrackets(tokens);
+    this.edits = [];
+    // Token indices whose text was removed, for finding imports only used as types
+    this.removed = new Set();
+    // `{` of each class body
+    this.classBodies = new Set();
+    // Names declared only as types, removed from `export { ... }` lists
+    this.typeNames = new Set();
+    this.imports = [];
+    this.exportLists = [];
+    this.stack = [{ kind: 'block', open: -1, questions: 0, declaring: false, inCase: false }];
+    // Frame each closing bracket ended, by the bracket's index
+    this.closedFrames = new Map();
+  }
+
+  fail(message, token) {
+    const { line, column } = new Tokenizer(this.code).locate(token ? token.start : this.code.length);
+    throw new Tokenizer.TokenizerError(message, line, column);
+  }
+
+  isName(index, value) {
+    return this.scanner.isName(this.tokens[index], value);
+  }
+
+  isPunctuator(index, value) {
+    return this.scanner.isPunctuator(this.tokens[index], value);
+  }
+
+  // Whether two tokens are on the same line, so no semicolon can be inserted between them
+  sameLine(index) {
+    return Boolean(this.tokens[index]) && !this.tokens[index].newlineBefore;
+  }
+
+  // Whether the token at index ends a value, so what follows it continues an expression
+  endsValue(index) {
+    const token = this.tokens[index];
+    if (!token) return false;
+    if (token.type === 'name') return !OPERATOR_KEYWORDS.has(token.value);
+    if (token.type === 'punctuator') return [')', ']', '}'].includes(token.value);
+    if (token.type === 'template') return !token.value.endsWith('${');
+    return token.type !== 'comment';
+  }
+
+  // Index of the last token before index that is still in the output
+  previousKept(index) {
+    let previous = index - 1;
+    while (previous >= 0 && this.removed.has(previous)) previous--;
+    return previous;
+  }
+
+  // Whether the token at index starts a statement
+  startsStatement(index) {
+    const previous = this.tokens[index - 1];
+    if (!previous) return true;
+    if (previous.type === 'punctuator' && [';', '{', '}'].includes(previous.value)) return true;
+    return this.tokens[index].newlineBefore && this.endsValue(index - 1);
+  }
+
+  // Remove tokens from..to inclusive, or up to an offset inside the last one
+  remove(from, to, end = this.tokens[to].end) {
+    const start = this.tokens[from].start;
+    this.edits.push({ start, end, text: this.transpiler.blank(this.code.slice(start, end)) });
+    for (let index = from; index <= to; index++) {
+      if (index < to || end === this.tokens[to].end) this.removed.add(index);
+    }
+  }
+
+  replace(from, to, text) {
+    this.edits.push({ start: this.tokens[from].start, end: this.tokens[to].end, text });
+    for (let index = from; index <= to; index++) this.removed.add(index);
+  }
+
+  // Include a trailing semicolon
+  withSemicolon(index) {
+    return this.isPunctuator(index + 1, ';') ? index + 1 : index;
+  }
+
+  /**
+   * Index of the `>` closing type parameters or arguments opened at index
+   * @returns {number} -1 when the brackets hold something other than types, e.g. `a < b && c > d`
+   */
+  findTypeClose(index) {
+    const { tokens, match } = this;
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      const { type, value } = tokens[i];
+      if (type === 'regex' || type === 'jsx') return -1;
+      if (type !== 'punctuator') continue;
+      if (value === '<') {
+        depth++;
+      } else if (/^>+$/.test(value)) {
+        depth -= value.length;
+        if (depth <= 0) return depth === 0 ? i : -1;
+      } else if (value === '(' || value === '[' || value === '{') {
+        if (match[i] === -1) return -1;
+        i = match[i];
+      } else if (!TYPE_PUNCTUATORS.has(value)) {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find where a type starting at index ends
+   * @returns {{index: number, end: number}} First token after the type, and the offset the
+   *   type ends at; inside that token when a `>=` closes a type argument list
+   */
+  skipType(index) {
+    const { tokens, match } = this;
+    let expectOperand = true;
+    let conditionals = 0;
+    let afterParens = false;
+    let i = index;
+    const done = () => ({ index: i, end: i > index ? tokens[i - 1].end : tokens[index].start });
+
+    while (i < tokens.length) {
+      const { type, value } = tokens[i];
+      if (expectOperand) {
+        if (type === 'name') {
+          i++;
+          // `keyof T` and `asserts x is T` still expect the type itself
+          if (!TYPE_PREFIXES.has(value) || !this.sameLine(i) || this.tokens[i].type === 'punctuator' && !['(', '[', '{', '<'].includes(this.tokens[i].value)) {
+            expectOperand = false;
+            afterParens = false;
+          }
+        } else if (type === 'string' || type === 'number' || (type === 'template' && value.startsWith('`') && value.endsWith('`'))) {
+          i++;
+          expectOperand = false;
+          afterParens = false;
+        } else if (type === 'punctuator' && ['|', '&', '-', '...'].includes(value)) {
+          i++;
+        } else if (type === 'punctuator' && ['(', '[', '{'].includes(value) && match[i] !== -1) {
+          afterParens = value === '(';
+          i = match[i] + 1;
+          expectOperand = false;
+        } else if (type === 'punctuator' && value === '<') {
+          // Type parameters of a function type: <T>(value: T) => T
+          const close = this.findTypeClose(i);
+          if (close === -1) return done();
+          i = close + 1;
+        } else {
+          return done();
+        }
+        continue;
+      }
+
+      const token = tokens[i];
+      const continues = type === 'punctuator'
+        ? ['|', '&', '.'].includes(value) || (value === '=>' && afterParens) ||
+          ((value === '?' || value === ':') && conditionals > 0)
+        : type === 'name' && ['is', 'extends'].includes(value);
+      if (token.newlineBefore && !continues) return done();
+
+      if (continues) {
+        if (value === 'extends') conditionals++;
+        if (value === ':') conditionals--;
+        expectOperand = true;
+        i++;
+      } else if (type === 'punctuator' && value === '[' && match[i] !== -1) {
+        // Array and indexed access types: T[], T['key']
+        i = match[i] + 1;
+      } else if (type === 'punctuator' && value === '<') {
+        const close = this.findTypeClose(i);
+        if (close === -1) return done();
+        i = close + 1;
+        afterParens = false;
+      } else {
+        return done();
+      }
+    }
+    return done();
+  }
+
+  // Index of the last token of a statement or class member starting at index
+  findStatementEnd(index) {
+    const { tokens, match } = this;
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (i > index && this.scanner.isStatementBoundary(tokens, i)) return i - 1;
+      if (token.type !== 'punctuator') continue;
+      if (token.value === ';') return i;
+      if (token.value === '}' || token.value === ')' || token.value === ']') return i - 1;
+      if (['(', '[', '{'].includes(token.value) && match[i] !== -1) i = match[i];
+    }
+    return tokens.length - 1;
+  }
+
+  // Index of the `}` ending a declaration with a body, e.g. interface X extends Y { ... }
+  findBodyEnd(index) {
+    for (let i = index; i < this.tokens.length; i++) {
+      if (this.isPunctuator(i, '{')) return this.withSemicolon(this.match[i]);
+      if (this.isPunctuator(i, '(') || this.isPunctuator(i, '[')) i = this.match[i];
+      else if (this.isPunctuator(i, '<')) i = this.findTypeClose(i);
+      if (i === -1) break;
+    }
+    return this.fail('Expected a body', this.tokens[index]);
+  }
+
+  /**
+   * Collect the edits removing type syntax
+   * @returns {Array<{start: number, end: number, text: string}>} Edits for ModuleScanner#applyEdits
+   */
+  strip() {
+    let index = 0;
+    while (index < this.tokens.length) {
+      index = this.visit(index);
+    }
+    this.elideImports();
+    this.elideExports();
+    return this.edits;
+  }
+
+  // Handle the token at index and return the index of the next one to visit
+  visit(index) {
+    const { tokens } = this;
+    const token = tokens[index];
+    const top = this.stack[this.stack.length - 1];
+    if (this.removed.has(index)) return index + 1;
+
+    if (top.kind === 'block' && top.declaring && this.startsStatement(index)) top.declaring = false;
+    if (token.type === 'name') {
+      const next = this.visitName(index, top);
+      if (next !== null) return next;
+    } else if (token.type === 'punctuator') {
+      const next = this.visitPunctuator(index, top);
+      if (next !== null) return next;
+    }
+    return index + 1;
+  }
+
+  visitName(index, top) {
+    const { tokens } = this;
+    const { value } = tokens[index];
+    const atStatement = top.kind === 'block' && this.startsStatement(index);
+    const nextIsName = tokens[index + 1] && tokens[index + 1].type === 'name' && this.sameLine(index + 1);
+
+    if (atStatement) {
+      if (value === 'import' && !this.isPunctuator(index + 1, '(') && !this.isPunctuator(index + 1, '.')) {
+        return this.visitImport(index);
+      }
+      if (value === 'export') return this.visitExport(index);
+      const declaration = this.visitDeclaration(index, index);
+      if (declaration !== null) return declaration;
+    }
+
+    if (top.kind === 'block' && ['let', 'const', 'var'].includes(value) && (atStatement || this.isName(index - 1, 'export'))) {
+      top.declaring = true;
+    } else if (top.kind === 'block' && (value === 'case' || value === 'default') && atStatement) {
+      top.inCase = true;
+    } else if (value === 'class' && !this.isPunctuator(index - 1, '.')) {
+      this.visitClassHeader(index);
+    } else if (value === 'function' && atStatement) {
+      return this.visitFunction(index, index);
+    } else if ((value === 'as' || value === 'satisfies') && this.endsValue(index - 1) && this.sameLine(index) &&
+      index + 1 < tokens.length) {
+      const { index: next, end } = this.skipType(index + 1);
+      this.remove(index, next - 1, end);
+      return next;
+    } else if (MODIFIERS.has(value) && (nextIsName || this.isPunctuator(index + 1, '[') || this.isPunctuator(index + 1, '*')) &&
+      this.sameLine(index + 1)) {
+      if (top.kind === 'class') return this.visitMemberModifier(index);
+      if (top.kind === '(' && value !== 'declare' && value !== 'abstract') {
+        this.remove(index, index);
+        // private readonly name: the last modifier is followed by the parameter
+        if (top.parameterProperties && !MODIFIERS.has(tokens[index + 1].value)) top.parameterProperties.push(index + 1);
+      }
+    }
+    return null;
+  }
+
+  visitPunctuator(index, top) {
+    const { tokens } = this;
+    const { value } = tokens[index];
+
+    switch (value) {
+      case '(':
+      case '[':
+      case '{':
+        return this.open(index, top);
+      case ')':
+      case ']':
+      case '}':
+        if (this.stack.length > 1) this.close(index, this.stack.pop());
+        return null;
+      case ';':
+        top.declaring = false;
+        return null;
+      case '?':
+        // Optional parameters and members: a?: T, a?, method?()
+        if (this.isPunctuator(index + 1, ':') || this.isPunctuator(index + 1, ',') || this.isPunctuator(index + 1, ')') ||
+          (top.kind === 'class' && this.isPunctuator(index + 1, '(') && this.endsValue(index - 1))) {
+          this.remove(index, index);
+        } else {
+          top.questions++;
+        }
+        return null;
+      case '!': {
+        // Non-null assertions and definite assignments: value!.name, call()!, field!: T.
+        // A prefix ! only follows a bracket on its line after a condition or a block:
+        // if (ok) !done && stop()
+        const previous = tokens[index - 1];
+        const closed = this.closedFrames.get(index - 1);
+        const closesValue = Boolean(closed) && !this.closesStatementPart(closed);
+        if (this.endsValue(index - 1) && this.sameLine(index) && (previous.type === 'name' || closesValue)) {
+          this.remove(index, index);
+        }
+        return null;
+      }
+      case ':':
+        return this.visitColon(index, top);
+      case '<':
+        return this.visitAngle(index);
+      default:
+        return null;
+    }
+  }
+
+  open(index, top) {
+    const { tokens } = this;
+    const { value } = tokens[index];
+    // A return type before a function body is gone by now
+    const previous = tokens[this.previousKept(index)];
+    let kind = value;
+    if (value === '{') {
+      if (this.classBodies.has(index)) {
+        kind = 'class';
+      } else if (!previous || (previous.type === 'punctuator' && BLOCK_PUNCTUATORS.has(previous.value)) ||
+        (previous.type === 'name' && BLOCK_KEYWORDS.has(previous.value)) ||
+        (previous.type === 'punctuator' && previous.value === ':' && top.kind === 'block')) {
+        kind = 'block';
+      } else {
+        kind = 'object';
+      }
+    }
+    const frame = { kind, open: index, questions: 0, declaring: false, inCase: false };
+
+    if (value === '(' && top.kind === 'class') {
+      const next = this.visitMethod(index, frame);
+      if (next !== null) return next;
+    }
+    // Index signatures: [key: string]: unknown;
+    if (value === '[' && top.kind === 'class' && this.isPunctuator(index + 2, ':') && this.isMemberStart(index)) {
+      const end = this.findStatementEnd(index);
+      this.remove(this.findMemberStart(index), end);
+      return end + 1;
+    }
+    this.stack.push(frame);
+
+    // function (this: Window, event) -> function (event)
+    if (value === '(' && this.isName(index + 1, 'this') && this.isPunctuator(index + 2, ':')) {
+      let { index: end } = this.skipType(index + 3);
+      if (this.isPunctuator(end, ',')) end++;
+      this.remove(index + 1, end - 1);
+      return end;
+    }
+    return null;
+  }
+
+  close(index, frame) {
+    this.closedFrames.set(index, frame);
+    if (frame.parameterProperties && frame.parameterProperties.length > 0) {
+      this.assignParameterProperties(index, frame.parameterProperties);
+    }
+  }
+
+  // Whether a closed frame is a block, a class body or the condition of if, while, for or with
+  closesStatementPart(frame) {
+    if (frame.kind === 'block' || frame.kind === 'class') return true;
+    if (frame.kind !== '(') return false;
+    const before = frame.open - 1;
+    return ['if', 'while', 'for', 'with'].some(keyword => this.isName(before, keyword)) ||
+      (this.isName(before, 'await') && this.isName(before - 1, 'for'));
+  }
+
+  visitColon(index, top) {
+    const previous = this.tokens[index - 1];
+    if (top.questions > 0) {
+      top.questions--;
+      return null;
+    }
+    if (top.inCase) {
+      top.inCase = false;
+      return null;
+    }
+
+    const isPunctuator = value => previous && previous.type === 'punctuator' && previous.value === value;
+    const isType = top.kind === '(' || top.kind === '[' || top.kind === 'class' ||
+      isPunctuator(')') || isPunctuator('?') || isPunctuator('!') ||
+      (top.kind === 'block' && top.declaring && (previous.type === 'name' || isPunctuator('}') || isPunctuator(']')));
+    if (!isType) return null;
+
+    const { index: next, end } = this.skipType(index + 1);
+    this.remove(index, next - 1, end);
+    return next;
+  }
+
+  visitAngle(index) {
+    const { tokens } = this;
+    const close = this.findTypeClose(index);
+    if (close === -1) return null;
+
+    // Where an expression starts: generic arrow functions and <T>value assertions
+    const previous = tokens[index - 1];
+    const startsExpression = !previous || !this.endsValue(index - 1);
+    const after = tokens[close + 1];
+    const followed = after && (
+      this.isPunctuator(close + 1, '(') || after.type === 'template' ||
+      (this.isPunctuator(close + 1, '{') && this.classBodies.has(close + 1)) ||
+      this.isName(close + 1, 'implements') || this.isName(close + 1, 'extends')
+    );
+    if (startsExpression || (previous.type === 'name' && followed)) {
+      this.remove(index, close);
+      return close + 1;
+    }
+    return null;
+  }
+
+  // interface, type, declare, enum, abstract class and namespace statements starting at
+  // index; `start` is where removal begins, before any `export`
+  visitDeclaration(index, start) {
+    const { tokens } = this;
+    const { value } = tokens[index];
+    const next = tokens[index + 1];
+    const nextOnLine = next && this.sameLine(index + 1);
+
+    if (TYPE_DECLARATIONS.has(value) && nextOnLine && next.type === 'name') {
+      this.typeNames.add(next.value);
+      if (value === 'interface') {
+        const end = this.findBodyEnd(index);
+        this.remove(start, end);
+        return end + 1;
+      }
+      let equals = index + 2;
+      if (this.isPunctuator(equals, '<')) equals = this.findTypeClose(equals) + 1;
+      if (equals > 0 && this.isPunctuator(equals, '=')) {
+        const { index: after } = this.skipType(equals + 1);
+        const end = this.withSemicolon(after - 1);
+        this.remove(start, end);
+        return end + 1;
+      }
+      return null;
+    }
+
+    if (value === 'declare' && nextOnLine && next.type === 'name') {
+      const keyword = next.value;
+      const name = tokens[index + 2];
+      if (name && name.type === 'name') this.typeNames.add(name.value);
+      const withBody = ['module', 'namespace', 'global', 'class', 'enum', 'interface'].includes(keyword) ||
+        (keyword === 'abstract' && this.isName(index + 2, 'class'));
+      const end = withBody ? this.findBodyEnd(index) : this.findStatementEnd(index);
+      this.remove(start, end);
+      return end + 1;
+    }
+
+    if (value === 'abstract' && this.isName(index + 1, 'class') && nextOnLine) {
+      this.remove(index, index);
+      return index + 1;
+    }
+
+    if (value === 'enum' && nextOnLine && next.type === 'name') {
+      return this.visitEnum(index, index);
+    }
+    if (value === 'const' && this.isName(index + 1, 'enum') && nextOnLine) {
+      return this.visitEnum(index, index + 1);
+    }
+
+    if ((value === 'namespace' || value === 'module') && nextOnLine && next.type === 'name') {
+      this.fail(`TypeScript ${value} declarations are not supported; use ES modules`, tokens[index]);
+    }
+    return null;
+  }
+
+  visitImport(index) {
+    const { tokens } = this;
+    // import type { A } from './a'
+    if (this.isName(index + 1, 'type') && !this.isName(index + 2, 'from') && !this.isPunctuator(index + 2, ',') &&
+      !this.isPunctuator(index + 2, '=')) {
+      const end = this.findImportEnd(index);
+      this.remove(index, end);
+      return end + 1;
+    }
+    // import fs = require('fs') -> const fs = require('fs')
+    if (tokens[index + 1] && tokens[index + 1].type === 'name' && this.isPunctuator(index + 2, '=')) {
+      this.edits.push({ start: tokens[index].start, end: tokens[index].end, text: 'const ' });
+      return index + 3;
+    }
+
+    const end = this.findImportEnd(index);
+    const record = { start: index, end, locals: [], named: [] };
+    for (let i = index + 1; i <= end; i++) {
+      const token = tokens[i];
+      if (this.isPunctuator(i, '{')) {
+        const close = this.match[i];
+        this.visitSpecifiers(i, close, (local, from, to) => record.named.push({ local, from, to }));
+        record.locals.push(...record.named.map(specifier => specifier.local));
+        i = close;
+      } else if (token.type === 'name' && !['from', 'as', 'type'].includes(token.value) &&
+        (this.isPunctuator(i + 1, ',') || this.isName(i + 1, 'from'))) {
+        record.locals.push(token.value);
+      } else if (token.type === 'string') {
+        break;
+      }
+    }
+    this.imports.push(record);
+    return end + 1;
+  }
+
+  // Last token of an import or export ... from statement, including import attributes
+  findImportEnd(index) {
+    const { tokens } = this;
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (this.isPunctuator(i, '{')) {
+        i = this.match[i];
+        continue;
+      }
+      if (tokens[i].type === 'string') {
+        let end = i;
+        if ((this.isName(end + 1, 'with') || this.isName(end + 1, 'assert')) && this.isPunctuator(end + 2, '{')) {
+          end = this.match[end + 2];
+        }
+        return this.withSemicolon(end);
+      }
+      if (this.isPunctuator(i, ';')) return i;
+    }
+    return tokens.length - 1;
+  }
+
+  // Specifiers between braces; `type` ones are removed, the others passed to `visit`
+  // with the local name and their token range including a separating comma
+  visitSpecifiers(open, close, visit) {
+    let from = open + 1;
+    while (from < close) {
+      let to = from;
+      while (to < close && !this.isPunctuator(to, ',')) to++;
+      if (to > from) {
+        const last = this.isPunctuator(to, ',') ? to : to - 1;
+        if (this.isName(from, 'type') && this.tokens[from + 1] && this.tokens[from + 1].type === 'name' && from + 1 < to) {
+          this.remove(from, last);
+        } else {
+          const local = this.isName(to - 2, 'as') ? this.tokens[to - 1].value : this.tokens[from].value;
+          visit(local, from, last, this.tokens[from].value);
+        }
+      }
+      from = to + 1;
+    }
+  }
+
+  visitExport(index) {
+    const { tokens } = this;
+    const next = tokens[index + 1];
+    if (!next) return index + 1;
+
+    // export type { A }, export type * from './types'
+    if (this.isName(index + 1, 'type') && (this.isPunctuator(index + 2, '{') || this.isPunctuator(index + 2, '*'))) {
+      const end = this.isPunctuator(index + 2, '{') && !this.isName(this.match[index + 2] + 1, 'from')
+        ? this.withSemicolon(this.match[index + 2])
+        : this.findImportEnd(index);
+      this.remove(index, end);
+      return end + 1;
+    }
+    // export = value -> module.exports = value
+    if (this.isPunctuator(index + 1, '=')) {
+      this.replace(index, index, 'module.exports');
+      return index + 2;
+    }
+    // export as namespace Library
+    if (this.isName(index + 1, 'as') && this.isName(index + 2, 'namespace')) {
+      const end = this.findStatementEnd(index);
+      this.remove(index, end);
+      return end + 1;
+    }
+    if (this.isPunctuator(index + 1, '{')) {
+      const close = this.match[index + 1];
+      const specifiers = [];
+      this.visitSpecifiers(index + 1, close, (local, from, to, name) => specifiers.push({ name, from, to }));
+      if (!this.isName(close + 1, 'from')) this.exportLists.push(specifiers);
+      return close + 1;
+    }
+
+    const declaration = this.isName(index + 1, 'default') ? index + 2 : index + 1;
+    if (tokens[declaration] && tokens[declaration].type === 'name') {
+      if (tokens[declaration].value === 'function' || this.isName(declaration, 'async')) {
+        return this.visitFunction(declaration, index);
+      }
+      const visited = this.visitDeclaration(declaration, index);
+      if (visited !== null) return visited;
+    }
+    return declaration;
+  }
+
+  // A function declaration; overload signatures without a body are removed
+  visitFunction(index, start) {
+    const { tokens } = this;
+    let open = index;
+    while (open < tokens.length && !this.isPunctuator(open, '(')) {
+      if (this.isPunctuator(open, '<')) {
+        const close = this.findTypeClose(open);
+        if (close === -1) return index + 1;
+        this.remove(open, close);
+        open = close;
+      }
+      open++;
+    }
+    const close = this.match[open];
+    if (close === undefined || close === -1) return index + 1;
+
+    let after = close + 1;
+    if (this.isPunctuator(after, ':')) after = this.skipType(after + 1).index;
+    if (!this.isPunctuator(after, '{')) {
+      const end = this.withSemicolon(after - 1);
+      this.remove(start, end);
+      return end + 1;
+    }
+    return open;
+  }
+
+  // `class Name<T> extends Base<T> implements Shape {`: mark the body and drop the implements clause
+  visitClassHeader(index) {
+    const { tokens } = this;
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (this.isPunctuator(i, '(') || this.isPunctuator(i, '[')) {
+        i = this.match[i];
+        if (i === -1) return;
+      } else if (this.isPunctuator(i, '<')) {
+        const close = this.findTypeClose(i);
+        if (close !== -1) i = close;
+      } else if (this.isName(i, 'implements')) {
+        let end = i;
+        while (end + 1 < tokens.length && !this.isPunctuator(end + 1, '{')) end++;
+        this.remove(i, end);
+        this.classBodies.add(end + 1);
+        return;
+      } else if (this.isPunctuator(i, '{')) {
+        this.classBodies.add(i);
+        return;
+      }
+    }
+  }
+
+  // Index of the first token of the class member whose name or modifier is at index
+  findMemberStart(index) {
+    let start = index;
+    while (start > 0 && this.tokens[start - 1].type === 'name' && MEMBER_PREFIXES.has(this.tokens[start - 1].value) &&
+      !this.tokens[start].newlineBefore) {
+      start--;
+    }
+    return start;
+  }
+
+  visitMemberModifier(index) {
+    const { value } = this.tokens[index];
+    // Declared fields and abstract members have no runtime part
+    if (value === 'declare' || value === 'abstract') {
+      const start = this.findMemberStart(index);
+      const end = this.findStatementEnd(index);
+      this.remove(start, end);
+      return end + 1;
+    }
+    this.remove(index, index);
+    return index + 1;
+  }
+
+  // Whether a class member starts at index, rather than a field initializer going on
+  isMemberStart(index) {
+    let start = this.findMemberStart(index);
+    if (this.isPunctuator(start - 1, '*')) start--;
+    const before = this.tokens[start - 1];
+    if (!before || (before.type === 'punctuator' && ['{', ';', '}'].includes(before.value))) return true;
+    return this.tokens[start].newlineBefore && this.endsValue(start - 1);
+  }
+
+  // Method parameters in a class body; signatures without a body are removed
+  visitMethod(index, frame) {
+    const { tokens } = this;
+    // Type parameters and the ? of an optional method are gone by now
+    let nameIndex = this.previousKept(index);
+    const name = tokens[nameIndex];
+    if (!name) return null;
+    if (this.isPunctuator(nameIndex, ']')) nameIndex = this.match[nameIndex];
+    if (!(name.type === 'name' || name.type === 'string' || this.isPunctuator(nameIndex, '[')) || !this.isMemberStart(nameIndex)) {
+      return null;
+    }
+
+    const close = this.match[index];
+    let after = close + 1;
+    if (this.isPunctuator(after, ':')) after = this.skipType(after + 1).index;
+    if (!this.isPunctuator(after, '{')) {
+      let start = this.findMemberStart(nameIndex);
+      if (this.isPunctuator(start - 1, '*')) start--;
+      const end = this.withSemicolon(after - 1);
+      this.remove(start, end);
+      return end + 1;
+    }
+    if (name.type === 'name' && name.value === 'constructor') {
+      frame.parameterProperties = [];
+    }
+    return null;
+  }
+
+  // constructor(private name: string) { super(); } -> constructor(name) { super(); this.name = name; }
+  assignParameterProperties(close, names) {
+    const { tokens } = this;
+    let body = close + 1;
+    while (body < tokens.length && !this.isPunctuator(body, '{')) body++;
+    const bodyEnd = this.match[body];
+    if (bodyEnd === undefined || bodyEnd === -1) return;
+
+    let insertAt = tokens[body].end;
+    for (let i = body + 1; i < bodyEnd; i++) {
+      if (this.isName(i, 'super') && this.isPunctuator(i + 1, '(')) {
+        insertAt = tokens[this.withSemicolon(this.match[i + 1])].end;
+        break;
+      }
+      if (['(', '[', '{'].includes(tokens[i].value) && tokens[i].type === 'punctuator') i = this.match[i];
+    }
+    const assignments = names
+      .map(nameIndex => tokens[nameIndex].value)
+      .map(name => ` this.${name} = ${name};`)
+      .join('');
+    this.edits.push({ start: insertAt, end: insertAt, text: assignments });
+  }
+
+  // enum Color { Red, Green = 4 } -> var Color; (function (Color) { var Red = Color["Red"] = 0; ... })(...)
+  visitEnum(start, index) {
+    const { tokens } = this;
+    const name = tokens[index + 1].value;
+    const open = index + 2;
+    if (!this.isPunctuator(open, '{')) return null;
+    const close = this.match[open];
+
+    this.replace(start, open, `var ${name}; (function (${name}) {`);
+    let previous = null;
+    let member = open + 1;
+    while (member < close) {
+      if (this.isPunctuator(member, ',')) {
+        this.remove(member, member);
+        member++;
+        continue;
+      }
+      const token = tokens[member];
+      const key = token.type === 'string' ? this.scanner.stringValue(token) : token.value;
+      let last = member;
+      let value = previous === null ? '0' : `${previous} + 1`;
+      let numeric = true;
+      if (this.isPunctuator(member + 1, '=')) {
+        last = this.scanner.skipExpression(tokens, member + 2, [',']) - 1;
+        value = this.code.slice(tokens[member + 2].start, tokens[last].end);
+        numeric = !(last === member + 2 && ['string', 'template'].includes(tokens[member + 2].type));
+      }
+
+      const property = `${name}[${JSON.stringify(key)}]`;
+      const local = IDENTIFIER.test(key) && !RESERVED_WORDS.has(key) && key !== name;
+      const reverse = target => (numeric ? ` ${name}[${target}] = ${JSON.stringify(key)};` : '');
+      // Initializers stay in the output, so their names still count as used
+      this.edits.push({
+        start: token.start,
+        end: tokens[last].end,
+        text: local ? `var ${key} = ${property} = ${value};${reverse(key)}` : `${property} = ${value};${reverse(property)}`
+      });
+      previous = local ? key : property;
+      member = last + 1;
+    }
+    this.replace(close, close, `})(${name} || (${name} = {}));`);
+    return close + 1;
+  }
+
+  // Drop imports whose bindings are only used in types, as tsc does
+  elideImports() {
+    const { tokens } = this;
+    if (this.imports.length === 0) return;
+
+    const inImport = new Set();
+    this.imports.forEach(({ start, end }) => {
+      for (let i = start; i <= end; i++) inImport.add(i);
+    });
+    const used = new Set();
+    tokens.forEach((token, index) => {
+      if (inImport.has(index) || this.removed.has(index)) return;
+      if (token.type === 'name') used.add(token.value);
+      if (token.type === 'jsx') {
+        // Tag names and embedded expressions; the factory is referenced by compiled JSX
+        (token.value.match(/[A-Za-z_$][\w$]*/g) || []).forEach(name => used.add(name));
+        used.add(this.transpiler.jsx.factory.split('.')[0]);
+        used.add(this.transpiler.jsx.fragment.split('.')[0]);
+      }
+    });
+
+    for (const record of this.imports) {
+      if (record.locals.length === 0) continue;
+      if (!record.locals.some(local => used.has(local))) {
+        this.remove(record.start, record.end);
+        continue;
+      }
+      record.named
+        .filter(({ local }) => !used.has(local))
+        .forEach(({ from, to }) => this.remove(from, to));
+    }
+  }
+
+  // Remove names declared only as types from `export { ... }` lists
+  elideExports() {
+    for (const specifiers of this.exportLists) {
+      specifiers
+        .filter(({ name }) => this.typeNames.has(name))
+        .forEach(({ from, to }) => this.remove(from, to));
+    }
+  }
+}
+
+module.exports = Transpiler;
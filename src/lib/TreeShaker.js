@@ -0,0 +1,655 @@
+const ModuleScanner = require('./ModuleScanner');
+
+// Used in place of a set of export names when every export counts as used
+const ALL = '*';
+// Local name of `export default <expression>` and anonymous default declarations
+const DEFAULT = '*default*';
+
+// Keywords that run code of their own wherever they appear
+const IMPURE_KEYWORDS = new Set(['new', 'delete', 'await', 'yield', 'import', 'super', 'throw']);
+// Names followed by parentheses that do not call anything
+const NON_CALLEES = new Set(['typeof', 'void', 'in', 'of', 'instanceof', 'return', 'case', 'else']);
+const ASSIGNMENTS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=', '++', '--'
+]);
+const DECLARATION_KEYWORDS = new Set(['var', 'let', 'const']);
+
+/**
+ * @usage
+const TreeShaker = require('./TreeShaker');
+
+const shaker = new TreeShaker();
+const { kept, code, report } = shaker.shake(graph, 'src/index.js');
+// kept:   Set of module ids the bundle still needs
+// code:   Map of module id -> code for the runtime, unused exports removed
+// report: {
+//   removedModules: [{ id: 'node_modules/lib/debug.js', reason: 'sideEffects: false in package.json, no export used' }],
+//   removedExports: [{ module: 'src/utils.js', name: 'unusedHelper' }],
+//   usedExports: [{ module: 'src/utils.js', name: 'format', usedBy: ['imported by src/index.js'] }]
+// }
+
+Works on the `esm` code Bundler keeps for ES modules, before ModuleScanner.transform.
+An export is used when live code of an importer references it, or when a module is an
+entry point, loaded by import() or require(), or read as a namespace other than through
+`ns.name`. Top-level declarations nothing live refers to are removed when evaluating them
+cannot have side effects. A module whose exports are all unused is left out of the bundle
+if neither it nor anything it imports has side effects, or its package.json says so with
+`"sideEffects": false` or a list of globs it does not match.
+ */
+class TreeShaker {
+  constructor() {
+    this.scanner = new ModuleScanner();
+    // Graph node -> analysis; Bundler replaces the node when its module changes
+    this.analyses = new WeakMap();
+  }
+
+  isIdentifier(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name);
+  }
+
+  // Index of the closing brace of a function starting at the function keyword
+  functionEnd(tokens, index, match) {
+    let i = index + 1;
+    if (this.scanner.isPunctuator(tokens[i], '*')) i++;
+    if (this.scanner.isName(tokens[i])) i++;
+    return match[match[i] + 1];
+  }
+
+  // Body braces of a class starting at the class keyword
+  classBody(tokens, index, match) {
+    let i = index + 1;
+    while (i < tokens.length && !this.scanner.isPunctuator(tokens[i], '{')) {
+      i = this.scanner.isPunctuator(tokens[i], '(') || this.scanner.isPunctuator(tokens[i], '[') ? match[i] + 1 : i + 1;
+    }
+    return { open: i, close: match[i] };
+  }
+
+  // Last token of an arrow function body, given the index of its `=>`
+  arrowEnd(tokens, arrow, match) {
+    if (this.scanner.isPunctuator(tokens[arrow + 1], '{')) return match[arrow + 1];
+    return this.scanner.skipExpression(tokens, arrow + 1, [',', ')', ']', '}', ';']) - 1;
+  }
+
+  // Whether defining a class runs code: heritage, computed keys, static members, decorators
+  isPureClass(tokens, index, match) {
+    const { open, close } = this.classBody(tokens, index, match);
+    for (let i = index + 1; i < open; i++) {
+      if (this.scanner.isName(tokens[i], 'extends')) {
+        if (!this.isPure(tokens, i + 1, open, match)) return false;
+        break;
+      }
+    }
+
+    for (let i = open + 1; i < close; i++) {
+      const token = tokens[i];
+      if (this.scanner.isPunctuator(token, '@')) return false;
+      if (this.scanner.isPunctuator(token, '[')) {
+        if (!this.isPure(tokens, i + 1, match[i], match)) return false;
+        i = match[i];
+      } else if (this.scanner.isPunctuator(token, '(') || this.scanner.isPunctuator(token, '{')) {
+        i = match[i];
+      } else if (this.scanner.isName(token, 'static') && !this.scanner.isPunctuator(tokens[i + 1], '(')) {
+        // Static blocks and fields run at definition; static methods do not
+        let j = i + 1;
+        while (j < close && !['(', '=', ';', '{', '}'].some(value => this.scanner.isPunctuator(tokens[j], value)) &&
+            !(j > i + 1 && this.scanner.isStatementBoundary(tokens, j))) {
+          j = this.scanner.isPunctuator(tokens[j], '[') ? match[j] + 1 : j + 1;
+        }
+        if (!this.scanner.isPunctuator(tokens[j], '(')) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Whether evaluating the expression tokens in [start, end) can have side effects.
+   * Function bodies do not run. Reading a property or spreading a value may run a getter
+   * or an iterator, so it counts as a side effect; only import.meta is known to be safe.
+   */
+  isPure(tokens, start, end, match) {
+    for (let i = start; i < end; i++) {
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+
+      if (token.type === 'name') {
+        const isProperty = this.scanner.isPunctuator(previous, '.') || this.scanner.isPunctuator(previous, '?.');
+        const isImportMeta = token.value === 'import' && this.scanner.isPunctuator(tokens[i + 1], '.');
+        if (IMPURE_KEYWORDS.has(token.value) && !isProperty && !isImportMeta) return false;
+        if (token.value === 'function') {
+          i = this.functionEnd(tokens, i, match);
+        } else if (token.value === 'class') {
+          if (!this.isPureClass(tokens, i, match)) return false;
+          i = this.classBody(tokens, i, match).close;
+        } else if (this.scanner.isPunctuator(tokens[i + 1], '=>')) {
+          i = this.arrowEnd(tokens, i + 1, match);
+        }
+        continue;
+      }
+
+      // A template right after a value is a tagged template, which calls the tag
+      if (token.type === 'template') {
+        if (token.value.startsWith('`') && i > start && this.endsValue(previous)) return false;
+        continue;
+      }
+      if (token.type !== 'punctuator') continue;
+      if (ASSIGNMENTS.has(token.value) || token.value === '...') return false;
+      if ((token.value === '.' || token.value === '?.') && !this.isImportMeta(tokens, i)) return false;
+      if (token.value === '[' && i > start && this.endsValue(previous) &&
+          !(previous.type === 'name' && NON_CALLEES.has(previous.value))) {
+        return false;
+      }
+      if (token.value !== '(') continue;
+
+      const close = match[i];
+      if (this.scanner.isPunctuator(tokens[close + 1], '=>')) {
+        i = this.arrowEnd(tokens, close + 1, match);
+      } else if (this.scanner.isPunctuator(tokens[close + 1], '{') && previous &&
+          (previous.type === 'name' || previous.type === 'string' || this.scanner.isPunctuator(previous, ']'))) {
+        // Method definition in an object literal: `name() {}`, `get x() {}`, `[key]() {}`
+        i = match[close + 1];
+      } else if (i > start && this.endsValue(previous) && !(previous.type === 'name' && NON_CALLEES.has(previous.value))) {
+        return false;
+      } else if (this.scanner.isPunctuator(previous, '?.')) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Whether the dot at index reads import.meta or one of its properties
+  isImportMeta(tokens, index) {
+    if (this.scanner.isName(tokens[index - 1], 'import')) return true;
+    return this.scanner.isName(tokens[index - 1], 'meta') && this.scanner.isPunctuator(tokens[index - 2], '.') &&
+      this.scanner.isName(tokens[index - 3], 'import');
+  }
+
+  // Whether a token ends an operand, so `(` or a template after it is a call
+  endsValue(token) {
+    if (!token) return false;
+    if (token.type === 'name' || token.type === 'string') return true;
+    if (token.type === 'template') return !token.value.endsWith('${');
+    return this.scanner.isPunctuator(token, ')') || this.scanner.isPunctuator(token, ']');
+  }
+
+  // Whether a top-level statement starting at index declares something
+  isDeclarationStart(tokens, index) {
+    const token = tokens[index];
+    const next = tokens[index + 1];
+    if (!this.scanner.isName(token)) return false;
+    if (token.value === 'function' || token.value === 'class' || token.value === 'var' || token.value === 'const') return true;
+    if (token.value === 'async') return this.scanner.isName(next, 'function') && !next.newlineBefore;
+    return token.value === 'let' && (this.scanner.isName(next) || this.scanner.isPunctuator(next, '[') || this.scanner.isPunctuator(next, '{'));
+  }
+
+  /**
+   * Extent of a declaration statement
+   * @returns {{end: number, names: Array<string>, pure: boolean}} Last token index, declared
+   *   names and whether the declaration can be dropped without losing side effects
+   */
+  parseDeclaration(tokens, index, match) {
+    const token = tokens[index];
+    if (DECLARATION_KEYWORDS.has(token.value)) {
+      const names = [];
+      let pure = true;
+      let i = index + 1;
+      while (true) {
+        const pattern = this.scanner.parsePattern(tokens, i);
+        names.push(...pattern.bindings.map(binding => tokens[binding].value));
+        // Destructuring reads properties and iterates, which may run code
+        if (pattern.end !== i + 1) pure = false;
+
+        let next = pattern.end;
+        if (this.scanner.isPunctuator(tokens[next], '=')) {
+          const stop = this.scanner.skipExpression(tokens, next + 1, [',', ';']);
+          if (!this.isPure(tokens, next + 1, stop, match)) pure = false;
+          next = stop;
+        }
+        if (this.scanner.isPunctuator(tokens[next], ',')) {
+          i = next + 1;
+          continue;
+        }
+        return { end: this.scanner.isPunctuator(tokens[next], ';') ? next : next - 1, names, pure };
+      }
+    }
+
+    const keyword = this.scanner.isName(token, 'async') ? index + 1 : index;
+    const [name] = this.scanner.declarationNames(tokens, index);
+    if (tokens[keyword].value === 'function') {
+      return { end: this.functionEnd(tokens, keyword, match), names: name ? [name] : [], pure: true };
+    }
+    return {
+      end: this.classBody(tokens, keyword, match).close,
+      names: name ? [name] : [],
+      pure: this.isPureClass(tokens, keyword, match)
+    };
+  }
+
+  /**
+   * Top-level structure of an ES module: declarations, references between them, imports and exports
+   * @param {Object} module - Graph node with `esm` code
+   * @returns {Object} Analysis, cached per graph node
+   */
+  analyze(module) {
+    if (this.analyses.has(module)) return this.analyses.get(module);
+
+    const code = module.esm;
+    const tokens = this.scanner.tokenize(code);
+    const scan = this.scanner.scan(code, tokens);
+    const match = this.scanner.matchBrackets(tokens);
+    const declarations = [];
+    // Tokens of import and export lists, which are not code that runs
+    const skipped = new Set();
+    const skip = (start, end) => {
+      for (let i = start; i <= end; i++) skipped.add(i);
+    };
+    const importAt = new Map(scan.imports.map(record => [record.start, record]));
+    const exportAt = new Map(scan.exports.map(record => [record.start, record]));
+    let hasEffects = false;
+    let statementStart = true;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const startsStatement = statementStart || this.scanner.isStatementBoundary(tokens, i);
+      statementStart = false;
+
+      if (importAt.has(i)) {
+        skip(i, importAt.get(i).end);
+        i = importAt.get(i).end;
+        statementStart = true;
+        continue;
+      }
+
+      if (exportAt.has(i)) {
+        const record = exportAt.get(i);
+        if (record.type === 'star' || record.type === 'named') {
+          skip(i, record.end);
+          i = record.end;
+        } else if (record.type === 'declaration') {
+          const declaration = this.parseDeclaration(tokens, i + 1, match);
+          declarations.push({ start: i, ...declaration, record });
+          skipped.add(i);
+          i = declaration.end;
+        } else if (record.type === 'defaultDeclaration') {
+          const declaration = this.parseDeclaration(tokens, i + 2, match);
+          declarations.push({ start: i, ...declaration, names: [record.local || DEFAULT], record });
+          skip(i, i + 1);
+          i = declaration.end;
+        } else {
+          const stop = this.scanner.skipExpression(tokens, i + 2, [';']);
+          const end = this.scanner.isPunctuator(tokens[stop], ';') ? stop : stop - 1;
+          declarations.push({ start: i, end, names: [DEFAULT], pure: this.isPure(tokens, i + 2, stop, match), record });
+          skip(i, i + 1);
+          i = end;
+        }
+        statementStart = true;
+        continue;
+      }
+
+      if (startsStatement && this.isDeclarationStart(tokens, i)) {
+        const declaration = this.parseDeclaration(tokens, i, match);
+        declarations.push({ start: i, ...declaration, record: null });
+        i = declaration.end;
+        statementStart = true;
+        continue;
+      }
+
+      // Anything else at the top level runs when the module loads
+      if (!this.scanner.isPunctuator(token, ';')) hasEffects = true;
+      if (['(', '[', '{'].some(value => this.scanner.isPunctuator(token, value))) i = match[i];
+      statementStart = this.scanner.isPunctuator(tokens[i], ';') || this.scanner.isPunctuator(tokens[i], '}');
+    }
+
+    // Local name -> { specifier, imported }, imported being ALL for namespaces
+    const imports = new Map();
+    for (const record of scan.imports) {
+      if (record.default) imports.set(record.default, { specifier: record.specifier, imported: 'default' });
+      if (record.namespace) imports.set(record.namespace, { specifier: record.specifier, imported: ALL });
+      record.named.forEach(({ imported, local }) => imports.set(local, { specifier: record.specifier, imported }));
+    }
+
+    // Exported name -> { local } or { specifier, imported } for re-exports
+    const exported = new Map();
+    const stars = [];
+    for (const record of scan.exports) {
+      if (record.type === 'star') {
+        if (record.exported) exported.set(record.exported, { specifier: record.specifier, imported: ALL });
+        else stars.push(record.specifier);
+      } else if (record.type === 'named') {
+        record.names.forEach(({ local, exported: name }) => exported.set(name, record.specifier === null
+          ? { local }
+          : { specifier: record.specifier, imported: local }));
+      } else if (record.type === 'declaration') {
+        record.names.forEach(({ local, exported: name }) => exported.set(name, { local }));
+      } else {
+        exported.set('default', { local: record.local || DEFAULT });
+      }
+    }
+
+    // Each top-level reference with the declaration it appears in, -1 for code that always runs
+    const owners = new Array(tokens.length).fill(-1);
+    declarations.forEach(({ start, end }, index) => owners.fill(index, start, end + 1));
+    const { root, scopes, references } = this.scanner.analyzeScopes(tokens, skipped);
+    const uses = [];
+    for (const { index, scope } of references) {
+      const name = tokens[index].value;
+      const declaredIn = this.scanner.resolveScope(name, scope);
+      if (declaredIn !== root && !(declaredIn === null && imports.has(name))) continue;
+      const member = this.scanner.isPunctuator(tokens[index + 1], '.') && this.scanner.isName(tokens[index + 2])
+        ? tokens[index + 2].value
+        : null;
+      uses.push({ name, member, owner: owners[index] });
+    }
+
+    const analysis = {
+      code,
+      tokens,
+      scan,
+      declarations,
+      imports,
+      exported,
+      stars,
+      uses,
+      hasEffects,
+      // eval and with can reach any declaration by name
+      dynamic: scopes.some(scope => scope.dynamic)
+    };
+    this.analyses.set(module, analysis);
+    return analysis;
+  }
+
+  /**
+   * Declarations that must stay given the exports in use, and the imports they read
+   * @param {Object} analysis - Result of analyze
+   * @param {Set<string>|string} used - Used export names, or ALL
+   * @returns {{live: Set<number>, imports: Map<string, Set<string>|string>}} Indices of live
+   *   declarations, and specifier -> imported names in use (ALL for whole namespaces)
+   */
+  findLive(analysis, used) {
+    const { declarations, imports, exported, uses } = analysis;
+    const declaredBy = new Map();
+    const usesBy = new Map();
+    declarations.forEach(({ names }, index) => names.forEach((name) => {
+      if (!declaredBy.has(name)) declaredBy.set(name, []);
+      declaredBy.get(name).push(index);
+    }));
+    uses.forEach((use) => {
+      if (!usesBy.has(use.owner)) usesBy.set(use.owner, []);
+      usesBy.get(use.owner).push(use);
+    });
+
+    const live = new Set();
+    const importedNames = new Map();
+    const queue = [];
+    const reach = (name, member = null) => {
+      const binding = imports.get(name);
+      if (binding) {
+        const current = importedNames.get(binding.specifier) || new Set();
+        if (current === ALL) return;
+        if (binding.imported === ALL && member === null) {
+          importedNames.set(binding.specifier, ALL);
+          return;
+        }
+        current.add(binding.imported === ALL ? member : binding.imported);
+        importedNames.set(binding.specifier, current);
+        return;
+      }
+      for (const index of declaredBy.get(name) || []) {
+        if (!live.has(index)) {
+          live.add(index);
+          queue.push(index);
+        }
+      }
+    };
+
+    declarations.forEach(({ pure }, index) => {
+      if (!pure || analysis.dynamic) {
+        live.add(index);
+        queue.push(index);
+      }
+    });
+    (usesBy.get(-1) || []).forEach(({ name, member }) => reach(name, member));
+    for (const name of used === ALL ? exported.keys() : used) {
+      const target = exported.get(name);
+      if (target && target.local !== undefined) reach(target.local);
+    }
+    while (queue.length > 0) {
+      (usesBy.get(queue.pop()) || []).forEach(({ name, member }) => reach(name, member));
+    }
+
+    return { live, imports: importedNames };
+  }
+
+  /**
+   * Work out which modules and exports an entry point's bundle needs
+   * @param {DepGraph} graph - Graph whose nodes carry `esm`, `sideEffects` and `dependencies`
+   * @param {string} entryId - Module id of the entry point
+   * @returns {{kept: Set<string>, code: Map<string, string>, report: Object}} Modules to bundle,
+   *   their code for the runtime, and what was removed and why kept exports are used
+   */
+  shake(graph, entryId) {
+    const used = new Map();
+    const kept = new Set();
+    // Module id -> Map of export name (ALL for every export) -> Set of reasons
+    const reasons = new Map();
+    const queue = [];
+    const effects = new Map();
+
+    const dependencyOf = (moduleId, specifier) => graph.nodes.get(moduleId).dependencies[specifier];
+    const isESM = moduleId => Boolean(graph.nodes.get(moduleId).esm);
+
+    const hasSideEffects = (moduleId) => {
+      const module = graph.nodes.get(moduleId);
+      if (module.sideEffects === false) return false;
+      if (!module.esm) return true;
+      if (effects.has(moduleId)) return effects.get(moduleId);
+
+      // Assume none while recursing so import cycles terminate
+      effects.set(moduleId, false);
+      const analysis = this.analyze(module);
+      const result = analysis.hasEffects || analysis.dynamic ||
+        analysis.declarations.some(({ pure }) => !pure) ||
+        [...graph.outgoingEdges.get(moduleId)].some(dependencyId =>
+          !graph.isDynamicDependency(moduleId, dependencyId) && hasSideEffects(dependencyId));
+      effects.set(moduleId, result);
+      return result;
+    };
+
+    // Whether a module exports a name itself or through export *
+    const provides = (moduleId, name, seen = new Set()) => {
+      if (!isESM(moduleId)) return true;
+      if (seen.has(moduleId)) return false;
+      seen.add(moduleId);
+      const { exported, stars } = this.analyze(graph.nodes.get(moduleId));
+      if (exported.has(name)) return true;
+      if (name === 'default') return false;
+      return stars.some((specifier) => {
+        const dependencyId = dependencyOf(moduleId, specifier);
+        return dependencyId !== undefined && provides(dependencyId, name, seen);
+      });
+    };
+
+    const keep = (moduleId) => {
+      if (kept.has(moduleId)) return false;
+      kept.add(moduleId);
+      if (!used.has(moduleId)) used.set(moduleId, new Set());
+      return true;
+    };
+
+    const use = (moduleId, names, reason) => {
+      if (moduleId === undefined) return;
+      if (!reasons.has(moduleId)) reasons.set(moduleId, new Map());
+      let changed = keep(moduleId);
+      const current = used.get(moduleId);
+
+      for (const name of names === ALL ? [ALL] : names) {
+        if (!reasons.get(moduleId).has(name)) reasons.get(moduleId).set(name, new Set());
+        reasons.get(moduleId).get(name).add(reason);
+        if (current === ALL) continue;
+        if (name === ALL) {
+          used.set(moduleId, ALL);
+          changed = true;
+        } else if (!current.has(name)) {
+          current.add(name);
+          changed = true;
+        }
+      }
+      if (changed) queue.push(moduleId);
+    };
+
+    // Importing a module runs it, which only matters when that has side effects
+    const evaluate = (moduleId) => {
+      if (moduleId !== undefined && !kept.has(moduleId) && hasSideEffects(moduleId) && keep(moduleId)) {
+        queue.push(moduleId);
+      }
+    };
+
+    use(entryId, ALL, 'entry point');
+    while (queue.length > 0) {
+      const moduleId = queue.shift();
+      const module = graph.nodes.get(moduleId);
+
+      if (!module.esm) {
+        for (const dependencyId of graph.outgoingEdges.get(moduleId)) {
+          use(dependencyId, ALL, `required by ${moduleId}`);
+        }
+        continue;
+      }
+
+      const analysis = this.analyze(module);
+      const names = used.get(moduleId);
+      const dependency = specifier => dependencyOf(moduleId, specifier);
+
+      for (const record of analysis.scan.imports) evaluate(dependency(record.specifier));
+      for (const record of analysis.scan.exports) {
+        if (record.specifier !== null) evaluate(dependency(record.specifier));
+      }
+      for (const [specifier, imported] of this.findLive(analysis, names).imports) {
+        use(dependency(specifier), imported, `imported by ${moduleId}`);
+      }
+      for (const specifier of analysis.scan.requires) {
+        use(dependency(specifier), ALL, `required by ${moduleId}`);
+      }
+      for (const { specifier } of analysis.scan.dynamicImports) {
+        if (specifier !== null) use(dependency(specifier), ALL, `imported dynamically by ${moduleId}`);
+      }
+
+      for (const name of names === ALL ? analysis.exported.keys() : names) {
+        const target = analysis.exported.get(name);
+        if (target && target.specifier !== undefined) {
+          use(dependency(target.specifier), target.imported === ALL ? ALL : [target.imported], `re-exported by ${moduleId}`);
+        } else if (!target && name !== 'default') {
+          for (const specifier of analysis.stars) {
+            const dependencyId = dependency(specifier);
+            if (dependencyId !== undefined && provides(dependencyId, name)) {
+              use(dependencyId, [name], `re-exported by ${moduleId}`);
+            }
+          }
+        }
+      }
+      if (names === ALL) {
+        analysis.stars.forEach(specifier => use(dependency(specifier), ALL, `re-exported by ${moduleId}`));
+      }
+    }
+
+    const code = new Map();
+    const report = { removedModules: [], removedExports: [], usedExports: [] };
+
+    for (const moduleId of graph.getModuleExecutionOrder([entryId])) {
+      const module = graph.nodes.get(moduleId);
+      if (!kept.has(moduleId)) {
+        report.removedModules.push({
+          id: moduleId,
+          reason: module.sideEffects === false ? 'sideEffects: false in package.json, no export used' : 'no side effects, no export used'
+        });
+        continue;
+      }
+      if (!module.esm) {
+        code.set(moduleId, module.code);
+        continue;
+      }
+
+      const names = used.get(moduleId);
+      const analysis = this.analyze(module);
+      // Names used through export * are not in `exported` but still need a reason
+      const reported = names === ALL ? analysis.exported.keys() : new Set([...analysis.exported.keys(), ...names]);
+      for (const name of reported) {
+        if (names === ALL || names.has(name)) {
+          const why = reasons.get(moduleId);
+          const usedBy = new Set([...(why?.get(name) || []), ...(why?.get(ALL) || [])]);
+          report.usedExports.push({ module: moduleId, name, usedBy: [...usedBy] });
+        } else {
+          report.removedExports.push({ module: moduleId, name });
+        }
+      }
+
+      const shaken = this.rewrite(analysis, names, (specifier) => {
+        const dependencyId = dependencyOf(moduleId, specifier);
+        return dependencyId === undefined || kept.has(dependencyId);
+      });
+      code.set(moduleId, shaken === analysis.code ? module.code : this.scanner.transform(shaken));
+    }
+
+    return { kept, code, report };
+  }
+
+  /**
+   * Remove dead declarations and unused exports, keeping every line where it was
+   * @param {Object} analysis - Result of analyze
+   * @param {Set<string>|string} used - Used export names, or ALL
+   * @param {Function} isKept - Whether the module a specifier refers to stays in the bundle
+   * @returns {string} ES module code, identical to the input when nothing is removed
+   */
+  rewrite(analysis, used, isKept) {
+    const { code, tokens, declarations, scan } = analysis;
+    const { live } = this.findLive(analysis, used);
+    const isUsed = name => used === ALL || used.has(name);
+    const edits = [];
+    const replace = (start, end, text = '') => {
+      const from = tokens[start].start;
+      const to = tokens[end].end;
+      edits.push({ start: from, end: to, text: text + this.scanner.blank(code, from, to) });
+    };
+    const exportName = name => (this.isIdentifier(name) ? name : JSON.stringify(name));
+
+    declarations.forEach((declaration, index) => {
+      const { record } = declaration;
+      if (!live.has(index)) {
+        replace(declaration.start, declaration.end);
+      } else if (record && record.type === 'declaration' && !record.names.some(({ exported }) => isUsed(exported))) {
+        edits.push({ start: tokens[record.start].start, end: tokens[record.start + 1].start, text: '' });
+      } else if (record && record.type === 'defaultDeclaration' && record.local && !isUsed('default')) {
+        edits.push({ start: tokens[record.start].start, end: tokens[record.start + 2].start, text: '' });
+      }
+    });
+
+    // Keep evaluating a module whose re-exports are all unused when it stays in the bundle
+    const dropReExport = (record) => {
+      const text = record.specifier !== null && isKept(record.specifier) ? `import ${JSON.stringify(record.specifier)};` : '';
+      replace(record.start, record.end, text);
+    };
+    for (const record of scan.exports) {
+      if (record.type === 'star') {
+        if (record.exported ? !isUsed(record.exported) : !isKept(record.specifier)) dropReExport(record);
+      } else if (record.type === 'named') {
+        const names = record.names.filter(({ exported }) => isUsed(exported));
+        if (names.length === record.names.length) continue;
+        if (names.length === 0) {
+          dropReExport(record);
+          continue;
+        }
+        const list = names.map(({ local, exported }) =>
+          (local === exported ? exportName(local) : `${exportName(local)} as ${exportName(exported)}`));
+        const from = record.specifier === null ? '' : ` from ${JSON.stringify(record.specifier)}`;
+        replace(record.start, record.end, `export { ${list.join(', ')} }${from};`);
+      }
+    }
+
+    for (const record of scan.imports) {
+      if (!isKept(record.specifier)) replace(record.start, record.end);
+    }
+
+    return edits.length === 0 ? code : this.scanner.applyEdits(code, edits);
+  }
+}
+
+module.exports = TreeShaker;
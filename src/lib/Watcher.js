@@ -0,0 +1,164 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @usage
+const Bundler = require('./Bundler');
+const Watcher = require('./Watcher');
+
+const bundler = new Bundler({ rootDir: process.cwd(), outputDir: 'dist' });
+const { graph } = await bundler.build(['src/index.js']);
+
+// write: false leaves outputDir alone, e.g. for a server keeping bundles in memory
+const watcher = new Watcher(bundler, graph, { debounce: 100, write: true });
+watcher.on('rebuild', ({ changed, outputs, removed, duration }) => {
+  console.log(`Rebuilt ${outputs.length} bundle(s) in ${duration}ms`);
+});
+watcher.on('error', (error) => console.error(error.message));
+watcher.start();
+
+// Later
+watcher.close();
+ */
+class Watcher extends EventEmitter {
+  constructor(bundler, graph, options = {}) {
+    super();
+    const {
+      debounce = 100,
+      write = true,
+    } = options;
+
+    this.bundler = bundler;
+    this.graph = graph;
+    this.debounce = debounce;
+    this.write = write;
+    // Map of directory -> fs.FSWatcher
+    this.watchers = new Map();
+    // Map of absolute file path -> moduleId for every module in the graph
+    this.files = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.building = null;
+  }
+
+  start() {
+    this.syncWatchers();
+    return this;
+  }
+
+  // Watch the directory of every module so atomic saves (rename over) are seen
+  syncWatchers() {
+    this.files = new Map(
+      [...this.graph.nodes.values()]
+        .filter(module => path.isAbsolute(module.path))
+        .map(module => [module.path, module.id])
+    );
+    const directories = new Set([...this.files.keys()].map(filePath => path.dirname(filePath)));
+
+    for (const [directory, watcher] of this.watchers) {
+      if (!directories.has(directory)) {
+        watcher.close();
+        this.watchers.delete(directory);
+      }
+    }
+
+    for (const directory of directories) {
+      if (this.watchers.has(directory)) continue;
+      try {
+        const watcher = fs.watch(directory, (eventType, fileName) => {
+          if (!fileName) return;
+          const filePath = path.join(directory, fileName.toString());
+          if (this.files.has(filePath)) this.schedule(filePath);
+        });
+        watcher.on('error', error => this.emit('error', error));
+        this.watchers.set(directory, watcher);
+      } catch (error) {
+        this.emit('error', new Error(`Cannot watch ${directory}: ${error.message}`));
+      }
+    }
+  }
+
+  // Collect bursts of change events into a single rebuild
+  schedule(filePath) {
+    this.pending.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  async flush() {
+    if (this.building) {
+      // A rebuild is in progress; pending changes are picked up once it ends
+      return;
+    }
+
+    const changed = [...this.pending];
+    this.pending.clear();
+    if (changed.length === 0) return;
+
+    this.building = this.rebuild(changed);
+    try {
+      await this.building;
+    } finally {
+      this.building = null;
+    }
+
+    if (this.pending.size > 0) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Re-parse changed modules and regenerate only the bundles that include them
+   * @param {Array<string>} changedPaths - Absolute paths reported by fs.watch
+   * @returns {Promise<Object|null>} Rebuild summary, or null when it failed
+   */
+  async rebuild(changedPaths) {
+    const startTime = Date.now();
+    const changed = [];
+    const entries = new Set();
+    const removed = [];
+
+    try {
+      // package.json files may have changed along with the modules
+      this.bundler.resolver.clearCache();
+      for (const filePath of changedPaths) {
+        const moduleId = this.files.get(filePath);
+        if (!moduleId || !this.graph.nodes.has(moduleId)) continue;
+
+        const result = await this.bundler.updateModule(this.graph, moduleId);
+        changed.push(moduleId);
+        removed.push(...result.removed);
+        this.bundler.getAffectedEntries(this.graph, moduleId).forEach(entryId => entries.add(entryId));
+      }
+
+      const outputs = await this.bundler.generateOutputs(this.graph, [...entries]);
+      if (this.write) await this.bundler.write(outputs);
+
+      const summary = {
+        changed,
+        removed,
+        outputs,
+        duration: Date.now() - startTime
+      };
+      this.emit('rebuild', summary);
+      return summary;
+    } catch (error) {
+      this.emit('error', error);
+      return null;
+    } finally {
+      this.syncWatchers();
+    }
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.pending.clear();
+  }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,88 @@
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// gzip and brotli for AeroSSR responses and the pre-compressed files `build` writes.
+
+// Supported encodings, most preferred first, with the extension of pre-compressed files
+const ENCODINGS = {
+  br: '.br',
+  gzip: '.gz'
+};
+
+// Smaller bodies gain less than the Content-Encoding header costs
+const MIN_SIZE = 1024;
+
+// Text formats; images, fonts and archives are compressed already
+const COMPRESSIBLE_TYPE = /^(?:text\/|application\/(?:javascript|json|xml|manifest\+json)|image\/svg\+xml)/;
+const COMPRESSIBLE_EXTENSIONS = new Set(['.js', '.mjs', '.css', '.html', '.json', '.map', '.svg', '.txt', '.xml']);
+
+const brotli = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Compress a body
+ * @param {string|Buffer} body - Content to compress
+ * @param {string} encoding - 'br' or 'gzip'
+ * @param {Object} [options]
+ * @param {boolean} [options.best] - Spend more time for smaller output, for files compressed once at build time
+ * @returns {Promise<Buffer>} Compressed bytes
+ */
+function compress(body, encoding, { best = false } = {}) {
+  if (encoding === 'br') {
+    // Quality 11 takes about a second per megabyte; 5 keeps most of the gain for responses
+    return brotli(body, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: best ? zlib.constants.BROTLI_MAX_QUALITY : 5,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(body)
+      }
+    });
+  }
+  if (encoding === 'gzip') {
+    return gzip(body, { level: best ? zlib.constants.Z_BEST_COMPRESSION : zlib.constants.Z_DEFAULT_COMPRESSION });
+  }
+  throw new Error(`Unknown encoding "${encoding}". Use one of: ${Object.keys(ENCODINGS).join(', ')}`);
+}
+
+// Whether a response of this content type is worth compressing
+function isCompressibleType(contentType = '') {
+  return COMPRESSIBLE_TYPE.test(contentType.toLowerCase());
+}
+
+// Whether a file is worth pre-compressing, by its extension
+function isCompressibleFile(filePath) {
+  return COMPRESSIBLE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Pick the encoding of a response from an Accept-Encoding header
+ * @param {string} [acceptEncoding] - Request header, e.g. "gzip, deflate, br;q=0.9"
+ * @param {Array<string>} [available] - Encodings the server may use
+ * @returns {string|null} 'br' or 'gzip', or null to send the body as it is
+ */
+function negotiateEncoding(acceptEncoding = '', available = Object.keys(ENCODINGS)) {
+  const weights = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    weights.set(name, quality ? Number(quality[1]) : 1);
+  }
+
+  let best = null;
+  for (const encoding of available) {
+    const weight = weights.has(encoding) ? weights.get(encoding) : (weights.get('*') || 0);
+    // Ties go to the earlier, better compressing encoding
+    if (weight > 0 && (best === null || weight > best.weight)) best = { encoding, weight };
+  }
+  return best && best.encoding;
+}
+
+module.exports = {
+  ENCODINGS,
+  MIN_SIZE,
+  compress,
+  isCompressibleType,
+  isCompressibleFile,
+  negotiateEncoding,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Minimal glob matching for file discovery: supports `**`, `*`, `?` and `{a,b}`.
+
+const DEFAULT_IGNORE = ['node_modules', '.git'];
+
+// Convert a glob pattern into an anchored regular expression
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const slashAfter = pattern[i + 2] === '/';
+        source += slashAfter ? '(?:.*/)?' : '.*';
+        i += slashAfter ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively list files below a directory
+ * @param {string} dir - Directory to walk
+ * @param {Object} [options]
+ * @param {Array<string>} [options.ignore] - Directory names to skip
+ * @returns {Promise<Array<string>>} Absolute file paths, sorted
+ */
+async function walkFiles(dir, { ignore = DEFAULT_IGNORE } = {}) {
+  const files = [];
+
+  const walk = async (current) => {
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!ignore.includes(entry.name)) await walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  await walk(path.resolve(dir));
+  return files.sort();
+}
+
+/**
+ * Find files below a directory matching any of the given globs
+ * @param {string} dir - Base directory; patterns are relative to it
+ * @param {Array<string>|string} patterns - Glob patterns
+ * @param {Object} [options] - Passed to walkFiles
+ * @returns {Promise<Array<string>>} Absolute file paths, sorted
+ */
+async function matchFiles(dir, patterns, options = {}) {
+  const matchers = [].concat(patterns).map(globToRegExp);
+  const files = await walkFiles(dir, options);
+
+  return files.filter(file => {
+    const relative = path.relative(dir, file).split(path.sep).join('/');
+    return matchers.some(matcher => matcher.test(relative));
+  });
+}
+
+module.exports = {
+  globToRegExp,
+  walkFiles,
+  matchFiles,
+};
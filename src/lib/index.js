@@ -1,3 +1,23 @@
 exports.AeroSSR = require("./AeroSSR");
+exports.AssetLoader = require("./AssetLoader");
+exports.BuildCache = require("./BuildCache");
+exports.BundleAnalyzer = require("./BundleAnalyzer");
+exports.Bundler = require("./Bundler");
+exports.ConfigLoader = require("./ConfigLoader");
+exports.DepGraph = require("./DepGraph");
+exports.Deployer = require("./Deployer");
+exports.Minifier = require("./Minifier");
+exports.ModuleScanner = require("./ModuleScanner");
+exports.ParallelBuilder = require("./ParallelBuilder");
+exports.PluginContainer = require("./PluginContainer");
 exports.Reporter = require("./Reporter");
-exports.SchemaValidator = require("./SchemaValidator");
\ No newline at end of file
+exports.Resolver = require("./Resolver");
+exports.Router = require("./Router");
+exports.Scaffolder = require("./Scaffolder");
+exports.SchemaValidator = require("./SchemaValidator");
+exports.SourceMap = require("./SourceMap");
+exports.TestRunner = require("./TestRunner");
+exports.Tokenizer = require("./Tokenizer");
+exports.Transpiler = require("./Transpiler");
+exports.TreeShaker = require("./TreeShaker");
+exports.Watcher = require("./Watcher");
\ No newline at end of file
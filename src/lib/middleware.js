@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Built-in middlewares for AeroSSR#use, each a factory returning (req, res, next).
+
+// Incoming ids are reused when they look like ids rather than arbitrary header text
+const SAFE_ID = /^[\w.:-]{1,200}$/;
+
+/**
+ * Give every request an id, as req.id and a response header, for correlating logs
+ * @param {Object} [options]
+ * @param {string} [options.header] - Header read from the request (e.g. set by a proxy) and sent back
+ * @param {Function} [options.generate] - Creates an id when the request has none
+ * @returns {Function} Middleware
+ */
+function requestId({ header = 'X-Request-Id', generate = () => crypto.randomUUID() } = {}) {
+  return (req, res, next) => {
+    const incoming = req.headers[header.toLowerCase()];
+    req.id = typeof incoming === 'string' && SAFE_ID.test(incoming) ? incoming : generate();
+    res.setHeader(header, req.id);
+    return next();
+  };
+}
+
+/**
+ * Measure how long requests take: a header on the response, and optionally a log line once it is sent
+ * @param {Object} [options]
+ * @param {string} [options.header] - Server-Timing sends `app;dur=<ms>`, other headers `<ms>ms`; null for none
+ * @param {Function} [options.log] - Called with { id, method, url, statusCode, duration } when the response finishes
+ * @returns {Function} Middleware
+ */
+function timing({ header = 'Server-Timing', log = null } = {}) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+    if (header) {
+      // Headers go out with writeHead, which res.end() also calls when nobody did
+      const { writeHead } = res;
+      res.writeHead = function (...args) {
+        const duration = elapsed().toFixed(1);
+        res.setHeader(header, header.toLowerCase() === 'server-timing' ? `app;dur=${duration}` : `${duration}ms`);
+        return writeHead.apply(this, args);
+      };
+    }
+    if (log) {
+      res.once('finish', () => log({
+        id: req.id,
+        method: req.method,
+        url: req.url,
+        statusCode: res.statusCode,
+        duration: elapsed()
+      }));
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  requestId,
+  timing,
+};
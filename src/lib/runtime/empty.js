@@ -0,0 +1,2 @@
+// Module bundled in place of those a package.json "browser" field maps to false
+module.exports = {};
@@ -0,0 +1,48 @@
+// Hot module replacement client AeroSSR adds to pages when `hmr` is on.
+// Listens to the server's event stream at /__hmr: `update` messages load the
+// update script of a bundle on this page and swap its stylesheets, `reload`
+// messages and updates of bundles that cannot take them reload the page.
+(function () {
+  if (typeof EventSource === 'undefined') return;
+
+  function reload() {
+    location.reload();
+  }
+
+  // Replace the stylesheet links of a bundle without a flash of unstyled content
+  function updateStylesheets(previous, current) {
+    previous.forEach(function (file, index) {
+      var link = document.querySelector('link[href="/dist/' + file + '"]');
+      if (!link || !current[index]) return;
+      var next = link.cloneNode();
+      next.href = '/dist/' + current[index];
+      next.onload = function () { link.remove(); };
+      link.after(next);
+    });
+  }
+
+  function applyUpdate(message) {
+    var registry = window.__modubuildHot || {};
+    if (!registry[message.entry]) return;
+    updateStylesheets(message.previousCss, message.css);
+    if (!message.update) return;
+
+    var script = document.createElement('script');
+    script.src = '/dist/' + message.update;
+    script.onload = function () { script.remove(); };
+    script.onerror = reload;
+    document.head.appendChild(script);
+  }
+
+  var source = new EventSource('/__hmr');
+  source.onmessage = function (event) {
+    var message = JSON.parse(event.data);
+    if (message.type === 'update') {
+      applyUpdate(message);
+    } else if (message.type === 'reload') {
+      reload();
+    } else if (message.type === 'failure') {
+      console.error('[modubuild] Rebuild failed: ' + message.message);
+    }
+  };
+})();
@@ -0,0 +1,232 @@
+// Module registry runtime prepended to every bundle by Bundler.
+// Invoked with a map of moduleId -> [factory, dependencyMap], the entry id and,
+// when code splitting produced chunks, { publicPath, files } where files maps
+// each import() target to the chunk files that must load before it runs.
+// Bundles built for hot module replacement pass `hot` as well, giving every
+// module a `module.hot` API and registering the bundle for updates.
+(function (modules, entry, chunks, hot) {
+  var cache = {};
+  var hasOwn = Object.prototype.hasOwnProperty;
+  var chunkFiles = chunks ? chunks.files : {};
+  var loading = {};
+  // Values modules handed to their dispose handlers, for the next instance
+  var hotData = {};
+  // Captured now: currentScript is only set while the bundle first runs
+  var scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+  // Chunk files push their modules onto a global queue; every bundle on the
+  // page installs them, so chunks shared by several entry points load once
+  var root = typeof globalThis !== 'undefined' ? globalThis : self;
+  var queue = root.__modubuildChunks = root.__modubuildChunks || [];
+  function install(chunkModules) {
+    for (var id in chunkModules) {
+      if (hasOwn.call(chunkModules, id) && !hasOwn.call(modules, id)) modules[id] = chunkModules[id];
+    }
+  }
+  queue.forEach(install);
+  var push = queue.push;
+  queue.push = function (chunkModules) {
+    install(chunkModules);
+    return push.apply(this, arguments);
+  };
+
+  // Fetch a chunk once: a script tag in browsers, require() next to the bundle in Node
+  function loadChunk(file) {
+    if (!loading[file]) {
+      loading[file] = new Promise(function (resolve, reject) {
+        if (typeof document !== 'undefined') {
+          var script = document.createElement('script');
+          script.src = chunks.publicPath !== null ? chunks.publicPath + file : new URL(file, scriptUrl || document.baseURI).href;
+          script.async = true;
+          script.onload = function () { resolve(); };
+          script.onerror = function () {
+            delete loading[file];
+            reject(new Error('Loading chunk ' + file + ' failed'));
+          };
+          document.head.appendChild(script);
+        } else if (typeof require === 'function' && typeof __dirname === 'string') {
+          require(__dirname + '/' + file);
+          resolve();
+        } else {
+          reject(new Error('Cannot load chunk ' + file + ' in this environment'));
+        }
+      });
+    }
+    return loading[file];
+  }
+
+  // ES module exports are getters so importers always read the current binding
+  function defineExports(exports, getters) {
+    Object.defineProperty(exports, '__esModule', { value: true });
+    for (var name in getters) {
+      Object.defineProperty(exports, name, { enumerable: true, get: getters[name] });
+    }
+  }
+
+  // export * from: every named export of a module that is not already defined
+  function exportStar(exports, module) {
+    Object.keys(module).forEach(function (name) {
+      if (name === 'default' || hasOwn.call(exports, name)) return;
+      Object.defineProperty(exports, name, {
+        enumerable: true,
+        get: function () { return module[name]; }
+      });
+    });
+  }
+
+  // A CommonJS module's exports object is its default export
+  function interopDefault(module) {
+    return module && module.__esModule ? module : { default: module };
+  }
+
+  function interopNamespace(module) {
+    if (module && module.__esModule) return module;
+    var namespace = {};
+    if (module !== null && typeof module === 'object') {
+      for (var key in module) {
+        if (hasOwn.call(module, key)) namespace[key] = module[key];
+      }
+    }
+    namespace.default = module;
+    return namespace;
+  }
+
+  // Load a module, noting which module asked for it so updates can travel up to an accepting parent
+  function load(id, parentId) {
+    if (cache[id]) {
+      if (parentId !== undefined && cache[id].parents.indexOf(parentId) === -1) cache[id].parents.push(parentId);
+      return cache[id].exports;
+    }
+
+    var definition = modules[id];
+    if (!definition) {
+      // External dependencies fall back to the host require (Node, SSR)
+      if (typeof require === 'function') return require(id);
+      throw new Error('Cannot find module \'' + id + '\'');
+    }
+
+    var module = cache[id] = { id: id, exports: {}, loaded: false, parents: [] };
+    if (hot) module.hot = createHot(id, definition[1]);
+    var localRequire = function (specifier) {
+      var dependencyId = definition[1][specifier];
+      return load(dependencyId === undefined ? specifier : dependencyId, id);
+    };
+    localRequire.defineExports = defineExports;
+    localRequire.exportStar = exportStar;
+    localRequire.interopDefault = interopDefault;
+    localRequire.interopNamespace = interopNamespace;
+    // import(): load the chunks a module lives in, then resolve to its namespace
+    localRequire.dynamicImport = function (specifier) {
+      var dependencyId = definition[1][specifier];
+      var id = dependencyId === undefined ? specifier : dependencyId;
+      var files = hasOwn.call(modules, id) ? [] : chunkFiles[id] || [];
+      return Promise.all(files.map(loadChunk)).then(function () {
+        return interopNamespace(load(id, module.id));
+      });
+    };
+
+    if (parentId !== undefined) module.parents.push(parentId);
+    definition[0].call(module.exports, localRequire, module, module.exports);
+    module.loaded = true;
+    return module.exports;
+  }
+
+  // module.hot: accept() takes updates of the module itself, accept(specifiers, callback)
+  // updates of its dependencies; dispose(callback) cleans up before the module is replaced
+  function createHot(id, dependencies) {
+    var data = hotData[id];
+    delete hotData[id];
+    return {
+      data: data,
+      selfAccepted: false,
+      accepted: {},
+      disposers: [],
+      accept: function (specifiers, callback) {
+        if (specifiers === undefined || typeof specifiers === 'function') {
+          this.selfAccepted = true;
+          return;
+        }
+        [].concat(specifiers).forEach(function (specifier) {
+          var dependencyId = dependencies[specifier];
+          this.accepted[dependencyId === undefined ? specifier : dependencyId] = callback || function () {};
+        }, this);
+      },
+      dispose: function (callback) {
+        this.disposers.push(callback);
+      }
+    };
+  }
+
+  function reload(reason) {
+    console.warn('[modubuild] ' + reason + ', reloading the page');
+    if (typeof location !== 'undefined') location.reload();
+  }
+
+  /**
+   * Swap changed modules in place. Each running module that changed is re-run if it
+   * accepts itself, or handed to the parents accepting it; anything reaching the
+   * entry point unaccepted reloads the page.
+   * @param {Object} update - { modules, lazy, chunks } written by Bundler#renderHotUpdate
+   */
+  function applyUpdate(update) {
+    var outdated = [];
+    var selfAccepted = [];
+    var callbacks = [];
+    var queue = Object.keys(update.modules).filter(function (id) { return cache[id]; });
+
+    while (queue.length > 0) {
+      var id = queue.shift();
+      if (outdated.indexOf(id) !== -1) continue;
+      outdated.push(id);
+      var module = cache[id];
+      if (module.hot.selfAccepted) {
+        selfAccepted.push({ id: id, parents: module.parents });
+        continue;
+      }
+      if (module.parents.length === 0) {
+        return reload(id + ' cannot be updated in place');
+      }
+      for (var i = 0; i < module.parents.length; i++) {
+        var parent = cache[module.parents[i]];
+        if (parent && hasOwn.call(parent.hot.accepted, id)) {
+          callbacks.push({ callback: parent.hot.accepted[id], id: id });
+        } else {
+          queue.push(module.parents[i]);
+        }
+      }
+    }
+
+    outdated.forEach(function (id) {
+      var data = {};
+      cache[id].hot.disposers.forEach(function (dispose) { dispose(data); });
+      hotData[id] = data;
+      delete cache[id];
+    });
+    for (var moduleId in update.modules) {
+      // Modules of chunks that never loaded still come from their new chunk files
+      if (hasOwn.call(modules, moduleId) || update.lazy.indexOf(moduleId) === -1) {
+        modules[moduleId] = update.modules[moduleId];
+      }
+    }
+    chunks = update.chunks;
+    chunkFiles = chunks.files;
+
+    try {
+      selfAccepted.forEach(function (accepted) {
+        load(accepted.id);
+        cache[accepted.id].parents = accepted.parents;
+      });
+      callbacks.forEach(function (accepted) { accepted.callback([accepted.id]); });
+    } catch (error) {
+      console.error(error);
+      reload('Running the updated modules failed');
+    }
+  }
+
+  if (hot) {
+    var registry = root.__modubuildHot = root.__modubuildHot || {};
+    registry[entry] = applyUpdate;
+  }
+
+  return load(entry);
+})
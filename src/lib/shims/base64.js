@@ -8,8 +8,9 @@ function encode(input) {
       binaryString += String.fromCharCode(input.charCodeAt(i));
     }
   
-    // Use btoa for encoding in browsers
-    return typeof btoa === 'function' ? btoa(binaryString) : binaryString;
+    // Use btoa for encoding in browsers, Buffer in Node versions without it
+    if (typeof btoa === 'function') return btoa(binaryString);
+    return typeof Buffer === 'function' ? Buffer.from(binaryString, 'latin1').toString('base64') : binaryString;
   }
   
   // Base64 decoding function
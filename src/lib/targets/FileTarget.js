@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * @usage
+const FileTarget = require('./targets/FileTarget');
+
+const target = new FileTarget('/var/www/site');
+await target.write('index.js', Buffer.from('...'));
+const content = await target.read('index.js'); // Buffer or null
+await target.remove('index.js');
+ */
+class FileTarget {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  // Map a POSIX key onto the target directory, refusing to escape it
+  resolveKey(key) {
+    const filePath = path.resolve(this.directory, ...key.split('/'));
+    if (filePath !== this.directory && !filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Refusing to write outside of ${this.directory}: ${key}`);
+    }
+    return filePath;
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write(key, data) {
+    const filePath = this.resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolveKey(key), { force: true });
+  }
+
+  toString() {
+    return `file://${this.directory}`;
+  }
+}
+
+module.exports = FileTarget;
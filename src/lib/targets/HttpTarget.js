@@ -0,0 +1,83 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * @usage
+const HttpTarget = require('./targets/HttpTarget');
+
+// Files are PUT to, fetched from and DELETEd at <baseUrl>/<key>
+const target = new HttpTarget('https://example.com/deploy', {
+  headers: { Authorization: 'Bearer token' },
+  timeout: 30000
+});
+await target.write('index.js', Buffer.from('...'));
+ */
+class HttpTarget {
+  constructor(baseUrl, options = {}) {
+    const {
+      headers = {},
+      timeout = 30000,
+    } = options;
+
+    this.baseUrl = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    this.headers = headers;
+    this.timeout = timeout;
+  }
+
+  urlFor(key) {
+    const encoded = key.split('/').map(encodeURIComponent).join('/');
+    return new URL(encoded, this.baseUrl);
+  }
+
+  request(method, key, body = null) {
+    const target = this.urlFor(key);
+    const transport = target.protocol === 'https:' ? https : http;
+    const headers = { ...this.headers };
+    if (body !== null) {
+      headers['Content-Type'] = 'application/octet-stream';
+      headers['Content-Length'] = body.length;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, { method, headers, timeout: this.timeout }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`${method} ${target} timed out after ${this.timeout}ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  assertSuccess(method, key, response) {
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`${method} ${this.urlFor(key)} failed with status ${response.statusCode}`);
+    }
+  }
+
+  async read(key) {
+    const response = await this.request('GET', key);
+    if (response.statusCode === 404) return null;
+    this.assertSuccess('GET', key, response);
+    return response.body;
+  }
+
+  async write(key, data) {
+    this.assertSuccess('PUT', key, await this.request('PUT', key, Buffer.from(data)));
+  }
+
+  async remove(key) {
+    const response = await this.request('DELETE', key);
+    if (response.statusCode === 404) return;
+    this.assertSuccess('DELETE', key, response);
+  }
+
+  toString() {
+    return this.baseUrl.href;
+  }
+}
+
+module.exports = HttpTarget;
@@ -0,0 +1,93 @@
+const { parentPort, workerData } = require('worker_threads');
+const BuildCache = require('../BuildCache');
+const Bundler = require('../Bundler');
+const PluginContainer = require('../PluginContainer');
+
+// Worker thread entry used by ParallelBuilder: bundles one entry point per task.
+// Module loads go through the coordinator so every file is read and transformed
+// by a single worker and the result is shared with the others.
+
+const pending = new Map();
+let nextRequestId = 0;
+
+function request(message) {
+  const id = nextRequestId++;
+  return new Promise((resolve) => {
+    pending.set(id, resolve);
+    parentPort.postMessage({ ...message, id });
+  });
+}
+
+function serialize(error) {
+  return error instanceof Error
+    ? { name: error.name, message: error.message, stack: error.stack || '' }
+    : { name: 'Error', message: String(error), stack: '' };
+}
+
+// Warnings from the bundler and plugins are logged by the coordinator's Reporter
+const reporter = ['debug', 'info', 'warn', 'error'].reduce((methods, level) => {
+  methods[level] = (message) => parentPort.postMessage({ type: 'log', level, message });
+  return methods;
+}, {});
+
+class SharedCacheBundler extends Bundler {
+  async loadModule(filePath) {
+    const reply = await request({ type: 'acquire', path: filePath });
+    if (reply.status === 'cached') return reply.result;
+    if (reply.status === 'failed') throw Object.assign(new Error(reply.error.message), reply.error);
+
+    // This worker owns the module: load it and hand the result to the coordinator
+    try {
+      const result = await super.loadModule(filePath);
+      parentPort.postMessage({ type: 'release', path: filePath, result });
+      return result;
+    } catch (error) {
+      parentPort.postMessage({ type: 'release', path: filePath, error: serialize(error) });
+      throw error;
+    }
+  }
+}
+
+const { bundlerOptions, config } = workerData;
+const bundler = new SharedCacheBundler({
+  ...bundlerOptions,
+  cache: bundlerOptions.cache && new BuildCache(bundlerOptions.cache),
+  reporter,
+  plugins: PluginContainer.fromConfig(config, { rootDir: bundlerOptions.rootDir, reporter })
+});
+
+async function bundleEntry(entryPoint) {
+  const graph = await bundler.buildGraph([entryPoint]);
+  const [entryId] = graph.entryNodes;
+  const [output] = await bundler.generateOutputs(graph, [entryId]);
+
+  return {
+    // Maps cross the thread boundary as JSON; ParallelBuilder parses them back
+    output: {
+      ...output,
+      map: output.map && output.map.toJSON(),
+      chunks: output.chunks.map(chunk => ({ ...chunk, map: chunk.map && chunk.map.toJSON() }))
+    },
+    modules: [...graph.nodes.values()].map(({
+      id, path, code, source, esm, css, assets, sideEffects, dependencies, dynamicImports
+    }) => ({ id, path, code, source, esm, css, assets, sideEffects, dependencies, dynamicImports }))
+  };
+}
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'reply') {
+    const resolve = pending.get(message.id);
+    pending.delete(message.id);
+    resolve(message);
+    return;
+  }
+
+  if (message.type === 'task') {
+    try {
+      const result = await bundleEntry(message.entryPoint);
+      parentPort.postMessage({ type: 'done', index: message.index, ...result });
+    } catch (error) {
+      parentPort.postMessage({ type: 'failed', index: message.index, error: serialize(error) });
+    }
+  }
+});
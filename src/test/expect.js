@@ -0,0 +1,149 @@
+const util = require('util');
+
+const AssertionError = class extends Error {
+  constructor(message, actual, expected) {
+    super(message);
+    this.name = 'AssertionError';
+    this.actual = actual;
+    this.expected = expected;
+  }
+};
+
+const format = (value) => util.inspect(value, { depth: 4, breakLength: Infinity });
+
+// Structural equality used by toEqual and toContainEqual
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  if (a instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof RegExp) return a.toString() === b.toString();
+  if (a instanceof Map || a instanceof Set) {
+    return isEqual([...a.entries()], [...b.entries()]);
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+function matchesError(error, expected) {
+  if (expected === undefined) return true;
+  if (typeof expected === 'string') return String(error && error.message).includes(expected);
+  if (expected instanceof RegExp) return expected.test(String(error && error.message));
+  if (typeof expected === 'function') return error instanceof expected;
+  return false;
+}
+
+const matchers = {
+  toBe: (actual, expected) => [Object.is(actual, expected), `to be ${format(expected)}`],
+  toEqual: (actual, expected) => [isEqual(actual, expected), `to equal ${format(expected)}`],
+  toBeTruthy: (actual) => [Boolean(actual), 'to be truthy'],
+  toBeFalsy: (actual) => [!actual, 'to be falsy'],
+  toBeNull: (actual) => [actual === null, 'to be null'],
+  toBeUndefined: (actual) => [actual === undefined, 'to be undefined'],
+  toBeDefined: (actual) => [actual !== undefined, 'to be defined'],
+  toBeInstanceOf: (actual, expected) => [actual instanceof expected, `to be an instance of ${expected.name}`],
+  toBeGreaterThan: (actual, expected) => [actual > expected, `to be greater than ${format(expected)}`],
+  toBeLessThan: (actual, expected) => [actual < expected, `to be less than ${format(expected)}`],
+  toHaveLength: (actual, expected) => [actual != null && actual.length === expected, `to have length ${expected}`],
+  toMatch: (actual, expected) => [
+    typeof actual === 'string' && (expected instanceof RegExp ? expected.test(actual) : actual.includes(expected)),
+    `to match ${format(expected)}`
+  ],
+  toContain: (actual, expected) => [
+    actual != null && typeof actual.includes === 'function' && actual.includes(expected),
+    `to contain ${format(expected)}`
+  ],
+  toContainEqual: (actual, expected) => [
+    Array.isArray(actual) && actual.some(item => isEqual(item, expected)),
+    `to contain an item equal to ${format(expected)}`
+  ],
+  toHaveProperty: (actual, key) => [
+    actual != null && Object.prototype.hasOwnProperty.call(Object(actual), key),
+    `to have property ${format(key)}`
+  ],
+  toThrow: (actual, expected) => {
+    if (typeof actual !== 'function') {
+      throw new TypeError('toThrow expects a function');
+    }
+    try {
+      actual();
+    } catch (error) {
+      return [matchesError(error, expected), `to throw ${expected === undefined ? 'an error' : format(expected)}`];
+    }
+    return [false, `to throw ${expected === undefined ? 'an error' : format(expected)}`];
+  }
+};
+
+function buildAssertions(actual, negated) {
+  const assertions = {};
+
+  for (const [name, matcher] of Object.entries(matchers)) {
+    assertions[name] = (expected) => {
+      const [pass, description] = matcher(actual, expected);
+      if (pass === negated) {
+        throw new AssertionError(
+          `Expected ${name === 'toThrow' ? 'function' : format(actual)} ${negated ? 'not ' : ''}${description}`,
+          actual,
+          expected
+        );
+      }
+    };
+  }
+
+  return assertions;
+}
+
+// Await a promise and assert on its settled value
+function buildAsyncAssertions(promise, settle, negated) {
+  const assertions = {};
+
+  for (const name of Object.keys(matchers)) {
+    assertions[name] = async (expected) => {
+      let value;
+      try {
+        value = await promise;
+      } catch (error) {
+        if (settle === 'resolves') {
+          throw new AssertionError(`Expected promise to resolve but it rejected with ${format(error)}`, error);
+        }
+        return buildAssertions(name === 'toThrow' ? () => { throw error; } : error, negated)[name](expected);
+      }
+      if (settle === 'rejects') {
+        throw new AssertionError(`Expected promise to reject but it resolved with ${format(value)}`, value);
+      }
+      return buildAssertions(value, negated)[name](expected);
+    };
+  }
+
+  return assertions;
+}
+
+/**
+ * Create assertions for a value
+ * @param {*} actual - Value under test
+ * @returns {Object} Matchers, plus `.not`, `.resolves` and `.rejects` variants
+ */
+function expect(actual) {
+  return {
+    ...buildAssertions(actual, false),
+    not: buildAssertions(actual, true),
+    resolves: {
+      ...buildAsyncAssertions(actual, 'resolves', false),
+      not: buildAsyncAssertions(actual, 'resolves', true)
+    },
+    rejects: {
+      ...buildAsyncAssertions(actual, 'rejects', false),
+      not: buildAsyncAssertions(actual, 'rejects', true)
+    }
+  };
+}
+
+module.exports = {
+  expect,
+  isEqual,
+  AssertionError
+};
@@ -0,0 +1,266 @@
+const { expect } = require('./expect');
+
+class Suite {
+  constructor(name, parent = null, mode = 'run') {
+    this.name = name;
+    this.parent = parent;
+    this.mode = mode;
+    this.children = [];
+    this.hooks = {
+      beforeAll: [],
+      afterAll: [],
+      beforeEach: [],
+      afterEach: []
+    };
+  }
+
+  // Suite names from the root down, excluding the anonymous root
+  get path() {
+    const names = [];
+    for (let suite = this; suite && suite.parent; suite = suite.parent) {
+      names.unshift(suite.name);
+    }
+    return names;
+  }
+
+  get skipped() {
+    for (let suite = this; suite; suite = suite.parent) {
+      if (suite.mode === 'skip') return true;
+    }
+    return false;
+  }
+
+  get focused() {
+    for (let suite = this; suite; suite = suite.parent) {
+      if (suite.mode === 'only') return true;
+    }
+    return false;
+  }
+}
+
+/**
+ * @usage
+const TestRuntime = require('./runtime');
+
+const runtime = new TestRuntime({ grep: 'math', timeout: 2000 });
+runtime.install(global); // exposes describe/it/test/expect and hooks
+
+require('./math.test.js');
+const results = await runtime.run();
+ */
+class TestRuntime {
+  constructor(options = {}) {
+    const {
+      grep = null,
+      timeout = 5000,
+    } = options;
+
+    this.grep = grep ? new RegExp(grep) : null;
+    this.timeout = timeout;
+    this.root = new Suite('');
+    this.current = this.root;
+    this.hasFocused = false;
+    this.results = [];
+  }
+
+  // Expose the describe/it/expect API on a global object
+  install(target = global) {
+    const describe = (name, fn) => this.describe(name, fn);
+    describe.skip = (name, fn) => this.describe(name, fn, 'skip');
+    describe.only = (name, fn) => this.describe(name, fn, 'only');
+
+    const it = (name, fn, timeout) => this.addTest(name, fn, timeout);
+    it.skip = (name, fn, timeout) => this.addTest(name, fn, timeout, 'skip');
+    it.only = (name, fn, timeout) => this.addTest(name, fn, timeout, 'only');
+    it.todo = (name) => this.addTest(name, null, undefined, 'skip');
+
+    Object.assign(target, {
+      describe,
+      it,
+      test: it,
+      expect,
+      beforeAll: (fn) => this.current.hooks.beforeAll.push(fn),
+      afterAll: (fn) => this.current.hooks.afterAll.push(fn),
+      beforeEach: (fn) => this.current.hooks.beforeEach.push(fn),
+      afterEach: (fn) => this.current.hooks.afterEach.push(fn)
+    });
+  }
+
+  describe(name, fn, mode = 'run') {
+    const suite = new Suite(name, this.current, mode);
+    if (mode === 'only') this.hasFocused = true;
+    this.current.children.push(suite);
+
+    this.current = suite;
+    try {
+      fn();
+    } finally {
+      this.current = suite.parent;
+    }
+  }
+
+  addTest(name, fn, timeout = this.timeout, mode = 'run') {
+    if (mode === 'only') this.hasFocused = true;
+    this.current.children.push({ name, fn, timeout, mode, suite: this.current });
+  }
+
+  // Run a test or hook function with a timeout, supporting done callbacks
+  runWithTimeout(fn, timeout, label) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error(`${label} timed out after ${timeout}ms`)),
+        timeout
+      );
+      const settle = (error) => {
+        clearTimeout(timer);
+        if (error) reject(error);
+        else resolve();
+      };
+
+      try {
+        if (fn.length > 0) {
+          fn((error) => settle(error));
+        } else {
+          Promise.resolve(fn()).then(() => settle(), settle);
+        }
+      } catch (error) {
+        settle(error);
+      }
+    });
+  }
+
+  shouldRun(test) {
+    const fullName = [...test.suite.path, test.name].join(' ');
+    if (test.mode === 'skip' || test.suite.skipped || !test.fn) return false;
+    if (this.hasFocused && test.mode !== 'only' && !test.suite.focused) return false;
+    if (this.grep && !this.grep.test(fullName)) return false;
+    return true;
+  }
+
+  serializeError(error) {
+    if (!(error instanceof Error)) {
+      return { name: 'Error', message: String(error), stack: '' };
+    }
+    return { name: error.name, message: error.message, stack: error.stack || '' };
+  }
+
+  collectEach(suite, type) {
+    const hooks = [];
+    for (let current = suite; current; current = current.parent) {
+      hooks.unshift(...current.hooks[type]);
+    }
+    return type === 'afterEach' ? hooks.reverse() : hooks;
+  }
+
+  async runTest(test) {
+    const result = {
+      name: test.name,
+      suite: test.suite.path,
+      status: 'passed',
+      duration: 0,
+      error: null
+    };
+
+    if (!this.shouldRun(test)) {
+      result.status = 'skipped';
+      return result;
+    }
+
+    const startTime = Date.now();
+    try {
+      for (const hook of this.collectEach(test.suite, 'beforeEach')) {
+        await this.runWithTimeout(hook, test.timeout, 'beforeEach hook');
+      }
+      await this.runWithTimeout(test.fn, test.timeout, `Test "${test.name}"`);
+    } catch (error) {
+      result.status = 'failed';
+      result.error = this.serializeError(error);
+    }
+
+    try {
+      for (const hook of this.collectEach(test.suite, 'afterEach')) {
+        await this.runWithTimeout(hook, test.timeout, 'afterEach hook');
+      }
+    } catch (error) {
+      if (result.status !== 'failed') {
+        result.status = 'failed';
+        result.error = this.serializeError(error);
+      }
+    }
+
+    result.duration = Date.now() - startTime;
+    return result;
+  }
+
+  // Tests under a suite that will actually run
+  hasRunnableTests(suite) {
+    return suite.children.some(child =>
+      child instanceof Suite ? this.hasRunnableTests(child) : this.shouldRun(child)
+    );
+  }
+
+  // A beforeAll failure fails every test below the suite; nested suites get it as
+  // inheritedError and run neither their hooks nor their tests
+  async runSuite(suite, inheritedError = null) {
+    const results = [];
+    const active = this.hasRunnableTests(suite) && !inheritedError;
+    let hookError = inheritedError;
+
+    if (active) {
+      try {
+        for (const hook of suite.hooks.beforeAll) {
+          await this.runWithTimeout(hook, this.timeout, 'beforeAll hook');
+        }
+      } catch (error) {
+        hookError = error;
+      }
+    }
+
+    for (const child of suite.children) {
+      if (child instanceof Suite) {
+        results.push(...await this.runSuite(child, hookError));
+      } else if (hookError && this.shouldRun(child)) {
+        results.push({
+          name: child.name,
+          suite: suite.path,
+          status: 'failed',
+          duration: 0,
+          error: this.serializeError(hookError)
+        });
+      } else {
+        results.push(await this.runTest(child));
+      }
+    }
+
+    if (active) {
+      try {
+        for (const hook of suite.hooks.afterAll) {
+          await this.runWithTimeout(hook, this.timeout, 'afterAll hook');
+        }
+      } catch (error) {
+        results.push({
+          name: 'afterAll hook',
+          suite: suite.path,
+          status: 'failed',
+          duration: 0,
+          error: this.serializeError(error)
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run every registered test
+   * @returns {Promise<Array<Object>>} Results with name, suite, status, duration and error
+   */
+  async run() {
+    this.results = await this.runSuite(this.root);
+    return this.results;
+  }
+}
+
+TestRuntime.Suite = Suite;
+
+module.exports = TestRuntime;
@@ -0,0 +1,45 @@
+const path = require('path');
+const TestRuntime = require('./runtime');
+
+// Child process entry used by TestRunner: runs a single test file in isolation
+// and reports its results to the parent over IPC.
+
+function send(message) {
+  return new Promise(resolve => process.send(message, resolve));
+}
+
+function serialize(error) {
+  return error instanceof Error
+    ? { name: error.name, message: error.message, stack: error.stack || '' }
+    : { name: 'Error', message: String(error), stack: '' };
+}
+
+async function runFile({ file, grep, timeout }) {
+  const runtime = new TestRuntime({ grep, timeout });
+  runtime.install(global);
+
+  try {
+    require(path.resolve(file));
+  } catch (error) {
+    await send({ type: 'error', error: serialize(error) });
+    return;
+  }
+
+  const results = await runtime.run();
+  await send({ type: 'results', results });
+}
+
+process.on('uncaughtException', async (error) => {
+  await send({ type: 'error', error: serialize(error) });
+  process.exit(1);
+});
+
+process.on('unhandledRejection', async (error) => {
+  await send({ type: 'error', error: serialize(error) });
+  process.exit(1);
+});
+
+process.once('message', async (message) => {
+  await runFile(message);
+  process.disconnect();
+});
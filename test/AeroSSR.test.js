@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const AeroSSR = require('../src/lib/AeroSSR');
+const { createProject, writeFiles, removeProject, serve } = require('./helpers');
+
+describe('AeroSSR', () => {
+  let rootDir;
+  let server;
+  let request;
+  let consoleError;
+
+  beforeAll(async () => {
+    rootDir = await createProject({
+      'src/ok.js': 'export const ok = true;\n',
+      'src/nested/deep.js': 'export const deep = true;\n',
+      'src/notes.txt': 'not a script\n',
+      'secret.js': 'const secret = "outside src";\n',
+      'app/main.js': 'console.log("main");\n',
+      'app/admin.js': 'console.log("admin");\n'
+    });
+    await fs.symlink(path.join(rootDir, 'secret.js'), path.join(rootDir, 'src/link.js'));
+
+    const app = new AeroSSR({
+      rootDir,
+      projectPath: path.join(rootDir, 'app'),
+      entryPoint: 'main.js',
+      entryPoints: ['admin.js', 'removed.js'],
+      cache: false,
+      minify: false
+    });
+    server = await serve(app);
+    request = requestPath => server.request(requestPath, { headers: { Accept: 'application/json' } });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await removeProject(rootDir);
+  });
+
+  beforeEach(() => {
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = consoleError;
+  });
+
+  describe('/src', () => {
+    it('serves .js files inside sourceDir', async () => {
+      expect((await request('/src/ok.js')).body).toBe('export const ok = true;\n');
+      expect((await request('/src/nested/deep.js')).status).toBe(200);
+    });
+
+    it('rejects traversal, plain or percent-encoded, with a 403', async () => {
+      for (const requestPath of [
+        '/src/../secret.js',
+        '/src/..%2fsecret.js',
+        '/src/%2e%2e%2fsecret.js',
+        '/src/%2E%2E%2F%2E%2E%2Fetc%2Fpasswd',
+        '/src/nested/..%2f..%2fsecret.js',
+        '/src/..%5csecret.js',
+        '/src/%2e%2e%5c%2e%2e%5csecret.js'
+      ]) {
+        const response = await request(requestPath);
+        expect([requestPath, response.status]).toEqual([requestPath, 403]);
+        expect(response.body).not.toMatch('outside src');
+      }
+    });
+
+    it('rejects null bytes with a 403', async () => {
+      expect((await request('/src/ok.js%00.js')).status).toBe(403);
+      expect((await request('/src/..%2fsecret.js%00.txt')).status).toBe(403);
+    });
+
+    it('rejects malformed escapes with a 400', async () => {
+      expect((await request('/src/%E0%A4%A.js')).status).toBe(400);
+      expect((await request('/src/%2.js')).status).toBe(400);
+    });
+
+    it('rejects symlinks leading out of sourceDir with a 403', async () => {
+      const response = await request('/src/link.js');
+      expect(response.status).toBe(403);
+      expect(response.body).not.toMatch('outside src');
+    });
+
+    it('answers missing files, directories and other file types with a 404', async () => {
+      expect((await request('/src/missing.js')).status).toBe(404);
+      expect((await request('/src/nested')).status).toBe(404);
+      expect((await request('/src/notes.txt')).status).toBe(404);
+    });
+
+    it('keeps the server directory out of error messages', async () => {
+      const response = await request('/src/..%2fsecret.js');
+      expect(response.body).not.toMatch(rootDir);
+    });
+  });
+
+  describe('/dist', () => {
+    it('builds the configured entry points', async () => {
+      expect((await request('/dist')).body).toMatch('console.log("main")');
+      expect((await request('/dist?entryPoint=admin.js')).body).toMatch('console.log("admin")');
+      expect((await request('/dist?entryPoint=./admin.js')).status).toBe(200);
+      expect((await request(`/dist?projectPath=${encodeURIComponent(path.join(rootDir, 'app/'))}`)).status).toBe(200);
+    });
+
+    it('rejects project paths that are not configured with a 403', async () => {
+      expect((await request('/dist?projectPath=/etc')).status).toBe(403);
+      expect((await request(`/dist?projectPath=${encodeURIComponent(rootDir)}`)).status).toBe(403);
+    });
+
+    it('rejects entry points that are not configured with a 403', async () => {
+      for (const entryPoint of ['../../x', '..%2F..%2Fx', '../secret.js', '%2e%2e%2fsecret.js', '/etc/passwd']) {
+        const response = await request(`/dist?entryPoint=${entryPoint}`);
+        expect([entryPoint, response.status]).toEqual([entryPoint, 403]);
+      }
+    });
+
+    it('answers configured entry points that do not exist with a 404', async () => {
+      expect((await request('/dist?entryPoint=removed.js')).status).toBe(404);
+    });
+
+    it('rejects repeated query parameters with a 400', async () => {
+      expect((await request('/dist?entryPoint=main.js&entryPoint=admin.js')).status).toBe(400);
+    });
+
+    it('answers unknown hashed files with a 404', async () => {
+      expect((await request('/dist/..%2fsecret.js')).status).toBe(404);
+    });
+
+    it('finds relative project paths in rootDir wherever the server started', async () => {
+      expect(process.cwd()).not.toBe(rootDir);
+      const relative = new AeroSSR({ rootDir, projectPath: 'app', entryPoint: 'main.js', cache: false, minify: false });
+      const relativeServer = await serve(relative);
+      try {
+        const headers = { Accept: 'application/json' };
+        expect((await relativeServer.request('/dist', { headers })).body).toMatch('console.log("main")');
+        expect((await relativeServer.request('/dist?projectPath=./app/', { headers })).status).toBe(200);
+        expect((await relativeServer.request('/src/ok.js', { headers })).status).toBe(200);
+        expect((await relative.getManifest()).entry).toMatch('main.js');
+      } finally {
+        await relativeServer.close();
+      }
+    });
+  });
+});
+
+describe('AeroSSR hot module replacement', () => {
+  let rootDir;
+  let app;
+  let server;
+  let stream;
+  let consoleError;
+
+  // Messages of the /__hmr event stream, awaited in the order they arrive
+  function listen(port) {
+    const messages = [];
+    const waiting = [];
+    return new Promise((resolve, reject) => {
+      const req = http.get({ host: '127.0.0.1', port, path: '/__hmr' }, (res) => {
+        let buffer = '';
+        res.setEncoding('utf-8');
+        res.on('data', (text) => {
+          buffer += text;
+          const events = buffer.split('\n\n');
+          buffer = events.pop();
+          events
+            .filter(event => event.startsWith('data: '))
+            .forEach(event => messages.push(JSON.parse(event.slice('data: '.length))));
+          while (waiting.length > 0 && messages.length > 0) waiting.shift()(messages.shift());
+        });
+        resolve({
+          headers: res.headers,
+          next: () => new Promise((resolveMessage, rejectMessage) => {
+            if (messages.length > 0) return resolveMessage(messages.shift());
+            const timer = setTimeout(() => rejectMessage(new Error('No /__hmr message within 5s')), 5000);
+            waiting.push((message) => {
+              clearTimeout(timer);
+              resolveMessage(message);
+            });
+          }),
+          close: () => req.destroy()
+        });
+      });
+      req.on('error', reject);
+    });
+  }
+
+  beforeEach(async () => {
+    consoleError = console.error;
+    console.error = () => {};
+    rootDir = await createProject({
+      'index.html': '<!DOCTYPE html><html><head><title>hmr</title></head><body></body></html>\n',
+      'src/index.js': [
+        "import { message } from './message.js';",
+        'console.log(message);',
+        "module.hot.accept('./message.js', () => console.log('accepted'));"
+      ].join('\n'),
+      'src/message.js': "export const message = 'first';\n"
+    });
+    app = new AeroSSR({ rootDir, projectPath: rootDir, entryPoint: 'src/index.js', cache: false, minify: false, hmr: true });
+    server = await serve(app);
+    stream = await listen(server.port);
+  });
+
+  afterEach(async () => {
+    stream.close();
+    await app.stop();
+    await server.close();
+    await removeProject(rootDir);
+    console.error = consoleError;
+  });
+
+  // Load the page's bundle in a sandbox standing in for the browser
+  async function loadPage() {
+    const page = await server.request('/');
+    const [, bundlePath] = page.body.match(/<script src="(\/dist\/[^"]+)" defer><\/script>/);
+    const sandbox = { logs: [], reloads: 0 };
+    sandbox.context = vm.createContext({
+      console: { log: text => sandbox.logs.push(text), warn: () => {} },
+      location: { reload: () => sandbox.reloads++ }
+    });
+    vm.runInContext((await server.request(bundlePath)).body, sandbox.context);
+    return { page, sandbox };
+  }
+
+  it('opens an event stream and injects its client into pages', async () => {
+    expect(stream.headers['content-type']).toBe('text/event-stream');
+    expect(stream.headers['cache-control']).toBe('no-store');
+
+    const { page } = await loadPage();
+    expect(page.body).toMatch("new EventSource('/__hmr')");
+    expect(page.body.indexOf('EventSource')).toBeLessThan(page.body.indexOf('</head>'));
+
+    app.broadcast({ type: 'reload' });
+    expect(await stream.next()).toEqual({ type: 'reload' });
+  });
+
+  it('pushes an update script that swaps changed modules in place', async () => {
+    const { sandbox } = await loadPage();
+    expect(sandbox.logs).toEqual(['first']);
+
+    await writeFiles(rootDir, { 'src/message.js': "export const message = 'second';\n" });
+    const message = await stream.next();
+    expect(message.type).toBe('update');
+    expect(message.entry).toBe('src/index.js');
+    expect(message.update).toMatch(/^index\.\w+\.hot-update\.js$/);
+
+    vm.runInContext((await server.request(`/dist/${message.update}`)).body, sandbox.context);
+    expect(sandbox.logs).toEqual(['first', 'accepted']);
+    expect(sandbox.reloads).toBe(0);
+  });
+
+  it('reloads the page when no module accepts the update', async () => {
+    const { sandbox } = await loadPage();
+
+    await writeFiles(rootDir, { 'src/index.js': "console.log('replaced');\n" });
+    const message = await stream.next();
+    vm.runInContext((await server.request(`/dist/${message.update}`)).body, sandbox.context);
+    expect(sandbox.logs).toEqual(['first']);
+    expect(sandbox.reloads).toBe(1);
+  });
+
+  it('reloads pages when the template changes', async () => {
+    app.watchTemplate();
+    await writeFiles(rootDir, { 'index.html': '<!DOCTYPE html><html><head></head><body>changed</body></html>\n' });
+    expect(await stream.next()).toEqual({ type: 'reload' });
+  });
+});
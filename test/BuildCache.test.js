@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+const BuildCache = require('../src/lib/BuildCache');
+const { createProject, removeProject } = require('./helpers');
+
+describe('BuildCache', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await createProject();
+  });
+
+  afterEach(() => removeProject(rootDir));
+
+  it('stores and reads values by key', async () => {
+    const cache = new BuildCache({ rootDir, directory: 'cache' });
+    const key = cache.createKey('src/index.js', 'export default 1;');
+    expect(await cache.get(key)).toBeNull();
+
+    await cache.set(key, { code: 'module.exports = 1;' });
+    expect(await cache.get(key)).toEqual({ code: 'module.exports = 1;' });
+    expect(cache.stats).toEqual({ hits: 1, misses: 1, writes: 1 });
+  });
+
+  it('derives different keys from different sources and fingerprints', () => {
+    const cache = new BuildCache({ rootDir });
+    const key = cache.createKey('a.js', 'x');
+    expect(cache.createKey('a.js', 'y')).not.toBe(key);
+    // Parts are separated, so shifting text between them changes the key
+    expect(cache.createKey('a.js', 'x', '')).not.toBe(key);
+    expect(cache.createKey('a.jsx', '')).not.toBe(cache.createKey('a.js', 'x'));
+    expect(new BuildCache({ rootDir, fingerprint: { plugins: ['p'] } }).createKey('a.js', 'x')).not.toBe(key);
+  });
+
+  it('treats unreadable entries as misses', async () => {
+    const cache = new BuildCache({ rootDir, directory: 'cache' });
+    const key = cache.createKey('broken');
+    await cache.set(key, {});
+    await fs.writeFile(cache.entryPath(key), '{');
+    expect(await cache.get(key)).toBeNull();
+  });
+
+  it('prunes the least recently used entries down to maxSize', async () => {
+    const cache = new BuildCache({ rootDir, directory: 'cache', maxSize: 25 });
+    const keys = ['a', 'b', 'c'].map(name => cache.createKey(name));
+    for (const [index, key] of keys.entries()) {
+      await cache.set(key, { value: 'x'.repeat(3) });
+      // Older modification times mark older use
+      const usedAt = new Date(Date.now() - (10 - index) * 1000);
+      await fs.utimes(cache.entryPath(key), usedAt, usedAt);
+    }
+    await cache.get(keys[0]);
+
+    const result = await cache.prune();
+    expect(result.evicted).toBe(2);
+    expect(await cache.get(keys[0])).toEqual({ value: 'xxx' });
+    expect(await cache.get(keys[1])).toBeNull();
+  });
+
+  it('reports and cleans its contents', async () => {
+    const cache = new BuildCache({ rootDir, directory: 'cache' });
+    await cache.set(cache.createKey('a'), { a: 1 });
+    expect((await cache.info()).entries).toBe(1);
+    expect((await cache.clean()).entries).toBe(1);
+    expect((await cache.info()).entries).toBe(0);
+  });
+
+  it('is disabled by config', () => {
+    expect(BuildCache.fromConfig({ cache: { enabled: false } })).toBeNull();
+    expect(BuildCache.fromConfig({}, { rootDir })).toBeInstanceOf(BuildCache);
+  });
+});
@@ -0,0 +1,36 @@
+const Bundler = require('../src/lib/Bundler');
+const BundleAnalyzer = require('../src/lib/BundleAnalyzer');
+const { createProject, removeProject } = require('./helpers');
+
+describe('BundleAnalyzer', () => {
+  let rootDir;
+
+  afterEach(() => removeProject(rootDir));
+
+  it('lists every chunk once with the entry points loading it', async () => {
+    rootDir = await createProject({
+      'src/a.js': "import('./lazy.js').then(lazy => console.log(lazy.value));\n",
+      'src/b.js': "import('./lazy.js').then(lazy => console.log(lazy.value));\nconsole.log('b');\n",
+      'src/lazy.js': "export const value = 'lazy';\n"
+    });
+    const bundler = new Bundler(Bundler.optionsFromConfig({}, { rootDir }));
+    const build = await bundler.build(['src/a.js', 'src/b.js']);
+    const [chunk] = build.outputs[0].chunks;
+
+    const analyzer = new BundleAnalyzer({ rootDir, extensions: bundler.extensions });
+    const report = await analyzer.analyze(build);
+
+    expect(report.summary.bundles).toBe(2);
+    expect(report.summary.chunks).toBe(1);
+    expect(report.bundles.map(bundle => [bundle.fileName, bundle.entry])).toEqual([
+      [build.outputs[0].fileName, 'src/a.js'],
+      [build.outputs[1].fileName, 'src/b.js'],
+      [chunk.fileName, null]
+    ]);
+    expect(report.bundles[2].loadedBy).toEqual(['src/a.js', 'src/b.js']);
+    expect(report.bundles[2].raw).toBe(Buffer.byteLength(chunk.code));
+    expect(report.summary.raw).toBe(report.bundles.reduce((total, bundle) => total + bundle.raw, 0));
+    expect(report.modules.find(module => module.id === 'src/lazy.js').bundles).toEqual([chunk.fileName]);
+    expect(analyzer.formatText(report)).toMatch(new RegExp(`${chunk.fileName}\\s+chunk of src/a\\.js, src/b\\.js`));
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const BuildCache = require('../src/lib/BuildCache');
+const Bundler = require('../src/lib/Bundler');
+const { createProject, writeFiles, removeProject } = require('./helpers');
+
+describe('Bundler.optionsFromConfig', () => {
+  it('fills in defaults and lets overrides win', () => {
+    const options = Bundler.optionsFromConfig({ outputDir: 'out', splitChunks: false }, { rootDir: '/project', sourceMap: false });
+    expect(options).toEqual({
+      rootDir: '/project',
+      outputDir: 'out',
+      resolve: undefined,
+      sourceMap: false,
+      splitChunks: false,
+      publicPath: null,
+      treeShaking: true,
+      loaders: undefined,
+      jsx: undefined,
+      precompress: undefined,
+      fileNames: '[name].[hash].js',
+      hmr: false
+    });
+  });
+
+  it('turns tree shaking off for hot module replacement', () => {
+    expect(Bundler.optionsFromConfig({ hmr: true }).treeShaking).toBe(false);
+  });
+});
+
+describe('Bundler', () => {
+  let rootDir;
+
+  afterEach(() => removeProject(rootDir));
+
+  describe('with a cache', () => {
+    const build = async () => {
+      const cache = new BuildCache({ rootDir, directory: 'cache' });
+      const bundler = new Bundler({ rootDir, cache, sourceMap: false });
+      const { outputs: [output] } = await bundler.build(['src/index.js']);
+      return { output, cache };
+    };
+
+    it('reuses modules whose source did not change', async () => {
+      rootDir = await createProject({ 'src/index.js': 'console.log(1);\n' });
+      await build();
+      const { output, cache } = await build();
+      expect(cache.stats.hits).toBe(1);
+      expect(output.code).toMatch('console.log(1);');
+    });
+
+    it('renames url() assets of a cached stylesheet when only the asset changed', async () => {
+      rootDir = await createProject({
+        'src/index.js': "import './style.css';\n",
+        'src/style.css': '.logo { background: url(./img.png); }\n',
+        'src/img.png': 'first image'
+      });
+      const { output: first } = await build();
+
+      await writeFiles(rootDir, { 'src/img.png': 'second image' });
+      const { output: second } = await build();
+
+      expect(second.assets).toHaveLength(1);
+      expect(second.assets[0].fileName).not.toBe(first.assets[0].fileName);
+      expect(second.css.code).toMatch(second.assets[0].fileName);
+      expect(await fs.readFile(second.assets[0].path, 'utf-8')).toBe('second image');
+    });
+  });
+
+  describe('chunk splitting', () => {
+    const FILES = {
+      'src/index.js': [
+        "import { format } from './format.js';",
+        "console.log(format('entry'));",
+        "import('./a.js').then(a => console.log(a.name));",
+        "import('./b.js').then(b => console.log(b.name));"
+      ].join('\n'),
+      'src/a.js': "import { shared } from './shared.js';\nexport const name = shared('a');\n",
+      'src/b.js': "import { shared } from './shared.js';\nexport const name = shared('b');\n",
+      'src/shared.js': "import { format } from './format.js';\nexport function shared(name) { return format(name) + ' shared'; }\n",
+      'src/format.js': 'export function format(name) { return `[${name}]`; }\n'
+    };
+
+    const build = async () => {
+      rootDir = await createProject(FILES);
+      const bundler = new Bundler({ rootDir, sourceMap: false });
+      const { outputs: [output] } = await bundler.build(['src/index.js']);
+      return output;
+    };
+
+    it('moves modules both chunks import into a shared chunk', async () => {
+      const output = await build();
+      const chunks = Object.fromEntries(output.chunks.map(chunk => [chunk.fileName.replace(/-\w+\.js$/, ''), chunk]));
+
+      expect(Object.keys(chunks).sort()).toEqual(['a', 'b', 'shared']);
+      expect(chunks.shared.roots).toEqual(['src/a.js', 'src/b.js']);
+      expect(chunks.shared.modules).toEqual(['src/shared.js']);
+      expect(chunks.a.modules).toEqual(['src/a.js']);
+      expect(chunks.b.modules).toEqual(['src/b.js']);
+      // Already in the entry bundle, so in no chunk
+      expect(output.chunks.flatMap(chunk => chunk.modules)).not.toContain('src/format.js');
+    });
+
+    it('loads the shared chunk before the chunks that need it', async () => {
+      const output = await build();
+      const logs = [];
+      const loaded = [];
+      const context = vm.createContext({ console: { log: (...args) => logs.push(args.join(' ')) }, __dirname: '/dist' });
+      const files = new Map(output.chunks.map(chunk => [`/dist/${chunk.fileName}`, chunk.code]));
+      // The runtime require()s chunks next to the bundle outside browsers
+      context.require = (file) => {
+        loaded.push(path.basename(file).replace(/-\w+\.js$/, ''));
+        return vm.runInContext(files.get(file), context);
+      };
+
+      vm.runInContext(output.code, context);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(loaded).toEqual(['shared', 'a', 'b']);
+      expect(logs).toEqual(['[entry]', '[a] shared', '[b] shared']);
+    });
+
+    it('writes the same shared chunk for entry points that split the same way', async () => {
+      rootDir = await createProject({
+        ...FILES,
+        'src/admin.js': "import './format.js';\nimport('./a.js');\nimport('./b.js');\n"
+      });
+      // Tree shaking is per entry point and would make the chunk code differ
+      const bundler = new Bundler({ rootDir, sourceMap: false, treeShaking: false });
+      const { outputs } = await bundler.build(['src/index.js', 'src/admin.js']);
+      const shared = outputs.map(output => output.chunks.find(chunk => chunk.fileName.startsWith('shared-')));
+
+      expect(shared[0].fileName).toBe(shared[1].fileName);
+      expect(shared[0].code).toBe(shared[1].code);
+    });
+  });
+
+  describe('write', () => {
+    const write = async () => {
+      const bundler = new Bundler({ rootDir, outputDir: 'dist', fileNames: '[name].[hash].js', precompress: ['gzip'] });
+      const { outputs } = await bundler.build(['src/index.js']);
+      await bundler.write(outputs);
+      return outputs[0];
+    };
+    const list = async () => (await fs.readdir(path.join(rootDir, 'dist'))).sort();
+
+    it('removes files only the previous manifest listed', async () => {
+      rootDir = await createProject({
+        'src/index.js': "import './style.css';\nconsole.log(1);\n",
+        'src/style.css': `.logo { background: url(./img.png); }\n/* ${'padding '.repeat(200)}*/\n`,
+        'src/img.png': 'image',
+        'dist/keep.txt': 'not a build output'
+      });
+      const first = await write();
+      expect(await list()).toContain(`${first.fileName}.map`);
+
+      await writeFiles(rootDir, { 'src/index.js': "import './style.css';\nconsole.log(2);\n" });
+      const second = await write();
+
+      expect(second.fileName).not.toBe(first.fileName);
+      expect(second.assets[0].fileName).toBe(first.assets[0].fileName);
+      const files = await list();
+      expect(files.filter(file => file.startsWith(first.fileName))).toEqual([]);
+      expect(files).toContain(second.fileName);
+      expect(files).toContain(second.css.fileName);
+      expect(files).toContain(`${second.css.fileName}.gz`);
+      expect(files).toContain(second.assets[0].fileName);
+      expect(files).toContain('keep.txt');
+    });
+
+    it('ignores manifest entries pointing out of outputDir', async () => {
+      rootDir = await createProject({
+        'src/index.js': 'console.log(1);\n',
+        'outside.js': 'kept',
+        'dist/manifest.json': JSON.stringify({ old: { file: '../outside.js' } })
+      });
+      await write();
+      expect(await fs.readFile(path.join(rootDir, 'outside.js'), 'utf-8')).toBe('kept');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const path = require('path');
+const ConfigLoader = require('../src/lib/ConfigLoader');
+const { createProject, removeProject } = require('./helpers');
+
+const BASE = JSON.stringify({
+  config: {
+    entryPoints: ['src/index.js'],
+    outputDir: 'dist',
+    commands: {
+      bootstrap: { description: 'Bootstrap the project' },
+      build: { description: 'Build the project', configPath: './build.json' },
+      test: { description: 'Run tests', configPath: './test.json' },
+      deploy: { description: 'Deploy the project', configPath: './deploy.json', destination: 'file:///tmp/site' }
+    },
+    logging: { level: 'info', reportingEndpoint: 'https://example.com/logs' }
+  }
+});
+
+describe('ConfigLoader', () => {
+  let rootDir;
+  const loader = new ConfigLoader();
+
+  afterEach(() => removeProject(rootDir));
+
+  describe('extends', () => {
+    it('layers the file over the ones it extends', async () => {
+      rootDir = await createProject({
+        'base.json': BASE,
+        'modubuild.json': JSON.stringify({ extends: './base.json', config: { outputDir: 'build' } })
+      });
+
+      const { config, sources } = loader.load(path.join(rootDir, 'modubuild.json'), { env: {}, rootDir });
+      expect(config.outputDir).toBe('build');
+      expect(config.entryPoints).toEqual(['src/index.js']);
+      expect(sources).toEqual([path.join(rootDir, 'base.json'), path.join(rootDir, 'modubuild.json')]);
+    });
+
+    it('reports the chain of a circular extends', async () => {
+      rootDir = await createProject({
+        'a.json': JSON.stringify({ extends: './b.json', config: {} }),
+        'b.json': JSON.stringify({ extends: './a.json', config: {} })
+      });
+
+      const a = path.join(rootDir, 'a.json');
+      const b = path.join(rootDir, 'b.json');
+      expect(() => loader.load(a, { env: {}, rootDir })).toThrow(`Circular extends: ${a} -> ${b} -> ${a}`);
+    });
+
+    it('reports a file that extends itself', async () => {
+      rootDir = await createProject({
+        'modubuild.json': JSON.stringify({ extends: ['./base.json', './modubuild.json'], config: {} }),
+        'base.json': BASE
+      });
+
+      const configPath = path.join(rootDir, 'modubuild.json');
+      expect(() => loader.load(configPath, { env: {}, rootDir }))
+        .toThrow(`Circular extends: ${configPath} -> ${configPath}`);
+    });
+  });
+
+  describe('profiles', () => {
+    beforeEach(async () => {
+      rootDir = await createProject({
+        'base.json': BASE,
+        'modubuild.json': JSON.stringify({
+          extends: './base.json',
+          config: {
+            logging: { level: 'warn' },
+            profiles: {
+              development: { logging: { level: 'debug' } },
+              production: { outputDir: 'build', precompress: ['gzip'] }
+            }
+          }
+        })
+      });
+    });
+
+    it('merges the profile over the base config without replacing siblings', () => {
+      const { config, mode } = loader.load(path.join(rootDir, 'modubuild.json'), { env: {}, rootDir, mode: 'development' });
+      expect(mode).toBe('development');
+      expect(config.logging).toEqual({ level: 'debug', reportingEndpoint: 'https://example.com/logs' });
+      expect(config.outputDir).toBe('dist');
+      expect(config.profiles).toBe(undefined);
+    });
+
+    it('picks the profile from MODUBUILD_MODE', () => {
+      const { config, mode } = loader.load(path.join(rootDir, 'modubuild.json'), {
+        env: { MODUBUILD_MODE: 'production' },
+        rootDir
+      });
+      expect(mode).toBe('production');
+      expect(config.outputDir).toBe('build');
+      expect(config.precompress).toEqual(['gzip']);
+      expect(config.logging.level).toBe('warn');
+    });
+
+    it('lists the available profiles for an unknown mode', () => {
+      expect(() => loader.load(path.join(rootDir, 'modubuild.json'), { env: {}, rootDir, mode: 'staging' }))
+        .toThrow('Unknown mode "staging"');
+      expect(() => loader.load(path.join(rootDir, 'modubuild.json'), { env: {}, rootDir, mode: 'staging' }))
+        .toThrow('Available profiles: development, production');
+    });
+
+    it('applies overrides above the profile', () => {
+      const { config } = loader.load(path.join(rootDir, 'modubuild.json'), {
+        env: {},
+        rootDir,
+        mode: 'production',
+        overrides: { outputDir: 'out' }
+      });
+      expect(config.outputDir).toBe('out');
+    });
+  });
+
+  describe('environment', () => {
+    beforeEach(async () => {
+      rootDir = await createProject({
+        'modubuild.json': BASE,
+        'build.json': JSON.stringify({ minify: false })
+      });
+    });
+
+    it('turns MODUBUILD_* variables into nested, JSON-parsed values', () => {
+      const { config } = loader.load(path.join(rootDir, 'modubuild.json'), {
+        env: {
+          MODUBUILD_OUTPUT_DIR: 'out',
+          MODUBUILD_LOGGING__LEVEL: 'debug',
+          MODUBUILD_SOURCE_MAP: 'false',
+          MODUBUILD_ENTRY_POINTS: '["a.js","b.js"]',
+          OTHER_OUTPUT_DIR: 'ignored'
+        },
+        rootDir
+      });
+
+      expect(config.outputDir).toBe('out');
+      expect(config.logging).toEqual({ level: 'debug', reportingEndpoint: 'https://example.com/logs' });
+      expect(config.sourceMap).toBe(false);
+      expect(config.entryPoints).toEqual(['a.js', 'b.js']);
+    });
+
+    it('ranks the environment above command files and below overrides', () => {
+      const { config } = loader.load(path.join(rootDir, 'modubuild.json'), {
+        env: { MODUBUILD_COMMANDS__BUILD__MINIFY: 'true', MODUBUILD_OUTPUT_DIR: 'env' },
+        rootDir,
+        overrides: { outputDir: 'cli' }
+      });
+
+      expect(config.commands.build.minify).toBe(true);
+      expect(config.outputDir).toBe('cli');
+    });
+
+    it('does not treat MODUBUILD_MODE as a config key', () => {
+      expect(loader.readEnvOverrides({ MODUBUILD_MODE: 'production', MODUBUILD_OUTPUT_DIR: 'out' }))
+        .toEqual({ outputDir: 'out' });
+    });
+
+    it('fails validation when a variable breaks the schema', () => {
+      expect(() => loader.load(path.join(rootDir, 'modubuild.json'), {
+        env: { MODUBUILD_LOGGING__LEVEL: 'loud' },
+        rootDir
+      })).toThrow('failed validation');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const Deployer = require('../src/lib/Deployer');
+const { createProject, writeFiles, removeProject } = require('./helpers');
+
+describe('Deployer', () => {
+  let rootDir;
+  let destination;
+
+  beforeEach(async () => {
+    rootDir = await createProject({ 'dist/index.js': 'v1', 'dist/css/site.css': 'body {}', 'dist/old.js': 'old' });
+    destination = path.join(rootDir, 'www');
+  });
+
+  afterEach(() => removeProject(rootDir));
+
+  // Release ids come from the clock, which may not move between two quick deploys
+  function createDeployer(options = {}) {
+    const deployer = new Deployer({ sourceDir: path.join(rootDir, 'dist'), destination, ...options });
+    let releases = 0;
+    deployer.createReleaseId = () => `release-${++releases}`;
+    return deployer;
+  }
+
+  const live = file => fs.readFile(path.join(destination, file), 'utf-8');
+  const exists = file => fs.access(path.join(destination, file)).then(() => true, () => false);
+  const readState = async () => JSON.parse(await fs.readFile(path.join(destination, '.modubuild/releases.json'), 'utf-8'));
+
+  it('copies the files and records the release under .modubuild', async () => {
+    const result = await createDeployer().deploy();
+    expect(result).toEqual({
+      release: 'release-1',
+      uploaded: ['css/site.css', 'index.js', 'old.js'],
+      removed: [],
+      pruned: [],
+      dryRun: false
+    });
+    expect(await live('css/site.css')).toBe('body {}');
+
+    const state = await readState();
+    expect(state.current).toBe('release-1');
+    expect(Object.keys(state.releases[0].files).sort()).toEqual(['css/site.css', 'index.js', 'old.js']);
+    const hash = state.releases[0].files['index.js'];
+    expect(await live(`.modubuild/objects/${hash}`)).toBe('v1');
+  });
+
+  it('uploads only changed files and removes deleted ones', async () => {
+    const deployer = createDeployer();
+    await deployer.deploy();
+    await writeFiles(rootDir, { 'dist/index.js': 'v2' });
+    await fs.rm(path.join(rootDir, 'dist/old.js'));
+
+    const result = await deployer.deploy();
+    expect(result.uploaded).toEqual(['index.js']);
+    expect(result.removed).toEqual(['old.js']);
+    expect(await live('index.js')).toBe('v2');
+    expect(await exists('old.js')).toBe(false);
+  });
+
+  it('rolls back to the previous release from the object store', async () => {
+    const deployer = createDeployer();
+    await deployer.deploy();
+    await writeFiles(rootDir, { 'dist/index.js': 'v2' });
+    await fs.rm(path.join(rootDir, 'dist/old.js'));
+    await deployer.deploy();
+
+    const result = await deployer.rollback();
+    expect(result).toEqual({ release: 'release-1', previous: 'release-2', uploaded: ['index.js', 'old.js'], removed: [], dryRun: false });
+    expect(await live('index.js')).toBe('v1');
+    expect(await live('old.js')).toBe('old');
+
+    const state = await readState();
+    expect(state.current).toBe('release-1');
+    expect(state.releases.map(release => release.id)).toEqual(['release-2', 'release-1']);
+    expect((await deployer.listReleases()).map(({ id, files, current }) => [id, files, current]))
+      .toEqual([['release-2', 2, false], ['release-1', 3, true]]);
+
+    await expect(deployer.rollback()).rejects.toThrow('no earlier release');
+    await expect(deployer.rollback('release-9')).rejects.toThrow('Unknown release release-9. Available releases: release-2, release-1');
+    expect((await deployer.rollback('release-2')).release).toBe('release-2');
+    expect(await live('index.js')).toBe('v2');
+  });
+
+  it('keeps keepReleases releases and drops objects only they used', async () => {
+    const deployer = createDeployer({ keepReleases: 1 });
+    await deployer.deploy();
+    const [first] = (await readState()).releases;
+    await writeFiles(rootDir, { 'dist/index.js': 'v2' });
+
+    expect((await deployer.deploy()).pruned).toEqual(['release-1']);
+    expect(await exists(`.modubuild/objects/${first.files['index.js']}`)).toBe(false);
+    expect(await exists(`.modubuild/objects/${first.files['old.js']}`)).toBe(true);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const result = await createDeployer({ dryRun: true }).deploy();
+    expect(result.dryRun).toBe(true);
+    expect(result.uploaded).toHaveLength(3);
+    expect(await exists('index.js')).toBe(false);
+    expect(await exists('.modubuild/releases.json')).toBe(false);
+  });
+
+  it('fails when the destination cannot be written', async () => {
+    await writeFiles(rootDir, { blocked: 'a file, not a directory' });
+    destination = path.join(rootDir, 'blocked', 'www');
+    await expect(createDeployer().deploy()).rejects.toThrow('ENOTDIR');
+  });
+
+  it('rejects missing source directories, corrupt histories and rollbacks without releases', async () => {
+    await expect(createDeployer({ sourceDir: path.join(rootDir, 'missing') }).deploy()).rejects.toThrow('Nothing to deploy');
+    await expect(createDeployer().rollback()).rejects.toThrow('No current release');
+    await writeFiles(rootDir, { 'www/.modubuild/releases.json': '{' });
+    await expect(createDeployer().deploy()).rejects.toThrow('Corrupt release history');
+    expect(() => new Deployer({ destination: 'ftp://example.com/site' })).toThrow('Unsupported deploy destination');
+  });
+
+  describe('over HTTP', () => {
+    let server;
+    let files;
+    let failing;
+
+    beforeEach(async () => {
+      files = new Map();
+      failing = false;
+      server = http.createServer((req, res) => {
+        const key = decodeURIComponent(req.url.replace(/^\/deploy\//, ''));
+        if (failing) {
+          res.writeHead(500);
+          res.end();
+        } else if (req.method === 'PUT') {
+          const chunks = [];
+          req.on('data', chunk => chunks.push(chunk));
+          req.on('end', () => {
+            files.set(key, Buffer.concat(chunks));
+            res.writeHead(201);
+            res.end();
+          });
+        } else if (req.method === 'GET' && files.has(key)) {
+          res.end(files.get(key));
+        } else if (req.method === 'DELETE' && files.delete(key)) {
+          res.writeHead(204);
+          res.end();
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      destination = `http://127.0.0.1:${server.address().port}/deploy`;
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    it('deploys and rolls back through PUT, GET and DELETE', async () => {
+      const deployer = createDeployer({ headers: { Authorization: 'Bearer token' } });
+      await deployer.deploy();
+      await writeFiles(rootDir, { 'dist/index.js': 'v2' });
+      await fs.rm(path.join(rootDir, 'dist/old.js'));
+      await deployer.deploy();
+      expect(files.has('old.js')).toBe(false);
+
+      await deployer.rollback();
+      expect(files.get('index.js').toString()).toBe('v1');
+      expect(files.get('old.js').toString()).toBe('old');
+      expect(JSON.parse(files.get('.modubuild/releases.json')).current).toBe('release-1');
+    });
+
+    it('reports failed requests with their status', async () => {
+      failing = true;
+      await expect(createDeployer().deploy()).rejects.toThrow('failed with status 500');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const util = require('util');
+const vm = require('vm');
+const Minifier = require('../src/lib/Minifier');
+
+describe('Minifier', () => {
+  const minifier = new Minifier();
+
+  it('removes comments and whitespace between tokens', () => {
+    const code = 'function add(first, second) {\n  // sum\n  return first + second; /* done */\n}\n';
+    expect(minifier.minify(code)).toBe('function add(first,second){return first+second;}');
+  });
+
+  it('keeps license comments', () => {
+    expect(minifier.minify('/*! MIT */\nvar a = 1;')).toBe('/*! MIT */\nvar a=1;');
+    expect(minifier.minify('/** @license MIT */\nvar a = 1;')).toMatch('@license MIT');
+  });
+
+  it('keeps spaces that separate words and operators', () => {
+    expect(minifier.minify('return typeof value;')).toBe('return typeof value;');
+    expect(minifier.minify('a = b + +c; d = e - -f;')).toBe('a=b+ +c;d=e- -f;');
+  });
+
+  it('keeps line breaks that automatic semicolon insertion depends on', () => {
+    expect(minifier.minify('let a = 1\nlet b = a\n++b\n')).toBe('let a=1\nlet b=a\n++b');
+  });
+
+  it('copies strings, templates and regular expressions verbatim', () => {
+    const code = 'const s = "a  //  b", t = `x  ${ y }  z`, r = /  \\/ +/g;';
+    expect(minifier.minify(code)).toBe('const s="a  //  b",t=`x  ${y}  z`,r=/  \\/ +/g;');
+  });
+
+  it('renames function locals only when mangling', () => {
+    const code = 'var top = 1;\nfunction add(first, second) { const total = first + second; return total; }';
+    expect(new Minifier({ mangle: true }).minify(code)).toMatch(/^var top=1;function add\((\w),(\w)\)\{const (\w)=\1\+\2;return \3;\}$/);
+    expect(minifier.minify(code)).toMatch('function add(first,second)');
+  });
+
+  it('maps the output back to the input', () => {
+    const { code, map } = minifier.minifyWithMap('var x = 1;\n\nvar y = 2;\n', null, 'src/a.js');
+    expect(code).toBe('var x=1;var y=2;');
+    expect(map.toJSON().sources).toEqual(['src/a.js']);
+  });
+});
+
+// Programs run before and after minifying must log the same values
+const CORPUS = {
+  'automatic semicolon insertion': `
+    let a = 1
+    let b = a
+    ++b
+    log(a, b)
+    function early() {
+      return
+      42
+    }
+    log(early())
+    var i = 0
+    i
+    ++
+    i
+    log(i)
+    const list = [1, 2]
+    ;[3, 4].forEach(n => list.push(n))
+    log(list)
+    const f = function () { return 'f' }
+    ;(function () { log('iife') })()
+    log(f())
+    const label = 'label'
+    outer: for (const x of [1, 2]) {
+      for (const y of [1, 2]) {
+        if (y === 2) continue
+        label
+        if (x === 2) break
+        label
+        log(x, y)
+      }
+    }
+    let c = a
+    -1
+    log(c)
+    const g = () => {}
+    log(typeof g)
+  `,
+  'regular expressions and division': `
+    let a = 12, b = 3, c = 2, g = 1
+    log(a / b / c, a /b/ g, (a) / 2, a++ / 2)
+    log(/=/.test('='), /[/]/.test('/'), '/'.replace(/\\//g, '|'))
+    if (a) /x/g.test('x') && log('regex after if')
+    { } /y/.test('y') && log('regex after block')
+    const h = a / /z/.source.length
+    log(h, typeof /x/, [/a/][0].source)
+    function re() { return /r+/g }
+    log(re().test('rr'), 'x'.split(/(?:)/u))
+    let d = 10
+    d /= 2
+    log(d, d /2/ 1)
+  `,
+  'nested template literals': `
+    const e = 'e', c = 2
+    log(\`a \${ \`b \${ c + \`d \${e}\` }\` } f\`)
+    log(\`\${ { a: '}' }.a }\${ '\`' }\${ [1, 2].map(n => \`<\${n}>\`).join('') }\`)
+    log(\`line
+      break   kept\`, String.raw\`\\n\${c}\`)
+    const tag = (strings, ...values) => strings.raw.join('|') + values.join(',')
+    log(tag\`x\${1}y\${ \`\${2}\` }z\`)
+  `,
+  'comment markers inside strings': `
+    log("http://example.com//path", 'a // b', "/* not a comment */")
+    log(\`//x\`, /\\/\\//.test('//'), '*/' + "/*")
+    const url = 'https://example.com' // real comment
+    log(url)
+  `,
+  'eval and with scopes': `
+    function evaluates(value) {
+      const offset = 1
+      return eval('value + offset')
+    }
+    log(evaluates(41))
+    function nested(value) {
+      return (function () { return eval('value * 2') })()
+    }
+    log(nested(21))
+    function scoped(object) {
+      var local = 'local'
+      with (object) {
+        return local + ':' + missing
+      }
+    }
+    log(scoped({ missing: 'from object' }), scoped({ local: 'shadowed', missing: 1 }))
+    function untouched(first, second) {
+      const total = first + second
+      return total
+    }
+    log(untouched(1, 2))
+  `
+};
+
+describe('Minifier corpus', () => {
+  // What a program logs, as text since its values come from another realm
+  function run(code) {
+    const logs = [];
+    try {
+      vm.runInNewContext(code, { log: (...args) => logs.push(util.inspect(args)) });
+    } catch (error) {
+      return { logs, error: `${error.name}: ${error.message}` };
+    }
+    return { logs, error: null };
+  }
+
+  for (const mangle of [false, true]) {
+    describe(mangle ? 'with mangling' : 'without mangling', () => {
+      const minifier = new Minifier({ mangle });
+
+      for (const [name, code] of Object.entries(CORPUS)) {
+        it(`keeps the behaviour of ${name}`, () => {
+          const expected = run(code);
+          expect(expected.error).toBeNull();
+          expect(run(minifier.minify(code))).toEqual(expected);
+        });
+      }
+
+      it('keeps license comments', () => {
+        const output = minifier.minify('/*! Library v1 | MIT */\n/* plain */\nfunction f(value) { return value; }\n/*! @preserve second */');
+        expect(output).toMatch('/*! Library v1 | MIT */');
+        expect(output).toMatch('/*! @preserve second */');
+        expect(output).not.toMatch('plain');
+      });
+
+      it('leaves names in functions using eval or with as they are', () => {
+        const output = minifier.minify(CORPUS['eval and with scopes']);
+        expect(output).toMatch("function evaluates(value){const offset=1\nreturn eval('value + offset')}");
+        expect(output).toMatch('var local=');
+        expect(output).toMatch(mangle ? /function untouched\(\w,\w\)/ : 'function untouched(first,second)');
+      });
+    });
+  }
+});
@@ -0,0 +1,113 @@
+const vm = require('vm');
+const Bundler = require('../src/lib/Bundler');
+const ModuleScanner = require('../src/lib/ModuleScanner');
+const { createProject, removeProject } = require('./helpers');
+
+describe('ModuleScanner', () => {
+  const scanner = new ModuleScanner();
+
+  describe('scan', () => {
+    it('finds static imports, re-exports and dynamic imports', () => {
+      const result = scanner.scan([
+        "import React, { useState as use } from 'react';",
+        "import * as hooks from './hooks';",
+        "export * from './all';",
+        "export { a as b } from './some';",
+        "const lazy = () => import('./lazy');"
+      ].join('\n'));
+
+      expect(result.isModule).toBe(true);
+      expect(result.specifiers).toEqual(['react', './hooks', './all', './some', './lazy']);
+      // start and end are token indices, used by transform()
+      expect(result.imports[0]).toEqual({
+        specifier: 'react',
+        default: 'React',
+        namespace: null,
+        named: [{ imported: 'useState', local: 'use' }],
+        start: result.imports[0].start,
+        end: result.imports[0].end
+      });
+      expect(result.imports[1].namespace).toBe('hooks');
+      expect(result.exports.map(({ type, specifier, exported }) => ({ type, specifier, exported })))
+        .toContainEqual({ type: 'star', specifier: './all', exported: null });
+      expect(result.dynamicImports.map(entry => entry.specifier)).toEqual(['./lazy']);
+    });
+
+    it('leaves CommonJS files as scripts', () => {
+      const result = scanner.scan("const x = require('./x');\nmodule.exports = x;\n");
+      expect(result.isModule).toBe(false);
+      expect(result.specifiers).toEqual(['./x']);
+    });
+  });
+
+  describe('live bindings', () => {
+    let rootDir;
+
+    afterEach(() => removeProject(rootDir));
+
+    // Bundle the project and collect what the entry point logs
+    async function run(files) {
+      rootDir = await createProject(files);
+      const bundler = new Bundler({ rootDir, sourceMap: false, treeShaking: false });
+      const { outputs: [output] } = await bundler.build(['src/index.js']);
+      const logs = [];
+      vm.runInNewContext(output.code, { console: { log: (...args) => logs.push(args.join(' ')) } });
+      return logs;
+    }
+
+    const COUNTER = "export let count = 0;\nexport function increment() { count += 1; }\n";
+
+    it('see updates through export * re-exports', async () => {
+      const logs = await run({
+        'src/index.js': [
+          "import { count, increment } from './reexport.js';",
+          "import * as all from './reexport.js';",
+          'console.log(count, all.count);',
+          'increment();',
+          'console.log(count, all.count);'
+        ].join('\n'),
+        'src/reexport.js': "export * from './counter.js';\n",
+        'src/counter.js': COUNTER
+      });
+      expect(logs).toEqual(['0 0', '1 1']);
+    });
+
+    it('see updates through renamed and namespace re-exports', async () => {
+      const logs = await run({
+        'src/index.js': [
+          "import { total, increment, counter } from './reexport.js';",
+          'increment();',
+          'increment();',
+          'console.log(total, counter.count);'
+        ].join('\n'),
+        'src/reexport.js': [
+          "export { count as total, increment } from './counter.js';",
+          "export * as counter from './counter.js';"
+        ].join('\n'),
+        'src/counter.js': COUNTER
+      });
+      expect(logs).toEqual(['2 2']);
+    });
+
+    it('reach hoisted functions across an import cycle', async () => {
+      const logs = await run({
+        'src/index.js': "import { a } from './a.js';\nconsole.log(a());\n",
+        'src/a.js': "import { b } from './b.js';\nexport function a() { return 'a' + b(); }\nexport function name() { return 'a'; }\n",
+        'src/b.js': "import { name } from './a.js';\nconsole.log(name());\nexport function b() { return 'b'; }\n"
+      });
+      expect(logs).toEqual(['a', 'ab']);
+    });
+
+    it('import CommonJS modules as default and namespace', async () => {
+      const logs = await run({
+        'src/index.js': [
+          "import config, { value } from './config.js';",
+          "import * as ns from './config.js';",
+          'console.log(config.value, value, ns.default.value, ns.value);'
+        ].join('\n'),
+        'src/config.js': "module.exports = { value: 'cjs' };\n"
+      });
+      expect(logs).toEqual(['cjs cjs cjs cjs']);
+    });
+  });
+});
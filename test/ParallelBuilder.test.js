@@ -0,0 +1,66 @@
+const BuildCache = require('../src/lib/BuildCache');
+const Bundler = require('../src/lib/Bundler');
+const ParallelBuilder = require('../src/lib/ParallelBuilder');
+const { createProject, removeProject } = require('./helpers');
+
+describe('ParallelBuilder', () => {
+  const entryPoints = ['src/a.js', 'src/b.js', 'src/c.js'];
+  let rootDir;
+
+  beforeAll(async () => {
+    rootDir = await createProject({
+      'src/a.js': "import { shared } from './shared.js';\nimport('./lazy.js').then(lazy => lazy.run());\nconsole.log(shared('a'));\n",
+      'src/b.js': "import { shared } from './shared.js';\nimport './style.css';\nconsole.log(shared('b'));\n",
+      'src/c.js': "const { format } = require('./format.js');\nconsole.log(format('c'));\n",
+      'src/shared.js': "import { format } from './format.js';\nexport const shared = name => format(name);\n",
+      'src/format.js': 'exports.format = name => `<${name}>`;\n',
+      'src/lazy.js': "export function run() { console.log('lazy'); }\n",
+      'src/style.css': '.b { color: red; }\n'
+    });
+  });
+
+  afterAll(() => removeProject(rootDir));
+
+  const options = () => Bundler.optionsFromConfig({}, { rootDir });
+  // What build writes for an output, without anything that depends on how it was built
+  const describeOutput = output => ({
+    fileName: output.fileName,
+    code: output.code,
+    map: output.map.toString(),
+    modules: output.modules,
+    chunks: output.chunks.map(chunk => [chunk.fileName, chunk.code]),
+    css: output.css && output.css.code
+  });
+
+  it('bundles like a serial build', async () => {
+    const serial = await new Bundler(options()).build(entryPoints);
+    const parallel = await new ParallelBuilder(new Bundler(options()), { concurrency: 2 }).build(entryPoints);
+
+    expect(parallel.outputs.map(describeOutput)).toEqual(serial.outputs.map(describeOutput));
+    expect([...parallel.graph.nodes.keys()].sort()).toEqual([...serial.graph.nodes.keys()].sort());
+    expect([...parallel.graph.entryNodes]).toEqual([...serial.graph.entryNodes]);
+  });
+
+  it('loads each module once and shares it with the other workers', async () => {
+    const builder = new ParallelBuilder(new Bundler(options()), { concurrency: 3 });
+    const { graph, cache } = await builder.build(entryPoints);
+    expect(cache.loaded).toBe(graph.nodes.size);
+    expect(cache.reused).toBe(3);
+  });
+
+  it('gives workers the options of the bundler it was given', async () => {
+    const cache = new BuildCache({ rootDir, directory: 'cache' });
+    const bundler = new Bundler({ ...options(), cache, sourceMap: false, fileNames: '[name].js', jsx: { factory: 'h' } });
+    // As the worker does
+    const workerOptions = bundler.toOptions();
+    const copy = new Bundler({ ...workerOptions, cache: new BuildCache(workerOptions.cache) });
+    expect(copy.toOptions()).toEqual(workerOptions);
+
+    const { outputs } = await new ParallelBuilder(bundler, { concurrency: 2 }).build(['src/a.js', 'src/c.js']);
+    expect(outputs.map(output => [output.fileName, output.map])).toEqual([['a.js', null], ['c.js', null]]);
+  });
+
+  it('rejects concurrency that is not a positive integer', () => {
+    expect(() => new ParallelBuilder(new Bundler(options()), { concurrency: 0 })).toThrow('positive integer');
+  });
+});
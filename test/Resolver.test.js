@@ -0,0 +1,178 @@
+const path = require('path');
+const Resolver = require('../src/lib/Resolver');
+const { createProject, removeProject } = require('./helpers');
+
+describe('Resolver', () => {
+  let rootDir;
+  let resolver;
+  let importer;
+
+  beforeAll(async () => {
+    rootDir = await createProject({
+      'src/index.js': '',
+      'src/utils.js': '',
+      'src/widgets/index.js': '',
+      'src/api.ts': '',
+      'src/data.json': '{}',
+      'src/store/state.js': '',
+      'node_modules/plain/package.json': JSON.stringify({ name: 'plain', main: 'lib/main.js', module: 'es/main.js' }),
+      'node_modules/plain/lib/main.js': '',
+      'node_modules/plain/es/main.js': '',
+      'node_modules/plain/fp.js': '',
+      'node_modules/exported/package.json': JSON.stringify({
+        name: 'exported',
+        exports: {
+          '.': { browser: './browser.js', require: './node.cjs', default: './node.js' },
+          './features/*': './src/features/*.js',
+          './package.json': './package.json'
+        }
+      }),
+      'node_modules/exported/browser.js': '',
+      'node_modules/exported/node.js': '',
+      'node_modules/exported/node.cjs': '',
+      'node_modules/exported/src/features/chart.js': '',
+      'node_modules/@scope/pkg/package.json': JSON.stringify({ name: '@scope/pkg' }),
+      'node_modules/@scope/pkg/index.js': '',
+      'node_modules/shimmed/package.json': JSON.stringify({
+        name: 'shimmed',
+        main: 'n.js',
+        browser: { './n.js': './b.js', './lib/server': './lib/client.js', 'fs': false, 'plain': './lib/plain.js' }
+      }),
+      'node_modules/shimmed/n.js': '',
+      'node_modules/shimmed/b.js': '',
+      'node_modules/shimmed/lib/server.js': '',
+      'node_modules/shimmed/lib/client.js': '',
+      'node_modules/shimmed/lib/plain.js': '',
+      'node_modules/broken/package.json': JSON.stringify({ name: 'broken', browser: { './index.js': './gone.js' } }),
+      'node_modules/broken/index.js': '',
+      'node_modules/dual/package.json': JSON.stringify({
+        name: 'dual',
+        exports: { '.': { import: './esm.mjs', require: './cjs.cjs' }, './util': { import: './util.mjs', default: './util.js' } }
+      }),
+      'node_modules/dual/esm.mjs': '',
+      'node_modules/dual/cjs.cjs': '',
+      'node_modules/dual/util.mjs': '',
+      'node_modules/dual/util.js': ''
+    });
+    resolver = new Resolver({ rootDir, alias: { '@app': './src/store' } });
+    importer = path.join(rootDir, 'src/index.js');
+  });
+
+  afterAll(() => removeProject(rootDir));
+
+  it('resolves relative files with extensions, directories and TypeScript sources', async () => {
+    expect(await resolver.resolve('./utils', importer)).toBe(path.join(rootDir, 'src/utils.js'));
+    expect(await resolver.resolve('./widgets', importer)).toBe(path.join(rootDir, 'src/widgets/index.js'));
+    expect(await resolver.resolve('./api.js', importer)).toBe(path.join(rootDir, 'src/api.ts'));
+    expect(await resolver.resolve('./data.json', importer)).toBe(path.join(rootDir, 'src/data.json'));
+  });
+
+  it('applies aliases relative to rootDir', async () => {
+    expect(await resolver.resolve('@app/state', importer)).toBe(path.join(rootDir, 'src/store/state.js'));
+  });
+
+  it('resolves packages through their main fields in order', async () => {
+    expect(await resolver.resolve('plain', importer)).toBe(path.join(rootDir, 'node_modules/plain/es/main.js'));
+    expect(await resolver.resolve('plain/fp', importer)).toBe(path.join(rootDir, 'node_modules/plain/fp.js'));
+    expect(await resolver.resolve('@scope/pkg', importer)).toBe(path.join(rootDir, 'node_modules/@scope/pkg/index.js'));
+
+    const node = new Resolver({ rootDir, mainFields: ['main'] });
+    expect(await node.resolve('plain', importer)).toBe(path.join(rootDir, 'node_modules/plain/lib/main.js'));
+  });
+
+  it('maps exports by condition and subpath pattern', async () => {
+    expect(await resolver.resolve('exported', importer)).toBe(path.join(rootDir, 'node_modules/exported/browser.js'));
+    expect(await resolver.resolve('exported/features/chart', importer))
+      .toBe(path.join(rootDir, 'node_modules/exported/src/features/chart.js'));
+
+    const node = new Resolver({ rootDir, conditions: ['require', 'default'] });
+    expect(await node.resolve('exported', importer, 'require')).toBe(path.join(rootDir, 'node_modules/exported/node.cjs'));
+    expect(await node.resolve('exported', importer)).toBe(path.join(rootDir, 'node_modules/exported/node.js'));
+  });
+
+  it('matches only the condition of the reference kind', async () => {
+    const dual = name => path.join(rootDir, 'node_modules/dual', name);
+    expect(await resolver.resolve('dual', importer, 'require')).toBe(dual('cjs.cjs'));
+    expect(await resolver.resolve('dual', importer, 'import')).toBe(dual('esm.mjs'));
+    expect(await resolver.resolve('dual', importer)).toBe(dual('esm.mjs'));
+    expect(await resolver.resolve('dual/util', importer, 'require')).toBe(dual('util.js'));
+  });
+
+  it('rejects subpaths a package does not export', async () => {
+    await expect(resolver.resolve('exported/node.js', importer)).rejects.toThrow('"./node.js" is not exported');
+  });
+
+  it('returns null for Node builtins', async () => {
+    expect(await resolver.resolve('fs', importer)).toBeNull();
+    expect(await resolver.resolve('node:path', importer)).toBeNull();
+  });
+
+  it('lists the paths it tried when nothing matches', async () => {
+    let error;
+    try {
+      await resolver.resolve('./missing', importer);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toBeInstanceOf(Resolver.ResolveError);
+    expect(error.tried).toContain(path.join(rootDir, 'src/missing.js'));
+    expect(error.tried).toContain(path.join(rootDir, 'src/missing/index.js'));
+  });
+
+  it('lists only paths inside the package directories it found', async () => {
+    let error;
+    try {
+      await resolver.resolve('plain/missing', path.join(rootDir, 'src/store/state.js'));
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toBeInstanceOf(Resolver.ResolveError);
+    expect(error.tried).toContain(path.join(rootDir, 'node_modules/plain/missing.js'));
+    expect(error.tried.filter(tried => !tried.startsWith(path.join(rootDir, 'node_modules/plain/')))).toEqual([]);
+  });
+
+  describe('object browser field', () => {
+    const shimmed = name => path.join(rootDir, 'node_modules/shimmed', name);
+
+    it('replaces package files', async () => {
+      expect(await resolver.resolve('shimmed', importer)).toBe(shimmed('b.js'));
+      expect(await resolver.resolve('./n', shimmed('b.js'))).toBe(shimmed('b.js'));
+      expect(await resolver.resolve('shimmed/lib/server', importer)).toBe(shimmed('lib/client.js'));
+      expect(await resolver.resolve('./server.js', shimmed('lib/plain.js'))).toBe(shimmed('lib/client.js'));
+    });
+
+    it('replaces bare specifiers imported by the package, false with an empty module', async () => {
+      expect(await resolver.resolve('fs', shimmed('b.js'))).toBe(Resolver.EMPTY_MODULE);
+      expect(await resolver.resolve('plain', shimmed('b.js'))).toBe(shimmed('lib/plain.js'));
+      expect(await resolver.resolve('plain', importer)).toBe(path.join(rootDir, 'node_modules/plain/es/main.js'));
+    });
+
+    it('is ignored without the browser condition', async () => {
+      const node = new Resolver({ rootDir, conditions: ['require', 'default'] });
+      expect(await node.resolve('shimmed', importer)).toBe(shimmed('n.js'));
+      expect(await node.resolve('fs', shimmed('b.js'))).toBeNull();
+    });
+
+    it('rejects targets that do not exist', async () => {
+      await expect(resolver.resolve('broken', importer)).rejects.toThrow('browser field target ./gone.js');
+    });
+  });
+
+  it('reads sideEffects from the package a file belongs to', async () => {
+    const project = await createProject({
+      'node_modules/pure/package.json': JSON.stringify({ name: 'pure', sideEffects: ['*.css', './lib/setup.js'] }),
+      'node_modules/pure/lib/setup.js': '',
+      'node_modules/pure/lib/util.js': '',
+      'node_modules/pure/lib/theme.css': ''
+    });
+    try {
+      const sideEffects = new Resolver({ rootDir: project });
+      const file = name => path.join(project, 'node_modules/pure/lib', name);
+      expect(await sideEffects.hasSideEffects(file('setup.js'))).toBe(true);
+      expect(await sideEffects.hasSideEffects(file('theme.css'))).toBe(true);
+      expect(await sideEffects.hasSideEffects(file('util.js'))).toBe(false);
+    } finally {
+      await removeProject(project);
+    }
+  });
+});
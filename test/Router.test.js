@@ -0,0 +1,127 @@
+const { Readable } = require('stream');
+const Router = require('../src/lib/Router');
+
+// A request readable like http.IncomingMessage
+function createRequest(method, url, body = '', headers = {}) {
+  return Object.assign(Readable.from(body ? [Buffer.from(body)] : []), { method, url, headers });
+}
+
+describe('Router', () => {
+  describe('compile', () => {
+    it('matches params, wildcards and an optional trailing slash', () => {
+      const { pattern, keys } = Router.compile('/users/:id/files/*');
+      expect(keys).toEqual(['id', '*']);
+      expect(pattern.exec('/users/7/files/a/b.txt').slice(1)).toEqual(['7', 'a/b.txt']);
+      expect(pattern.test('/users/7/files')).toBe(true);
+      expect(Router.compile('/about').pattern.test('/about/')).toBe(true);
+    });
+
+    it('escapes regular expression characters in literal segments', () => {
+      const { pattern } = Router.compile('/a.b');
+      expect(pattern.test('/a.b')).toBe(true);
+      expect(pattern.test('/axb')).toBe(false);
+    });
+
+    it('rejects paths without a leading slash and invalid parameter names', () => {
+      expect(() => Router.compile('users')).toThrow('start with /');
+      expect(() => Router.compile('/users/:1d')).toThrow('Invalid route parameter');
+    });
+  });
+
+  describe('match', () => {
+    it('returns the handlers and decoded params of the first matching route', () => {
+      const router = new Router();
+      const first = () => {};
+      router.get('/users/:id', first);
+      router.get('/users/:name', () => {});
+      const match = router.match('GET', '/users/a%20b');
+      expect(match.handlers).toEqual([first]);
+      expect(match.params).toEqual({ id: 'a b' });
+    });
+
+    it('lets HEAD requests match GET routes and * routes match every method but OPTIONS', () => {
+      const router = new Router();
+      router.get('/page', () => {});
+      router.add('*', '/health', () => {});
+      expect(router.match('HEAD', '/page').handlers).toHaveLength(1);
+      expect(router.match('PATCH', '/health').handlers).toHaveLength(1);
+      expect(router.match('OPTIONS', '/health')).toBeNull();
+
+      router.options('/health', () => {});
+      expect(router.match('OPTIONS', '/health').handlers).toHaveLength(1);
+    });
+
+    it('lists the allowed methods when only other methods match', () => {
+      const router = new Router();
+      router.get('/users', () => {});
+      router.post('/users', () => {});
+      expect(router.match('DELETE', '/users')).toEqual({ handlers: null, allowed: ['GET', 'HEAD', 'POST'] });
+      expect(router.match('GET', '/nothing')).toBeNull();
+    });
+
+    it('fails malformed escapes with a 400', () => {
+      const router = new Router();
+      router.get('/users/:id', () => {});
+      let error;
+      try {
+        router.match('GET', '/users/%E0%A4%A');
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error.statusCode).toBe(400);
+    });
+
+    it('rejects unknown methods and missing handlers', () => {
+      const router = new Router();
+      expect(() => router.add('FETCH', '/', () => {})).toThrow('Unknown method');
+      expect(() => router.get('/')).toThrow('needs handler functions');
+    });
+  });
+
+  describe('handle', () => {
+    it('sets params, query and a parsed JSON body, then runs the handlers in order', async () => {
+      const router = new Router();
+      const calls = [];
+      router.post('/items/:id', async (req, res, next) => {
+        calls.push('guard');
+        await next();
+      }, (req) => {
+        calls.push(['handler', req.params.id, req.query, req.body]);
+      });
+
+      const req = createRequest('POST', '/items/3?tag=a&tag=b', '{"name":"x"}', { 'content-type': 'application/json' });
+      await router.handle(req, {}, router.match('POST', '/items/3'));
+      expect(calls).toEqual(['guard', ['handler', '3', { tag: ['a', 'b'] }, { name: 'x' }]]);
+    });
+
+    it('stops at a handler that does not call next()', async () => {
+      const router = new Router();
+      const calls = [];
+      router.get('/', () => calls.push('first'), () => calls.push('second'));
+      await router.handle(createRequest('GET', '/'), {}, router.match('GET', '/'));
+      expect(calls).toEqual(['first']);
+    });
+
+    it('fails the request with the error given to next()', async () => {
+      const router = new Router();
+      router.get('/', (req, res, next) => next(new Error('denied')), () => {});
+      await expect(router.handle(createRequest('GET', '/'), {}, router.match('GET', '/'))).rejects.toThrow('denied');
+    });
+  });
+
+  describe('readBody', () => {
+    it('parses forms and returns other types as text', async () => {
+      const form = createRequest('POST', '/', 'a=1&a=2&b=x', { 'content-type': 'application/x-www-form-urlencoded' });
+      expect(await Router.readBody(form)).toEqual({ a: ['1', '2'], b: 'x' });
+      expect(await Router.readBody(createRequest('POST', '/', 'plain'))).toBe('plain');
+      expect(await Router.readBody(createRequest('POST', '/'))).toBeUndefined();
+    });
+
+    it('fails invalid JSON with a 400 and large bodies with a 413', async () => {
+      const invalid = createRequest('POST', '/', '{', { 'content-type': 'application/json' });
+      await expect(Router.readBody(invalid).catch(error => error.statusCode)).resolves.toBe(400);
+      const large = createRequest('POST', '/', 'x'.repeat(20));
+      await expect(Router.readBody(large, { limit: 10 }).catch(error => error.statusCode)).resolves.toBe(413);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const AeroSSR = require('../src/lib/AeroSSR');
+const Scaffolder = require('../src/lib/Scaffolder');
+const { createProject, removeProject, serve } = require('./helpers');
+
+describe('Scaffolder', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await createProject();
+  });
+
+  afterEach(() => removeProject(rootDir));
+
+  it('writes a page AeroSSR loads the entry point into', async () => {
+    const scaffolder = new Scaffolder({ targetDir: rootDir });
+    await scaffolder.generate({ ...scaffolder.defaults(), name: 'demo', entryPoint: 'src/index.js' });
+
+    const app = new AeroSSR({ rootDir, projectPath: rootDir, entryPoint: 'src/index.js', cache: false, minify: false });
+    const server = await serve(app);
+    try {
+      const page = await server.request('/');
+      expect(page.status).toBe(200);
+      expect(page.body).toMatch('<h1>demo</h1>');
+      const script = page.body.match(/<script src="(\/dist\/index\.\w+\.js)" defer><\/script>/);
+      expect(script).not.toBeNull();
+
+      const bundle = await server.request(script[1]);
+      expect(bundle.status).toBe(200);
+      expect(bundle.body).toMatch("greet('modubuild')");
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('leaves loading the bundle to the server', () => {
+    const scaffolder = new Scaffolder({ targetDir: rootDir });
+    const files = scaffolder.render({ ...scaffolder.defaults(), name: 'demo' });
+    expect(files.get('index.html')).not.toMatch('<script');
+  });
+});
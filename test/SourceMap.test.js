@@ -0,0 +1,103 @@
+const path = require('path');
+const vm = require('vm');
+const Bundler = require('../src/lib/Bundler');
+const Minifier = require('../src/lib/Minifier');
+const Reporter = require('../src/lib/Reporter');
+const SourceMap = require('../src/lib/SourceMap');
+const { createProject, removeProject } = require('./helpers');
+
+// 1-based line and 0-based column of the last occurrence of text, past the runtime
+function positionOf(code, text, offset = 0) {
+  const lines = SourceMap.splitLines(code);
+  const line = lines.findLastIndex(content => content.includes(text));
+  return { line: line + 1, column: lines[line].lastIndexOf(text) + offset };
+}
+
+describe('SourceMap', () => {
+  it('encodes and decodes VLQ values', () => {
+    for (const value of [0, 1, -1, 15, 16, -16, 1000, -123456]) {
+      expect(SourceMap.decodeVLQ(SourceMap.encodeVLQ(value), 0).value).toBe(value);
+    }
+    expect(SourceMap.encodeVLQ(16)).toBe('gB');
+  });
+
+  it('keeps mappings, names and sources through JSON', () => {
+    const map = new SourceMap({ file: 'index.js' });
+    map.addSource('../src/index.js', 'const answer = 42;\n');
+    map.addMapping({ generated: { line: 3, column: 4 }, source: '../src/index.js', original: { line: 1, column: 6 }, name: 'answer' });
+    map.addMapping({ generated: { line: 3, column: 0 }, source: '../src/index.js', original: { line: 1, column: 0 } });
+
+    const parsed = SourceMap.fromJSON(map.toString());
+    expect(parsed.toJSON()).toEqual(map.toJSON());
+    expect(parsed.originalPositionFor({ line: 3, column: 4 })).toEqual({ source: '../src/index.js', line: 1, column: 6, name: 'answer' });
+    expect(parsed.originalPositionFor({ line: 3, column: 2 })).toEqual({ source: '../src/index.js', line: 1, column: 2, name: null });
+    expect(parsed.originalPositionFor({ line: 1, column: 0 })).toBeNull();
+    expect(parsed.sourceContentFor('../src/index.js')).toBe('const answer = 42;\n');
+  });
+
+  describe('through the minifier', () => {
+    let rootDir;
+
+    afterEach(() => removeProject(rootDir));
+
+    const FAIL = [
+      '// Throws whatever it is given',
+      'export function fail(message) {',
+      '  const error = new Error(message);',
+      '  throw error;',
+      '}'
+    ].join('\n');
+
+    async function build() {
+      rootDir = await createProject({
+        'src/index.js': "import { fail } from './fail.js';\n\nfail('boom');\n",
+        'src/fail.js': FAIL
+      });
+      const bundler = new Bundler({ rootDir });
+      const { outputs: [output] } = await bundler.build(['src/index.js']);
+      const { code, map } = new Minifier({ mangle: true }).minifyWithMap(output.code, output.map);
+      return { code, map: SourceMap.fromJSON(map.toString()) };
+    }
+
+    it('maps minified tokens to their original lines and columns', async () => {
+      const { code, map } = await build();
+
+      expect(map.file).toBe('index.js');
+      expect(map.sources).toEqual(['../src/fail.js', '../src/index.js']);
+      expect(map.sourceContentFor('../src/fail.js')).toBe(FAIL);
+      expect(map.originalPositionFor(positionOf(code, 'throw'))).toEqual({ source: '../src/fail.js', line: 4, column: 2, name: null });
+      expect(map.originalPositionFor(positionOf(code, 'new Error'))).toEqual({ source: '../src/fail.js', line: 3, column: 16, name: null });
+      // Rewritten imports shift columns (fail -> __m0.fail), but not lines
+      const call = map.originalPositionFor(positionOf(code, "('boom')"));
+      expect([call.source, call.line]).toEqual(['../src/index.js', 3]);
+    });
+
+    it('names mangled identifiers after the original ones', async () => {
+      const { code, map } = await build();
+      const mangled = /const (\w+)=new Error/.exec(code)[1];
+      expect(mangled).not.toBe('error');
+
+      expect(map.originalPositionFor(positionOf(code, `const ${mangled}=`)))
+        .toEqual({ source: '../src/fail.js', line: 3, column: 2, name: null });
+      expect(map.originalPositionFor(positionOf(code, `const ${mangled}=`, 'const '.length)))
+        .toEqual({ source: '../src/fail.js', line: 3, column: 8, name: 'error' });
+    });
+
+    it('lets Reporter rewrite stack frames to the original files', async () => {
+      const { code, map } = await build();
+      const file = path.join(rootDir, 'dist', 'index.js');
+      const reporter = new Reporter({ logDirectory: path.join(rootDir, 'logs') });
+      reporter.addSourceMap(file, map);
+
+      let stack;
+      try {
+        vm.runInNewContext(code, {}, { filename: file });
+      } catch (error) {
+        stack = error.stack;
+      }
+
+      const [frame] = reporter.mapStackTrace(stack).split('\n').filter(line => line.includes(' at '));
+      expect(frame).toMatch(`${path.join(rootDir, 'src', 'fail.js')}:3:17`);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const Transpiler = require('../src/lib/Transpiler');
+
+describe('Transpiler', () => {
+  const transpiler = new Transpiler();
+  const typescript = code => transpiler.transform(code, { typescript: true });
+  const jsx = code => transpiler.transform(code, { jsx: true });
+
+  describe('TypeScript', () => {
+    it('blanks out annotations, type arguments, assertions and non-null marks in place', () => {
+      expect(typescript('let total: number = add<number>(a as number, b!);'))
+        .toBe('let total         = add        (a          , b );');
+    });
+
+    it('removes interfaces and type aliases but keeps their lines', () => {
+      expect(typescript('interface A { x: number }\ntype B = string;\nconst c = 1;').split('\n'))
+        .toEqual([' '.repeat(25), ' '.repeat(16), 'const c = 1;']);
+    });
+
+    it('drops imports only used as types', () => {
+      const output = typescript('import type { X } from "./x";\nimport { Y, Z } from "./y";\nlet a: Y = Z;');
+      expect(output.split('\n')).toHaveLength(3);
+      expect(output).not.toMatch('./x');
+      expect(output).not.toMatch(/\bY\b/);
+      expect(output).toMatch(/import \{\s+Z \} from "\.\/y";/);
+    });
+
+    it('strips non-null assertions after brackets whatever follows', () => {
+      expect(typescript('const a = f()! - 1;')).toBe('const a = f()  - 1;');
+      expect(typescript('const b = arr[0]! + 1;')).toBe('const b = arr[0]  + 1;');
+      expect(typescript('const c = {a: 1}!;')).toBe('const c = {a: 1} ;');
+      expect(typescript('const d = f()!(1) != g()! !== h;')).toBe('const d = f() (1) != g()  !== h;');
+      expect(() => new Function(typescript('const f = () => 2; const e = f()! - 1 + [1][0]! + ({a: 1})!.a;'))).not.toThrow();
+    });
+
+    it('keeps ! as a prefix operator after conditions and blocks', () => {
+      for (const code of ['if (ok) !done && stop();', 'while (x) !y;', 'for (;;) !z;', '{ } !x;']) {
+        expect(typescript(code)).toBe(code);
+      }
+    });
+
+    it('compiles enums to objects with reverse mappings', () => {
+      const Color = new Function(`${typescript('enum Color { Red, Green = 5, Blue }')}\nreturn Color;`)();
+      expect(Color).toEqual({ Red: 0, Green: 5, Blue: 6, 0: 'Red', 5: 'Green', 6: 'Blue' });
+    });
+
+    it('turns constructor parameter properties into assignments', () => {
+      const P = new Function(`${typescript('class P { constructor(private x: number, public y = 2) { } }')}\nreturn P;`)();
+      expect({ ...new P(1) }).toEqual({ x: 1, y: 2 });
+    });
+  });
+
+  describe('JSX', () => {
+    it('compiles elements, attributes, spreads and children to factory calls', () => {
+      expect(jsx('const a = <a href={url} {...rest}>Hi {name}</a>;'))
+        .toBe('const a = h("a", {href: url, ...rest}, "Hi ", name);');
+    });
+
+    it('passes components by reference and fragments as Fragment', () => {
+      expect(jsx('const a = <><Comp.Item x="1" /><my-el /></>;'))
+        .toBe('const a = h(Fragment, null, h(Comp.Item, {x: "1"}), h("my-el", null));');
+    });
+
+    it('uses the configured factory and fragment', () => {
+      const react = new Transpiler({ jsx: { factory: 'React.createElement', fragment: 'React.Fragment' } });
+      expect(react.transform('<><b /></>', { jsx: true })).toBe('React.createElement(React.Fragment, null, React.createElement("b", null))');
+    });
+
+    it('joins multi-line text and keeps the line count', () => {
+      expect(jsx('const a = <div>\n  line one\n  line two\n</div>;'))
+        .toBe('const a = h("div", null, "line one line two"\n\n\n);');
+    });
+
+    describe('whitespace', () => {
+      it('keeps spaces between elements and expressions on one line as they are', () => {
+        expect(jsx('<a> <b/></a>')).toBe('h("a", null, " ", h("b", null))');
+        expect(jsx('<a>{x} <b/></a>')).toBe('h("a", null, x, " ", h("b", null))');
+        expect(jsx('<a><b/> </a>')).toBe('h("a", null, h("b", null), " ")');
+        expect(jsx('<a>{x}   {y}</a>')).toBe('h("a", null, x, "   ", y)');
+        expect(jsx('<a>x <b/> y</a>')).toBe('h("a", null, "x ", h("b", null), " y")');
+      });
+
+      it('turns tabs into spaces', () => {
+        expect(jsx('<a>\t<b/></a>')).toBe('h("a", null, " ", h("b", null))');
+      });
+
+      it('drops whitespace that contains a line break', () => {
+        expect(jsx('<a>\n  <b/>\n</a>')).toBe('h("a", null\n, h("b", null)\n)');
+        expect(jsx('<a>  \n  <b/>  </a>')).toBe('h("a", null\n, h("b", null), "  ")');
+      });
+
+      it('trims text around line breaks and drops blank lines', () => {
+        expect(jsx('<a>\n  one\n\n  two  \n</a>')).toBe('h("a", null, "one two"\n\n\n\n)');
+        expect(jsx('<a>{x}\n  text\n</a>')).toBe('h("a", null, x, "text"\n\n)');
+      });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const vm = require('vm');
+const Bundler = require('../src/lib/Bundler');
+const TreeShaker = require('../src/lib/TreeShaker');
+const { createProject, removeProject } = require('./helpers');
+
+// Run a bundle and collect what it logs
+function run(code) {
+  const logs = [];
+  vm.runInNewContext(code, { console: { log: (...args) => logs.push(args.join(' ')) } });
+  return logs;
+}
+
+describe('TreeShaker', () => {
+  let rootDir;
+
+  afterEach(() => removeProject(rootDir));
+
+  async function shake(files, entry = 'src/index.js') {
+    rootDir = await createProject(files);
+    const bundler = new Bundler({ rootDir, sourceMap: false });
+    const graph = await bundler.buildGraph([entry]);
+    const { outputs: [output] } = await bundler.build([entry]);
+    return { ...new TreeShaker().shake(graph, entry), output };
+  }
+
+  it('removes unused exports and keeps the used ones working', async () => {
+    const { report, output } = await shake({
+      'src/index.js': "import { used } from './utils.js';\nconsole.log(used());\n",
+      'src/utils.js': [
+        "const prefix = 'used';",
+        'export function used() { return prefix; }',
+        "export function unused() { return 'unused'; }",
+        'export const table = [1, 2, 3];'
+      ].join('\n')
+    });
+
+    expect(report.removedExports).toEqual([
+      { module: 'src/utils.js', name: 'unused' },
+      { module: 'src/utils.js', name: 'table' }
+    ]);
+    expect(report.usedExports).toContainEqual({ module: 'src/utils.js', name: 'used', usedBy: ['imported by src/index.js'] });
+    expect(output.code).not.toMatch("'unused'");
+    expect(run(output.code)).toEqual(['used']);
+  });
+
+  it('drops modules without side effects whose exports are unused', async () => {
+    const { kept, report } = await shake({
+      'src/index.js': "import './pure.js';\nimport './effect.js';\nconsole.log('entry');\n",
+      'src/pure.js': 'export const value = 1;\n',
+      'src/effect.js': "console.log('effect');\nexport const value = 2;\n"
+    });
+
+    expect(kept.has('src/pure.js')).toBe(false);
+    expect(kept.has('src/effect.js')).toBe(true);
+    expect(report.removedModules).toEqual([{ id: 'src/pure.js', reason: 'no side effects, no export used' }]);
+  });
+
+  it('keeps modules and declarations that read properties, which may run getters', async () => {
+    const { kept, output } = await shake({
+      'src/index.js': "import './read.js';\nimport './spread.js';\nconsole.log(globalThis.reads.join(' '));\n",
+      'src/state.js': [
+        'globalThis.reads = [];',
+        "export const state = { get prop() { globalThis.reads.push('prop'); return 1; } };",
+        "export const list = { *[Symbol.iterator]() { globalThis.reads.push('iterated'); } };"
+      ].join('\n'),
+      'src/read.js': "import { state } from './state.js';\nexport const x = state.prop;\nconst y = state['prop'];\n",
+      'src/spread.js': "import { list } from './state.js';\nexport const copy = [...list];\n"
+    });
+
+    expect(kept.has('src/read.js')).toBe(true);
+    expect(kept.has('src/spread.js')).toBe(true);
+    expect(run(output.code)).toEqual(['prop prop iterated']);
+  });
+
+  it('honours sideEffects: false in package.json', async () => {
+    const { kept, output } = await shake({
+      'src/index.js': "import 'lib';\nconsole.log('entry');\n",
+      'node_modules/lib/package.json': JSON.stringify({ name: 'lib', sideEffects: false }),
+      'node_modules/lib/index.js': "console.log('loaded');\nexport const value = 1;\n"
+    });
+
+    expect(kept.has('node_modules/lib/index.js')).toBe(false);
+    expect(run(output.code)).toEqual(['entry']);
+  });
+
+  it('keeps every export of modules read as a whole namespace', async () => {
+    const { report, output } = await shake({
+      'src/index.js': "import * as utils from './utils.js';\nconsole.log(Object.keys(utils).join(','));\n",
+      'src/utils.js': 'export const a = 1;\nexport const b = 2;\n'
+    });
+
+    expect(report.removedExports).toEqual([]);
+    expect(run(output.code)).toEqual(['a,b']);
+  });
+
+  it('keeps exports of modules loaded with import()', async () => {
+    const { report } = await shake({
+      'src/index.js': "import('./lazy.js').then(lazy => console.log(lazy.a));\n",
+      'src/lazy.js': 'export const a = 1;\nexport const b = 2;\n'
+    });
+
+    expect(report.removedExports).toEqual([]);
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const AeroSSR = require('../src/lib/AeroSSR');
+const Bundler = require('../src/lib/Bundler');
+const { compress, isCompressibleFile, isCompressibleType, negotiateEncoding } = require('../src/lib/compression');
+const { createProject, removeProject, serve } = require('./helpers');
+
+// Undo a Content-Encoding
+function decode(body, encoding) {
+  if (encoding === 'br') return zlib.brotliDecompressSync(body);
+  if (encoding === 'gzip') return zlib.gunzipSync(body);
+  return body;
+}
+
+describe('compression', () => {
+  describe('negotiateEncoding', () => {
+    it('prefers brotli when both are accepted equally', () => {
+      expect(negotiateEncoding('gzip, deflate, br')).toBe('br');
+      expect(negotiateEncoding('*')).toBe('br');
+    });
+
+    it('follows quality values', () => {
+      expect(negotiateEncoding('gzip, br;q=0.5')).toBe('gzip');
+      expect(negotiateEncoding('br;q=0, gzip;q=0.1')).toBe('gzip');
+      expect(negotiateEncoding('*;q=0.5, gzip')).toBe('gzip');
+      expect(negotiateEncoding('GZIP; Q=0.8')).toBe('gzip');
+    });
+
+    it('sends the body as it is when nothing supported is accepted', () => {
+      expect(negotiateEncoding('')).toBeNull();
+      expect(negotiateEncoding(undefined)).toBeNull();
+      expect(negotiateEncoding('identity, deflate')).toBeNull();
+      expect(negotiateEncoding('br;q=0, gzip;q=0')).toBeNull();
+      expect(negotiateEncoding('*, br;q=0', ['br'])).toBeNull();
+    });
+
+    it('only picks from the available encodings', () => {
+      expect(negotiateEncoding('br, gzip', ['gzip'])).toBe('gzip');
+    });
+  });
+
+  it('compresses bodies zlib can read back', async () => {
+    const body = 'console.log("hello");\n'.repeat(100);
+    expect(decode(await compress(body, 'br'), 'br').toString()).toBe(body);
+    expect(decode(await compress(body, 'gzip', { best: true }), 'gzip').toString()).toBe(body);
+    expect(() => compress(body, 'deflate')).toThrow('Unknown encoding "deflate"');
+  });
+
+  it('only compresses text', () => {
+    expect(isCompressibleType('application/javascript; charset=utf-8')).toBe(true);
+    expect(isCompressibleType('text/html')).toBe(true);
+    expect(isCompressibleType('image/png')).toBe(false);
+    expect(isCompressibleFile('dist/index.js.map')).toBe(true);
+    expect(isCompressibleFile('dist/font.woff2')).toBe(false);
+  });
+
+  describe('AeroSSR responses', () => {
+    let rootDir;
+    let server;
+
+    // Request a path keeping the body as the bytes sent
+    function request(requestPath, headers = {}) {
+      return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port: server.port, path: requestPath, headers }, (res) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+          res.on('error', reject);
+        });
+        req.on('error', reject);
+      });
+    }
+
+    beforeEach(async () => {
+      rootDir = await createProject({
+        'src/index.js': `export const text = ${JSON.stringify('compressible '.repeat(200))};\nconsole.log(text);\n`,
+        'src/tiny.js': 'export const tiny = 1;\n',
+        'index.html': `<!DOCTYPE html><html><head></head><body>${'<p>page</p>'.repeat(200)}</body></html>\n`
+      });
+    });
+
+    afterEach(async () => {
+      await server.close();
+      await removeProject(rootDir);
+    });
+
+    const start = async (config = {}) => {
+      server = await serve(new AeroSSR({ rootDir, projectPath: rootDir, entryPoint: 'src/index.js', cache: false, ...config }));
+    };
+
+    it('negotiates gzip and brotli with an ETag per encoding', async () => {
+      await start();
+      const plain = await request('/dist', { Accept: 'application/json' });
+      const br = await request('/dist', { Accept: 'application/json', 'Accept-Encoding': 'gzip, br' });
+      const gzip = await request('/dist', { Accept: 'application/json', 'Accept-Encoding': 'gzip' });
+
+      expect(plain.headers['content-encoding']).toBe(undefined);
+      expect(br.headers['content-encoding']).toBe('br');
+      expect(gzip.headers['content-encoding']).toBe('gzip');
+      for (const response of [plain, br, gzip]) {
+        expect(response.headers.vary).toBe('Accept-Encoding');
+        expect(Number(response.headers['content-length'])).toBe(response.body.length);
+      }
+      expect(br.body.length).toBeLessThan(plain.body.length);
+      expect(decode(br.body, 'br').toString()).toBe(plain.body.toString());
+      expect(decode(gzip.body, 'gzip').toString()).toBe(plain.body.toString());
+
+      expect(br.headers.etag).toBe(`${plain.headers.etag}-br`);
+      expect(gzip.headers.etag).toBe(`${plain.headers.etag}-gzip`);
+    });
+
+    it('revalidates only against the ETag of the negotiated encoding', async () => {
+      await start();
+      const headers = { Accept: 'application/json', 'Accept-Encoding': 'br' };
+      const { headers: { etag } } = await request('/dist', headers);
+
+      const revalidated = await request('/dist', { ...headers, 'If-None-Match': etag });
+      expect(revalidated.status).toBe(304);
+      expect(revalidated.headers.etag).toBe(etag);
+      expect(revalidated.headers.vary).toBe('Accept-Encoding');
+
+      // A cached brotli body is no good to a client that now only takes gzip
+      const other = await request('/dist', { Accept: 'application/json', 'Accept-Encoding': 'gzip', 'If-None-Match': etag });
+      expect(other.status).toBe(200);
+      expect(other.headers['content-encoding']).toBe('gzip');
+    });
+
+    it('compresses /src files and pages but not small bodies', async () => {
+      await start({ minify: false });
+      const source = await request('/src/index.js', { Accept: 'application/json', 'Accept-Encoding': 'gzip' });
+      expect(source.headers['content-encoding']).toBe('gzip');
+
+      const page = await request('/', { Accept: 'text/html', 'Accept-Encoding': 'br' });
+      expect(page.headers['content-type']).toMatch('text/html');
+      expect(page.headers['content-encoding']).toBe('br');
+      expect(decode(page.body, 'br').toString()).toMatch('<script src="/dist/');
+
+      const tiny = await request('/src/tiny.js', { Accept: 'application/json', 'Accept-Encoding': 'gzip' });
+      expect(tiny.headers['content-encoding']).toBe(undefined);
+      expect(tiny.body.toString()).toBe('export const tiny = 1;\n');
+    });
+
+    it('sends bodies as they are with compression off', async () => {
+      await start({ compression: false });
+      const response = await request('/dist', { Accept: 'application/json', 'Accept-Encoding': 'gzip, br' });
+      expect(response.headers['content-encoding']).toBe(undefined);
+      expect(response.headers.vary).toBe(undefined);
+    });
+  });
+
+  describe('precompressed build output', () => {
+    let rootDir;
+
+    afterEach(() => removeProject(rootDir));
+
+    it('writes .gz and .br copies next to text files', async () => {
+      rootDir = await createProject({ 'src/index.js': `console.log(${JSON.stringify('x'.repeat(2000))});\n` });
+      const bundler = new Bundler({ rootDir, outputDir: 'dist', precompress: ['gzip', 'br'] });
+      const { outputs } = await bundler.build(['src/index.js']);
+      await bundler.write(outputs);
+      const [output] = outputs;
+
+      const file = path.join(rootDir, 'dist', output.fileName);
+      const code = await fs.readFile(file, 'utf-8');
+      expect(decode(await fs.readFile(`${file}.gz`), 'gzip').toString()).toBe(code);
+      expect(decode(await fs.readFile(`${file}.br`), 'br').toString()).toBe(code);
+      expect(() => new Bundler({ rootDir, precompress: ['deflate'] })).toThrow('Unknown precompress encoding "deflate"');
+    });
+  });
+});
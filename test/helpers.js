@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Shared by the test files: temporary projects and a server around AeroSSR#handleRequest.
+
+/**
+ * Write files into a new temporary directory
+ * @param {Object} files - Relative path -> contents
+ * @returns {Promise<string>} Absolute path of the directory
+ */
+async function createProject(files = {}) {
+  const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'modubuild-test-')));
+  await writeFiles(dir, files);
+  return dir;
+}
+
+async function writeFiles(dir, files) {
+  for (const [name, contents] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, contents);
+  }
+}
+
+function removeProject(dir) {
+  return fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Serve an AeroSSR instance on a free port without starting its own server
+ * @param {AeroSSR} app - Server whose handleRequest answers requests
+ * @returns {Promise<{port: number, request: Function, close: Function}>} request(path, options)
+ *   resolves to { status, headers, body }; paths are sent exactly as given, so nothing normalizes them
+ */
+async function serve(app) {
+  const server = http.createServer((req, res) => app.handleRequest(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const request = (requestPath, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: requestPath, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString('utf-8')
+      }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { port, request, close };
+}
+
+module.exports = {
+  createProject,
+  writeFiles,
+  removeProject,
+  serve,
+};
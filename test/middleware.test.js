@@ -0,0 +1,255 @@
+const AeroSSR = require('../src/lib/AeroSSR');
+const { requestId, timing } = require('../src/lib/middleware');
+const { createProject, removeProject, serve } = require('./helpers');
+
+describe('AeroSSR middleware', () => {
+  let rootDir;
+  let app;
+  let server;
+  let consoleError;
+
+  beforeEach(async () => {
+    rootDir = await createProject();
+    app = new AeroSSR({ rootDir, cache: false });
+    // handleError logs server errors, which these tests cause on purpose
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(async () => {
+    console.error = consoleError;
+    if (server) await server.close();
+    server = null;
+    await removeProject(rootDir);
+  });
+
+  const start = async () => {
+    server = await serve(app);
+    return server.request;
+  };
+
+  it('runs middlewares in order around the rest of the pipeline', async () => {
+    const calls = [];
+    app.use(async (req, res, next) => {
+      calls.push('outer in');
+      await next();
+      calls.push(`outer out ${res.statusCode}`);
+    });
+    app.use((req, res, next) => {
+      calls.push('inner');
+      return next();
+    });
+    app.get('/page', (req, res) => {
+      calls.push('route');
+      res.end('page');
+    });
+
+    const response = await (await start())('/page');
+    expect(response.body).toBe('page');
+    expect(calls).toEqual(['outer in', 'inner', 'route', 'outer out 200']);
+  });
+
+  it('stops the pipeline at a middleware that does not call next()', async () => {
+    let routed = false;
+    app.use((req, res) => {
+      res.writeHead(401);
+      res.end('denied');
+    });
+    app.use((req, res, next) => next());
+    app.get('/page', (req, res) => {
+      routed = true;
+      res.end('page');
+    });
+
+    const response = await (await start())('/page');
+    expect(response.status).toBe(401);
+    expect(response.body).toBe('denied');
+    expect(routed).toBe(false);
+  });
+
+  it('continues after (req, res) middlewares that leave the response open', async () => {
+    const seen = [];
+    app.use(async (req) => {
+      seen.push(req.url);
+    });
+    app.get('/page', (req, res) => res.end('page'));
+
+    const response = await (await start())('/page');
+    expect(response.body).toBe('page');
+    expect(seen).toEqual(['/page']);
+  });
+
+  it('runs path-scoped middlewares for the path and below only', async () => {
+    const seen = [];
+    app.use('/api/', (req, res, next) => {
+      seen.push(req.url);
+      return next();
+    });
+    for (const routePath of ['/api', '/api/users', '/apis']) {
+      app.get(routePath, (req, res) => res.end(routePath));
+    }
+
+    const request = await start();
+    for (const routePath of ['/api', '/api/users', '/apis']) {
+      expect((await request(routePath)).body).toBe(routePath);
+    }
+    expect(seen).toEqual(['/api', '/api/users']);
+  });
+
+  it('hands errors to error middlewares, which may answer or pass them on', async () => {
+    const passed = [];
+    app.use((error, req, res, next) => {
+      passed.push(error.message);
+      return next(error);
+    });
+    app.use('/api', (error, req, res, next) => {
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    });
+    app.use('/api/denied', (req, res, next) => next(Object.assign(new Error('denied'), { statusCode: 403 })));
+    app.get('/api/broken', () => {
+      throw new Error('broken');
+    });
+    app.get('/broken', () => {
+      throw Object.assign(new Error('teapot'), { statusCode: 418 });
+    });
+
+    const request = await start();
+    const denied = await request('/api/denied');
+    expect(denied.status).toBe(403);
+    expect(JSON.parse(denied.body)).toEqual({ error: 'denied' });
+
+    const broken = await request('/api/broken');
+    expect(broken.status).toBe(500);
+    expect(JSON.parse(broken.body)).toEqual({ error: 'broken' });
+
+    // Nothing answers errors outside /api; the default error page does
+    const page = await request('/broken');
+    expect(page.status).toBe(418);
+    expect(page.body).toMatch('teapot');
+    expect(passed).toEqual(['denied', 'broken', 'teapot']);
+  });
+
+  describe('errors after next()', () => {
+    // Each later step fails in its own way: no route, a wrong method, a throwing route
+    const failures = [
+      ['/missing', 404],
+      ['/form', 405],
+      ['/broken', 500]
+    ];
+
+    beforeEach(() => {
+      app.post('/form', (req, res) => res.end('posted'));
+      app.get('/broken', () => {
+        throw new Error('broken');
+      });
+    });
+
+    it('reach the error page when next() is awaited', async () => {
+      const after = [];
+      app.use(async (req, res, next) => {
+        await next();
+        after.push(res.statusCode);
+      });
+
+      const request = await start();
+      for (const [requestPath, status] of failures) {
+        const response = await request(requestPath, { headers: { Accept: 'application/json' } });
+        expect(response.status).toBe(status);
+      }
+      // next() resolves rather than rejecting, before the error is answered
+      expect(after).toEqual([200, 200, 200]);
+    });
+
+    it('reach the error page when next() is not awaited', async () => {
+      app.use((req, res, next) => {
+        next();
+      });
+
+      const request = await start();
+      for (const [requestPath, status] of failures) {
+        const response = await request(requestPath, { headers: { Accept: 'application/json' } });
+        expect(response.status).toBe(status);
+      }
+    });
+
+    it('reach error middlewares from route middleware that does not await next()', async () => {
+      app.use((error, req, res, next) => {
+        res.writeHead(error.statusCode || 500);
+        res.end(`handled ${error.message}`);
+      });
+      app.get('/chain', (req, res, next) => {
+        next();
+      }, () => {
+        throw Object.assign(new Error('late'), { statusCode: 409 });
+      });
+
+      const response = await (await start())('/chain');
+      expect(response.status).toBe(409);
+      expect(response.body).toBe('handled late');
+    });
+  });
+
+  describe('OPTIONS', () => {
+    it('goes to OPTIONS routes', async () => {
+      app.options('/api/items', (req, res) => {
+        res.writeHead(200, { Allow: 'GET, OPTIONS' });
+        res.end('items');
+      });
+
+      const items = await (await start())('/api/items', { method: 'OPTIONS' });
+      expect(items.status).toBe(200);
+      expect(items.headers.allow).toBe('GET, OPTIONS');
+      expect(items.body).toBe('items');
+    });
+
+    it('answers with the CORS preflight when no OPTIONS route matches', async () => {
+      app.get('/api/items', (req, res) => res.end('items'));
+      app.route('/any', (req, res) => res.end(req.method));
+
+      const request = await start();
+      expect((await request('/any', { method: 'PUT' })).body).toBe('PUT');
+      for (const requestPath of ['/api/items', '/any', '/unrouted']) {
+        const response = await request(requestPath, { method: 'OPTIONS' });
+        expect([requestPath, response.status]).toEqual([requestPath, 204]);
+        expect(response.headers['access-control-allow-methods'].split(', '))
+          .toEqual(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD']);
+      }
+    });
+  });
+
+  it('rejects middlewares that are not functions and paths without a leading slash', () => {
+    expect(() => app.use('api', () => {})).toThrow('start with /');
+    expect(() => app.use('/api', 'handler')).toThrow('must be functions');
+  });
+
+  describe('built-in', () => {
+    it('requestId reuses safe incoming ids and generates the others', async () => {
+      app.use(requestId({ generate: () => 'generated' }));
+      app.get('/', (req, res) => res.end(req.id));
+
+      const request = await start();
+      const reused = await request('/', { headers: { 'X-Request-Id': 'abc-123' } });
+      expect(reused.headers['x-request-id']).toBe('abc-123');
+      expect(reused.body).toBe('abc-123');
+      const replaced = await request('/', { headers: { 'X-Request-Id': '<script>' } });
+      expect(replaced.headers['x-request-id']).toBe('generated');
+    });
+
+    it('timing sets a Server-Timing header and logs finished requests', async () => {
+      const entries = [];
+      app.use(requestId({ generate: () => 'id-1' }), timing({ log: entry => entries.push(entry) }));
+      app.get('/', (req, res) => res.end('ok'));
+
+      const response = await (await start())('/');
+      expect(response.headers['server-timing']).toMatch(/^app;dur=\d+\.\d$/);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toEqual({ id: 'id-1', method: 'GET', url: '/', statusCode: 200, duration: entries[0].duration });
+    });
+
+    it('AeroSSR exposes the built-in middlewares', () => {
+      expect(AeroSSR.requestId).toBe(requestId);
+      expect(AeroSSR.timing).toBe(timing);
+    });
+  });
+});
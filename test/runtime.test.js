@@ -0,0 +1,64 @@
+const TestRuntime = require('../src/test/runtime');
+
+// Register tests on a runtime of their own, away from the one running this file
+async function runSuites(define) {
+  const runtime = new TestRuntime({ timeout: 1000 });
+  const api = {};
+  runtime.install(api);
+  define(api);
+  return (await runtime.run()).map(result => [[...result.suite, result.name].join(' › '), result.status]);
+}
+
+describe('TestRuntime', () => {
+  it('runs hooks around tests in order', async () => {
+    const calls = [];
+    const results = await runSuites(({ describe, it, beforeAll, beforeEach, afterEach, afterAll }) => {
+      describe('suite', () => {
+        beforeAll(() => calls.push('beforeAll'));
+        beforeEach(() => calls.push('beforeEach'));
+        afterEach(() => calls.push('afterEach'));
+        afterAll(() => calls.push('afterAll'));
+        it('test', () => calls.push('test'));
+      });
+    });
+    expect(results).toEqual([['suite › test', 'passed']]);
+    expect(calls).toEqual(['beforeAll', 'beforeEach', 'test', 'afterEach', 'afterAll']);
+  });
+
+  it('skips tests outside focused ones', async () => {
+    const results = await runSuites(({ describe, it }) => {
+      describe('suite', () => {
+        it.only('focused', () => {});
+        it('other', () => {});
+      });
+    });
+    expect(results).toEqual([['suite › focused', 'passed'], ['suite › other', 'skipped']]);
+  });
+
+  it('fails the tests of nested suites without running them when beforeAll throws', async () => {
+    const ran = [];
+    const results = await runSuites(({ describe, it, beforeAll }) => {
+      describe('outer', () => {
+        beforeAll(() => {
+          throw new Error('setup failed');
+        });
+        it('own', () => ran.push('own'));
+        describe('inner', () => {
+          beforeAll(() => ran.push('inner beforeAll'));
+          it('child', () => ran.push('child'));
+          it.skip('skipped', () => {});
+        });
+      });
+      describe('sibling', () => {
+        it('test', () => ran.push('sibling'));
+      });
+    });
+    expect(results).toEqual([
+      ['outer › own', 'failed'],
+      ['outer › inner › child', 'failed'],
+      ['outer › inner › skipped', 'skipped'],
+      ['sibling › test', 'passed']
+    ]);
+    expect(ran).toEqual(['sibling']);
+  });
+});